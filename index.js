@@ -2,282 +2,318 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-import { z } from 'zod';
+import {
+  CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  ReadResourceRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
 import axios from 'axios';
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
 import fs from 'fs-extra';
 import path from 'path';
+import { createModel, outputKind } from './lib/models.js';
+import { explain, LOCAL_METHODS } from './lib/explainers/index.js';
+import { IMAGE_METHODS, occlusion, rise } from './lib/explainers/saliency.js';
+import { createImageModel } from './lib/images/cnn.js';
+import { decodeBase64Png } from './lib/images/png.js';
+import { pythonInputShape, toNestedHWC, toTensor } from './lib/images/tensor.js';
+import { renderOverlay } from './lib/images/heatmap.js';
+import { limeText } from './lib/explainers/lime-text.js';
+import { createTextModel } from './lib/text/bow.js';
+import { renderHtml, renderMarkdown } from './lib/text/highlight.js';
+import { AGREEMENT_METRICS, evaluateMetric, LOCAL_METRICS, STABILITY_METRICS } from './lib/metrics/index.js';
+import { explanationSource, inferFeatureNames, parseAttributions, parseJSONArgument, parseRows, parseSample } from './lib/samples.js';
+import { PythonBridge } from './lib/python-bridge.js';
+import { buildDataset, dataDirectory, listDatasetFiles, loadLocalDataset, saveDataset } from './lib/datasets.js';
+import { generateSyntheticDataset } from './lib/synthetic.js';
+import {
+  catalogDatasets,
+  DEPLOYMENT_GUIDES,
+  EXPLAINER_CATALOG,
+  FRAMEWORK_INFO,
+  METRIC_CATALOG
+} from './lib/catalog.js';
+import { listResources, readResource, RESOURCE_TEMPLATES } from './lib/resources.js';
+import { getPrompt, listPrompts } from './lib/prompts.js';
+import { listToolDefinitions, parseToolArguments, ToolArgumentError } from './lib/tools.js';
+import { featureScales, featureStatistics } from './lib/statistics.js';
+import { HttpTransportServer, transportOptions } from './lib/http-transport.js';
+import { SessionStore } from './lib/session-store.js';
+import { aggregateRuns, LeaderboardStore } from './lib/leaderboard.js';
+import { findModelFile, modelDirectory, readModelFile, resolvePythonModel } from './lib/model-files.js';
+import { alignTreeModel, toModelDefinition } from './lib/tree-import.js';
+import { BenchmarkCheckpoint, benchmarkDirectory, benchmarkId, cellKey, DeadlineError, explainRows, gridCells, resultsMatrix, sampleRows, scoreRows, setupFingerprint } from './lib/benchmark.js';
+import { defineSubgroups, disparity, fairnessSummary } from './lib/fairness.js';
+import { featureSpace, findCounterfactuals } from './lib/counterfactuals.js';
+import { buildSubmission, submissionKey, validateRuns, writeSubmission } from './lib/submission.js';
+import { buildCharts, writeChart } from './lib/charts/charts.js';
+import { toPng, toSvg } from './lib/charts/render.js';
+
+const SERVER_INFO = { name: 'openxai-mcp', version: '1.0.0' };
+
+// Rows drawn from a loaded dataset when it stands in for an explicit background sample
+const MAX_DATASET_BACKGROUND = 100;
+
+const formatBytes = (bytes) => bytes < 1024 * 1024
+  ? `${(bytes / 1024).toFixed(1)} KB`
+  : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
 
 // OpenXAI MCP Server
 class OpenXAIServer {
   constructor() {
-    this.server = new Server({
-      name: 'openxai-mcp',
-      version: '1.0.0',
-    }, {
+    // Optional local execution of the generated OpenXAI code (OPENXAI_EXECUTION_MODE=python)
+    this.python = new PythonBridge();
+    this.executeByDefault = process.env.OPENXAI_EXECUTION_MODE === 'python';
+
+    // Datasets and models behind the handles returned by the load tools, reused by the explain/evaluate tools.
+    // Each connection sees only its own handles: requests run with that connection's scope as this.loaded
+    this.handles = new SessionStore();
+    this.requestScope = new AsyncLocalStorage();
+
+    // Scores computed by evaluate_explanation, appended to OPENXAI_LEADERBOARD_FILE
+    this.leaderboard = new LeaderboardStore();
+
+    this.server = this.createServer();
+    this.setupErrorHandling();
+  }
+
+  get loaded() {
+    return this.requestScope.getStore();
+  }
+
+  // Runs a request handler with one connection's handles as this.loaded
+  withHandles(handles, handler) {
+    return (request, extra) => this.requestScope.run(handles, () => handler(request, extra));
+  }
+
+  // One MCP Server per connection (stdio, or each HTTP session) with its own handles; the memory budget,
+  // leaderboard and Python workers are shared
+  createServer() {
+    const server = new Server(SERVER_INFO, {
       capabilities: {
         tools: {},
+        resources: {},
+        prompts: {},
       },
     });
-
-    this.setupToolHandlers();
-    this.setupErrorHandling();
+    server.onerror = (error) => console.error('[MCP Error]', error);
+
+    const handles = this.handles.scope(randomUUID());
+    // A closed connection's handles would otherwise hold budget until their TTL runs out
+    server.onclose = () => handles.close();
+    this.setupToolHandlers(server, handles);
+    this.setupResourceHandlers(server, handles);
+    this.setupPromptHandlers(server);
+    return server;
   }
 
   setupErrorHandling() {
-    this.server.onerror = (error) => console.error('[MCP Error]', error);
-    process.on('SIGINT', async () => {
+    const shutdown = async () => {
+      await this.http?.close();
+      await this.python.close();
       await this.server.close();
       process.exit(0);
-    });
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
   }
 
-  setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
-      tools: [
-        {
-          name: 'list_datasets',
-          description: 'List available datasets in OpenXAI framework',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              category: {
-                type: 'string',
-                description: 'Filter by dataset category (synthetic, real-world, tabular, image, text)',
-                enum: ['synthetic', 'real-world', 'tabular', 'image', 'text', 'all']
-              }
-            },
-            required: []
-          }
-        },
-        {
-          name: 'load_dataset',
-          description: 'Load a specific dataset from OpenXAI',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dataset_name: {
-                type: 'string',
-                description: 'Name of the dataset to load (e.g., german, compas, adult)',
-              },
-              download: {
-                type: 'boolean',
-                description: 'Whether to download the dataset if not available locally',
-                default: true
-              }
-            },
-            required: ['dataset_name']
-          }
-        },
-        {
-          name: 'list_models',
-          description: 'List available pre-trained models in OpenXAI',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dataset_name: {
-                type: 'string',
-                description: 'Filter models by dataset they were trained on'
-              },
-              model_type: {
-                type: 'string',
-                description: 'Filter by model type (ann, lr, rf, etc.)',
-                enum: ['ann', 'lr', 'rf', 'svm', 'xgb', 'all']
-              }
-            },
-            required: []
-          }
-        },
-        {
-          name: 'load_model',
-          description: 'Load a pre-trained model from OpenXAI',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              data_name: {
-                type: 'string',
-                description: 'Name of the dataset the model was trained on'
-              },
-              ml_model: {
-                type: 'string',
-                description: 'Type of machine learning model (ann, lr, rf, svm, xgb)',
-                enum: ['ann', 'lr', 'rf', 'svm', 'xgb']
-              },
-              pretrained: {
-                type: 'boolean',
-                description: 'Whether to load a pretrained model',
-                default: true
-              }
-            },
-            required: ['data_name', 'ml_model']
-          }
-        },
-        {
-          name: 'list_explainers',
-          description: 'List available explanation methods in OpenXAI',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              method_type: {
-                type: 'string',
-                description: 'Filter by explanation method type',
-                enum: ['lime', 'shap', 'integrated_gradients', 'gradcam', 'all']
-              }
-            },
-            required: []
-          }
-        },
-        {
-          name: 'generate_explanation',
-          description: 'Generate explanations for model predictions using OpenXAI explainers',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              method: {
-                type: 'string',
-                description: 'Explanation method to use (lime, shap, integrated_gradients, etc.)',
-                enum: ['lime', 'shap', 'integrated_gradients', 'gradcam', 'guided_backprop']
-              },
-              data_sample: {
-                type: 'string',
-                description: 'JSON string of the input data sample to explain'
-              },
-              model_info: {
-                type: 'object',
-                description: 'Information about the model being explained',
-                properties: {
-                  data_name: { type: 'string' },
-                  ml_model: { type: 'string' }
-                }
-              }
-            },
-            required: ['method', 'data_sample', 'model_info']
-          }
-        },
-        {
-          name: 'list_metrics',
-          description: 'List available evaluation metrics in OpenXAI',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              metric_type: {
-                type: 'string',
-                description: 'Filter by metric type (faithfulness, stability, fairness)',
-                enum: ['faithfulness', 'stability', 'fairness', 'all']
-              }
-            },
-            required: []
-          }
-        },
-        {
-          name: 'evaluate_explanation',
-          description: 'Evaluate explanation quality using OpenXAI metrics',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              metric: {
-                type: 'string',
-                description: 'Evaluation metric to use (PGI, PGU, RIS, RRS, ROS, etc.)',
-                enum: ['PGI', 'PGU', 'RIS', 'RRS', 'ROS', 'FA', 'RA', 'SA', 'SRA', 'RC', 'PRA']
-              },
-              explanation: {
-                type: 'string',
-                description: 'JSON string of the explanation to evaluate'
-              },
-              model_info: {
-                type: 'object',
-                description: 'Information about the model',
-                properties: {
-                  data_name: { type: 'string' },
-                  ml_model: { type: 'string' }
-                }
-              }
-            },
-            required: ['metric', 'explanation', 'model_info']
-          }
-        },
-        {
-          name: 'get_leaderboard',
-          description: 'Get leaderboard results for explanation methods',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              dataset: {
-                type: 'string',
-                description: 'Dataset name to get leaderboard for'
-              },
-              metric: {
-                type: 'string',
-                description: 'Metric to sort leaderboard by'
-              }
-            },
-            required: []
-          }
-        },
-        {
-          name: 'get_framework_info',
-          description: 'Get information about OpenXAI framework',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              info_type: {
-                type: 'string',
-                description: 'Type of information to retrieve',
-                enum: ['overview', 'features', 'paper', 'installation', 'quickstart']
-              }
-            },
-            required: []
-          }
-        },
-        {
-          name: 'get_deployment_guide',
-          description: 'Get step-by-step guidance for deploying models using OpenXAI Studio',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              deployment_type: {
-                type: 'string',
-                description: 'Type of deployment guidance needed',
-                enum: ['quick_start', 'detailed', 'app_store', 'troubleshooting']
-              }
-            },
-            required: []
-          }
-        }
-      ]
+  setupToolHandlers(server, handles) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: listToolDefinitions()
     }));
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+    server.setRequestHandler(CallToolRequestSchema, this.withHandles(handles, async (request) => {
+      const { name } = request.params;
 
       try {
+        const args = parseToolArguments(name, request.params.arguments);
         switch (name) {
           case 'list_datasets':
             return await this.listDatasets(args.category || 'all');
           
           case 'load_dataset':
-            return await this.loadDataset(args.dataset_name, args.download);
+            return await this.loadDataset(args.dataset_name, args.download, {
+              labelColumn: args.label_column,
+              sampleRows: args.sample_rows,
+              execute: args.execute
+            });
+          
+          case 'generate_synthetic_dataset':
+            return await this.generateSyntheticDataset({
+              task: args.task,
+              datasetName: args.dataset_name,
+              numSamples: args.num_samples,
+              numFeatures: args.num_features,
+              numInformative: args.num_informative,
+              correlation: args.correlation,
+              correlationStructure: args.correlation_structure,
+              noise: args.noise,
+              classBalance: args.class_balance,
+              seed: args.seed,
+              overwrite: args.overwrite
+            });
           
           case 'list_models':
             return await this.listModels(args.dataset_name, args.model_type || 'all');
           
           case 'load_model':
-            return await this.loadModel(args.data_name, args.ml_model, args.pretrained);
+            return await this.loadModel(args.data_name, args.ml_model, args.pretrained, {
+              model: args.model,
+              modelDump: args.model_dump,
+              dumpFormat: args.dump_format,
+              objective: args.objective,
+              baseScore: args.base_score,
+              execute: args.execute
+            });
+          
+          case 'list_loaded':
+            return await this.listLoaded(args.kind);
+          
+          case 'unload':
+            return await this.unload(args.handle);
+          
+          case 'predict': {
+            const { modelInfo, model, dataset } = this.resolveHandles(args);
+            return await this.predict(modelInfo, { data: args.data, model, dataset, limit: args.limit });
+          }
           
           case 'list_explainers':
             return await this.listExplainers(args.method_type || 'all');
           
-          case 'generate_explanation':
-            return await this.generateExplanation(args.method, args.data_sample, args.model_info);
+          case 'generate_explanation': {
+            const { modelInfo, model, dataset } = this.resolveHandles(args);
+            return await this.generateExplanation(args.method, args.data_sample, modelInfo, {
+              model,
+              dataset,
+              background: args.background,
+              numSamples: args.num_samples,
+              kernelWidth: args.kernel_width,
+              numFeatures: args.num_features,
+              shapAlgorithm: args.shap_algorithm,
+              featurePerturbation: args.feature_perturbation,
+              interactions: args.interactions,
+              baseline: args.baseline,
+              steps: args.steps,
+              noiseLevel: args.noise_level,
+              image: args.image,
+              text: args.text,
+              pythonModel: args.python_model,
+              inputShape: args.input_shape,
+              targetClass: args.target_class,
+              windowSize: args.window_size,
+              stride: args.stride,
+              maskResolution: args.mask_resolution,
+              keepProbability: args.keep_probability,
+              seed: args.seed,
+              execute: args.execute
+            });
+          }
+          
+          case 'generate_counterfactual': {
+            const { modelInfo, model, dataset } = this.resolveHandles(args);
+            return await this.generateCounterfactual(args.data_sample, modelInfo, {
+              model,
+              dataset,
+              immutable: args.immutable,
+              monotonic: args.monotonic,
+              ranges: args.ranges,
+              count: args.num_counterfactuals,
+              maxChanged: args.max_features_changed,
+              threshold: args.threshold,
+              numSamples: args.num_samples,
+              seed: args.seed
+            });
+          }
           
           case 'list_metrics':
             return await this.listMetrics(args.metric_type || 'all');
           
-          case 'evaluate_explanation':
-            return await this.evaluateExplanation(args.metric, args.explanation, args.model_info);
+          case 'evaluate_explanation': {
+            const { modelInfo, model, dataset } = this.resolveHandles(args);
+            return await this.evaluateExplanation(args.metric, args.explanation, modelInfo, {
+              model,
+              dataset,
+              dataSample: args.data_sample,
+              k: args.k,
+              sigma: args.sigma,
+              numSamples: args.num_samples,
+              explainer: args.explainer,
+              background: args.background,
+              sameClass: args.same_class,
+              groundTruth: args.ground_truth,
+              referenceExplanation: args.reference_explanation,
+              seed: args.seed,
+              execute: args.execute
+            });
+          }
+          
+          case 'evaluate_fairness': {
+            const { modelInfo, model, dataset } = this.resolveHandles(args);
+            return await this.evaluateFairness(args.explainer, modelInfo, {
+              protectedFeature: args.protected_feature,
+              protectedValues: args.protected_values,
+              threshold: args.threshold,
+              metrics: args.metrics,
+              model,
+              dataset,
+              sampleBudget: args.sample_budget,
+              explainerSamples: args.explainer_samples,
+              metricSamples: args.metric_samples,
+              seed: args.seed
+            });
+          }
+          
+          case 'run_benchmark':
+            return await this.runBenchmark({
+              datasets: args.datasets,
+              models: args.models,
+              explainers: args.explainers,
+              metrics: args.metrics,
+              sampleBudget: args.sample_budget,
+              explainerSamples: args.explainer_samples,
+              metricSamples: args.metric_samples,
+              seed: args.seed,
+              maxSeconds: args.max_seconds,
+              restart: args.restart,
+              record: args.record
+            });
           
           case 'get_leaderboard':
-            return await this.getLeaderboard(args.dataset, args.metric);
+            return await this.getLeaderboard({
+              dataset: args.dataset,
+              metric: args.metric,
+              model: args.model,
+              explainer: args.explainer,
+              limit: args.limit,
+              chart: args.chart
+            });
+          
+          case 'prepare_submission':
+            return await this.prepareSubmission({
+              datasets: args.datasets,
+              metrics: args.metrics,
+              model: args.model,
+              explainer: args.explainer,
+              submitter: args.submitter,
+              notes: args.notes,
+              validateOnly: args.validate_only
+            });
+          
+          case 'render_chart':
+            return await this.renderChart(args.chart, args.data, {
+              title: args.title,
+              top: args.top_k,
+              baseValue: args.base_value,
+              format: args.format,
+              save: args.save,
+              name: args.name
+            });
           
           case 'get_framework_info':
             return await this.getFrameworkInfo(args.info_type || 'overview');
@@ -289,7 +325,20 @@ class OpenXAIServer {
             throw new Error(`Unknown tool: ${name}`);
         }
       } catch (error) {
+        if (error instanceof ToolArgumentError) {
+          return {
+            isError: true,
+            content: [
+              {
+                type: 'text',
+                text: `Invalid arguments for ${name}:\n` +
+                      error.issues.map(issue => `- ${issue.field}: ${issue.message}`).join('\n')
+              }
+            ]
+          };
+        }
         return {
+          isError: true,
           content: [
             {
               type: 'text',
@@ -298,100 +347,67 @@ class OpenXAIServer {
           ]
         };
       }
-    });
+    }));
   }
 
-  async listDatasets(category) {
-    const datasets = {
-      synthetic: [
-        {
-          name: 'synthetic_classification',
-          description: 'Synthetic classification dataset with ground truth explanations',
-          task: 'classification',
-          features: 'Customizable number of features',
-          samples: 'Customizable number of samples'
-        },
-        {
-          name: 'synthetic_regression',
-          description: 'Synthetic regression dataset with ground truth explanations',
-          task: 'regression',
-          features: 'Customizable number of features',
-          samples: 'Customizable number of samples'
-        }
-      ],
-      'real-world': [
-        {
-          name: 'german',
-          description: 'German Credit dataset - Binary classification for credit approval',
-          task: 'classification',
-          features: 20,
-          samples: 1000,
-          classes: 2
-        },
-        {
-          name: 'compas',
-          description: 'COMPAS Recidivism dataset - Binary classification for recidivism prediction',
-          task: 'classification',
-          features: 11,
-          samples: 6172,
-          classes: 2
-        },
-        {
-          name: 'adult',
-          description: 'Adult Income dataset - Binary classification for income prediction',
-          task: 'classification',
-          features: 14,
-          samples: 48842,
-          classes: 2
-        },
-        {
-          name: 'folktable',
-          description: 'ACS Folktables dataset - Various prediction tasks',
-          task: 'classification',
-          features: 'Variable',
-          samples: 'Variable',
-          classes: 'Variable'
-        }
-      ],
-      tabular: [
-        'german', 'compas', 'adult', 'folktable', 'synthetic_classification', 'synthetic_regression'
-      ],
-      image: [
-        {
-          name: 'mnist',
-          description: 'MNIST handwritten digits dataset',
-          task: 'classification',
-          features: '28x28 grayscale images',
-          samples: 70000,
-          classes: 10
-        },
-        {
-          name: 'cifar10',
-          description: 'CIFAR-10 object recognition dataset',
-          task: 'classification',
-          features: '32x32 color images',
-          samples: 60000,
-          classes: 10
-        }
-      ],
-      text: [
-        {
-          name: 'imdb',
-          description: 'IMDB Movie Review sentiment classification',
-          task: 'classification',
-          features: 'Text sequences',
-          samples: 50000,
-          classes: 2
-        }
-      ]
-    };
+  // Catalog entries, metric definitions, framework info and guides as openxai:// resources
+  setupResourceHandlers(server, handles) {
+    server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+      resources: listResources()
+    }));
 
-    let result = [];
-    if (category === 'all') {
-      result = Object.values(datasets).flat();
-    } else {
-      result = datasets[category] || [];
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: RESOURCE_TEMPLATES
+    }));
+
+    server.setRequestHandler(ReadResourceRequestSchema, this.withHandles(handles, async (request) =>
+      readResource(request.params.uri, { datasets: this.loaded.byName('dataset') })));
+  }
+
+  // Workflow templates (faithfulness audit, explainer comparison, end-user explanation)
+  setupPromptHandlers(server) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: listPrompts()
+    }));
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) =>
+      getPrompt(request.params.name, request.params.arguments, { runs: await this.leaderboard.runs() }));
+  }
+
+  // Runs a worker method when execution is requested; null means code-only output
+  async executeInPython(method, params, execute) {
+    if (!(execute ?? this.executeByDefault)) {
+      return null;
+    }
+    const status = await this.python.availability();
+    if (!status.available) {
+      return { status: 'unavailable', reason: status.reason };
+    }
+    try {
+      const { result, stderr, elapsedMs } = await this.python.call(method, params);
+      return { status: 'ok', result, stderr, elapsed_ms: elapsedMs };
+    } catch (error) {
+      return { status: error.code === 'timeout' ? 'timeout' : 'error', reason: error.message, stderr: error.stderr };
+    }
+  }
+
+  formatExecution(execution) {
+    if (!execution) {
+      return '';
+    }
+    const stderr = execution.stderr ? `Python stderr:\n${execution.stderr}\n\n` : '';
+    if (execution.status === 'ok') {
+      return `Execution result (local Python, ${execution.elapsed_ms} ms):\n` +
+             JSON.stringify(execution.result, null, 2) + '\n\n' + stderr;
     }
+    if (execution.status === 'unavailable') {
+      return `Python execution unavailable: ${execution.reason}. Showing code only.\n\n`;
+    }
+    return `Python execution failed (${execution.status}): ${execution.reason}\n\n` + stderr;
+  }
+
+  async listDatasets(category) {
+    const result = catalogDatasets(category);
 
     return {
       content: [
@@ -400,40 +416,47 @@ class OpenXAIServer {
           text: `Available OpenXAI datasets (${category}):\n\n` +
                 JSON.stringify(result, null, 2)
         }
-      ]
+      ],
+      structuredContent: { category, datasets: result }
     };
   }
 
-  async loadDataset(datasetName, download = true) {
-    const datasetInfo = {
-      german: {
-        description: 'German Credit dataset loaded successfully',
-        features: 20,
-        samples: 1000,
-        classes: 2,
-        task: 'classification'
-      },
-      compas: {
-        description: 'COMPAS Recidivism dataset loaded successfully',
-        features: 11,
-        samples: 6172,
-        classes: 2,
-        task: 'classification'
-      },
-      adult: {
-        description: 'Adult Income dataset loaded successfully',
-        features: 14,
-        samples: 48842,
-        classes: 2,
-        task: 'classification'
-      }
-    };
+  async loadDataset(datasetName, download = true, options = {}) {
+    const dataset = await loadLocalDataset(datasetName, {
+      labelColumn: options.labelColumn,
+      python: this.python
+    });
 
-    const info = datasetInfo[datasetName];
-    if (!info) {
-      throw new Error(`Dataset '${datasetName}' not found. Available datasets: ${Object.keys(datasetInfo).join(', ')}`);
+    if (dataset) {
+      const stored = this.storeDataset(dataset);
+      const { summary } = dataset;
+      const sampleRows = dataset.records.slice(0, options.sampleRows ?? 5);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Dataset '${datasetName}' loaded from ${summary.source}\n\n` +
+                  `Rows: ${summary.num_rows}\n` +
+                  `Features: ${summary.num_features}\n` +
+                  `Label column: ${summary.label_column}\n` +
+                  `Task: ${summary.task}\n` +
+                  this.formatHandle('Dataset', stored) +
+                  `\nSchema and statistics:\n` +
+                  JSON.stringify({ ...summary, sample_rows: sampleRows }, null, 2)
+          }
+        ],
+        structuredContent: {
+          dataset_name: datasetName,
+          loaded: true,
+          dataset_handle: stored.handle,
+          summary,
+          sample_rows: sampleRows
+        }
+      };
     }
 
+    const localFiles = await listDatasetFiles();
     const codeExample = `
 # Example usage with OpenXAI:
 from openxai.dataloader import ReturnLoaders
@@ -447,19 +470,147 @@ print(f"Input shape: {inputs.shape}")
 print(f"Labels shape: {labels.shape}")
 `;
 
+    const execution = await this.executeInPython('load_dataset', { dataset_name: datasetName, download }, options.execute);
+
     return {
       content: [
         {
           type: 'text',
-          text: `${info.description}\n\n` +
-                `Dataset: ${datasetName}\n` +
-                `Features: ${info.features}\n` +
-                `Samples: ${info.samples}\n` +
-                `Classes: ${info.classes}\n` +
-                `Task: ${info.task}\n\n` +
+          text: `Dataset '${datasetName}' is not available in ${dataDirectory()}\n` +
+                `Local datasets: ${localFiles.length ? localFiles.map(file => file.name).join(', ') : 'none'}\n` +
+                `Add ${datasetName}.csv (or .tsv, .json, .jsonl, .parquet) there to load it locally.\n\n` +
+                this.formatExecution(execution) +
                 `Python code example:\n\`\`\`python${codeExample}\`\`\``
         }
-      ]
+      ],
+      structuredContent: {
+        dataset_name: datasetName,
+        loaded: false,
+        data_directory: dataDirectory(),
+        local_datasets: localFiles.map(file => file.name),
+        ...(execution && { execution }),
+        python_code: codeExample.trim()
+      }
+    };
+  }
+
+  async generateSyntheticDataset(options) {
+    const { table, groundTruth, settings } = generateSyntheticDataset({
+      task: options.task,
+      numSamples: options.numSamples,
+      numFeatures: options.numFeatures,
+      numInformative: options.numInformative,
+      correlation: options.correlation,
+      correlationStructure: options.correlationStructure,
+      noise: options.noise,
+      classBalance: options.classBalance,
+      seed: options.seed
+    });
+    const datasetName = options.datasetName ?? `synthetic_${settings.task}`;
+    const { file, groundTruthFile } = await saveDataset(datasetName, table, { groundTruth, overwrite: options.overwrite });
+
+    const dataset = buildDataset(datasetName, table, { labelColumn: 'label', source: file });
+    dataset.groundTruth = groundTruth;
+    const stored = this.storeDataset(dataset);
+    const { summary } = dataset;
+    const sampleRows = dataset.records.slice(0, 5);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Synthetic dataset '${datasetName}' generated\n\n` +
+                `Saved to: ${file}\n` +
+                `Ground truth: ${groundTruthFile}\n` +
+                `Rows: ${summary.num_rows}\n` +
+                `Features: ${summary.num_features} (${groundTruth.informative_features.length} informative: ${groundTruth.informative_features.join(', ')})\n` +
+                `Seed: ${settings.seed}\n` +
+                this.formatHandle('Dataset', stored) + `\n` +
+                `The dataset is loaded: pass dataset_handle '${stored.handle}' (or model_info.data_name '${datasetName}'), the ground-truth model below as 'model', ` +
+                `and ground_truth 'dataset' in evaluate_explanation.\n\n` +
+                `Result:\n` +
+                JSON.stringify({
+                  settings,
+                  ground_truth: groundTruth,
+                  ...(summary.class_balance && { class_balance: summary.class_balance }),
+                  ...(summary.label_statistics && { label_statistics: summary.label_statistics }),
+                  sample_rows: sampleRows
+                }, null, 2)
+        }
+      ],
+      structuredContent: {
+        dataset_name: datasetName,
+        file,
+        ground_truth_file: groundTruthFile,
+        settings,
+        ground_truth: groundTruth,
+        summary,
+        sample_rows: sampleRows,
+        dataset_handle: stored.handle
+      }
+    };
+  }
+
+  // Keeps a loaded dataset behind a handle; it replaces an earlier load of the same name, which
+  // model_info.data_name lookups resolve to
+  storeDataset(dataset) {
+    const { summary } = dataset;
+    return this.loaded.add('dataset', summary.name, dataset, {
+      replace: true,
+      details: { num_rows: summary.num_rows, num_features: summary.num_features, source: summary.source }
+    });
+  }
+
+  formatHandle(label, { handle, evicted }) {
+    const note = evicted.length > 0
+      ? `Evicted to stay within the memory budget: ${evicted.join(', ')}\n`
+      : '';
+    return `${label} handle: ${handle}\n` + note;
+  }
+
+  // model_handle fills in model_info and the model definition, dataset_handle the dataset otherwise
+  // looked up by model_info.data_name; explicit arguments take precedence
+  resolveHandles(args) {
+    const stored = args.model_handle ? this.loaded.get(args.model_handle, 'model') : null;
+    const dataset = args.dataset_handle ? this.loaded.get(args.dataset_handle, 'dataset') : undefined;
+    return {
+      modelInfo: { ...(dataset && { data_name: dataset.summary.name }), ...stored?.modelInfo, ...args.model_info },
+      model: args.model ?? stored?.definition ?? undefined,
+      dataset
+    };
+  }
+
+  // Loaded dataset whose features line up with the model, if any
+  datasetFor(modelInfo, model, dataset = this.loaded.findByName('dataset', modelInfo?.data_name)) {
+    if (!dataset) {
+      return null;
+    }
+    const names = dataset.summary.feature_names;
+    const genericNames = model.featureNames.every((name, i) => name === `x${i}`);
+    const aligned = names.length === model.numFeatures &&
+      (genericNames || names.every((name, i) => name === model.featureNames[i]));
+    return aligned ? dataset : null;
+  }
+
+  // Background rows and per-feature statistics for explainers: explicit background first, then the loaded dataset
+  referenceData(modelInfo, model, background, explicitDataset) {
+    if (background) {
+      const rows = parseRows(background, model.featureNames);
+      return { background: rows, source: `${rows.length} background samples` };
+    }
+    const dataset = this.datasetFor(modelInfo, model, explicitDataset);
+    if (explicitDataset && !dataset) {
+      throw new Error(`The features of dataset '${explicitDataset.summary.name}' do not match the model's ${model.numFeatures} features`);
+    }
+    if (!dataset) {
+      return { source: null };
+    }
+    const complete = dataset.features.filter(row => !row.some(Number.isNaN));
+    const step = Math.max(1, Math.floor(complete.length / MAX_DATASET_BACKGROUND));
+    return {
+      background: complete.filter((_, i) => i % step === 0).slice(0, MAX_DATASET_BACKGROUND),
+      statistics: featureStatistics(dataset.features),
+      source: `dataset '${dataset.summary.name}'`
     };
   }
 
@@ -518,11 +669,12 @@ print(f"Labels shape: {labels.shape}")
           text: `Available OpenXAI models${datasetName ? ` for dataset '${datasetName}'` : ''}:\n\n` +
                 JSON.stringify(result, null, 2)
         }
-      ]
+      ],
+      structuredContent: { ...(datasetName && { dataset_name: datasetName }), models: result }
     };
   }
 
-  async loadModel(dataName, mlModel, pretrained = true) {
+  async loadModel(dataName, mlModel, pretrained = true, options = {}) {
     const modelInfo = {
       ann: 'Artificial Neural Network',
       lr: 'Logistic Regression',
@@ -547,6 +699,32 @@ model = LoadModel(data_name='${dataName}', ml_model='${mlModel}', pretrained=${p
 # predictions = model.predict(input_data)
 `;
 
+    // A definition or tree dump given here or found in the models directory is computed locally by the explain/evaluate tools
+    const given = options.model ?? options.modelDump;
+    const modelFile = given ? null : await findModelFile(dataName, mlModel);
+    const raw = given ? parseJSONArgument(given, 'model_dump') : modelFile ? await readModelFile(modelFile) : null;
+    let definition = raw ? toModelDefinition(raw, { format: options.dumpFormat, objective: options.objective, baseScore: options.baseScore }) : null;
+    let validation;
+    if (definition?.trees) {
+      ({ definition, validation } = await this.validateTreeModel(definition, dataName));
+    }
+    const model = !definition ? null : definition.type === 'bow' ? createTextModel(definition) : createModel(definition);
+    const source = options.model ? 'definition' : options.modelDump ? 'dump' : modelFile ? 'file' : 'openxai';
+    const summary = model && {
+      type: model.type,
+      num_features: model.numFeatures,
+      ...(model.trees && { num_trees: model.trees.length }),
+      ...(definition.imported_from && { imported_from: definition.imported_from })
+    };
+    const stored = this.loaded.add('model', `${dataName}_${mlModel}`, {
+      modelInfo: { data_name: dataName, ml_model: mlModel },
+      definition
+    }, {
+      details: { data_name: dataName, ml_model: mlModel, source, ...(model && { type: model.type, num_features: model.numFeatures }) }
+    });
+
+    const execution = await this.executeInPython('load_model', { data_name: dataName, ml_model: mlModel, pretrained }, options.execute);
+
     return {
       content: [
         {
@@ -554,63 +732,148 @@ model = LoadModel(data_name='${dataName}', ml_model='${mlModel}', pretrained=${p
           text: `Model loaded successfully!\n\n` +
                 `Dataset: ${dataName}\n` +
                 `Model type: ${modelName} (${mlModel})\n` +
-                `Pretrained: ${pretrained}\n\n` +
+                `Pretrained: ${pretrained}\n` +
+                this.formatHandle('Model', stored) +
+                (model
+                  ? `Local model: ${model.type} with ${model.numFeatures} features` +
+                    (summary.num_trees ? `, ${summary.num_trees} trees` : '') +
+                    (summary.imported_from ? ` imported from ${summary.imported_from.format}` : '') +
+                    `${modelFile ? ` from ${modelFile}` : ''}; ` +
+                    `explanations and metrics for this handle are computed locally\n` +
+                    (validation?.status === 'validated'
+                      ? `Validated against dataset '${validation.dataset}'` +
+                        (validation.warnings.length > 0 ? `:\n${validation.warnings.map(line => `- ${line}`).join('\n')}\n` : '\n')
+                      : validation ? `Not validated: ${validation.reason}\n` : '') +
+                    `\n`
+                  : `No local definition (pass 'model' or add ${dataName}_${mlModel}.json to ${modelDirectory()}); ` +
+                    `explanations and metrics for this handle return OpenXAI code\n\n`) +
+                this.formatExecution(execution) +
                 `Python code example:\n\`\`\`python${codeExample}\`\`\``
         }
-      ]
+      ],
+      structuredContent: {
+        data_name: dataName,
+        ml_model: mlModel,
+        model_name: modelName,
+        pretrained,
+        model_handle: stored.handle,
+        source,
+        ...(modelFile && { model_file: modelFile }),
+        ...(model && { model: summary }),
+        ...(validation && { validation }),
+        ...(execution && { execution }),
+        python_code: codeExample.trim()
+      }
     };
   }
 
-  async listExplainers(methodType) {
-    const explainers = {
-      lime: {
-        name: 'LIME (Local Interpretable Model-agnostic Explanations)',
-        description: 'Local explanations by approximating the model locally with an interpretable model',
-        supported_data_types: ['tabular', 'image', 'text'],
-        explanation_type: 'local',
-        model_agnostic: true
-      },
-      shap: {
-        name: 'SHAP (SHapley Additive exPlanations)',
-        description: 'Feature attribution based on cooperative game theory',
-        supported_data_types: ['tabular', 'image', 'text'],
-        explanation_type: 'local',
-        model_agnostic: true
-      },
-      integrated_gradients: {
-        name: 'Integrated Gradients',
-        description: 'Attribution method based on gradients integrated along a path',
-        supported_data_types: ['tabular', 'image', 'text'],
-        explanation_type: 'local',
-        model_agnostic: false,
-        requires: 'PyTorch or TensorFlow model'
-      },
-      gradcam: {
-        name: 'Grad-CAM (Gradient-weighted Class Activation Mapping)',
-        description: 'Visual explanations for CNN models using gradients',
-        supported_data_types: ['image'],
-        explanation_type: 'local',
-        model_agnostic: false,
-        requires: 'CNN model'
-      },
-      guided_backprop: {
-        name: 'Guided Backpropagation',
-        description: 'Modified backpropagation for generating visual explanations',
-        supported_data_types: ['image'],
-        explanation_type: 'local',
-        model_agnostic: false,
-        requires: 'Neural network model'
+  // Maps a tree model onto the feature order of its dataset (loaded or in the data directory) and checks its splits
+  async validateTreeModel(definition, dataName) {
+    const dataset = this.loaded.findByName('dataset', dataName) ?? await loadLocalDataset(dataName, { python: this.python });
+    if (!dataset) {
+      return { definition, validation: { status: 'skipped', reason: `dataset '${dataName}' is not loaded and not in ${dataDirectory()}` } };
+    }
+    const aligned = alignTreeModel(definition, dataset.summary);
+    return {
+      definition: aligned.definition,
+      validation: { status: 'validated', dataset: dataset.summary.name, warnings: aligned.warnings }
+    };
+  }
+
+  async listLoaded(kind) {
+    const handles = this.loaded.list(kind);
+    const usage = { used_bytes: this.loaded.usedBytes, total_bytes: this.loaded.totalBytes, max_bytes: this.loaded.maxBytes, ttl_ms: this.loaded.ttlMs };
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Loaded ${kind ? `${kind}s` : 'datasets and models'}: ${handles.length}\n` +
+                `Memory: ${formatBytes(usage.used_bytes)} held by this session; ${formatBytes(usage.total_bytes)} of ${formatBytes(usage.max_bytes)} in use by all sessions\n` +
+                `Idle handles expire after ${Math.round(usage.ttl_ms / 60000)} min\n\n` +
+                JSON.stringify(handles, null, 2)
+        }
+      ],
+      structuredContent: { handles, ...usage }
+    };
+  }
+
+  async unload(handle) {
+    const unloaded = this.loaded.remove(handle);
+    if (!unloaded) {
+      throw new Error(`Unknown or expired handle '${handle}'. Call list_loaded to see the active ones`);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Unloaded ${unloaded.kind} '${unloaded.name}' (${handle}), releasing ${formatBytes(unloaded.bytes)}\n` +
+                `Memory held by this session: ${formatBytes(this.loaded.usedBytes)}`
+        }
+      ],
+      structuredContent: { unloaded, used_bytes: this.loaded.usedBytes }
+    };
+  }
+
+  async predict(modelInfo, options) {
+    if (!options.model) {
+      throw new Error('predict needs a local model definition (model, or a model_handle with one)');
+    }
+    const model = createModel(options.model);
+    let rows;
+    let source = 'data';
+    if (options.data) {
+      rows = parseRows(options.data, model.featureNames, 'data');
+    } else {
+      const candidate = options.dataset ??
+        this.loaded.findByName('dataset', modelInfo?.data_name) ??
+        (modelInfo?.data_name ? await loadLocalDataset(modelInfo.data_name, { python: this.python }) : null);
+      const dataset = candidate && this.datasetFor(modelInfo, model, candidate);
+      if (!dataset) {
+        throw new Error(`Pass data, or a dataset_handle or model_info.data_name (loaded or in ${dataDirectory()}) whose features match the model`);
+      }
+      rows = dataset.features.slice(0, options.limit);
+      source = `dataset '${dataset.summary.name}'`;
+    }
+
+    const start = performance.now();
+    const predictions = model.predictBatch(rows);
+    const margins = model.margin ? rows.map(model.margin) : null;
+    const elapsed = Math.round((performance.now() - start) * 1000) / 1000;
+    const summary = { type: model.type, num_features: model.numFeatures };
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Predicted ${rows.length} rows from ${source}\n\n` +
+                `Model: ${model.type} (${model.numFeatures} features${model.trees ? `, ${model.trees.length} trees` : ''})\n` +
+                `Elapsed: ${elapsed} ms\n\n` +
+                `Predictions:\n` +
+                JSON.stringify(predictions)
+        }
+      ],
+      structuredContent: {
+        model: summary,
+        source,
+        count: rows.length,
+        predictions,
+        ...(margins && { margins }),
+        elapsed_ms: elapsed
       }
     };
+  }
 
+  async listExplainers(methodType) {
     let result = [];
     if (methodType === 'all') {
-      result = Object.entries(explainers).map(([key, value]) => ({
+      result = Object.entries(EXPLAINER_CATALOG).map(([key, value]) => ({
         method: key,
         ...value
       }));
     } else {
-      result = explainers[methodType] ? [{ method: methodType, ...explainers[methodType] }] : [];
+      result = EXPLAINER_CATALOG[methodType] ? [{ method: methodType, ...EXPLAINER_CATALOG[methodType] }] : [];
     }
 
     return {
@@ -620,17 +883,35 @@ model = LoadModel(data_name='${dataName}', ml_model='${mlModel}', pretrained=${p
           text: `Available OpenXAI explanation methods:\n\n` +
                 JSON.stringify(result, null, 2)
         }
-      ]
+      ],
+      structuredContent: { explainers: result }
     };
   }
 
-  async generateExplanation(method, dataSample, modelInfo) {
-    const methods = ['lime', 'shap', 'integrated_gradients', 'gradcam', 'guided_backprop'];
+  async generateExplanation(method, dataSample, modelInfo, options = {}) {
+    const methods = ['lime', 'shap', 'integrated_gradients', 'gradient_x_input', 'smoothgrad', 'gradcam', 'guided_backprop', ...IMAGE_METHODS];
     
     if (!methods.includes(method)) {
       throw new Error(`Method '${method}' not supported. Available methods: ${methods.join(', ')}`);
     }
 
+    if (IMAGE_METHODS.includes(method)) {
+      return this.explainImage(method, modelInfo, options);
+    }
+    if (options.image) {
+      throw new Error(`Images are explained with ${IMAGE_METHODS.join(' or ')}; '${method}' explains a tabular data_sample`);
+    }
+    if (options.text !== undefined) {
+      if (method !== 'lime') {
+        throw new Error(`Text is explained with lime; '${method}' explains a tabular data_sample`);
+      }
+      return this.explainText(options.text, modelInfo, options);
+    }
+
+    if (options.model && LOCAL_METHODS.includes(method)) {
+      return this.computeExplanation(method, dataSample, modelInfo, options);
+    }
+
     const codeExample = `
 # Example usage with OpenXAI:
 from openxai import Explainer
@@ -652,6 +933,13 @@ print(f"Explanation shape: {explanations.shape}")
 print(f"Explanation values: {explanations}")
 `;
 
+    const execution = await this.executeInPython('generate_explanation', {
+      method,
+      data_name: modelInfo.data_name,
+      ml_model: modelInfo.ml_model,
+      data_sample: parseJSONArgument(dataSample, 'data_sample')
+    }, options.execute);
+
     return {
       content: [
         {
@@ -660,81 +948,318 @@ print(f"Explanation values: {explanations}")
                 `Method: ${method}\n` +
                 `Dataset: ${modelInfo.data_name}\n` +
                 `Model: ${modelInfo.ml_model}\n` +
-                `Data sample: ${dataSample}\n\n` +
+                `Data sample: ${typeof dataSample === 'string' ? dataSample : JSON.stringify(dataSample)}\n\n` +
+                this.formatExecution(execution) +
                 `Python code example:\n\`\`\`python${codeExample}\`\`\``
         }
+      ],
+      structuredContent: {
+        method,
+        dataset: modelInfo.data_name ?? null,
+        model: { type: modelInfo.ml_model ?? null },
+        computed: false,
+        ...(execution && { execution }),
+        python_code: codeExample.trim()
+      }
+    };
+  }
+
+  computeExplanation(method, dataSample, modelInfo, options) {
+    const model = createModel(options.model);
+    const x = parseSample(dataSample, model.featureNames);
+    const reference = this.referenceData(modelInfo, model, options.background, options.dataset);
+
+    const result = explain(method, model, x, {
+      background: reference.background,
+      statistics: reference.statistics,
+      numSamples: options.numSamples,
+      kernelWidth: options.kernelWidth,
+      numFeatures: options.numFeatures,
+      shapAlgorithm: options.shapAlgorithm,
+      featurePerturbation: options.featurePerturbation,
+      interactions: options.interactions,
+      baseline: options.baseline ? parseSample(options.baseline, model.featureNames, 'baseline') : undefined,
+      steps: options.steps,
+      noiseLevel: options.noiseLevel,
+      seed: options.seed
+    });
+
+    const details = {
+      shap: result.method === 'tree_shap'
+        ? [
+          `Algorithm: TreeSHAP (${result.feature_perturbation})`,
+          `Explained output: ${result.model_output === 'log_odds' ? 'log-odds margin' : 'raw margin'} ${result.margin}`,
+          `Base value: ${result.base_value}`,
+          `Background: ${result.feature_perturbation === 'tree_path_dependent' ? 'node covers' : reference.source ? `${result.background_size} rows from ${reference.source}` : 'all-zero baseline'}`
+        ]
+        : [
+          `Base value: ${result.base_value}`,
+          `Background: ${reference.source ? `${result.background_size} rows from ${reference.source}` : 'all-zero baseline'}`
+        ],
+      lime: [
+        `Surrogate intercept: ${result.intercept}`,
+        `Local fidelity (R²): ${result.local_fidelity?.r2}`,
+        `Perturbation scale: ${reference.source ? `feature std from ${reference.source}` : 'unit std (no background or dataset)'}`
+      ],
+      integrated_gradients: [
+        `Baseline prediction: ${result.baseline_prediction}`,
+        `Steps: ${result.steps}`,
+        `Completeness error: ${result.completeness?.error}`
+      ],
+      smoothgrad: [
+        `Noise sigma: ${result.noise_sigma}`
       ]
+    }[method] ?? [];
+    if (result.seed !== undefined) details.push(`Seed: ${result.seed}`);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Computed ${method.toUpperCase()} explanation\n\n` +
+                `Method: ${result.method}\n` +
+                `Dataset: ${modelInfo?.data_name ?? 'n/a'}\n` +
+                `Model: ${model.type} (${model.numFeatures} features)\n` +
+                `Prediction: ${result.prediction}\n` +
+                details.map(line => `${line}\n`).join('') +
+                `\n` +
+                `Result:\n` +
+                JSON.stringify(result, null, 2)
+        }
+      ],
+      structuredContent: {
+        method,
+        dataset: modelInfo?.data_name ?? null,
+        model: { type: model.type, num_features: model.numFeatures },
+        computed: true,
+        prediction: result.prediction,
+        attributions: result.attributions,
+        result
+      }
     };
   }
 
-  async listMetrics(metricType) {
-    const metrics = {
-      faithfulness: {
-        PGI: {
-          name: 'Prediction Gap on Important feature perturbation',
-          description: 'Measures the difference in prediction probability when perturbing important features',
-          higher_is_better: true
-        },
-        PGU: {
-          name: 'Prediction Gap on Unimportant feature perturbation',
-          description: 'Measures the difference in prediction probability when perturbing unimportant features',
-          higher_is_better: false
+  explainText(text, modelInfo, options) {
+    if (options.model?.type !== 'bow') {
+      throw new Error(`Text explanations need a bow model definition (vocabulary and coefficients)${options.model ? `, not '${options.model.type}'` : ''}`);
+    }
+    const model = createTextModel(options.model);
+    const result = limeText(model, text, {
+      numSamples: options.numSamples,
+      kernelWidth: options.kernelWidth,
+      numFeatures: options.numFeatures,
+      seed: options.seed
+    });
+    result.explained_class = model.classes[1];
+    result.html = renderHtml(text, result.tokens, model.classes);
+    result.markdown = renderMarkdown(text, result.tokens, model.classes);
+
+    const ranked = Object.entries(result.attributions).sort((a, b) => Math.abs(b[1]) - Math.abs(a[1])).slice(0, 10);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Computed LIME text explanation\n\n` +
+                `Dataset: ${modelInfo?.data_name ?? 'n/a'}\n` +
+                `Model: bow (${model.numFeatures} vocabulary words)\n` +
+                `Prediction: P(${model.classes[1]}) = ${result.prediction}\n` +
+                `Words: ${Object.keys(result.attributions).length} distinct in ${result.tokens.length} tokens\n` +
+                `Local fidelity (R²): ${result.local_fidelity.r2}\n` +
+                `Seed: ${result.seed}\n\n` +
+                `Most influential words:\n` +
+                ranked.map(([word, score]) => `- ${word}: ${score}`).join('\n') + `\n\n` +
+                result.markdown
         }
-      },
-      stability: {
-        RIS: {
-          name: 'Relative Input Stability',
-          description: 'Measures maximum change in explanation relative to changes in inputs',
-          higher_is_better: false
-        },
-        RRS: {
-          name: 'Relative Representation Stability',
-          description: 'Measures maximum change in explanation relative to changes in internal representation',
-          higher_is_better: false
-        },
-        ROS: {
-          name: 'Relative Output Stability',
-          description: 'Measures maximum change in explanation relative to changes in output predictions',
-          higher_is_better: false
+      ],
+      structuredContent: {
+        method: 'lime',
+        dataset: modelInfo?.data_name ?? null,
+        model: { type: 'bow', num_features: model.numFeatures },
+        computed: true,
+        prediction: result.prediction,
+        attributions: result.attributions,
+        result
+      }
+    };
+  }
+
+  // Image model as a batch scorer over [channels][height][width] tensors: a JSON CNN or a Python callable
+  imageScorer(image, options) {
+    if (options.model && options.pythonModel) {
+      throw new Error('Pass either model (a cnn definition) or python_model, not both');
+    }
+    if (options.model) {
+      if (options.model.type !== 'cnn') {
+        throw new Error(`Image explanations need a cnn model definition, not '${options.model.type}'`);
+      }
+      const model = createImageModel(options.model);
+      return {
+        shape: model.inputShape,
+        classes: model.classes,
+        summary: { type: 'cnn', input_shape: model.inputShape, num_classes: model.numClasses },
+        predict: async (tensors) => model.predictBatch(tensors)
+      };
+    }
+    if (!options.pythonModel) {
+      throw new Error('Image explanations need a model: a JSON cnn definition as model, or python_model naming a Python callable');
+    }
+    const callable = resolvePythonModel(options.pythonModel);
+    const shape = pythonInputShape(image, options.inputShape);
+    return {
+      shape,
+      classes: null,
+      summary: { type: 'python', callable, input_shape: shape },
+      predict: async (tensors) => {
+        try {
+          const { result } = await this.python.call('predict_images', {
+            callable,
+            images: tensors.map(tensor => toNestedHWC(tensor, shape))
+          });
+          return result.scores;
+        } catch (error) {
+          throw new Error(`python_model '${options.pythonModel}' failed: ${error.message}`);
         }
-      },
-      ground_truth: {
-        FA: {
-          name: 'Feature Agreement',
-          description: 'Fraction of top-K features common between explanation and ground truth',
-          higher_is_better: true
-        },
-        RA: {
-          name: 'Rank Agreement',
-          description: 'Fraction of top-K features with same rank in explanation and ground truth',
-          higher_is_better: true
-        },
-        SA: {
-          name: 'Sign Agreement',
-          description: 'Fraction of top-K features with same sign in explanation and ground truth',
-          higher_is_better: true
-        },
-        SRA: {
-          name: 'Signed Rank Agreement',
-          description: 'Fraction of top-K features with same sign and rank in explanation and ground truth',
-          higher_is_better: true
-        },
-        RC: {
-          name: 'Rank Correlation',
-          description: 'Spearman rank correlation between explanation and ground truth rankings',
-          higher_is_better: true
+      }
+    };
+  }
+
+  async explainImage(method, modelInfo, options) {
+    if (!options.image) {
+      throw new Error(`${method} explains images: pass image as a base64-encoded PNG`);
+    }
+    const image = decodeBase64Png(options.image);
+    const scorer = this.imageScorer(image, options);
+    const x = toTensor(image, scorer.shape);
+    const [scores] = await scorer.predict([x]);
+    const predictedClass = scores.indexOf(Math.max(...scores));
+    const targetClass = options.targetClass ?? predictedClass;
+    if (targetClass >= scores.length) {
+      throw new Error(`target_class ${targetClass} is out of range: the model returns ${scores.length} class scores`);
+    }
+    const classes = scorer.classes ?? scores.map((_, i) => String(i));
+
+    const score = async (tensors) => (await scorer.predict(tensors)).map(row => row[targetClass]);
+    const saliency = method === 'occlusion'
+      ? await occlusion(score, x, scorer.shape, { windowSize: options.windowSize, stride: options.stride })
+      : await rise(score, x, scorer.shape, {
+        numMasks: options.numSamples,
+        resolution: options.maskResolution,
+        keepProbability: options.keepProbability,
+        seed: options.seed
+      });
+    const overlay = renderOverlay(image, saliency.saliency);
+    const [, height, width] = scorer.shape;
+    const result = {
+      method,
+      target_class: targetClass,
+      target_label: classes[targetClass],
+      predicted_class: predictedClass,
+      scores,
+      width,
+      height,
+      ...saliency
+    };
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Computed ${method.toUpperCase()} saliency\n\n` +
+                `Model: ${scorer.summary.type === 'cnn' ? `cnn (${scorer.shape.join('x')} input, ${scores.length} classes)` : `Python callable ${options.pythonModel}`}\n` +
+                `Image: ${image.width}x${image.height}, ${image.channels === 1 ? 'grayscale' : 'RGB'}` +
+                (image.width !== width || image.height !== height ? `, resized to ${width}x${height}` : '') + `\n` +
+                `Predicted class: ${classes[predictedClass]} (score ${scores[predictedClass]})\n` +
+                `Explained class: ${classes[targetClass]} (score ${scores[targetClass]})\n` +
+                `Settings: ${Object.entries(saliency.settings).map(([key, value]) => `${key} ${value}`).join(', ')}\n` +
+                (saliency.seed !== undefined ? `Seed: ${saliency.seed}\n` : '') +
+                `\nThe heatmap (red: most important) follows as a ${overlay.width}x${overlay.height} PNG; ` +
+                `the raw ${height}x${width} saliency matrix is in result.saliency`
         },
-        PRA: {
-          name: 'Pairwise Rank Agreement',
-          description: 'Fraction of feature pairs with same relative ordering in explanation and ground truth',
-          higher_is_better: true
+        { type: 'image', data: overlay.png.toString('base64'), mimeType: 'image/png' }
+      ],
+      structuredContent: {
+        method,
+        dataset: modelInfo?.data_name ?? null,
+        model: scorer.summary,
+        computed: true,
+        prediction: scores[predictedClass],
+        heatmap: { width: overlay.width, height: overlay.height, mime_type: 'image/png' },
+        result
+      }
+    };
+  }
+
+  async generateCounterfactual(dataSample, modelInfo, options) {
+    if (!options.model) {
+      throw new Error('generate_counterfactual searches locally and needs a model definition (model, or a model_handle with one)');
+    }
+    const model = createModel(options.model);
+    const x = parseSample(dataSample, model.featureNames);
+
+    // Feature scales and default ranges come from the dataset when its features match the model
+    const candidate = options.dataset ??
+      this.loaded.findByName('dataset', modelInfo?.data_name) ??
+      (modelInfo?.data_name ? await loadLocalDataset(modelInfo.data_name, { python: this.python }) : null);
+    const dataset = candidate && this.datasetFor(modelInfo, model, candidate);
+    if (options.dataset && !dataset) {
+      throw new Error(`The features of dataset '${options.dataset.summary.name}' do not match the model's ${model.numFeatures} features`);
+    }
+
+    const space = featureSpace(model.featureNames, x, {
+      dataset,
+      immutable: options.immutable,
+      monotonic: options.monotonic,
+      ranges: options.ranges
+    });
+    const result = findCounterfactuals(model, x, space, {
+      threshold: options.threshold,
+      count: options.count,
+      numSamples: options.numSamples,
+      maxChanged: options.maxChanged,
+      seed: options.seed
+    });
+    const mutable = space.filter(feature => feature.mutable);
+    const constraints = {
+      immutable: space.filter(feature => !feature.mutable).map(feature => feature.name),
+      monotonic: Object.fromEntries(mutable.filter(feature => feature.direction).map(feature => [feature.name, feature.direction])),
+      ranges: Object.fromEntries(mutable.map(feature => [feature.name, { min: feature.lower, max: feature.upper }]))
+    };
+    const scales = dataset ? `dataset '${dataset.summary.name}'` : 'unit scales (no dataset matching the model)';
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Counterfactuals for a prediction of ${result.prediction} (class ${result.predicted_class}, threshold ${result.threshold})\n\n` +
+                `Model: ${model.type} (${model.numFeatures} features)\n` +
+                `Target: class ${result.desired_class}\n` +
+                `Fixed features: ${constraints.immutable.length > 0 ? constraints.immutable.join(', ') : 'none'}\n` +
+                `Scales and ranges: ${scales}\n` +
+                `Search: ${result.search.samples} candidates, ${result.search.distinct} distinct counterfactuals, seed ${result.search.seed}\n\n` +
+                (result.counterfactuals.length > 0
+                  ? `Recourse options:\n` +
+                    result.counterfactuals.map((counterfactual, i) =>
+                      `${i + 1}. ${counterfactual.recourse} (prediction ${counterfactual.prediction}, distance ${counterfactual.distance}, ${counterfactual.sparsity} changed)`
+                    ).join('\n') + '\n\n'
+                  : 'No counterfactual found within the constraints; relax the immutable features, directions or ranges, or raise num_samples\n\n') +
+                `Result:\n` +
+                JSON.stringify(result.counterfactuals, null, 2)
         }
+      ],
+      structuredContent: {
+        dataset: dataset?.summary.name ?? modelInfo?.data_name ?? null,
+        model: { type: model.type, num_features: model.numFeatures },
+        ...result,
+        constraints,
+        scales
       }
     };
+  }
 
+  async listMetrics(metricType) {
     let result = [];
     if (metricType === 'all') {
-      result = Object.entries(metrics).map(([category, categoryMetrics]) => ({
+      result = Object.entries(METRIC_CATALOG).map(([category, categoryMetrics]) => ({
         category,
         metrics: Object.entries(categoryMetrics).map(([key, value]) => ({
           metric: key,
@@ -742,7 +1267,7 @@ print(f"Explanation values: {explanations}")
         }))
       }));
     } else {
-      const categoryMetrics = metrics[metricType];
+      const categoryMetrics = METRIC_CATALOG[metricType];
       if (categoryMetrics) {
         result = [{
           category: metricType,
@@ -761,17 +1286,22 @@ print(f"Explanation values: {explanations}")
           text: `Available OpenXAI evaluation metrics:\n\n` +
                 JSON.stringify(result, null, 2)
         }
-      ]
+      ],
+      structuredContent: { categories: result }
     };
   }
 
-  async evaluateExplanation(metric, explanation, modelInfo) {
+  async evaluateExplanation(metric, explanation, modelInfo, options = {}) {
     const validMetrics = ['PGI', 'PGU', 'RIS', 'RRS', 'ROS', 'FA', 'RA', 'SA', 'SRA', 'RC', 'PRA'];
     
     if (!validMetrics.includes(metric)) {
       throw new Error(`Metric '${metric}' not supported. Available metrics: ${validMetrics.join(', ')}`);
     }
 
+    if (LOCAL_METRICS.includes(metric) && (options.model || options.groundTruth || options.referenceExplanation)) {
+      return this.computeEvaluation(metric, explanation, modelInfo, options);
+    }
+
     const codeExample = `
 # Example usage with OpenXAI:
 from openxai import Evaluator
@@ -799,6 +1329,14 @@ score = evaluator.evaluate(
 print(f"${metric} score: {score}")
 `;
 
+    const execution = await this.executeInPython('evaluate_explanation', {
+      metric,
+      data_name: modelInfo.data_name,
+      ml_model: modelInfo.ml_model,
+      data_sample: options.dataSample ? parseJSONArgument(options.dataSample, 'data_sample') : null,
+      explanation: parseAttributions(explanation, inferFeatureNames(explanation))
+    }, options.execute);
+
     return {
       content: [
         {
@@ -807,429 +1345,635 @@ print(f"${metric} score: {score}")
                 `Metric: ${metric}\n` +
                 `Dataset: ${modelInfo.data_name}\n` +
                 `Model: ${modelInfo.ml_model}\n` +
-                `Explanation: ${explanation}\n\n` +
+                `Explanation: ${typeof explanation === 'string' ? explanation : JSON.stringify(explanation)}\n\n` +
+                this.formatExecution(execution) +
                 `Python code example:\n\`\`\`python${codeExample}\`\`\``
         }
-      ]
+      ],
+      structuredContent: {
+        metric,
+        dataset: modelInfo.data_name ?? null,
+        model: { type: modelInfo.ml_model ?? null },
+        computed: false,
+        ...(execution && { execution }),
+        python_code: codeExample.trim()
+      }
     };
   }
 
-  async getLeaderboard(dataset, metric) {
-    const sampleLeaderboard = {
-      dataset: dataset || 'german',
-      metric: metric || 'PGI',
-      rankings: [
-        { rank: 1, method: 'SHAP', score: 0.87, model: 'XGBoost' },
-        { rank: 2, method: 'LIME', score: 0.82, model: 'XGBoost' },
-        { rank: 3, method: 'Integrated Gradients', score: 0.78, model: 'Neural Network' },
-        { rank: 4, method: 'Gradient × Input', score: 0.75, model: 'Neural Network' },
-        { rank: 5, method: 'Guided Backprop', score: 0.71, model: 'Neural Network' }
+  async computeEvaluation(metric, explanation, modelInfo, options) {
+    const model = options.model ? createModel(options.model) : null;
+    const featureNames = model?.featureNames ?? inferFeatureNames(explanation);
+    const attributions = parseAttributions(explanation, featureNames);
+    const context = { model, attributions, featureNames };
+
+    if (AGREEMENT_METRICS.includes(metric)) {
+      Object.assign(context, this.resolveReference(options, model, featureNames, modelInfo));
+    } else {
+      if (!model) {
+        throw new Error(`Computing ${metric} requires a model definition`);
+      }
+      if (!options.dataSample) {
+        throw new Error(`Computing ${metric} requires data_sample, the input the explanation was generated for`);
+      }
+      context.x = parseSample(options.dataSample, featureNames);
+    }
+
+    if (STABILITY_METRICS.includes(metric)) {
+      if (!options.explainer) {
+        throw new Error(`${metric} requires 'explainer' to regenerate explanations for neighbouring inputs`);
+      }
+      const { background, statistics } = this.referenceData(modelInfo, model, options.background, options.dataset);
+      context.explain = (neighbour) => {
+        const regenerated = explain(options.explainer, model, neighbour, { background, statistics, seed: options.seed });
+        return featureNames.map(name => regenerated.attributions[name]);
+      };
+      if (statistics) context.inputScales = featureScales(statistics);
+    }
+
+    const result = evaluateMetric(metric, context, {
+      k: options.k,
+      sigma: options.sigma,
+      numSamples: options.numSamples,
+      sameClass: options.sameClass,
+      seed: options.seed
+    });
+
+    let details;
+    if (STABILITY_METRICS.includes(metric)) {
+      details = [
+        `Explainer: ${options.explainer}`,
+        `Mean ratio: ${result.mean_ratio}`,
+        `Neighbours used: ${result.neighbours_used} (rejected ${result.neighbours_rejected})`
+      ];
+    } else if (AGREEMENT_METRICS.includes(metric)) {
+      result.compared_against = context.comparedAgainst;
+      details = [
+        `Compared against: ${context.comparedAgainst}`,
+        `Top-${result.settings.k} (explanation): ${result.top_k.explanation.join(', ')}`,
+        `Top-${result.settings.k} (reference): ${result.top_k.reference.join(', ')}`
+      ];
+    } else {
+      details = [
+        `Std: ${result.std}`,
+        `Perturbed features: ${result.perturbed_features.join(', ')}`
+      ];
+    }
+
+    // Agreement with another explanation says nothing about either explainer alone, so it is not ranked
+    const leaderboard = context.comparedAgainst === 'explanation'
+      ? { recorded: false, reason: 'agreement between two explanations is not ranked' }
+      : await this.recordScore(metric, result, {
+        dataset: modelInfo?.data_name,
+        model: modelInfo?.ml_model ?? model?.type,
+        explanation: explanationSource(explanation),
+        explainer: options.explainer,
+        output: model && outputKind(model)
+      });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Computed ${metric} score\n\n` +
+                `Metric: ${metric}\n` +
+                `Dataset: ${modelInfo?.data_name ?? 'n/a'}\n` +
+                `Model: ${model ? `${model.type} (${model.numFeatures} features)` : modelInfo?.ml_model ?? 'n/a'}\n` +
+                `Score: ${result.score}\n` +
+                details.map(line => `${line}\n`).join('') +
+                (leaderboard.recorded
+                  ? `Leaderboard: recorded under ${leaderboard.dataset} / ${leaderboard.model} / ${leaderboard.explainer}\n`
+                  : `Leaderboard not updated: ${leaderboard.reason}\n`) +
+                `\n` +
+                `Result:\n` +
+                JSON.stringify(result, null, 2)
+        }
       ],
-      updated: new Date().toISOString()
+      structuredContent: {
+        metric,
+        dataset: modelInfo?.data_name ?? null,
+        model: model ? { type: model.type, num_features: model.numFeatures } : { type: modelInfo?.ml_model ?? null },
+        computed: true,
+        score: result.score,
+        result,
+        leaderboard
+      }
     };
+  }
+
+  // Files a computed score on the local leaderboard; a failed write is reported without failing the evaluation
+  async recordScore(metric, result, { dataset, model, explainer, explanation, output }) {
+    if (!Number.isFinite(result.score)) {
+      return { recorded: false, reason: 'no finite score' };
+    }
+    try {
+      const run = await this.leaderboard.record({
+        dataset,
+        model,
+        explainer: explainer ?? explanation.method,
+        metric,
+        score: result.score,
+        settings: { ...result.settings, ...(output && { output }), ...(explanation.seed !== null && { explainer_seed: explanation.seed }) }
+      });
+      return { recorded: true, ...run };
+    } catch (error) {
+      return { recorded: false, reason: error.message };
+    }
+  }
+
+  // Vector the agreement metrics compare against: another explanation, a supplied ground truth,
+  // the coefficients of a logistic regression model, or a synthetic dataset's true coefficients
+  resolveReference(options, model, featureNames, modelInfo) {
+    if (options.referenceExplanation) {
+      return {
+        reference: parseAttributions(options.referenceExplanation, featureNames, 'reference_explanation'),
+        comparedAgainst: 'explanation'
+      };
+    }
+    if (options.groundTruth === 'model') {
+      if (model?.type !== 'lr') {
+        throw new Error("ground_truth 'model' uses logistic regression coefficients and needs an lr model");
+      }
+      return { reference: model.coefficients, comparedAgainst: 'model_coefficients' };
+    }
+    if (options.groundTruth === 'dataset') {
+      const dataset = options.dataset ?? this.loaded.findByName('dataset', modelInfo?.data_name);
+      if (!dataset?.groundTruth) {
+        throw new Error(`No ground truth recorded for dataset '${dataset?.summary.name ?? modelInfo?.data_name}'. Generate it with generate_synthetic_dataset or load it with load_dataset first`);
+      }
+      return {
+        reference: parseAttributions(dataset.groundTruth.coefficients, featureNames, 'ground_truth'),
+        comparedAgainst: `ground_truth of dataset '${dataset.summary.name}'`
+      };
+    }
+    if (options.groundTruth) {
+      return {
+        reference: parseAttributions(options.groundTruth, featureNames, 'ground_truth'),
+        comparedAgainst: 'ground_truth'
+      };
+    }
+    throw new Error("Agreement metrics need 'ground_truth' or 'reference_explanation' to compare against");
+  }
+
+  // Scores each metric per subgroup of the protected feature over the same number of sampled rows
+  async evaluateFairness(explainer, modelInfo, options) {
+    if (!options.model) {
+      throw new Error('evaluate_fairness computes locally and needs a model definition (model, or a model_handle with one)');
+    }
+    const model = createModel(options.model);
+    const dataset = options.dataset ??
+      this.loaded.findByName('dataset', modelInfo.data_name) ??
+      (modelInfo.data_name ? await loadLocalDataset(modelInfo.data_name, { python: this.python }) : null);
+    if (!dataset) {
+      throw new Error(`evaluate_fairness needs the dataset rows: pass dataset_handle or a model_info.data_name that is loaded or in ${dataDirectory()}`);
+    }
+    if (options.metrics.includes('RRS') && model.type !== 'ann') {
+      throw new Error('RRS needs an ann model');
+    }
+    const { background, statistics } = this.referenceData(modelInfo, model, undefined, dataset);
+    const subgroups = defineSubgroups(dataset, {
+      feature: options.protectedFeature,
+      values: options.protectedValues,
+      threshold: options.threshold
+    });
+
+    const groups = await Promise.all(subgroups.map(async group => {
+      const candidates = group.rows.map(i => dataset.features[i]);
+      const rows = sampleRows(candidates, options.sampleBudget, options.seed).map(i => candidates[i]);
+      if (rows.length === 0) {
+        throw new Error(`Every row in ${group.name} has missing feature values`);
+      }
+      const { attributions } = await explainRows(explainer, model, rows, {
+        background,
+        statistics,
+        numSamples: options.explainerSamples,
+        seed: options.seed
+      });
+      const scored = Object.fromEntries(await Promise.all(options.metrics.map(async metric => [metric, await scoreRows(metric, model, rows, attributions, {
+        explainer,
+        background,
+        statistics,
+        explainerSamples: options.explainerSamples,
+        metricSamples: options.metricSamples,
+        seed: options.seed
+      })])));
+      return {
+        name: group.name,
+        rows: group.rows.length,
+        samples: rows.length,
+        scores: Object.fromEntries(options.metrics.map(metric => [metric, scored[metric].score])),
+        std: Object.fromEntries(options.metrics.map(metric => [metric, scored[metric].std]))
+      };
+    }));
+    const disparities = options.metrics.map(metric => disparity(metric, groups.map(group => ({ name: group.name, score: group.scores[metric] }))));
+    const summary = fairnessSummary(disparities);
+    const disparityLines = disparities.map(entry => `- ${entry.metric}: gap ${entry.gap}` +
+      (entry.ratio !== null ? `, ratio ${entry.ratio}` : '') +
+      (entry.worst_group ? ` (worst served: ${entry.worst_group})` : ''));
 
     return {
       content: [
         {
           type: 'text',
-          text: `OpenXAI Leaderboard\n\n` +
-                `Dataset: ${sampleLeaderboard.dataset}\n` +
-                `Metric: ${sampleLeaderboard.metric}\n` +
-                `Last Updated: ${sampleLeaderboard.updated}\n\n` +
-                `Rankings:\n` +
-                JSON.stringify(sampleLeaderboard.rankings, null, 2) +
-                `\n\nNote: This is a sample leaderboard. Visit https://open-xai.github.io/ for actual leaderboard data.`
+          text: `Explanation fairness across subgroups of '${options.protectedFeature}'\n\n` +
+                `Dataset: ${dataset.summary.name}\n` +
+                `Model: ${model.type} (${model.numFeatures} features)\n` +
+                `Explainer: ${explainer}\n` +
+                `Groups: ${groups.map(group => `${group.name} (${group.samples} of ${group.rows} rows)`).join(', ')}\n` +
+                `Seed: ${options.seed}\n\n` +
+                `Disparities (best minus worst group mean):\n` + disparityLines.join('\n') + `\n` +
+                `Faithfulness Gap (FG): ${summary.FG ?? 'n/a'}\n` +
+                `Stability Gap (SG): ${summary.SG ?? 'n/a'}\n\n` +
+                `Per-group scores:\n` +
+                JSON.stringify(groups, null, 2)
         }
-      ]
+      ],
+      structuredContent: {
+        dataset: dataset.summary.name,
+        model: { type: model.type, num_features: model.numFeatures },
+        explainer,
+        protected_feature: options.protectedFeature,
+        groups,
+        disparities,
+        summary,
+        seed: options.seed
+      }
     };
   }
 
-  async getFrameworkInfo(infoType) {
-    const info = {
-      overview: `OpenXAI Framework Overview
-
-OpenXAI is a comprehensive and extensible open-source framework for evaluating and benchmarking post hoc explanation methods. It provides:
-
-🔍 **Evaluation Framework**: Systematic evaluation of explanation methods with 22+ quantitative metrics
-📊 **Datasets**: Collection of synthetic and real-world datasets with ground truth explanations
-🤖 **Models**: Pre-trained models for various machine learning tasks
-🔬 **Explainers**: Implementations of state-of-the-art explanation methods (LIME, SHAP, etc.)
-📈 **Leaderboards**: Public XAI leaderboards for transparent benchmarking
-🛠️ **Extensibility**: Easy integration of custom datasets, models, and explanation methods
-
-Key Features:
-- Model-agnostic explanation methods
-- Ground truth faithfulness metrics
-- Predicted faithfulness metrics
-- Stability and robustness evaluation
-- Fairness assessment across subgroups
-- Comprehensive benchmarking pipeline`,
-
-      features: `OpenXAI Key Features
-
-🎯 **Explanation Methods**:
-- LIME (Local Interpretable Model-agnostic Explanations)
-- SHAP (SHapley Additive exPlanations)
-- Integrated Gradients
-- Grad-CAM
-- Guided Backpropagation
-- And more...
-
-📊 **Evaluation Metrics**:
-- Faithfulness: PGI, PGU
-- Stability: RIS, RRS, ROS
-- Ground Truth: FA, RA, SA, SRA, RC, PRA
-- Fairness: Subgroup analysis
-
-🗂️ **Datasets**:
-- Synthetic datasets with ground truth
-- Real-world datasets (German Credit, COMPAS, Adult Income)
-- Tabular, image, and text data support
-
-🤖 **Models**:
-- Neural Networks (ANN)
-- Logistic Regression
-- Random Forest
-- Support Vector Machine
-- XGBoost
-
-🏆 **Leaderboards**:
-- Public benchmarking platform
-- Transparent evaluation results
-- Community-driven improvements`,
-
-      paper: `OpenXAI Research Paper
-
-Title: "OpenXAI: Towards a Transparent Evaluation of Model Explanations"
-
-Authors: Chirag Agarwal, Satyapriya Krishna, Eshika Saxena, Martin Pawelczyk, Nari Johnson, Isha Puri, Marinka Zitnik, Himabindu Lakkaraju
-
-Abstract: While several types of post hoc explanation methods have been proposed in recent literature, there is little to no work on systematically benchmarking these methods in an efficient and transparent manner. OpenXAI introduces a comprehensive framework for evaluating and benchmarking post hoc explanation methods with synthetic data generators, real-world datasets, pre-trained models, and quantitative metrics.
-
-📄 Paper: https://arxiv.org/abs/2206.11104
-🌐 Website: https://open-xai.github.io/
-📚 GitHub: https://github.com/AI4LIFE-GROUP/OpenXAI
-
-Citation:
-@inproceedings{agarwal2022openxai,
-  title={OpenXAI: Towards a Transparent Evaluation of Model Explanations},
-  author={Agarwal, Chirag and Krishna, Satyapriya and Saxena, Eshika and others},
-  booktitle={NeurIPS 2022 Datasets and Benchmarks Track},
-  year={2022}
-}`,
-
-      installation: `OpenXAI Installation Guide
-
-📦 **Installation**:
-\`\`\`bash
-# Install from PyPI
-pip install openxai
-
-# Or install from source
-git clone https://github.com/AI4LIFE-GROUP/OpenXAI.git
-cd OpenXAI
-pip install -e .
-\`\`\`
-
-📋 **Requirements**:
-- Python 3.7+
-- PyTorch or TensorFlow (for neural network models)
-- scikit-learn
-- pandas
-- numpy
-- matplotlib
-
-🔧 **Optional Dependencies**:
-- For image explanations: Pillow, opencv-python
-- For text explanations: transformers, torch-text
-- For advanced visualizations: plotly, seaborn
-
-✅ **Verification**:
-\`\`\`python
-import openxai
-print(openxai.__version__)
-\`\`\``,
-
-      quickstart: `OpenXAI Quickstart Guide
-
-🚀 **Quick Start Example**:
-
-\`\`\`python
-from openxai.dataloader import ReturnLoaders
-from openxai import LoadModel, Explainer, Evaluator
+  // Scores the whole grid; cells already in the checkpoint of a run with the same settings are reused
+  async runBenchmark(options) {
+    const start = performance.now();
+    const config = {
+      datasets: options.datasets,
+      models: options.models,
+      explainers: options.explainers,
+      metrics: options.metrics,
+      sample_budget: options.sampleBudget,
+      explainer_samples: options.explainerSamples ?? null,
+      metric_samples: options.metricSamples ?? null,
+      seed: options.seed
+    };
+    const runId = benchmarkId(config);
+    const checkpoint = new BenchmarkCheckpoint(path.join(benchmarkDirectory(), `${runId}.jsonl`));
+    const saved = options.restart ? null : await checkpoint.load();
+    const state = saved ?? await checkpoint.start(config);
+    const deadline = options.maxSeconds ? start + options.maxSeconds * 1000 : Infinity;
+
+    const setups = new Map();
+    // Resumed cells only count if their model and dataset are unchanged since the checkpoint was written
+    for (const { dataset, model } of state.cells.values()) {
+      const setupKey = `${dataset}/${model}`;
+      if (setups.has(setupKey)) continue;
+      const setup = await this.benchmarkSetupFor(dataset, model, config, setups);
+      if (setup.fingerprint !== state.setups.get(setupKey)) {
+        throw new Error(`Checkpoint ${checkpoint.file} was computed with a different ${model} model or '${dataset}' dataset ` +
+                        `than is available now${setup.reason ? ` (${setup.reason})` : ''}; pass restart: true to run the benchmark again`);
+      }
+    }
+    const explanations = new Map();
+    const cells = [];
+    let recorded = 0;
+    for (const cell of gridCells(config)) {
+      const done = state.cells.get(cellKey(cell));
+      if (done) {
+        cells.push({ ...done, resumed: true });
+        continue;
+      }
+      if (performance.now() > deadline) {
+        cells.push({ ...cell, status: 'pending' });
+        continue;
+      }
+      const result = await this.benchmarkCell(cell, config, setups, explanations, deadline);
+      cells.push(result);
+      if (result.status === 'completed') {
+        const setupKey = `${cell.dataset}/${cell.model}`;
+        if (!state.setups.has(setupKey)) {
+          state.setups.set(setupKey, setups.get(setupKey).fingerprint);
+          await checkpoint.recordSetup(setupKey, state.setups.get(setupKey));
+        }
+        await checkpoint.append(result);
+        if (options.record) {
+          const entry = await this.recordScore(cell.metric, { score: result.score, settings: { seed: config.seed, samples: result.samples, benchmark: runId } }, {
+            dataset: cell.dataset,
+            model: cell.model,
+            explanation: { method: cell.explainer, seed: config.seed },
+            output: outputKind(setups.get(setupKey).model)
+          });
+          if (entry.recorded) recorded += 1;
+        }
+      }
+    }
 
-# 1. Load dataset
-trainloader, testloader = ReturnLoaders(data_name='german', download=True)
+    const countOf = (status) => cells.filter(cell => cell.status === status).length;
+    const counts = {
+      total: cells.length,
+      completed: countOf('completed'),
+      resumed: cells.filter(cell => cell.resumed).length,
+      skipped: countOf('skipped'),
+      failed: countOf('failed'),
+      pending: countOf('pending')
+    };
+    const matrix = resultsMatrix(cells, config.metrics);
+    const elapsed = Math.round(performance.now() - start);
+    const cellLines = cells.map(cell => `- ${cellKey(cell)}: ` + (cell.status === 'completed'
+      ? `${cell.score} over ${cell.samples} rows (explain ${cell.explain_ms} ms, evaluate ${cell.evaluate_ms} ms)${cell.resumed ? ' [checkpoint]' : ''}`
+      : `${cell.status}${cell.reason ? ` (${cell.reason})` : ''}`));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `OpenXAI Benchmark ${runId}\n\n` +
+                `Grid: ${config.datasets.length} datasets × ${config.models.length} models × ${config.explainers.length} explainers × ${config.metrics.length} metrics, ` +
+                `${config.sample_budget} rows per cell, seed ${config.seed}\n` +
+                `Checkpoint: ${checkpoint.file}${saved ? ` (resumed run started ${saved.startedAt})` : ''}\n` +
+                `Cells: ${counts.completed} completed (${counts.resumed} from checkpoint), ${counts.skipped} skipped, ${counts.failed} failed, ${counts.pending} pending\n` +
+                (options.record ? `Leaderboard: ${recorded} new scores recorded\n` : '') +
+                `Elapsed: ${elapsed} ms\n` +
+                (counts.pending > 0 ? `Stopped after max_seconds; call run_benchmark again with the same arguments to resume.\n` : '') +
+                `\nResults matrix (mean score per cell):\n` +
+                JSON.stringify(matrix, null, 2) + `\n\n` +
+                `Cells:\n` + cellLines.join('\n')
+        }
+      ],
+      structuredContent: {
+        run_id: runId,
+        checkpoint: checkpoint.file,
+        complete: counts.pending === 0,
+        counts,
+        matrix,
+        cells,
+        elapsed_ms: elapsed
+      }
+    };
+  }
 
-# 2. Load pre-trained model
-model = LoadModel(data_name='german', ml_model='ann', pretrained=True)
+  // The setup for one dataset and model type, built once per run; { reason } when it cannot be built
+  async benchmarkSetupFor(datasetName, mlModel, config, setups) {
+    const setupKey = `${datasetName}/${mlModel}`;
+    if (!setups.has(setupKey)) {
+      setups.set(setupKey, await this.benchmarkSetup(datasetName, mlModel, config).catch(error => ({ reason: error.message })));
+    }
+    return setups.get(setupKey);
+  }
 
-# 3. Generate explanations
-explainer = Explainer(method='lime', model=model)
-inputs, labels = next(iter(testloader))
-explanations = explainer.get_explanations(inputs)
+  // Scores one cell; the dataset/model setup and the explanations are shared by the cells that need them.
+  // A cell still running at the deadline is left pending
+  async benchmarkCell(cell, config, setups, explanations, deadline) {
+    const setupKey = `${cell.dataset}/${cell.model}`;
+    const setup = await this.benchmarkSetupFor(cell.dataset, cell.model, config, setups);
+    const skip = (reason) => ({ ...cell, status: 'skipped', reason });
+    if (setup.reason) {
+      return skip(setup.reason);
+    }
+    if (!LOCAL_METHODS.includes(cell.explainer)) {
+      return skip(`Method '${cell.explainer}' cannot be computed locally`);
+    }
+    if (AGREEMENT_METRICS.includes(cell.metric) && !setup.reference) {
+      return skip('Agreement metrics need an lr model or a dataset with recorded ground truth');
+    }
+    if (cell.metric === 'RRS' && setup.model.type !== 'ann') {
+      return skip('RRS needs an ann model');
+    }
+
+    const explainKey = `${setupKey}/${cell.explainer}`;
+    if (!explanations.has(explainKey)) {
+      try {
+        explanations.set(explainKey, await explainRows(cell.explainer, setup.model, setup.rows, {
+          background: setup.background,
+          statistics: setup.statistics,
+          numSamples: config.explainer_samples ?? undefined,
+          seed: config.seed,
+          deadline
+        }));
+      } catch (error) {
+        if (error instanceof DeadlineError) return { ...cell, status: 'pending' };
+        explanations.set(explainKey, { error: error.message });
+      }
+    }
+    const explained = explanations.get(explainKey);
+    if (explained.error) {
+      return { ...cell, status: 'failed', reason: explained.error };
+    }
+    try {
+      const scored = await scoreRows(cell.metric, setup.model, setup.rows, explained.attributions, {
+        explainer: cell.explainer,
+        background: setup.background,
+        statistics: setup.statistics,
+        reference: setup.reference,
+        explainerSamples: config.explainer_samples ?? undefined,
+        metricSamples: config.metric_samples ?? undefined,
+        seed: config.seed,
+        deadline
+      });
+      return {
+        ...cell,
+        status: 'completed',
+        score: scored.score,
+        std: scored.std,
+        min: scored.min,
+        max: scored.max,
+        samples: scored.samples,
+        explain_ms: explained.explainMs,
+        evaluate_ms: scored.evaluateMs,
+        completed_at: new Date().toISOString()
+      };
+    } catch (error) {
+      if (error instanceof DeadlineError) return { ...cell, status: 'pending' };
+      return { ...cell, status: 'failed', reason: error.message };
+    }
+  }
+
+  // Dataset rows, model and reference data for one dataset and model type; throws with the reason the cells are skipped
+  async benchmarkSetup(datasetName, mlModel, config) {
+    const dataset = this.loaded.findByName('dataset', datasetName) ?? await loadLocalDataset(datasetName, { python: this.python });
+    if (!dataset) {
+      throw new Error(`Dataset '${datasetName}' is not loaded and not in ${dataDirectory()}`);
+    }
+    const stored = this.loaded.findByName('model', `${datasetName}_${mlModel}`);
+    const modelFile = stored?.definition ? null : await findModelFile(datasetName, mlModel);
+    let definition = stored?.definition ?? (modelFile ? toModelDefinition(await readModelFile(modelFile)) : null);
+    if (!definition) {
+      throw new Error(`No local ${mlModel} definition for '${datasetName}'; load one with load_model or add ${datasetName}_${mlModel}.json to ${modelDirectory()}`);
+    }
+    if (modelFile && definition.trees) {
+      definition = alignTreeModel(definition, dataset.summary).definition;
+    }
+    const model = createModel(definition);
+    const { background, statistics } = this.referenceData({ data_name: datasetName, ml_model: mlModel }, model, undefined, dataset);
+    const rows = sampleRows(dataset.features, config.sample_budget, config.seed).map(i => dataset.features[i]);
+    // OpenXAI's ground truth is the lr coefficients; synthetic datasets carry their generating coefficients
+    const reference = model.type === 'lr'
+      ? model.coefficients
+      : dataset.groundTruth ? parseAttributions(dataset.groundTruth.coefficients, model.featureNames, 'ground_truth') : null;
+    return { model, rows, background, statistics, reference, fingerprint: setupFingerprint(definition, dataset) };
+  }
 
-# 4. Evaluate explanations
-evaluator = Evaluator(model, metric='PGI')
-score = evaluator.evaluate(inputs=inputs, labels=labels, explanations=explanations)
+  async getLeaderboard(filters) {
+    const runs = await this.leaderboard.runs();
+    const rankings = aggregateRuns(runs, filters);
+    const shown = filters.limit ? rankings.filter(entry => entry.rank <= filters.limit) : rankings;
+    const activeFilters = Object.fromEntries(
+      ['dataset', 'metric', 'model', 'explainer'].filter(key => filters[key]).map(key => [key, filters[key]]));
+    const filterText = Object.entries(activeFilters).map(([key, value]) => `${key}=${value}`).join(', ') || 'none';
 
-print(f"PGI Score: {score}")
-\`\`\`
+    const charts = filters.chart && shown.length > 0
+      ? await this.chartImages('grouped_bar', buildCharts('grouped_bar', { rankings: shown }))
+      : null;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `OpenXAI Leaderboard (local results)\n\n` +
+                `Filters: ${filterText}\n` +
+                `Store: ${this.leaderboard.file} (${runs.length} runs)\n\n` +
+                (shown.length > 0
+                  ? `Rankings (mean score per dataset and metric, best first):\n` + JSON.stringify(shown, null, 2)
+                  : `No recorded results match. Every score computed by evaluate_explanation is recorded here.\n` +
+                    `Published OpenXAI benchmark results: https://open-xai.github.io/`)
+        },
+        ...(charts ? charts.images : [])
+      ],
+      structuredContent: {
+        filters: activeFilters,
+        store: this.leaderboard.file,
+        total_runs: runs.length,
+        rankings: shown,
+        ...(charts && { charts: charts.summaries })
+      }
+    };
+  }
 
-🎯 **Common Workflows**:
+  // Renders chart scenes as image content, writing each as SVG when save is set
+  async chartImages(chart, charts, { format = 'png', save = false, name } = {}) {
+    const images = [];
+    const summaries = [];
+    for (const [i, { title, scene }] of charts.entries()) {
+      const svg = toSvg(scene);
+      const mimeType = format === 'svg' ? 'image/svg+xml' : 'image/png';
+      images.push({ type: 'image', data: (format === 'svg' ? Buffer.from(svg) : toPng(scene)).toString('base64'), mimeType });
+      const summary = { title, width: scene.width, height: scene.height, mime_type: mimeType };
+      if (save) {
+        summary.svg_file = await writeChart(svg, { chart, name: name && charts.length > 1 ? `${name}-${i + 1}` : name });
+      }
+      summaries.push(summary);
+    }
+    return { images, summaries };
+  }
 
-1. **Benchmarking**: Compare multiple explanation methods
-2. **Evaluation**: Assess explanation quality with metrics
-3. **Leaderboards**: Submit results to public benchmarks
-4. **Research**: Develop new explanation methods
+  async renderChart(chart, data, options) {
+    const charts = buildCharts(chart, parseJSONArgument(data, 'data'), options);
+    const { images, summaries } = await this.chartImages(chart, charts, options);
+    const saved = summaries.filter(summary => summary.svg_file);
 
-📚 **Next Steps**:
-- Explore different datasets and models
-- Try various explanation methods
-- Evaluate with different metrics
-- Contribute to leaderboards`
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Rendered ${charts.length} ${chart} chart${charts.length === 1 ? '' : 's'} (${options.format}):\n` +
+                summaries.map(summary => `- ${summary.title} (${summary.width}x${summary.height})` +
+                  (summary.svg_file ? `, saved to ${summary.svg_file}` : '')).join('\n') +
+                (saved.length === 0 ? '\n\nPass save: true to also write the charts as SVG files.' : '')
+        },
+        ...images
+      ],
+      structuredContent: { chart, format: options.format, charts: summaries }
     };
+  }
+
+  // Validates the recorded runs and, when every check passes, writes the signed bundle and its manifest
+  async prepareSubmission(options) {
+    const { runs, required, issues, valid } = validateRuns(await this.leaderboard.runs(), options);
+    const key = submissionKey();
+    if (!key && !options.validateOnly) {
+      issues.push({ severity: 'error', code: 'missing_key', message: 'Set OPENXAI_SUBMISSION_KEY to the key the bundle is signed with' });
+    }
+    const ready = valid && (key || options.validateOnly);
+    const errors = issues.filter(entry => entry.severity === 'error');
+    const warnings = issues.filter(entry => entry.severity === 'warning');
+
+    let written = null;
+    if (ready && !options.validateOnly) {
+      const submission = buildSubmission(runs, { required, submitter: options.submitter, notes: options.notes, server: SERVER_INFO, key });
+      const label = [options.submitter, options.model, options.explainer].filter(Boolean).join('-') || 'results';
+      written = { ...await writeSubmission(submission, { label }), manifest: submission.manifest };
+    }
 
+    const issueText = issues.map(entry => `- [${entry.severity}] ${entry.message}`).join('\n');
     return {
       content: [
         {
           type: 'text',
-          text: info[infoType] || info.overview
+          text: `OpenXAI Leaderboard Submission\n\n` +
+                `Source: ${this.leaderboard.file} (${runs.length} runs selected)\n` +
+                `Required pairs: ${required.map(pair => `${pair.dataset}/${pair.metric} (${pair.runs})`).join(', ') || 'none'}\n` +
+                `Checks: ${errors.length} errors, ${warnings.length} warnings\n` +
+                (issueText ? `${issueText}\n` : '') + '\n' +
+                (written
+                  ? `Bundle: ${written.bundleFile}\nManifest: ${written.manifestFile}\n` +
+                    `Signature: HMAC-SHA256 (key id ${written.manifest.signature.key_id})\n\n` +
+                    `Attach both files to a pull request against the OpenXAI leaderboard.`
+                  : ready
+                    ? 'All checks passed (validate_only, nothing written).'
+                    : 'Submission not written; fix the errors above and run prepare_submission again.')
         }
-      ]
+      ],
+      structuredContent: {
+        valid: Boolean(ready),
+        issues,
+        required_pairs: required,
+        ...(written && {
+          submission_id: written.id,
+          bundle_file: written.bundleFile,
+          manifest_file: written.manifestFile,
+          manifest: written.manifest
+        })
+      }
     };
   }
 
-  async getDeploymentGuide(deploymentType) {
-    const guides = {
-      quick_start: `🚀 OpenXAI Studio Quick Start Guide
-
-To deploy your AI model using OpenXAI Studio's decentralized platform:
-
-1. 🌐 **Visit OpenXAI Studio App Store**
-   https://studio.openxai.org/app-store
-
-2. 🔗 **Connect Your Web3 Wallet**
-   - Click "Connect Wallet" button
-   - Choose MetaMask, WalletConnect, or other wallets
-   - Approve the connection
-
-3. 🤖 **Select Your Model**
-   Browse categories and choose from:
-   • General: qwen, deepseek-r1, llama models
-   • Vision: llama-3.2-vision, qwen2-vl
-   • Embedding: text-embedding models
-   • Code: codelama, qwen2.5-coder
-
-4. ⚙️ **Choose Parameters**
-   Select model size: 1.5b, 7b, 32b, 70b, etc.
-
-5. 🚀 **Select Deployment Type**
-   Choose X node for decentralized deployment
-
-6. 🔥 **Deploy**
-   Click deploy button and wait 2-5 minutes
-
-7. 📊 **Access Your Deployment**
-   Go to /deployments section
-
-8. 🔑 **Login & Use**
-   Use provided credentials to access your deployed model
-
-🎯 **Ready to start?** Visit https://studio.openxai.org/app-store now!`,
-
-      detailed: `📋 OpenXAI Studio Detailed Deployment Guide
-
-**Pre-requisites:**
-- Web3 wallet (MetaMask, WalletConnect, etc.)
-- Sufficient crypto balance for deployment costs
-- Clear understanding of your model requirements
-
-**Step-by-Step Process:**
-
-**Phase 1: Preparation**
-1. 📱 Install and setup your Web3 wallet
-2. 🔐 Secure your wallet with strong passwords
-3. 💰 Ensure adequate balance for deployment
-
-**Phase 2: Model Selection**
-1. 🌐 Navigate to https://studio.openxai.org/app-store
-2. 🔍 Browse available models by category:
-   - **General Models**: Multi-purpose language models
-   - **Vision Models**: Image and video processing
-   - **Embedding Models**: Text similarity and search
-   - **Code Models**: Programming and code generation
-
-3. 📊 Compare model specifications:
-   - Parameter counts (1.5b, 7b, 32b, 70b, etc.)
-   - Memory requirements
-   - Processing capabilities
-   - Cost implications
-
-**Phase 3: Deployment Configuration**
-1. ⚙️ Select resource requirements:
-   - CPU cores needed
-   - RAM allocation
-   - Storage requirements
-   - Network bandwidth
-
-2. 🌐 Choose deployment type:
-   - **X Node**: Decentralized deployment (recommended)
-   - **Traditional**: Centralized deployment options
-
-3. 💳 Select subscription model:
-   - Side Later: Pay-as-you-go
-   - ERC 4337: Subscription service
-   - Model Ownership: Full control
-   - Fractionalized AI: Shared ownership
-
-**Phase 4: Deployment Execution**
-1. 🚀 Review configuration summary
-2. 🔥 Click deploy button
-3. ⏳ Wait 2-5 minutes for deployment
-4. 📊 Monitor deployment progress
-
-**Phase 5: Access & Management**
-1. 🔑 Receive deployment credentials
-2. 📊 Access /deployments section
-3. 🔐 Login with provided credentials
-4. 🎯 Start using your deployed model
-
-**Troubleshooting:**
-- Wallet connection issues
-- Deployment failures
-- Access problems
-- Performance optimization`,
-
-      app_store: `🛒 OpenXAI Studio App Store Guide
-
-**App Store URL:** https://studio.openxai.org/app-store
-
-**Navigation:**
-- **Categories**: General, Vision, Embedding, Code
-- **Popular Models**: Featured and trending models
-- **Search**: Find specific models quickly
-- **Filters**: Sort by parameters, popularity, cost
-
-**Available Models:**
-
-**📚 General Models:**
-- qwen: Versatile language model
-- deepseek-r1: Advanced reasoning capabilities
-- llama models: Meta's flagship models
-- gemma: Google's efficient models
-
-**👁️ Vision Models:**
-- llama-3.2-vision: Multi-modal understanding
-- qwen2-vl: Vision-language processing
-- Advanced image recognition models
-
-**🔍 Embedding Models:**
-- text-embedding-3-small: Efficient embeddings
-- text-embedding-3-large: High-quality embeddings
-- Specialized semantic search models
-
-**💻 Code Models:**
-- codelama: Meta's code generation
-- qwen2.5-coder: Advanced coding assistant
-- Programming language specialists
-
-**Model Selection Tips:**
-1. 🎯 Match model to your use case
-2. 📊 Consider parameter count vs. performance
-3. 💰 Balance cost with capabilities
-4. 🔄 Test with smaller models first
-5. 📈 Scale up based on results
-
-**Deployment Options:**
-- **X Node**: Decentralized, cost-effective
-- **Standard**: Traditional cloud deployment
-- **Custom**: Specialized configurations
-
-**Getting Started:**
-1. Visit the app store
-2. Connect your wallet
-3. Browse models
-4. Select and deploy
-5. Access via /deployments`,
-
-      troubleshooting: `🔧 OpenXAI Studio Troubleshooting
-
-**Common Issues & Solutions:**
-
-**🔗 Wallet Connection Problems:**
-- **Issue**: Wallet won't connect
-- **Solution**: 
-  1. Refresh the page
-  2. Clear browser cache
-  3. Try different browser
-  4. Check wallet extension
-
-**🚀 Deployment Failures:**
-- **Issue**: Deployment times out
-- **Solution**:
-  1. Check network connectivity
-  2. Verify sufficient wallet balance
-  3. Try smaller model first
-  4. Contact support if persistent
-
-**🔐 Access Issues:**
-- **Issue**: Can't access deployed model
-- **Solution**:
-  1. Check credentials are correct
-  2. Wait for deployment to complete
-  3. Try different browser
-  4. Clear cookies and cache
-
-**⚡ Performance Problems:**
-- **Issue**: Model runs slowly
-- **Solution**:
-  1. Upgrade to higher-parameter model
-  2. Increase resource allocation
-  3. Optimize input data
-  4. Consider X node deployment
-
-**💰 Cost Issues:**
-- **Issue**: Unexpected charges
-- **Solution**:
-  1. Review subscription model
-  2. Monitor usage in /deployments
-  3. Set up cost alerts
-  4. Consider different deployment type
-
-**📊 Monitoring Issues:**
-- **Issue**: Can't see deployment status
-- **Solution**:
-  1. Refresh /deployments page
-  2. Check wallet connection
-  3. Verify deployment ID
-  4. Contact support
-
-**🆘 Getting Help:**
-- Documentation: https://studio.openxai.org/docs
-- Community: Discord/Telegram support
-- Support: Contact through app
-- Status: Check system status page
-
-**Prevention Tips:**
-1. 🔐 Keep wallet secure
-2. 📊 Monitor usage regularly
-3. 💰 Set spending limits
-4. 🔄 Test small deployments first
-5. 📚 Read documentation thoroughly`
+  async getFrameworkInfo(infoType) {
+    const key = FRAMEWORK_INFO[infoType] ? infoType : 'overview';
+    const text = FRAMEWORK_INFO[key];
+    return {
+      content: [
+        {
+          type: 'text',
+          text
+        }
+      ],
+      structuredContent: { info_type: key, text }
     };
+  }
 
+  async getDeploymentGuide(deploymentType) {
+    const key = DEPLOYMENT_GUIDES[deploymentType] ? deploymentType : 'quick_start';
+    const text = DEPLOYMENT_GUIDES[key];
     return {
       content: [
         {
           type: 'text',
-          text: guides[deploymentType] || guides.quick_start
+          text
         }
-      ]
+      ],
+      structuredContent: { deployment_type: key, text }
     };
   }
 
-  async run() {
+  async run(options = transportOptions()) {
+    if (options.transport === 'http') {
+      this.http = new HttpTransportServer(() => this.createServer(), {
+        host: options.host,
+        port: options.port,
+        info: SERVER_INFO
+      });
+      const url = await this.http.start();
+      console.error(`OpenXAI MCP server listening on ${url} (SSE stream at /sse, health check at /health)`);
+      return;
+    }
+
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     console.error('OpenXAI MCP server running on stdio');
@@ -1240,4 +1984,7 @@ To deploy your AI model using OpenXAI Studio's decentralized platform:
 export { OpenXAIServer };
 
 const server = new OpenXAIServer();
-server.run().catch(console.error); 
\ No newline at end of file
+server.run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+}); 
\ No newline at end of file
@@ -0,0 +1,169 @@
+// OpenXAI benchmark grid: every dataset × model × explainer × metric cell is scored locally over a
+// sample of dataset rows and checkpointed to a JSONL file, so an interrupted run resumes where it stopped
+
+import { createHash } from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { explain } from './explainers/index.js';
+import { AGREEMENT_METRICS, evaluateMetric, STABILITY_METRICS } from './metrics/index.js';
+import { createRng } from './random.js';
+import { featureScales, summarise } from './statistics.js';
+
+export function benchmarkDirectory() {
+  return path.resolve(process.env.OPENXAI_BENCHMARK_DIR ?? 'benchmarks');
+}
+
+// Runs with the same grid and settings share an id, so repeating a call picks up its checkpoint
+export function benchmarkId(config) {
+  return `bench_${createHash('sha256').update(JSON.stringify(config)).digest('hex').slice(0, 12)}`;
+}
+
+export function gridCells({ datasets, models, explainers, metrics }) {
+  return datasets.flatMap(dataset => models.flatMap(model => explainers.flatMap(explainer =>
+    metrics.map(metric => ({ dataset, model, explainer, metric })))));
+}
+
+export const cellKey = (cell) => [cell.dataset, cell.model, cell.explainer, cell.metric].join('/');
+
+/**
+ * Hash of the model definition and dataset rows behind one dataset and model type. The checkpoint
+ * records it, so a run resumed after the model file or dataset changed is refused instead of mixing
+ * old scores with new ones.
+ */
+export function setupFingerprint(definition, dataset) {
+  const content = JSON.stringify([definition, dataset.summary.feature_names, dataset.features, dataset.labels]);
+  return createHash('sha256').update(content).digest('hex');
+}
+
+// Indices of up to `budget` complete rows, drawn without replacement and kept in dataset order
+export function sampleRows(features, budget, seed) {
+  const complete = features.map((row, i) => (row.some(Number.isNaN) ? -1 : i)).filter(i => i >= 0);
+  return createRng(seed).sample(complete, Math.min(budget, complete.length)).sort((a, b) => a - b);
+}
+
+const roundMs = (ms) => Math.round(ms * 1000) / 1000;
+
+// Thrown by explainRows and scoreRows when the run's deadline passes between two rows
+export class DeadlineError extends Error {
+  constructor() {
+    super('max_seconds reached');
+    this.name = 'DeadlineError';
+  }
+}
+
+/**
+ * Computes one value per row, checking `deadline` (a performance.now() time) before each row and
+ * yielding to the event loop between rows, so other sessions are served during long cells. Returns
+ * the values and the time spent computing them.
+ */
+async function eachRow(rows, deadline, compute) {
+  const values = [];
+  let busy = 0;
+  for (const [i, x] of rows.entries()) {
+    await new Promise(resolve => setImmediate(resolve));
+    if (performance.now() > deadline) throw new DeadlineError();
+    const start = performance.now();
+    values.push(compute(x, i));
+    busy += performance.now() - start;
+  }
+  return { values, ms: roundMs(busy) };
+}
+
+/**
+ * Explains every row with `method`; row i uses seed + i so each cell is reproducible on its own.
+ * Returns the attribution vectors in feature order and the time they took.
+ */
+export async function explainRows(method, model, rows, { background, statistics, numSamples, seed, deadline = Infinity }) {
+  const { values, ms } = await eachRow(rows, deadline, (x, i) => {
+    const result = explain(method, model, x, { background, statistics, numSamples, seed: seed + i });
+    return model.featureNames.map(name => result.attributions[name]);
+  });
+  return { attributions: values, explainMs: ms };
+}
+
+/**
+ * Mean metric score over the explained rows. `reference` is the vector the agreement metrics compare
+ * against; the stability metrics regenerate explanations with `explainer` around each row.
+ */
+export async function scoreRows(metric, model, rows, attributions, { explainer, background, statistics, reference, explainerSamples, metricSamples, seed, deadline = Infinity }) {
+  const { values: scores, ms } = await eachRow(rows, deadline, (x, i) => {
+    const context = { model, x, attributions: attributions[i], featureNames: model.featureNames, reference };
+    if (STABILITY_METRICS.includes(metric)) {
+      context.explain = (neighbour) => {
+        const regenerated = explain(explainer, model, neighbour, { background, statistics, numSamples: explainerSamples, seed: seed + i });
+        return model.featureNames.map(name => regenerated.attributions[name]);
+      };
+      if (statistics) context.inputScales = featureScales(statistics);
+    }
+    const options = AGREEMENT_METRICS.includes(metric) ? {} : { numSamples: metricSamples, seed: seed + i };
+    return evaluateMetric(metric, context, options).score;
+  });
+  const { mean, std, min, max } = summarise(scores);
+  return { score: mean, std, min, max, samples: scores.length, evaluateMs: ms };
+}
+
+// Results matrix: one row per dataset, model and explainer with a score (or null) per metric
+export function resultsMatrix(cells, metrics) {
+  const rows = new Map();
+  for (const cell of cells) {
+    const key = JSON.stringify([cell.dataset, cell.model, cell.explainer]);
+    if (!rows.has(key)) {
+      rows.set(key, {
+        dataset: cell.dataset,
+        model: cell.model,
+        explainer: cell.explainer,
+        scores: Object.fromEntries(metrics.map(metric => [metric, null]))
+      });
+    }
+    if (cell.status === 'completed') rows.get(key).scores[cell.metric] = cell.score;
+  }
+  return [...rows.values()];
+}
+
+/**
+ * Append-only record of a run: a config line, then a fingerprint line per dataset and model setup
+ * and one line per completed cell. A line cut short by an interrupted write is ignored, so that
+ * cell is simply computed again.
+ */
+export class BenchmarkCheckpoint {
+  constructor(file) {
+    this.file = file;
+  }
+
+  async load() {
+    if (!(await fs.pathExists(this.file))) return null;
+    const text = await fs.readFile(this.file, 'utf8');
+    let header = null;
+    const cells = new Map();
+    const setups = new Map();
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (entry.type === 'config') header = entry;
+      if (entry.type === 'setup') setups.set(entry.setup, entry.fingerprint);
+      if (entry.type === 'cell') cells.set(cellKey(entry.cell), entry.cell);
+    }
+    return header ? { config: header.config, startedAt: header.started_at, cells, setups } : null;
+  }
+
+  async start(config) {
+    await fs.ensureDir(path.dirname(this.file));
+    const startedAt = new Date().toISOString();
+    await fs.writeFile(this.file, JSON.stringify({ type: 'config', config, started_at: startedAt }) + '\n');
+    return { config, startedAt, cells: new Map(), setups: new Map() };
+  }
+
+  // Records the fingerprint of a dataset and model setup before the first of its cells
+  async recordSetup(setup, fingerprint) {
+    await fs.appendFile(this.file, JSON.stringify({ type: 'setup', setup, fingerprint }) + '\n');
+  }
+
+  async append(cell) {
+    await fs.appendFile(this.file, JSON.stringify({ type: 'cell', cell }) + '\n');
+  }
+}
@@ -0,0 +1,620 @@
+// Static OpenXAI reference material shared by the list/info tools and the MCP resources
+
+// Datasets known to OpenXAI, grouped by category (tabular lists names only)
+export const DATASET_CATALOG = {
+  synthetic: [
+    {
+      name: 'synthetic_classification',
+      description: 'Synthetic classification dataset with ground truth explanations (create with generate_synthetic_dataset)',
+      task: 'classification',
+      features: 'Customizable number of features',
+      samples: 'Customizable number of samples'
+    },
+    {
+      name: 'synthetic_regression',
+      description: 'Synthetic regression dataset with ground truth explanations (create with generate_synthetic_dataset)',
+      task: 'regression',
+      features: 'Customizable number of features',
+      samples: 'Customizable number of samples'
+    }
+  ],
+  'real-world': [
+    {
+      name: 'german',
+      description: 'German Credit dataset - Binary classification for credit approval',
+      task: 'classification',
+      features: 20,
+      samples: 1000,
+      classes: 2
+    },
+    {
+      name: 'compas',
+      description: 'COMPAS Recidivism dataset - Binary classification for recidivism prediction',
+      task: 'classification',
+      features: 11,
+      samples: 6172,
+      classes: 2
+    },
+    {
+      name: 'adult',
+      description: 'Adult Income dataset - Binary classification for income prediction',
+      task: 'classification',
+      features: 14,
+      samples: 48842,
+      classes: 2
+    },
+    {
+      name: 'folktable',
+      description: 'ACS Folktables dataset - Various prediction tasks',
+      task: 'classification',
+      features: 'Variable',
+      samples: 'Variable',
+      classes: 'Variable'
+    }
+  ],
+  tabular: [
+    'german', 'compas', 'adult', 'folktable', 'synthetic_classification', 'synthetic_regression'
+  ],
+  image: [
+    {
+      name: 'mnist',
+      description: 'MNIST handwritten digits dataset',
+      task: 'classification',
+      features: '28x28 grayscale images',
+      samples: 70000,
+      classes: 10
+    },
+    {
+      name: 'cifar10',
+      description: 'CIFAR-10 object recognition dataset',
+      task: 'classification',
+      features: '32x32 color images',
+      samples: 60000,
+      classes: 10
+    }
+  ],
+  text: [
+    {
+      name: 'imdb',
+      description: 'IMDB Movie Review sentiment classification',
+      task: 'classification',
+      features: 'Text sequences',
+      samples: 50000,
+      classes: 2
+    }
+  ]
+};
+
+// Dataset entries tagged with their category; the tabular category only repeats names, so its
+// entries come from the other categories
+export function catalogDatasets(category = 'all') {
+  const entries = Object.entries(DATASET_CATALOG).flatMap(([name, datasets]) =>
+    datasets.filter(entry => typeof entry === 'object').map(entry => ({ category: name, ...entry })));
+  if (category === 'all') return entries;
+  if (category === 'tabular') return entries.filter(entry => DATASET_CATALOG.tabular.includes(entry.name));
+  return entries.filter(entry => entry.category === category);
+}
+
+// Explanation methods and the data types and models they support
+export const EXPLAINER_CATALOG = {
+  lime: {
+    name: 'LIME (Local Interpretable Model-agnostic Explanations)',
+    description: 'Local explanations by approximating the model locally with an interpretable model; for text, per-token scores from word masking with a bow model',
+    supported_data_types: ['tabular', 'image', 'text'],
+    explanation_type: 'local',
+    model_agnostic: true
+  },
+  shap: {
+    name: 'SHAP (SHapley Additive exPlanations)',
+    description: 'Feature attribution based on cooperative game theory; exact TreeSHAP (with interaction values) for tree ensembles, KernelSHAP otherwise',
+    supported_data_types: ['tabular', 'image', 'text'],
+    explanation_type: 'local',
+    model_agnostic: true
+  },
+  integrated_gradients: {
+    name: 'Integrated Gradients',
+    description: 'Attribution method based on gradients integrated along a path',
+    supported_data_types: ['tabular', 'image', 'text'],
+    explanation_type: 'local',
+    model_agnostic: false,
+    requires: 'PyTorch or TensorFlow model, or a JSON lr/ann model'
+  },
+  gradient_x_input: {
+    name: 'Gradient × Input',
+    description: 'Element-wise product of the input and the gradient of the prediction',
+    supported_data_types: ['tabular', 'image'],
+    explanation_type: 'local',
+    model_agnostic: false,
+    requires: 'PyTorch or TensorFlow model, or a JSON lr/ann model'
+  },
+  smoothgrad: {
+    name: 'SmoothGrad',
+    description: 'Gradients averaged over Gaussian-perturbed copies of the input to reduce noise',
+    supported_data_types: ['tabular', 'image'],
+    explanation_type: 'local',
+    model_agnostic: false,
+    requires: 'PyTorch or TensorFlow model, or a JSON lr/ann model'
+  },
+  gradcam: {
+    name: 'Grad-CAM (Gradient-weighted Class Activation Mapping)',
+    description: 'Visual explanations for CNN models using gradients',
+    supported_data_types: ['image'],
+    explanation_type: 'local',
+    model_agnostic: false,
+    requires: 'CNN model'
+  },
+  guided_backprop: {
+    name: 'Guided Backpropagation',
+    description: 'Modified backpropagation for generating visual explanations',
+    supported_data_types: ['image', 'tabular'],
+    explanation_type: 'local',
+    model_agnostic: false,
+    requires: 'Neural network model'
+  },
+  occlusion: {
+    name: 'Occlusion Sensitivity',
+    description: 'Drop in the class score as a mean-filled window slides over the image, returned as a heatmap overlay',
+    supported_data_types: ['image'],
+    explanation_type: 'local',
+    model_agnostic: true,
+    requires: 'PNG image and a JSON cnn model or a Python callable'
+  },
+  rise: {
+    name: 'RISE (Randomized Input Sampling for Explanation)',
+    description: 'Class scores under random smooth masks, averaged into a saliency heatmap overlay',
+    supported_data_types: ['image'],
+    explanation_type: 'local',
+    model_agnostic: true,
+    requires: 'PNG image and a JSON cnn model or a Python callable'
+  },
+  counterfactual: {
+    name: 'Counterfactual Explanations',
+    description: 'Minimal, actionable changes to an input that flip the model\'s prediction, offered as recourse (generate_counterfactual)',
+    supported_data_types: ['tabular'],
+    explanation_type: 'counterfactual',
+    model_agnostic: true
+  }
+};
+
+// Evaluation metrics grouped by category
+export const METRIC_CATALOG = {
+  faithfulness: {
+    PGI: {
+      name: 'Prediction Gap on Important feature perturbation',
+      description: 'Measures the difference in prediction probability when perturbing important features',
+      higher_is_better: true
+    },
+    PGU: {
+      name: 'Prediction Gap on Unimportant feature perturbation',
+      description: 'Measures the difference in prediction probability when perturbing unimportant features',
+      higher_is_better: false
+    }
+  },
+  stability: {
+    RIS: {
+      name: 'Relative Input Stability',
+      description: 'Measures maximum change in explanation relative to changes in inputs',
+      higher_is_better: false
+    },
+    RRS: {
+      name: 'Relative Representation Stability',
+      description: 'Measures maximum change in explanation relative to changes in internal representation',
+      higher_is_better: false
+    },
+    ROS: {
+      name: 'Relative Output Stability',
+      description: 'Measures maximum change in explanation relative to changes in output predictions',
+      higher_is_better: false
+    }
+  },
+  ground_truth: {
+    FA: {
+      name: 'Feature Agreement',
+      description: 'Fraction of top-K features common between explanation and ground truth',
+      higher_is_better: true
+    },
+    RA: {
+      name: 'Rank Agreement',
+      description: 'Fraction of top-K features with same rank in explanation and ground truth',
+      higher_is_better: true
+    },
+    SA: {
+      name: 'Sign Agreement',
+      description: 'Fraction of top-K features with same sign in explanation and ground truth',
+      higher_is_better: true
+    },
+    SRA: {
+      name: 'Signed Rank Agreement',
+      description: 'Fraction of top-K features with same sign and rank in explanation and ground truth',
+      higher_is_better: true
+    },
+    RC: {
+      name: 'Rank Correlation',
+      description: 'Spearman rank correlation between explanation and ground truth rankings',
+      higher_is_better: true
+    },
+    PRA: {
+      name: 'Pairwise Rank Agreement',
+      description: 'Fraction of feature pairs with same relative ordering in explanation and ground truth',
+      higher_is_better: true
+    }
+  },
+  // Computed by evaluate_fairness over subgroups of a protected feature
+  fairness: {
+    FG: {
+      name: 'Faithfulness Gap',
+      description: 'Largest difference in mean PGI or PGU between protected subgroups (e.g. sex or race)',
+      higher_is_better: false
+    },
+    SG: {
+      name: 'Stability Gap',
+      description: 'Largest difference in mean RIS, RRS or ROS between protected subgroups',
+      higher_is_better: false
+    }
+  }
+};
+
+// Framework reference text, keyed by get_framework_info info_type
+export const FRAMEWORK_INFO = {
+  overview: `OpenXAI Framework Overview
+
+OpenXAI is a comprehensive and extensible open-source framework for evaluating and benchmarking post hoc explanation methods. It provides:
+
+🔍 **Evaluation Framework**: Systematic evaluation of explanation methods with 22+ quantitative metrics
+📊 **Datasets**: Collection of synthetic and real-world datasets with ground truth explanations
+🤖 **Models**: Pre-trained models for various machine learning tasks
+🔬 **Explainers**: Implementations of state-of-the-art explanation methods (LIME, SHAP, etc.)
+📈 **Leaderboards**: Public XAI leaderboards for transparent benchmarking
+🛠️ **Extensibility**: Easy integration of custom datasets, models, and explanation methods
+
+Key Features:
+- Model-agnostic explanation methods
+- Ground truth faithfulness metrics
+- Predicted faithfulness metrics
+- Stability and robustness evaluation
+- Fairness assessment across subgroups
+- Comprehensive benchmarking pipeline`,
+
+  features: `OpenXAI Key Features
+
+🎯 **Explanation Methods**:
+- LIME (Local Interpretable Model-agnostic Explanations)
+- SHAP (SHapley Additive exPlanations)
+- Integrated Gradients
+- Grad-CAM
+- Guided Backpropagation
+- And more...
+
+📊 **Evaluation Metrics**:
+- Faithfulness: PGI, PGU
+- Stability: RIS, RRS, ROS
+- Ground Truth: FA, RA, SA, SRA, RC, PRA
+- Fairness: Subgroup analysis
+
+🗂️ **Datasets**:
+- Synthetic datasets with ground truth
+- Real-world datasets (German Credit, COMPAS, Adult Income)
+- Tabular, image, and text data support
+
+🤖 **Models**:
+- Neural Networks (ANN)
+- Logistic Regression
+- Random Forest
+- Support Vector Machine
+- XGBoost
+
+🏆 **Leaderboards**:
+- Public benchmarking platform
+- Transparent evaluation results
+- Community-driven improvements`,
+
+  paper: `OpenXAI Research Paper
+
+Title: "OpenXAI: Towards a Transparent Evaluation of Model Explanations"
+
+Authors: Chirag Agarwal, Satyapriya Krishna, Eshika Saxena, Martin Pawelczyk, Nari Johnson, Isha Puri, Marinka Zitnik, Himabindu Lakkaraju
+
+Abstract: While several types of post hoc explanation methods have been proposed in recent literature, there is little to no work on systematically benchmarking these methods in an efficient and transparent manner. OpenXAI introduces a comprehensive framework for evaluating and benchmarking post hoc explanation methods with synthetic data generators, real-world datasets, pre-trained models, and quantitative metrics.
+
+📄 Paper: https://arxiv.org/abs/2206.11104
+🌐 Website: https://open-xai.github.io/
+📚 GitHub: https://github.com/AI4LIFE-GROUP/OpenXAI
+
+Citation:
+@inproceedings{agarwal2022openxai,
+  title={OpenXAI: Towards a Transparent Evaluation of Model Explanations},
+  author={Agarwal, Chirag and Krishna, Satyapriya and Saxena, Eshika and others},
+  booktitle={NeurIPS 2022 Datasets and Benchmarks Track},
+  year={2022}
+}`,
+
+  installation: `OpenXAI Installation Guide
+
+📦 **Installation**:
+\`\`\`bash
+# Install from PyPI
+pip install openxai
+
+# Or install from source
+git clone https://github.com/AI4LIFE-GROUP/OpenXAI.git
+cd OpenXAI
+pip install -e .
+\`\`\`
+
+📋 **Requirements**:
+- Python 3.7+
+- PyTorch or TensorFlow (for neural network models)
+- scikit-learn
+- pandas
+- numpy
+- matplotlib
+
+🔧 **Optional Dependencies**:
+- For image explanations: Pillow, opencv-python
+- For text explanations: transformers, torch-text
+- For advanced visualizations: plotly, seaborn
+
+✅ **Verification**:
+\`\`\`python
+import openxai
+print(openxai.__version__)
+\`\`\``,
+
+  quickstart: `OpenXAI Quickstart Guide
+
+🚀 **Quick Start Example**:
+
+\`\`\`python
+from openxai.dataloader import ReturnLoaders
+from openxai import LoadModel, Explainer, Evaluator
+
+# 1. Load dataset
+trainloader, testloader = ReturnLoaders(data_name='german', download=True)
+
+# 2. Load pre-trained model
+model = LoadModel(data_name='german', ml_model='ann', pretrained=True)
+
+# 3. Generate explanations
+explainer = Explainer(method='lime', model=model)
+inputs, labels = next(iter(testloader))
+explanations = explainer.get_explanations(inputs)
+
+# 4. Evaluate explanations
+evaluator = Evaluator(model, metric='PGI')
+score = evaluator.evaluate(inputs=inputs, labels=labels, explanations=explanations)
+
+print(f"PGI Score: {score}")
+\`\`\`
+
+🎯 **Common Workflows**:
+
+1. **Benchmarking**: Compare multiple explanation methods
+2. **Evaluation**: Assess explanation quality with metrics
+3. **Leaderboards**: Submit results to public benchmarks
+4. **Research**: Develop new explanation methods
+
+📚 **Next Steps**:
+- Explore different datasets and models
+- Try various explanation methods
+- Evaluate with different metrics
+- Contribute to leaderboards`
+};
+
+// OpenXAI Studio deployment guides, keyed by get_deployment_guide deployment_type
+export const DEPLOYMENT_GUIDES = {
+  quick_start: `🚀 OpenXAI Studio Quick Start Guide
+
+To deploy your AI model using OpenXAI Studio's decentralized platform:
+
+1. 🌐 **Visit OpenXAI Studio App Store**
+   https://studio.openxai.org/app-store
+
+2. 🔗 **Connect Your Web3 Wallet**
+   - Click "Connect Wallet" button
+   - Choose MetaMask, WalletConnect, or other wallets
+   - Approve the connection
+
+3. 🤖 **Select Your Model**
+   Browse categories and choose from:
+   • General: qwen, deepseek-r1, llama models
+   • Vision: llama-3.2-vision, qwen2-vl
+   • Embedding: text-embedding models
+   • Code: codelama, qwen2.5-coder
+
+4. ⚙️ **Choose Parameters**
+   Select model size: 1.5b, 7b, 32b, 70b, etc.
+
+5. 🚀 **Select Deployment Type**
+   Choose X node for decentralized deployment
+
+6. 🔥 **Deploy**
+   Click deploy button and wait 2-5 minutes
+
+7. 📊 **Access Your Deployment**
+   Go to /deployments section
+
+8. 🔑 **Login & Use**
+   Use provided credentials to access your deployed model
+
+🎯 **Ready to start?** Visit https://studio.openxai.org/app-store now!`,
+
+  detailed: `📋 OpenXAI Studio Detailed Deployment Guide
+
+**Pre-requisites:**
+- Web3 wallet (MetaMask, WalletConnect, etc.)
+- Sufficient crypto balance for deployment costs
+- Clear understanding of your model requirements
+
+**Step-by-Step Process:**
+
+**Phase 1: Preparation**
+1. 📱 Install and setup your Web3 wallet
+2. 🔐 Secure your wallet with strong passwords
+3. 💰 Ensure adequate balance for deployment
+
+**Phase 2: Model Selection**
+1. 🌐 Navigate to https://studio.openxai.org/app-store
+2. 🔍 Browse available models by category:
+   - **General Models**: Multi-purpose language models
+   - **Vision Models**: Image and video processing
+   - **Embedding Models**: Text similarity and search
+   - **Code Models**: Programming and code generation
+
+3. 📊 Compare model specifications:
+   - Parameter counts (1.5b, 7b, 32b, 70b, etc.)
+   - Memory requirements
+   - Processing capabilities
+   - Cost implications
+
+**Phase 3: Deployment Configuration**
+1. ⚙️ Select resource requirements:
+   - CPU cores needed
+   - RAM allocation
+   - Storage requirements
+   - Network bandwidth
+
+2. 🌐 Choose deployment type:
+   - **X Node**: Decentralized deployment (recommended)
+   - **Traditional**: Centralized deployment options
+
+3. 💳 Select subscription model:
+   - Side Later: Pay-as-you-go
+   - ERC 4337: Subscription service
+   - Model Ownership: Full control
+   - Fractionalized AI: Shared ownership
+
+**Phase 4: Deployment Execution**
+1. 🚀 Review configuration summary
+2. 🔥 Click deploy button
+3. ⏳ Wait 2-5 minutes for deployment
+4. 📊 Monitor deployment progress
+
+**Phase 5: Access & Management**
+1. 🔑 Receive deployment credentials
+2. 📊 Access /deployments section
+3. 🔐 Login with provided credentials
+4. 🎯 Start using your deployed model
+
+**Troubleshooting:**
+- Wallet connection issues
+- Deployment failures
+- Access problems
+- Performance optimization`,
+
+  app_store: `🛒 OpenXAI Studio App Store Guide
+
+**App Store URL:** https://studio.openxai.org/app-store
+
+**Navigation:**
+- **Categories**: General, Vision, Embedding, Code
+- **Popular Models**: Featured and trending models
+- **Search**: Find specific models quickly
+- **Filters**: Sort by parameters, popularity, cost
+
+**Available Models:**
+
+**📚 General Models:**
+- qwen: Versatile language model
+- deepseek-r1: Advanced reasoning capabilities
+- llama models: Meta's flagship models
+- gemma: Google's efficient models
+
+**👁️ Vision Models:**
+- llama-3.2-vision: Multi-modal understanding
+- qwen2-vl: Vision-language processing
+- Advanced image recognition models
+
+**🔍 Embedding Models:**
+- text-embedding-3-small: Efficient embeddings
+- text-embedding-3-large: High-quality embeddings
+- Specialized semantic search models
+
+**💻 Code Models:**
+- codelama: Meta's code generation
+- qwen2.5-coder: Advanced coding assistant
+- Programming language specialists
+
+**Model Selection Tips:**
+1. 🎯 Match model to your use case
+2. 📊 Consider parameter count vs. performance
+3. 💰 Balance cost with capabilities
+4. 🔄 Test with smaller models first
+5. 📈 Scale up based on results
+
+**Deployment Options:**
+- **X Node**: Decentralized, cost-effective
+- **Standard**: Traditional cloud deployment
+- **Custom**: Specialized configurations
+
+**Getting Started:**
+1. Visit the app store
+2. Connect your wallet
+3. Browse models
+4. Select and deploy
+5. Access via /deployments`,
+
+  troubleshooting: `🔧 OpenXAI Studio Troubleshooting
+
+**Common Issues & Solutions:**
+
+**🔗 Wallet Connection Problems:**
+- **Issue**: Wallet won't connect
+- **Solution**: 
+  1. Refresh the page
+  2. Clear browser cache
+  3. Try different browser
+  4. Check wallet extension
+
+**🚀 Deployment Failures:**
+- **Issue**: Deployment times out
+- **Solution**:
+  1. Check network connectivity
+  2. Verify sufficient wallet balance
+  3. Try smaller model first
+  4. Contact support if persistent
+
+**🔐 Access Issues:**
+- **Issue**: Can't access deployed model
+- **Solution**:
+  1. Check credentials are correct
+  2. Wait for deployment to complete
+  3. Try different browser
+  4. Clear cookies and cache
+
+**⚡ Performance Problems:**
+- **Issue**: Model runs slowly
+- **Solution**:
+  1. Upgrade to higher-parameter model
+  2. Increase resource allocation
+  3. Optimize input data
+  4. Consider X node deployment
+
+**💰 Cost Issues:**
+- **Issue**: Unexpected charges
+- **Solution**:
+  1. Review subscription model
+  2. Monitor usage in /deployments
+  3. Set up cost alerts
+  4. Consider different deployment type
+
+**📊 Monitoring Issues:**
+- **Issue**: Can't see deployment status
+- **Solution**:
+  1. Refresh /deployments page
+  2. Check wallet connection
+  3. Verify deployment ID
+  4. Contact support
+
+**🆘 Getting Help:**
+- Documentation: https://studio.openxai.org/docs
+- Community: Discord/Telegram support
+- Support: Contact through app
+- Status: Check system status page
+
+**Prevention Tips:**
+1. 🔐 Keep wallet secure
+2. 📊 Monitor usage regularly
+3. 💰 Set spending limits
+4. 🔄 Test small deployments first
+5. 📚 Read documentation thoroughly`
+};
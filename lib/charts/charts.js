@@ -0,0 +1,377 @@
+// Chart scenes (see render.js) for attributions, leaderboards and metric grids, plus adapters that
+// build them from the structured output of generate_explanation, get_leaderboard and run_benchmark
+
+import { createHash } from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { higherIsBetter } from '../leaderboard.js';
+import { textHeight, textWidth, truncate } from './render.js';
+
+export const CHART_TYPES = ['bar', 'waterfall', 'grouped_bar', 'heatmap'];
+
+export function chartDirectory() {
+  return path.resolve(process.env.OPENXAI_CHART_DIR ?? 'charts');
+}
+
+// Writes an SVG chart; without a name the file is named after its content, so saving the same chart twice reuses it
+export async function writeChart(svg, { directory = chartDirectory(), chart = 'chart', name } = {}) {
+  const stem = name ? name.replace(/[^\w.-]+/g, '_') : `${chart}-${createHash('sha256').update(svg).digest('hex').slice(0, 12)}`;
+  const file = path.join(directory, `${stem}.svg`);
+  await fs.ensureDir(directory);
+  await fs.writeFile(file, svg);
+  return file;
+}
+
+// SHAP's colours for positive and negative contributions, and a categorical palette for series
+const POSITIVE = '#ff0051';
+const NEGATIVE = '#008bfb';
+const SERIES_COLOURS = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'];
+const AXIS = '#333333';
+const GRID = '#e6e6e6';
+const MUTED = '#666666';
+
+const WIDTH = 800;
+const MARGIN = 20;
+const TITLE_HEIGHT = 44;
+const ROW_HEIGHT = 28;
+const BAR_HEIGHT = 18;
+const MAX_LABEL_CHARACTERS = 24;
+
+export function formatValue(value) {
+  if (value === 0) return '0';
+  const magnitude = Math.abs(value);
+  if (magnitude >= 1e4 || magnitude < 1e-3) return value.toExponential(2);
+  return String(Number(value.toPrecision(3)));
+}
+
+const signed = (value) => `${value > 0 ? '+' : ''}${formatValue(value)}`;
+
+// Evenly spaced round tick values (steps of 1, 2 or 5 × 10^k) covering [low, high]
+function ticks(low, high, count = 5) {
+  const raw = (high - low) / count || 1;
+  const power = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map(factor => factor * power).find(candidate => candidate >= raw);
+  const values = [];
+  for (let value = Math.ceil(low / step) * step; value <= high + step * 1e-9; value += step) {
+    values.push(Math.abs(value) < step * 1e-9 ? 0 : value);
+  }
+  return values;
+}
+
+const linearScale = (low, high, from, to) => (value) => from + ((value - low) / (high - low || 1)) * (to - from);
+
+const title = (text, items) => items.push({ kind: 'text', x: MARGIN, y: 28, text: truncate(text, Math.floor((WIDTH - 2 * MARGIN) / 18)), scale: 3, bold: true });
+
+// Bottom axis with ticks and vertical grid lines across the plot area
+function horizontalAxis(items, scale, domain, { top, bottom }) {
+  for (const value of ticks(...domain)) {
+    const x = scale(value);
+    items.push({ kind: 'line', x1: x, y1: top, x2: x, y2: bottom, stroke: GRID });
+    items.push({ kind: 'text', x, y: bottom + 20, text: formatValue(value), anchor: 'middle', fill: MUTED });
+  }
+  items.push({ kind: 'line', x1: scale(domain[0]), y1: bottom, x2: scale(domain[1]), y2: bottom, stroke: AXIS });
+}
+
+/**
+ * Horizontal bars for the `top` largest attributions by magnitude, largest first; positive bars
+ * are red and negative bars blue, as in SHAP plots.
+ */
+export function attributionBars(attributions, { title: heading = 'Feature attributions', top = 15 } = {}) {
+  const entries = Object.entries(attributions).filter(([, value]) => Number.isFinite(value))
+    .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]));
+  if (entries.length === 0) throw new Error('No numeric attributions to chart');
+  const shown = entries.slice(0, top);
+  const hidden = entries.length - shown.length;
+
+  const labelWidth = Math.max(...shown.map(([name]) => textWidth(truncate(name, MAX_LABEL_CHARACTERS)))) + 12;
+  const valueSpace = Math.max(...shown.map(([, value]) => textWidth(signed(value)))) + 8;
+  const left = MARGIN + labelWidth + valueSpace;
+  const right = WIDTH - MARGIN - valueSpace;
+  const domain = [Math.min(0, ...shown.map(([, value]) => value)), Math.max(0, ...shown.map(([, value]) => value))];
+  const scale = linearScale(...domain, left, right);
+  const top0 = TITLE_HEIGHT;
+  const bottom = top0 + shown.length * ROW_HEIGHT;
+  const height = bottom + 40 + (hidden > 0 ? 22 : 0);
+
+  const items = [];
+  title(heading, items);
+  horizontalAxis(items, scale, domain, { top: top0, bottom });
+  shown.forEach(([name, value], i) => {
+    const y = top0 + i * ROW_HEIGHT + (ROW_HEIGHT - BAR_HEIGHT) / 2;
+    const baseline = y + BAR_HEIGHT / 2 + textHeight() / 2;
+    const [x0, x1] = [scale(Math.min(0, value)), scale(Math.max(0, value))];
+    items.push({ kind: 'text', x: MARGIN + labelWidth - 12, y: baseline, text: truncate(name, MAX_LABEL_CHARACTERS), anchor: 'end' });
+    items.push({ kind: 'rect', x: x0, y, width: Math.max(1, x1 - x0), height: BAR_HEIGHT, fill: value >= 0 ? POSITIVE : NEGATIVE });
+    items.push(value >= 0
+      ? { kind: 'text', x: x1 + 6, y: baseline, text: signed(value), fill: POSITIVE }
+      : { kind: 'text', x: x0 - 6, y: baseline, text: signed(value), anchor: 'end', fill: NEGATIVE });
+  });
+  items.push({ kind: 'line', x1: scale(0), y1: top0, x2: scale(0), y2: bottom, stroke: AXIS });
+  if (hidden > 0) {
+    items.push({ kind: 'text', x: MARGIN, y: height - 10, text: `${hidden} smaller attributions not shown`, fill: MUTED });
+  }
+  return { width: WIDTH, height, items };
+}
+
+/**
+ * SHAP-style waterfall: starting from the base value at the bottom, each row adds one feature's
+ * attribution until the top row reaches f(x) = base value + Σ attributions. Features beyond the
+ * `top` largest are summed into one row.
+ */
+export function waterfall(attributions, baseValue, { title: heading = 'Attribution waterfall', top = 10 } = {}) {
+  const entries = Object.entries(attributions).filter(([, value]) => Number.isFinite(value))
+    .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]));
+  if (entries.length === 0) throw new Error('No numeric attributions to chart');
+  const rows = entries.slice(0, top);
+  if (entries.length > top) {
+    const rest = entries.slice(top);
+    rows.push([`${rest.length} other features`, rest.reduce((total, [, value]) => total + value, 0)]);
+  }
+
+  // Accumulate from the bottom row up
+  let total = baseValue;
+  const spans = new Array(rows.length);
+  for (let i = rows.length - 1; i >= 0; i--) {
+    spans[i] = [total, total + rows[i][1]];
+    total += rows[i][1];
+  }
+  const output = total;
+
+  const labelWidth = Math.max(...rows.map(([name]) => textWidth(truncate(name, MAX_LABEL_CHARACTERS)))) + 12;
+  const valueSpace = Math.max(...rows.map(([, value]) => textWidth(signed(value)))) + 8;
+  const left = MARGIN + labelWidth + valueSpace;
+  const right = WIDTH - MARGIN - valueSpace;
+  const values = spans.flat();
+  const domain = [Math.min(...values), Math.max(...values)];
+  const scale = linearScale(...domain, left, right);
+  const top0 = TITLE_HEIGHT + 24;
+  const bottom = top0 + rows.length * ROW_HEIGHT;
+  const height = bottom + 64;
+
+  const items = [];
+  title(heading, items);
+  horizontalAxis(items, scale, domain, { top: top0, bottom });
+  items.push({ kind: 'line', x1: scale(output), y1: top0 - 8, x2: scale(output), y2: top0, stroke: MUTED, dashed: true });
+  items.push({ kind: 'text', x: scale(output), y: top0 - 12, text: `f(x) = ${formatValue(output)}`, anchor: 'middle', bold: true });
+  items.push({ kind: 'line', x1: scale(baseValue), y1: bottom, x2: scale(baseValue), y2: bottom + 6, stroke: AXIS, width: 2 });
+  items.push({ kind: 'text', x: scale(baseValue), y: bottom + 48, text: `E[f(x)] = ${formatValue(baseValue)}`, anchor: 'middle', bold: true });
+  rows.forEach(([name, value], i) => {
+    const y = top0 + i * ROW_HEIGHT + (ROW_HEIGHT - BAR_HEIGHT) / 2;
+    const baseline = y + BAR_HEIGHT / 2 + textHeight() / 2;
+    const [from, to] = spans[i];
+    const [x0, x1] = [scale(Math.min(from, to)), scale(Math.max(from, to))];
+    items.push({ kind: 'text', x: MARGIN + labelWidth - 12, y: baseline, text: truncate(name, MAX_LABEL_CHARACTERS), anchor: 'end' });
+    items.push({ kind: 'rect', x: x0, y, width: Math.max(1, x1 - x0), height: BAR_HEIGHT, fill: value >= 0 ? POSITIVE : NEGATIVE });
+    items.push(value >= 0
+      ? { kind: 'text', x: x1 + 6, y: baseline, text: signed(value), fill: POSITIVE }
+      : { kind: 'text', x: x0 - 6, y: baseline, text: signed(value), anchor: 'end', fill: NEGATIVE });
+    // Connect each bar's start to the end of the bar below it
+    if (i < rows.length - 1) {
+      items.push({ kind: 'line', x1: scale(from), y1: y + BAR_HEIGHT, x2: scale(from), y2: y + ROW_HEIGHT, stroke: MUTED, dashed: true });
+    }
+  });
+  return { width: WIDTH, height, items };
+}
+
+/**
+ * Vertical bars for each group (x axis) and series (colour), with optional ± error whiskers.
+ * series: [{ name, values: [per group, null when missing], errors? }].
+ */
+export function groupedBars(groups, series, { title: heading = 'Scores', note } = {}) {
+  if (groups.length === 0 || series.length === 0) throw new Error('Grouped bar charts need at least one group and one series');
+  const values = series.flatMap(({ values: row, errors }) => row.flatMap((value, g) =>
+    value === null || value === undefined ? [] : [value - (errors?.[g] ?? 0), value + (errors?.[g] ?? 0)]));
+  if (values.length === 0) throw new Error('No numeric values to chart');
+  const domainTicks = ticks(Math.min(0, ...values), Math.max(0, ...values));
+  const domain = [Math.min(0, ...values, domainTicks[0]), Math.max(0, ...values, domainTicks[domainTicks.length - 1])];
+
+  const axisWidth = Math.max(...domainTicks.map(value => textWidth(formatValue(value)))) + 12;
+  const left = MARGIN + axisWidth;
+  const right = WIDTH - MARGIN;
+  const legendRows = Math.ceil(series.length / 4);
+  const top0 = TITLE_HEIGHT + legendRows * 22 + 12;
+  const bottom = top0 + 300;
+  const height = bottom + (note ? 64 : 40);
+  const scale = linearScale(...domain, bottom, top0);
+  const groupWidth = (right - left) / groups.length;
+  const barWidth = Math.max(2, Math.min(48, (groupWidth * 0.8) / series.length));
+
+  const items = [];
+  title(heading, items);
+  series.forEach(({ name }, s) => {
+    const x = MARGIN + (s % 4) * ((WIDTH - 2 * MARGIN) / 4);
+    const y = TITLE_HEIGHT + Math.floor(s / 4) * 22;
+    items.push({ kind: 'rect', x, y: y - 2, width: 14, height: 14, fill: SERIES_COLOURS[s % SERIES_COLOURS.length] });
+    items.push({ kind: 'text', x: x + 20, y: y + 10, text: truncate(name, 14) });
+  });
+  for (const value of domainTicks) {
+    items.push({ kind: 'line', x1: left, y1: scale(value), x2: right, y2: scale(value), stroke: GRID });
+    items.push({ kind: 'text', x: left - 8, y: scale(value) + textHeight() / 2, text: formatValue(value), anchor: 'end', fill: MUTED });
+  }
+  groups.forEach((group, g) => {
+    const start = left + g * groupWidth + (groupWidth - barWidth * series.length) / 2;
+    series.forEach(({ values: row, errors }, s) => {
+      const value = row[g];
+      if (value === null || value === undefined) return;
+      const x = start + s * barWidth;
+      const [y0, y1] = [scale(Math.max(0, value)), scale(Math.min(0, value))];
+      items.push({ kind: 'rect', x, y: y0, width: barWidth - 1, height: Math.max(1, y1 - y0), fill: SERIES_COLOURS[s % SERIES_COLOURS.length] });
+      if (errors?.[g] > 0) {
+        const centre = x + (barWidth - 1) / 2;
+        const [high, low] = [scale(value + errors[g]), scale(value - errors[g])];
+        items.push({ kind: 'line', x1: centre, y1: high, x2: centre, y2: low, stroke: AXIS });
+        items.push({ kind: 'line', x1: centre - 3, y1: high, x2: centre + 3, y2: high, stroke: AXIS });
+        items.push({ kind: 'line', x1: centre - 3, y1: low, x2: centre + 3, y2: low, stroke: AXIS });
+      }
+    });
+    items.push({
+      kind: 'text', x: left + (g + 0.5) * groupWidth, y: bottom + 22,
+      text: truncate(group, Math.max(3, Math.floor(groupWidth / 12))), anchor: 'middle'
+    });
+  });
+  items.push({ kind: 'line', x1: left, y1: scale(0), x2: right, y2: scale(0), stroke: AXIS });
+  if (note) items.push({ kind: 'text', x: MARGIN, y: height - 10, text: truncate(note, 62), fill: MUTED });
+  return { width: WIDTH, height, items };
+}
+
+// Light-to-dark blue ramp; t in [0, 1]
+function ramp(t) {
+  const [from, to] = [[239, 243, 255], [8, 48, 107]];
+  return '#' + from.map((value, c) => Math.round(value + (to[c] - value) * t).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Colour-coded grid of values (null for missing cells). Colours are scaled per column when
+ * `directions` gives each column's higher_is_better, so darker always means better; otherwise over
+ * the whole grid, darker meaning higher.
+ */
+export function heatmap(rows, columns, values, { title: heading = 'Metric grid', directions } = {}) {
+  if (rows.length === 0 || columns.length === 0) throw new Error('Heatmaps need at least one row and one column');
+  const labelWidth = Math.max(...rows.map(row => textWidth(truncate(row, 32)))) + 16;
+  const cellWidth = Math.min(120, (WIDTH - 2 * MARGIN - labelWidth) / columns.length);
+  const width = Math.max(WIDTH / 2, Math.ceil(2 * MARGIN + labelWidth + cellWidth * columns.length));
+  const top0 = TITLE_HEIGHT + 24;
+  const height = top0 + rows.length * ROW_HEIGHT + 40;
+  const present = (value) => value !== null && value !== undefined && Number.isFinite(value);
+
+  const range = (numbers) => [Math.min(...numbers), Math.max(...numbers)];
+  const globalRange = range(values.flat().filter(present));
+  const columnRanges = columns.map((_, c) => range(values.map(row => row[c]).filter(present)));
+  const shade = (value, c) => {
+    const [low, high] = directions ? columnRanges[c] : globalRange;
+    const t = high > low ? (value - low) / (high - low) : 0.5;
+    return directions?.[c] === false ? 1 - t : t;
+  };
+
+  const items = [];
+  title(heading, items);
+  const left = MARGIN + labelWidth;
+  columns.forEach((column, c) => {
+    items.push({ kind: 'text', x: left + (c + 0.5) * cellWidth, y: top0 - 10, text: truncate(column, Math.floor(cellWidth / 12)), anchor: 'middle', bold: true });
+  });
+  rows.forEach((row, r) => {
+    const y = top0 + r * ROW_HEIGHT;
+    items.push({ kind: 'text', x: left - 12, y: y + ROW_HEIGHT / 2 + textHeight() / 2, text: truncate(row, 32), anchor: 'end' });
+    columns.forEach((_, c) => {
+      const value = values[r][c];
+      const x = left + c * cellWidth;
+      const t = present(value) ? shade(value, c) : null;
+      items.push({ kind: 'rect', x: x + 1, y: y + 1, width: cellWidth - 2, height: ROW_HEIGHT - 2, fill: t === null ? '#eeeeee' : ramp(t) });
+      items.push({
+        kind: 'text', x: x + cellWidth / 2, y: y + ROW_HEIGHT / 2 + textHeight() / 2,
+        text: t === null ? 'n/a' : truncate(formatValue(value), Math.floor(cellWidth / 12)),
+        anchor: 'middle', fill: t !== null && t > 0.55 ? '#ffffff' : '#222222'
+      });
+    });
+  });
+  items.push({
+    kind: 'text', x: MARGIN, y: height - 12, fill: MUTED,
+    text: directions ? 'Darker is better within each column' : 'Darker is higher'
+  });
+  return { width, height, items };
+}
+
+const isNumberMap = (value) => value && typeof value === 'object' && !Array.isArray(value) &&
+  Object.keys(value).length > 0 && Object.values(value).every(entry => typeof entry === 'number');
+
+/**
+ * Builds the scenes for `chart` from tool output or plain data:
+ * - bar / waterfall: a generate_explanation result, its `result`, or an attribution map (waterfall needs base_value)
+ * - grouped_bar: get_leaderboard output (one chart per dataset and metric) or { groups, series }
+ * - heatmap: run_benchmark output (its matrix) or { rows, columns, values }
+ * Returns [{ title, scene }].
+ */
+export function buildCharts(chart, data, { title: heading, top, baseValue } = {}) {
+  if (chart === 'bar' || chart === 'waterfall') {
+    const result = data?.result ?? data;
+    const attributions = isNumberMap(data) ? data : result?.attributions ?? data?.attributions;
+    if (!isNumberMap(attributions)) {
+      throw new Error(`${chart} charts need attributions: a generate_explanation result or a { feature: value } map`);
+    }
+    const method = data?.method ?? result?.method;
+    if (chart === 'bar') {
+      const name = heading ?? (method ? `${method} attributions` : 'Feature attributions');
+      return [{ title: name, scene: attributionBars(attributions, { title: name, top }) }];
+    }
+    const base = baseValue ?? result?.base_value;
+    if (typeof base !== 'number') {
+      throw new Error('Waterfall charts need base_value (shap results carry one; pass base_value for other attributions)');
+    }
+    const name = heading ?? (method ? `${method} waterfall` : 'Attribution waterfall');
+    return [{ title: name, scene: waterfall(attributions, base, { title: name, top }) }];
+  }
+
+  if (chart === 'grouped_bar') {
+    if (Array.isArray(data?.rankings)) {
+      if (data.rankings.length === 0) throw new Error('The leaderboard has no runs to chart');
+      const pairs = [...new Set(data.rankings.map(entry => `${entry.dataset}\u0000${entry.metric}`))];
+      return pairs.map(pair => {
+        const [dataset, metric] = pair.split('\u0000');
+        const entries = data.rankings.filter(entry => entry.dataset === dataset && entry.metric === metric);
+        const explainers = [...new Set(entries.map(entry => entry.explainer))];
+        const models = [...new Set(entries.map(entry => entry.model))];
+        const find = (explainer, model) => entries.find(entry => entry.explainer === explainer && entry.model === model);
+        const name = heading ?? `${metric} on ${dataset}`;
+        return {
+          title: name,
+          scene: groupedBars(explainers, models.map(model => ({
+            name: model,
+            values: explainers.map(explainer => find(explainer, model)?.score ?? null),
+            errors: explainers.map(explainer => find(explainer, model)?.std ?? 0)
+          })), { title: name, note: `${entries[0].higher_is_better ? 'Higher' : 'Lower'} is better; mean over runs, whiskers show +/- 1 std` })
+        };
+      });
+    }
+    if (Array.isArray(data?.groups) && Array.isArray(data?.series)) {
+      const name = heading ?? 'Scores';
+      return [{ title: name, scene: groupedBars(data.groups.map(String), data.series.map(entry => ({ ...entry, name: String(entry.name) })), { title: name }) }];
+    }
+    throw new Error('grouped_bar charts need get_leaderboard output or { groups, series: [{ name, values }] }');
+  }
+
+  if (Array.isArray(data?.matrix)) {
+    if (data.matrix.length === 0) throw new Error('The benchmark matrix is empty');
+    const metrics = [...new Set(data.matrix.flatMap(row => Object.keys(row.scores)))];
+    // Row labels keep only the parts that vary between rows
+    const parts = ['dataset', 'model', 'explainer'].filter(key => new Set(data.matrix.map(row => row[key])).size > 1);
+    const labelParts = parts.length > 0 ? parts : ['explainer'];
+    const name = heading ?? 'Benchmark results';
+    return [{
+      title: name,
+      scene: heatmap(
+        data.matrix.map(row => labelParts.map(key => row[key]).join(' / ')),
+        metrics,
+        data.matrix.map(row => metrics.map(metric => row.scores[metric] ?? null)),
+        { title: name, directions: metrics.map(higherIsBetter) }
+      )
+    }];
+  }
+  if (Array.isArray(data?.rows) && Array.isArray(data?.columns) && Array.isArray(data?.values)) {
+    if (data.values.length !== data.rows.length || data.values.some(row => !Array.isArray(row) || row.length !== data.columns.length)) {
+      throw new Error(`values must be a ${data.rows.length} x ${data.columns.length} grid`);
+    }
+    const name = heading ?? 'Metric grid';
+    return [{ title: name, scene: heatmap(data.rows.map(String), data.columns.map(String), data.values, { title: name, directions: data.higher_is_better }) }];
+  }
+  throw new Error('heatmap charts need run_benchmark output or { rows, columns, values }');
+}
@@ -0,0 +1,94 @@
+// Chart scenes rendered to SVG or PNG. A scene is { width, height, background, items } where items are
+// rects { kind: 'rect', x, y, width, height, fill }, axis-aligned lines { kind: 'line', x1, y1, x2, y2,
+// stroke, dashed? } and text { kind: 'text', x, y (baseline), text, scale?, anchor?, fill?, bold? }.
+
+import { encodePng } from '../images/png.js';
+import { GLYPH_HEIGHT, GLYPH_WIDTH, glyphRows } from './font.js';
+
+// Text is laid out on the bitmap font's grid: one glyph plus one pixel of spacing per character
+const ADVANCE = GLYPH_WIDTH + 1;
+const FONT_FAMILY = 'DejaVu Sans Mono, Menlo, Consolas, monospace';
+
+export const textWidth = (text, scale = 2) => Math.max(0, text.length * ADVANCE * scale - scale);
+export const textHeight = (scale = 2) => GLYPH_HEIGHT * scale;
+
+// Shortens text to at most `characters`, marking the cut with '..'
+export const truncate = (text, characters) =>
+  text.length <= characters ? text : `${text.slice(0, Math.max(1, characters - 2))}..`;
+
+const escapeXml = (text) => text.replace(/[&<>"']/g, character =>
+  ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[character]);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export function toSvg({ width, height, background = '#ffffff', items }) {
+  const elements = items.map(item => {
+    if (item.kind === 'rect') {
+      return `<rect x="${round(item.x)}" y="${round(item.y)}" width="${round(item.width)}" height="${round(item.height)}" fill="${item.fill}"/>`;
+    }
+    if (item.kind === 'line') {
+      return `<line x1="${round(item.x1)}" y1="${round(item.y1)}" x2="${round(item.x2)}" y2="${round(item.y2)}" stroke="${item.stroke}" stroke-width="${item.width ?? 1}"` +
+             `${item.dashed ? ' stroke-dasharray="4 3"' : ''}/>`;
+    }
+    const scale = item.scale ?? 2;
+    const anchor = { start: 'start', middle: 'middle', end: 'end' }[item.anchor ?? 'start'];
+    // Monospace glyphs are about 0.6em wide, so a 10 × scale font matches the bitmap advance
+    return `<text x="${round(item.x)}" y="${round(item.y)}" font-family="${FONT_FAMILY}" font-size="${10 * scale}" ` +
+           `text-anchor="${anchor}" fill="${item.fill ?? '#222222'}"${item.bold ? ' font-weight="bold"' : ''}>${escapeXml(item.text)}</text>`;
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+         `<rect width="100%" height="100%" fill="${background}"/>\n` +
+         elements.join('\n') + '\n</svg>\n';
+}
+
+const parseColour = (hex) => [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+
+export function toPng({ width, height, background = '#ffffff', items }) {
+  const pixels = new Uint8Array(width * height * 3);
+  const fillRect = (x0, y0, x1, y1, colour) => {
+    const left = Math.max(0, Math.round(x0));
+    const right = Math.min(width, Math.round(x1));
+    const top = Math.max(0, Math.round(y0));
+    const bottom = Math.min(height, Math.round(y1));
+    for (let y = top; y < bottom; y++) {
+      for (let x = left; x < right; x++) pixels.set(colour, (y * width + x) * 3);
+    }
+  };
+  fillRect(0, 0, width, height, parseColour(background));
+
+  for (const item of items) {
+    if (item.kind === 'rect') {
+      fillRect(item.x, item.y, item.x + item.width, item.y + item.height, parseColour(item.fill));
+    } else if (item.kind === 'line') {
+      const colour = parseColour(item.stroke);
+      const thickness = item.width ?? 1;
+      const horizontal = item.y1 === item.y2;
+      const start = horizontal ? Math.min(item.x1, item.x2) : Math.min(item.y1, item.y2);
+      const end = horizontal ? Math.max(item.x1, item.x2) : Math.max(item.y1, item.y2);
+      const [on, off] = item.dashed ? [4, 3] : [end - start, 0];
+      for (let position = start; position < end; position += on + off) {
+        const stop = Math.min(end, position + on);
+        if (horizontal) fillRect(position, item.y1 - thickness / 2, stop, item.y1 + thickness / 2, colour);
+        else fillRect(item.x1 - thickness / 2, position, item.x1 + thickness / 2, stop, colour);
+      }
+    } else {
+      const scale = item.scale ?? 2;
+      const colour = parseColour(item.fill ?? '#222222');
+      const span = textWidth(item.text, scale);
+      let x = item.x - { start: 0, middle: span / 2, end: span }[item.anchor ?? 'start'];
+      const top = item.y - GLYPH_HEIGHT * scale;
+      for (const character of item.text) {
+        glyphRows(character).forEach((bits, row) => {
+          for (let column = 0; column < GLYPH_WIDTH; column++) {
+            if (!(bits & (1 << (GLYPH_WIDTH - 1 - column)))) continue;
+            // Bold text doubles each pixel column
+            const left = x + column * scale;
+            fillRect(left, top + row * scale, left + scale * (item.bold ? 2 : 1), top + (row + 1) * scale, colour);
+          }
+        });
+        x += ADVANCE * scale;
+      }
+    }
+  }
+  return encodePng({ width, height, channels: 3, pixels });
+}
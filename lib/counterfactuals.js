@@ -0,0 +1,231 @@
+// Counterfactual explanations: small, actionable changes to a sample that move the model's prediction
+// across the decision threshold. The search only calls model.predict, so every local model type works
+
+import { createRng, resolveSeed } from './random.js';
+import { summarise } from './statistics.js';
+
+export const DIRECTIONS = ['increase', 'decrease'];
+const SHRINK_STEPS = 20;
+const MAX_DECIMALS = 6;
+// Counterfactuals closer than this to one already chosen (in scaled units) add no diversity
+const MIN_SPREAD = 0.05;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Finest decimal precision the observed values use, so changed values look like real ones
+function decimalsOf(values) {
+  for (let decimals = 0; decimals < MAX_DECIMALS; decimals++) {
+    const factor = 10 ** decimals;
+    if (values.every(value => Math.abs(Math.round(value * factor) - value * factor) < 1e-6)) return decimals;
+  }
+  return null;
+}
+
+function checkNames(featureNames, names, label) {
+  const unknown = names.filter(name => !featureNames.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown features in ${label}: ${unknown.join(', ')}. Features: ${featureNames.join(', ')}`);
+  }
+}
+
+/**
+ * Describes how each feature may change. Distances are measured in units of the dataset column's
+ * median absolute deviation (its standard deviation, then 1, when that is zero); changed values stay
+ * inside `ranges` or else the observed range, move only in their `monotonic` direction, and keep the
+ * decimal precision of the observed values. Categorical and boolean features jump between codes.
+ * Without a dataset, features move by at most max(1, |value|) unless a range is given.
+ */
+export function featureSpace(featureNames, x, { dataset, immutable = [], monotonic = {}, ranges = {} } = {}) {
+  checkNames(featureNames, immutable, 'immutable');
+  checkNames(featureNames, Object.keys(monotonic), 'monotonic');
+  checkNames(featureNames, Object.keys(ranges), 'ranges');
+
+  return featureNames.map((name, j) => {
+    const column = dataset ? dataset.features.map(row => row[j]).filter(value => !Number.isNaN(value)) : [];
+    const schema = dataset?.summary.columns.find(entry => entry.name === name);
+    const categorical = schema?.type === 'categorical' || schema?.type === 'boolean';
+    const direction = monotonic[name];
+    if (direction && !DIRECTIONS.includes(direction)) {
+      throw new Error(`monotonic.${name} must be 'increase' or 'decrease', got '${direction}'`);
+    }
+    if (direction && categorical) {
+      throw new Error(`monotonic.${name}: '${name}' is ${schema.type}, so it has no direction`);
+    }
+
+    if (ranges[name] && !(ranges[name][0] <= ranges[name][1])) {
+      throw new Error(`ranges.${name} must be [min, max] with min <= max`);
+    }
+    const stats = summarise(column);
+    const spread = Math.max(1, Math.abs(x[j]));
+    let [lower, upper] = ranges[name] ?? [stats.min ?? x[j] - spread, stats.max ?? x[j] + spread];
+    if (direction === 'increase') lower = Math.max(lower, x[j]);
+    if (direction === 'decrease') upper = Math.min(upper, x[j]);
+
+    const deviation = column.length > 0 ? median(column.map(value => Math.abs(value - median(column)))) : 0;
+    return {
+      index: j,
+      name,
+      categorical,
+      categories: schema?.type === 'categorical' ? schema.categories : schema?.type === 'boolean' ? ['false', 'true'] : null,
+      decimals: categorical ? 0 : column.length > 0 ? decimalsOf(column) : null,
+      scale: deviation || stats.std || 1,
+      lower,
+      upper,
+      direction: direction ?? null,
+      mutable: !immutable.includes(name) && !Number.isNaN(x[j]) && upper > lower
+    };
+  });
+}
+
+// Missing values (NaN) never change, so they compare equal to themselves
+const same = (a, b) => a === b || (Number.isNaN(a) && Number.isNaN(b));
+
+function featureDistance(feature, from, to) {
+  if (same(from, to)) return 0;
+  return feature.categorical ? 1 : Math.abs(to - from) / feature.scale;
+}
+
+function totalDistance(space, a, b) {
+  return space.reduce((total, feature) => total + featureDistance(feature, a[feature.index], b[feature.index]), 0);
+}
+
+// Value between `from` and `to` at fraction t, rounded away from `from` to the feature's precision
+function interpolate(feature, from, to, t) {
+  let value = from + t * (to - from);
+  if (feature.decimals !== null) {
+    const factor = 10 ** feature.decimals;
+    const scaled = value * factor;
+    value = Number(((to > from ? Math.ceil(scaled - 1e-9) : Math.floor(scaled + 1e-9)) / factor).toFixed(feature.decimals));
+  }
+  return Math.min(feature.upper, Math.max(feature.lower, value));
+}
+
+function perturb(feature, value, radius, rng) {
+  if (feature.categorical) {
+    const options = [];
+    for (let code = Math.ceil(feature.lower); code <= feature.upper; code++) {
+      if (code !== value) options.push(code);
+    }
+    return options.length > 0 ? options[Math.floor(rng.next() * options.length)] : value;
+  }
+  const room = { up: feature.upper - value, down: value - feature.lower };
+  const up = room.down <= 0 || (room.up > 0 && rng.next() < 0.5);
+  const target = up ? feature.upper : feature.lower;
+  return interpolate(feature, value, target, rng.next() * radius);
+}
+
+/**
+ * Searches for up to `count` diverse counterfactuals of x. Random candidates change a few mutable
+ * features by amounts that grow over the search, so small changes are tried first; every candidate
+ * that flips the prediction is made sparse (changes that are not needed are undone) and then shrunk
+ * towards x by bisection. The closest candidate is kept first and each further pick trades its own
+ * distance against its distance to the counterfactuals already chosen.
+ */
+export function findCounterfactuals(model, x, space, { threshold = 0.5, count = 3, numSamples = 1000, maxChanged, seed } = {}) {
+  const resolvedSeed = resolveSeed(seed);
+  const rng = createRng(resolvedSeed);
+  const prediction = model.predict(x);
+  const desiredClass = prediction >= threshold ? 0 : 1;
+  const flips = (candidate) => (model.predict(candidate) >= threshold ? 1 : 0) === desiredClass;
+
+  const mutable = space.filter(feature => feature.mutable).map(feature => feature.index);
+  if (mutable.length === 0) {
+    throw new Error('No feature can change: every feature is immutable, missing or fixed by its range and direction');
+  }
+  const limit = Math.min(maxChanged ?? mutable.length, mutable.length);
+
+  const refine = (candidate) => {
+    const changed = mutable.filter(j => candidate[j] !== x[j])
+      .sort((a, b) => featureDistance(space[a], x[a], candidate[a]) - featureDistance(space[b], x[b], candidate[b]));
+    for (const j of changed) {
+      const kept = candidate[j];
+      candidate[j] = x[j];
+      if (!flips(candidate)) candidate[j] = kept;
+    }
+    for (const j of changed.filter(j => candidate[j] !== x[j] && !space[j].categorical)) {
+      const target = candidate[j];
+      let low = 0;
+      let high = 1;
+      for (let step = 0; step < SHRINK_STEPS; step++) {
+        const middle = (low + high) / 2;
+        candidate[j] = interpolate(space[j], x[j], target, middle);
+        if (flips(candidate)) high = middle;
+        else low = middle;
+      }
+      candidate[j] = interpolate(space[j], x[j], target, high);
+    }
+    return candidate;
+  };
+
+  const found = new Map();
+  let flipped = 0;
+  for (let sample = 0; sample < numSamples; sample++) {
+    const radius = (sample + 1) / numSamples;
+    const size = 1 + Math.floor(rng.next() ** 2 * limit);
+    const candidate = [...x];
+    for (const j of rng.sample(mutable, size)) candidate[j] = perturb(space[j], x[j], radius, rng);
+    if (!flips(candidate)) continue;
+    flipped += 1;
+    const refined = refine(candidate);
+    found.set(JSON.stringify(refined), refined);
+  }
+
+  const pool = [...found.values()]
+    .map(values => ({ values, distance: totalDistance(space, x, values) }))
+    .sort((a, b) => a.distance - b.distance);
+  const selected = pool.length > 0 ? [pool.shift()] : [];
+  const spread = (candidate) => Math.min(...selected.map(chosen => totalDistance(space, candidate.values, chosen.values)));
+  while (selected.length < count) {
+    const options = pool.filter(candidate => spread(candidate) >= MIN_SPREAD);
+    if (options.length === 0) break;
+    const best = options.reduce((a, b) => (b.distance - spread(b) < a.distance - spread(a) ? b : a));
+    selected.push(best);
+    pool.splice(pool.indexOf(best), 1);
+  }
+
+  const counterfactuals = selected.map(({ values, distance }) => describeCounterfactual(model, space, x, values, distance));
+  const pairs = [];
+  for (let a = 0; a < selected.length; a++) {
+    for (let b = a + 1; b < selected.length; b++) pairs.push(totalDistance(space, selected[a].values, selected[b].values));
+  }
+
+  return {
+    prediction,
+    predicted_class: 1 - desiredClass,
+    desired_class: desiredClass,
+    threshold,
+    counterfactuals,
+    diversity: pairs.length > 0 ? pairs.reduce((total, value) => total + value, 0) / pairs.length : null,
+    search: { samples: numSamples, flipped, distinct: found.size, seed: resolvedSeed }
+  };
+}
+
+const formatValue = (feature, value) => (feature.categories ? `'${feature.categories[value] ?? value}'` : String(Number(value.toPrecision(8))));
+
+function describeCounterfactual(model, space, x, values, distance) {
+  const changes = space.filter(feature => !same(values[feature.index], x[feature.index])).map(feature => ({
+    feature: feature.name,
+    from: x[feature.index],
+    to: values[feature.index],
+    ...(feature.categories
+      ? { from_label: feature.categories[x[feature.index]] ?? null, to_label: feature.categories[values[feature.index]] ?? null }
+      : { direction: values[feature.index] > x[feature.index] ? 'increase' : 'decrease' })
+  }));
+  const steps = changes.map(change => {
+    const feature = space.find(entry => entry.name === change.feature);
+    const verb = change.direction ? (change.direction === 'increase' ? 'Increase' : 'Decrease') : 'Change';
+    return `${verb} ${change.feature} from ${formatValue(feature, change.from)} to ${formatValue(feature, change.to)}`;
+  });
+  return {
+    values: Object.fromEntries(model.featureNames.map((name, j) => [name, values[j]])),
+    changes,
+    prediction: model.predict(values),
+    distance,
+    sparsity: changes.length,
+    recourse: steps.join('; ')
+  };
+}
@@ -0,0 +1,266 @@
+// Local tabular datasets: file discovery, parsing, type inference and schema summaries
+
+import fs from 'fs-extra';
+import path from 'path';
+import { summarise } from './statistics.js';
+
+export const SUPPORTED_EXTENSIONS = ['.csv', '.tsv', '.json', '.jsonl', '.parquet'];
+// Sidecar next to a dataset file holding its true feature importance (written for synthetic data)
+export const GROUND_TRUTH_SUFFIX = '.ground_truth.json';
+
+const MISSING_TOKENS = new Set(['', 'na', 'n/a', 'nan', 'null', 'none', '?']);
+const LABEL_CANDIDATES = ['label', 'target', 'y', 'class', 'outcome'];
+const MAX_CLASSES = 20;
+
+export function dataDirectory() {
+  return path.resolve(process.env.OPENXAI_DATA_DIR ?? 'data');
+}
+
+// Dataset names come from clients, so a name that resolves outside the data directory ('../x', '/etc/x') is refused
+function datasetPath(directory, name, suffix) {
+  const root = path.resolve(directory);
+  const file = path.resolve(root, `${name}${suffix}`);
+  if (!file.startsWith(root + path.sep)) {
+    throw new Error(`Dataset name '${name}' points outside the data directory ${root}`);
+  }
+  return file;
+}
+
+export async function findDatasetFile(name, directory = dataDirectory()) {
+  for (const extension of SUPPORTED_EXTENSIONS) {
+    const candidate = datasetPath(directory, name, extension);
+    if (await fs.pathExists(candidate)) return candidate;
+  }
+  return null;
+}
+
+export async function listDatasetFiles(directory = dataDirectory()) {
+  if (!(await fs.pathExists(directory))) return [];
+  const entries = await fs.readdir(directory);
+  return entries
+    .filter(entry => SUPPORTED_EXTENSIONS.includes(path.extname(entry).toLowerCase()) && !entry.endsWith(GROUND_TRUTH_SUFFIX))
+    .map(entry => ({ name: path.basename(entry, path.extname(entry)), file: path.join(directory, entry) }));
+}
+
+// RFC 4180 style parsing: quoted fields may contain delimiters, quotes ("") and newlines
+export function parseDelimited(text, delimiter = ',') {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      if (record.length > 1 || record[0] !== '') records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [columns, ...rows] = records;
+  if (!columns) throw new Error('File is empty');
+  rows.forEach((row, i) => {
+    if (row.length !== columns.length) {
+      throw new Error(`Row ${i + 2} has ${row.length} fields but the header has ${columns.length}`);
+    }
+  });
+  return { columns: columns.map(column => column.trim()), rows };
+}
+
+function formatField(value) {
+  const text = value === null || value === undefined || Number.isNaN(value) ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV({ columns, rows }) {
+  return [columns, ...rows].map(row => row.map(formatField).join(',')).join('\n') + '\n';
+}
+
+function tableFromObjects(objects) {
+  const columns = [...new Set(objects.flatMap(object => Object.keys(object)))];
+  return { columns, rows: objects.map(object => columns.map(column => object[column] ?? null)) };
+}
+
+/**
+ * Reads a table as { columns, rows }. Parquet files are read through the Python bridge (pandas).
+ */
+export async function readTable(filePath, { python } = {}) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.parquet') {
+    if (!python) throw new Error('Reading Parquet files requires the Python bridge');
+    const { result } = await python.call('read_table', { path: filePath });
+    return result;
+  }
+
+  const text = await fs.readFile(filePath, 'utf8');
+  if (extension === '.csv') return parseDelimited(text, ',');
+  if (extension === '.tsv') return parseDelimited(text, '\t');
+  if (extension === '.jsonl') {
+    return tableFromObjects(text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line)));
+  }
+  if (extension === '.json') {
+    const parsed = JSON.parse(text);
+    if (Array.isArray(parsed)) return tableFromObjects(parsed);
+    if (Array.isArray(parsed.columns) && Array.isArray(parsed.data)) return { columns: parsed.columns, rows: parsed.data };
+    throw new Error('JSON datasets must be an array of records or { "columns": [...], "data": [[...]] }');
+  }
+  throw new Error(`Unsupported dataset format '${extension}'. Supported: ${SUPPORTED_EXTENSIONS.join(', ')}`);
+}
+
+export function isMissing(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'number') return Number.isNaN(value);
+  return typeof value === 'string' && MISSING_TOKENS.has(value.trim().toLowerCase());
+}
+
+function inferColumn(name, values) {
+  const present = values.filter(value => !isMissing(value));
+  const missing = values.length - present.length;
+  if (present.every(value => typeof value === 'boolean' || ['true', 'false'].includes(String(value).trim().toLowerCase()))) {
+    return { name, type: 'boolean', missing };
+  }
+  if (present.every(value => typeof value === 'number' || (String(value).trim() !== '' && !Number.isNaN(Number(value))))) {
+    return { name, type: 'numeric', missing };
+  }
+  // Categorical values are ordinal-encoded in order of first appearance
+  return { name, type: 'categorical', missing, categories: [...new Set(present.map(value => String(value).trim()))] };
+}
+
+function encode(column, value) {
+  if (isMissing(value)) return NaN;
+  if (column.type === 'numeric') return Number(value);
+  if (column.type === 'boolean') return String(value).trim().toLowerCase() === 'true' ? 1 : 0;
+  return column.categories.indexOf(String(value).trim());
+}
+
+// Typed value for display: numbers, booleans, trimmed strings, null when missing
+function decode(column, value) {
+  if (isMissing(value)) return null;
+  if (column.type === 'numeric') return Number(value);
+  if (column.type === 'boolean') return String(value).trim().toLowerCase() === 'true';
+  return String(value).trim();
+}
+
+function resolveLabelColumn(columns, requested) {
+  if (requested) {
+    if (!columns.includes(requested)) {
+      throw new Error(`Label column '${requested}' not found. Columns: ${columns.join(', ')}`);
+    }
+    return requested;
+  }
+  return columns.find(column => LABEL_CANDIDATES.includes(column.toLowerCase())) ?? columns[columns.length - 1];
+}
+
+/**
+ * Builds the in-memory dataset other tools reuse: schema, numeric feature matrix and labels.
+ */
+export function buildDataset(name, table, { labelColumn, source } = {}) {
+  const { columns, rows } = table;
+  if (rows.length === 0) throw new Error(`Dataset '${name}' has no rows`);
+  const label = resolveLabelColumn(columns, labelColumn);
+  const labelIndex = columns.indexOf(label);
+  const schema = columns.map((column, j) => inferColumn(column, rows.map(row => row[j])));
+  const featureIndices = columns.map((_, j) => j).filter(j => j !== labelIndex);
+  const featureColumns = featureIndices.map(j => schema[j]);
+  const labelSchema = schema[labelIndex];
+
+  const matrix = rows.map(row => featureIndices.map(j => encode(schema[j], row[j])));
+  const rawLabels = rows.map(row => row[labelIndex]);
+  const distinctLabels = [...new Set(rawLabels.filter(value => !isMissing(value)).map(value => String(value).trim()))];
+  const task = labelSchema.type !== 'numeric' || distinctLabels.length <= MAX_CLASSES ? 'classification' : 'regression';
+
+  const summary = {
+    name,
+    source,
+    num_rows: rows.length,
+    num_features: featureIndices.length,
+    feature_names: featureColumns.map(column => column.name),
+    label_column: label,
+    task,
+    columns: schema,
+    missing_values: Object.fromEntries(schema.map(column => [column.name, column.missing])),
+    feature_statistics: Object.fromEntries(featureColumns.map((column, i) => {
+      const stats = summarise(matrix.map(row => row[i]));
+      return [column.name, { type: column.type, min: stats.min, max: stats.max, mean: stats.mean, std: stats.std }];
+    }))
+  };
+
+  if (task === 'classification') {
+    summary.class_balance = Object.fromEntries(distinctLabels.map(value => {
+      const count = rawLabels.filter(raw => !isMissing(raw) && String(raw).trim() === value).length;
+      return [value, { count, fraction: count / rows.length }];
+    }));
+  } else {
+    const stats = summarise(rawLabels.map(Number));
+    summary.label_statistics = { min: stats.min, max: stats.max, mean: stats.mean, std: stats.std };
+  }
+
+  return {
+    summary,
+    features: matrix,
+    labels: rawLabels.map(value => encode(labelSchema, value)),
+    records: rows.map(row => Object.fromEntries(columns.map((column, j) => [column, decode(schema[j], row[j])])))
+  };
+}
+
+export async function loadLocalDataset(name, { labelColumn, python, directory = dataDirectory() } = {}) {
+  const file = await findDatasetFile(name, directory);
+  if (!file) return null;
+  const table = await readTable(file, { python });
+  const dataset = buildDataset(name, table, { labelColumn, source: file });
+  const groundTruthFile = datasetPath(directory, name, GROUND_TRUTH_SUFFIX);
+  if (await fs.pathExists(groundTruthFile)) {
+    dataset.groundTruth = await fs.readJson(groundTruthFile);
+    dataset.summary.ground_truth = {
+      coefficients: dataset.groundTruth.coefficients,
+      informative_features: dataset.groundTruth.informative_features
+    };
+  }
+  return dataset;
+}
+
+/**
+ * Writes `<name>.csv` (and its ground-truth sidecar, if given) to the data directory.
+ */
+export async function saveDataset(name, table, { groundTruth, directory = dataDirectory(), overwrite = false } = {}) {
+  if (!/^[\w.-]+$/.test(name) || name.startsWith('.')) {
+    throw new Error(`Dataset name '${name}' may only contain letters, digits, '_', '-' and '.'`);
+  }
+  const existing = await findDatasetFile(name, directory);
+  if (existing && !overwrite) {
+    throw new Error(`Dataset '${name}' already exists at ${existing}; pass overwrite: true to replace it`);
+  }
+  await fs.ensureDir(directory);
+  const file = path.join(directory, `${name}.csv`);
+  await fs.writeFile(file, toCSV(table));
+  const groundTruthFile = path.join(directory, `${name}${GROUND_TRUTH_SUFFIX}`);
+  if (groundTruth) {
+    await fs.writeJson(groundTruthFile, groundTruth, { spaces: 2 });
+  } else {
+    await fs.remove(groundTruthFile);
+  }
+  return { file, groundTruthFile: groundTruth ? groundTruthFile : null };
+}
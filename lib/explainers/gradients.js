@@ -0,0 +1,90 @@
+// Gradient-based attributions for differentiable models (lr and ann from lib/models.js)
+
+import { createRng, resolveSeed } from '../random.js';
+import { toFeatureMap } from '../samples.js';
+
+export function requireGradient(model, method) {
+  if (typeof model.gradient !== 'function') {
+    throw new Error(`${method} needs a differentiable model (lr or ann); '${model.type}' has no gradient`);
+  }
+}
+
+// Integrated Gradients (Sundararajan et al., 2017) with a midpoint Riemann sum
+export function integratedGradients(model, x, { baseline, steps = 50 } = {}) {
+  requireGradient(model, 'Integrated Gradients');
+  if (!Number.isInteger(steps) || steps < 1) throw new Error('steps must be a positive integer');
+  const reference = baseline ?? new Array(x.length).fill(0);
+  const delta = x.map((value, j) => value - reference[j]);
+  const totals = new Array(x.length).fill(0);
+
+  for (let k = 0; k < steps; k++) {
+    const alpha = (k + 0.5) / steps;
+    const grad = model.gradient(reference.map((value, j) => value + alpha * delta[j]));
+    for (let j = 0; j < x.length; j++) totals[j] += grad[j];
+  }
+
+  const attributions = totals.map((total, j) => (total / steps) * delta[j]);
+  const prediction = model.predict(x);
+  const baselinePrediction = model.predict(reference);
+  const attributionSum = attributions.reduce((total, value) => total + value, 0);
+
+  return {
+    method: 'integrated_gradients',
+    attributions: toFeatureMap(model.featureNames, attributions),
+    prediction,
+    baseline: toFeatureMap(model.featureNames, reference),
+    baseline_prediction: baselinePrediction,
+    steps,
+    completeness: {
+      sum_of_attributions: attributionSum,
+      prediction_minus_baseline: prediction - baselinePrediction,
+      error: Math.abs(attributionSum - (prediction - baselinePrediction))
+    }
+  };
+}
+
+export function gradientTimesInput(model, x) {
+  requireGradient(model, 'Gradient x Input');
+  const grad = model.gradient(x);
+  return {
+    method: 'gradient_x_input',
+    attributions: toFeatureMap(model.featureNames, grad.map((value, j) => value * x[j])),
+    prediction: model.predict(x)
+  };
+}
+
+// Guided backpropagation: only positive gradients flow back through ReLU units
+export function guidedBackprop(model, x) {
+  requireGradient(model, 'Guided Backpropagation');
+  const grad = model.type === 'ann' ? model.gradient(x, { guided: true }) : model.gradient(x);
+  return {
+    method: 'guided_backprop',
+    attributions: toFeatureMap(model.featureNames, grad),
+    prediction: model.predict(x)
+  };
+}
+
+// SmoothGrad (Smilkov et al., 2017): gradients averaged over Gaussian-noised copies of the input.
+// noiseLevel is relative to the input's value range, as in the paper.
+export function smoothGrad(model, x, { numSamples = 50, noiseLevel = 0.15, seed } = {}) {
+  requireGradient(model, 'SmoothGrad');
+  const resolvedSeed = resolveSeed(seed);
+  const rng = createRng(resolvedSeed);
+  const range = Math.max(...x) - Math.min(...x);
+  const sigma = noiseLevel * (range > 0 ? range : 1);
+  const totals = new Array(x.length).fill(0);
+
+  for (let s = 0; s < numSamples; s++) {
+    const grad = model.gradient(x.map(value => value + rng.normal(0, sigma)));
+    for (let j = 0; j < x.length; j++) totals[j] += grad[j];
+  }
+
+  return {
+    method: 'smoothgrad',
+    attributions: toFeatureMap(model.featureNames, totals.map(total => total / numSamples)),
+    prediction: model.predict(x),
+    noise_sigma: sigma,
+    num_samples: numSamples,
+    seed: resolvedSeed
+  };
+}
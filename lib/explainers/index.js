@@ -0,0 +1,61 @@
+// Explainers that run in-process against models from lib/models.js
+
+import { kernelShap } from './kernel-shap.js';
+import { treeShap } from './tree-shap.js';
+import { lime } from './lime.js';
+import { gradientTimesInput, guidedBackprop, integratedGradients, smoothGrad } from './gradients.js';
+import { featureStatistics } from '../statistics.js';
+
+const explainers = {
+  // Tree ensembles get exact TreeSHAP unless KernelSHAP is asked for; without a background sample
+  // KernelSHAP compares every feature against zero
+  shap: (model, x, options) => {
+    const algorithm = options.shapAlgorithm ?? 'auto';
+    if (model.trees && algorithm !== 'kernel') {
+      return treeShap(model, x, {
+        background: options.background,
+        featurePerturbation: options.featurePerturbation,
+        interactions: options.interactions,
+        seed: options.seed
+      });
+    }
+    if (algorithm === 'tree') {
+      throw new Error(`TreeSHAP needs a tree ensemble (rf, xgb or tree_ensemble); '${model.type}' is explained with KernelSHAP`);
+    }
+    if (options.interactions) {
+      throw new Error('SHAP interaction values are only computed by TreeSHAP for tree ensembles');
+    }
+    return kernelShap(model, x, options.background ?? [new Array(x.length).fill(0)], {
+      numSamples: options.numSamples,
+      seed: options.seed
+    });
+  },
+  lime: (model, x, options) => lime(model, x, options.statistics ?? (options.background && featureStatistics(options.background)), {
+    numSamples: options.numSamples,
+    kernelWidth: options.kernelWidth,
+    numFeatures: options.numFeatures,
+    seed: options.seed
+  }),
+  integrated_gradients: (model, x, options) => integratedGradients(model, x, {
+    baseline: options.baseline,
+    steps: options.steps
+  }),
+  gradient_x_input: (model, x) => gradientTimesInput(model, x),
+  guided_backprop: (model, x) => guidedBackprop(model, x),
+  smoothgrad: (model, x, options) => smoothGrad(model, x, {
+    numSamples: options.numSamples,
+    noiseLevel: options.noiseLevel,
+    seed: options.seed
+  })
+};
+
+export const LOCAL_METHODS = Object.keys(explainers);
+export const SHAP_ALGORITHMS = ['auto', 'tree', 'kernel'];
+
+export function explain(method, model, x, options = {}) {
+  const explainer = explainers[method];
+  if (!explainer) {
+    throw new Error(`Method '${method}' cannot be computed locally. Locally computed methods: ${LOCAL_METHODS.join(', ')}`);
+  }
+  return explainer(model, x, options);
+}
@@ -0,0 +1,117 @@
+// KernelSHAP (Lundberg & Lee, 2017) against a locally evaluable model
+
+import { createRng, resolveSeed } from '../random.js';
+import { mean, weightedLeastSquares } from '../linalg.js';
+import { toFeatureMap } from '../samples.js';
+
+function binomial(n, k) {
+  let result = 1;
+  for (let i = 1; i <= k; i++) result = (result * (n - k + i)) / i;
+  return result;
+}
+
+// Shapley kernel weight for a coalition of the given size
+function shapleyKernel(numFeatures, size) {
+  return (numFeatures - 1) / (binomial(numFeatures, size) * size * (numFeatures - size));
+}
+
+function enumerateCoalitions(numFeatures) {
+  const coalitions = [];
+  for (let mask = 1; mask < 2 ** numFeatures - 1; mask++) {
+    const members = [];
+    for (let j = 0; j < numFeatures; j++) members.push((mask >> j) & 1);
+    const size = members.reduce((total, value) => total + value, 0);
+    coalitions.push({ members, weight: shapleyKernel(numFeatures, size) });
+  }
+  return coalitions;
+}
+
+// Sample coalition sizes proportionally to the kernel mass, pairing each draw with its complement
+function sampleCoalitions(numFeatures, budget, rng) {
+  const sizes = Array.from({ length: numFeatures - 1 }, (_, i) => i + 1);
+  const sizeMass = sizes.map(size => (numFeatures - 1) / (size * (numFeatures - size)));
+  const totalMass = sizeMass.reduce((total, value) => total + value, 0);
+  const indices = Array.from({ length: numFeatures }, (_, j) => j);
+  const seen = new Map();
+
+  const add = (members) => {
+    const key = members.join('');
+    const entry = seen.get(key);
+    if (entry) entry.weight += 1;
+    else seen.set(key, { members, weight: 1 });
+  };
+
+  for (let draw = 0; draw < Math.ceil(budget / 2); draw++) {
+    let target = rng.next() * totalMass;
+    let size = sizes[sizes.length - 1];
+    for (let i = 0; i < sizes.length; i++) {
+      target -= sizeMass[i];
+      if (target <= 0) {
+        size = sizes[i];
+        break;
+      }
+    }
+    const members = new Array(numFeatures).fill(0);
+    for (const j of rng.sample(indices, size)) members[j] = 1;
+    add(members);
+    add(members.map(value => 1 - value));
+  }
+
+  return [...seen.values()];
+}
+
+export function kernelShap(model, x, background, { numSamples = 2048, seed, maxBackground = 100 } = {}) {
+  const resolvedSeed = resolveSeed(seed);
+  const rng = createRng(resolvedSeed);
+  const numFeatures = x.length;
+  const reference = background.length > maxBackground ? rng.sample(background, maxBackground) : background;
+
+  const prediction = model.predict(x);
+  const baseValue = mean(reference.map(row => model.predict(row)));
+  const gap = prediction - baseValue;
+
+  // v(S): expected prediction when features in S come from x and the rest from the background
+  const coalitionValue = (members) => mean(reference.map(row =>
+    model.predict(row.map((value, j) => (members[j] ? x[j] : value)))
+  ));
+
+  const exhaustive = numFeatures <= 20 && 2 ** numFeatures - 2 <= numSamples;
+  let phi;
+  let coalitions = [];
+
+  if (numFeatures === 1) {
+    phi = [gap];
+  } else {
+    coalitions = exhaustive
+      ? enumerateCoalitions(numFeatures)
+      : sampleCoalitions(numFeatures, numSamples, rng);
+
+    // Enforce sum(phi) = f(x) - E[f] by eliminating the last feature from the regression
+    const last = numFeatures - 1;
+    const X = coalitions.map(({ members }) => members.slice(0, last).map(value => value - members[last]));
+    const y = coalitions.map(({ members }) => coalitionValue(members) - baseValue - members[last] * gap);
+    const weights = coalitions.map(({ weight }) => weight);
+    const { coefficients } = weightedLeastSquares(X, y, weights, { ridge: 1e-10, intercept: false });
+    phi = [...coefficients, gap - coefficients.reduce((total, value) => total + value, 0)];
+  }
+
+  const attributionSum = phi.reduce((total, value) => total + value, 0);
+
+  return {
+    method: 'kernel_shap',
+    attributions: toFeatureMap(model.featureNames, phi),
+    base_value: baseValue,
+    prediction,
+    sum_check: {
+      sum_of_attributions: attributionSum,
+      prediction_minus_base: gap,
+      error: Math.abs(attributionSum - gap)
+    },
+    coalitions: {
+      evaluated: coalitions.length,
+      exhaustive: numFeatures === 1 || exhaustive
+    },
+    background_size: reference.length,
+    seed: resolvedSeed
+  };
+}
@@ -0,0 +1,80 @@
+// Text LIME (Ribeiro et al., 2016): remove random subsets of the distinct words, then fit a locally
+// weighted ridge surrogate on word presence. Each word's coefficient is its token score.
+
+import { createRng, resolveSeed } from '../random.js';
+import { weightedLeastSquares } from '../linalg.js';
+import { toFeatureMap } from '../samples.js';
+import { weightedR2 } from './lime.js';
+
+const RIDGE_ALPHA = 1;
+
+// The surrogate's normal matrix grows with the square of the distinct words and is filled once per
+// sample, so a few hundred words already take seconds
+export const MAX_TEXT_WORDS = 300;
+
+// The reference implementation measures cosine distance to the full text in percent
+const DEFAULT_KERNEL_WIDTH = 25;
+
+/**
+ * model: a text model from lib/text/bow.js. Every occurrence of a word is removed together, so all
+ * tokens of one word share its score.
+ */
+export function limeText(model, text, { numSamples = 5000, kernelWidth = DEFAULT_KERNEL_WIDTH, numFeatures, seed } = {}) {
+  const resolvedSeed = resolveSeed(seed);
+  const rng = createRng(resolvedSeed);
+  const tokens = model.tokenize(text);
+  const words = [...new Set(tokens.map(token => token.word))];
+  const dimension = words.length;
+  if (dimension === 0) throw new Error('The text has no words to explain');
+  if (dimension > MAX_TEXT_WORDS) {
+    throw new Error(`The text has ${dimension} distinct words; lime explains at most ${MAX_TEXT_WORDS}, so shorten it`);
+  }
+  const selectCount = Math.min(numFeatures ?? dimension, dimension);
+  if (!(kernelWidth > 0)) throw new Error('kernel_width must be positive');
+  if (!(numSamples >= 2)) throw new Error('LIME needs at least 2 samples');
+
+  // The first sample is the full text; the others drop between 1 and all but one of the words
+  const present = [new Array(dimension).fill(1)];
+  const indices = words.map((_, j) => j);
+  for (let i = 1; i < numSamples; i++) {
+    const row = new Array(dimension).fill(1);
+    for (const j of rng.sample(indices, 1 + rng.int(Math.max(1, dimension - 1)))) row[j] = 0;
+    present.push(row);
+  }
+  const wordIndex = new Map(words.map((word, j) => [word, j]));
+  const y = model.predictBatch(present.map(row => tokens.map(token => token.word).filter(word => row[wordIndex.get(word)] === 1)));
+  const weights = present.map(row => {
+    const kept = row.reduce((total, value) => total + value, 0);
+    const distance = (1 - Math.sqrt(kept / dimension)) * 100;
+    return Math.sqrt(Math.exp(-(distance ** 2) / kernelWidth ** 2));
+  });
+
+  // Keep the words with the largest surrogate weights, then refit on just those
+  let selected = [...indices];
+  let fit = weightedLeastSquares(present, y, weights, { ridge: RIDGE_ALPHA });
+  if (selectCount < dimension) {
+    selected = selected
+      .sort((a, b) => Math.abs(fit.coefficients[b]) - Math.abs(fit.coefficients[a]))
+      .slice(0, selectCount)
+      .sort((a, b) => a - b);
+    fit = weightedLeastSquares(present.map(row => selected.map(j => row[j])), y, weights, { ridge: RIDGE_ALPHA });
+  }
+
+  const coefficients = new Array(dimension).fill(0);
+  selected.forEach((j, i) => { coefficients[j] = fit.coefficients[i]; });
+  const r2 = weightedR2(present.map(row => selected.map(j => row[j])), y, weights, fit);
+
+  return {
+    method: 'lime_text',
+    attributions: toFeatureMap(words, coefficients),
+    tokens: tokens.map(({ token, word, start, end }) => ({ token, start, end, score: coefficients[wordIndex.get(word)] })),
+    intercept: fit.intercept,
+    prediction: y[0],
+    local_prediction: fit.intercept + fit.coefficients.reduce((total, value) => total + value, 0),
+    local_fidelity: { r2 },
+    selected_features: selected.map(j => words[j]),
+    kernel_width: kernelWidth,
+    num_samples: numSamples,
+    seed: resolvedSeed
+  };
+}
@@ -0,0 +1,81 @@
+// Tabular LIME (Ribeiro et al., 2016): Gaussian perturbations around the instance and a
+// locally weighted ridge surrogate fitted on standardised offsets
+
+import { createRng, resolveSeed } from '../random.js';
+import { weightedLeastSquares } from '../linalg.js';
+import { toFeatureMap } from '../samples.js';
+
+const RIDGE_ALPHA = 1;
+
+export function weightedR2(X, y, weights, { coefficients, intercept }) {
+  const totalWeight = weights.reduce((total, w) => total + w, 0);
+  const yMean = y.reduce((total, value, i) => total + weights[i] * value, 0) / totalWeight;
+  let residual = 0;
+  let spread = 0;
+  for (let i = 0; i < X.length; i++) {
+    let fitted = intercept;
+    for (let j = 0; j < coefficients.length; j++) fitted += coefficients[j] * X[i][j];
+    residual += weights[i] * (y[i] - fitted) ** 2;
+    spread += weights[i] * (y[i] - yMean) ** 2;
+  }
+  return spread === 0 ? 1 : 1 - residual / spread;
+}
+
+/**
+ * statistics: per-feature { std } from the dataset; features with zero or unknown spread use 1.
+ * Attributions are the surrogate coefficients, i.e. the change in prediction per standard deviation.
+ */
+export function lime(model, x, statistics, { numSamples = 5000, kernelWidth, numFeatures, seed } = {}) {
+  const resolvedSeed = resolveSeed(seed);
+  const rng = createRng(resolvedSeed);
+  const dimension = x.length;
+  const scales = x.map((_, j) => {
+    const spread = statistics?.[j]?.std;
+    return spread && Number.isFinite(spread) ? spread : 1;
+  });
+  const width = kernelWidth ?? 0.75 * Math.sqrt(dimension);
+  const selectCount = Math.min(numFeatures ?? dimension, dimension);
+  if (!(width > 0)) throw new Error('kernel_width must be positive');
+  if (!(selectCount > 0)) throw new Error('num_features must be at least 1');
+  if (!(numSamples >= 2)) throw new Error('LIME needs at least 2 samples');
+
+  // The first sample is the instance itself, as in the reference implementation
+  const offsets = [new Array(dimension).fill(0)];
+  for (let i = 1; i < numSamples; i++) {
+    offsets.push(x.map(() => rng.normal()));
+  }
+  const samples = offsets.map(offset => offset.map((value, j) => x[j] + value * scales[j]));
+  const y = model.predictBatch(samples);
+  const weights = offsets.map(offset => {
+    const distance = Math.sqrt(offset.reduce((total, value) => total + value * value, 0));
+    return Math.sqrt(Math.exp(-(distance ** 2) / width ** 2));
+  });
+
+  // Keep the features with the largest surrogate weights, then refit on just those
+  let selected = x.map((_, j) => j);
+  let fit = weightedLeastSquares(offsets, y, weights, { ridge: RIDGE_ALPHA });
+  if (selectCount < dimension) {
+    selected = selected
+      .sort((a, b) => Math.abs(fit.coefficients[b]) - Math.abs(fit.coefficients[a]))
+      .slice(0, selectCount)
+      .sort((a, b) => a - b);
+    fit = weightedLeastSquares(offsets.map(row => selected.map(j => row[j])), y, weights, { ridge: RIDGE_ALPHA });
+  }
+
+  const coefficients = new Array(dimension).fill(0);
+  selected.forEach((j, i) => { coefficients[j] = fit.coefficients[i]; });
+  const r2 = weightedR2(offsets.map(row => selected.map(j => row[j])), y, weights, fit);
+
+  return {
+    method: 'lime',
+    attributions: toFeatureMap(model.featureNames, coefficients),
+    intercept: fit.intercept,
+    prediction: y[0],
+    local_prediction: fit.intercept,
+    local_fidelity: { r2 },
+    selected_features: selected.map(j => model.featureNames[j]),
+    kernel_width: width,
+    num_samples: numSamples,
+    seed: resolvedSeed
+  };
+}
@@ -0,0 +1,124 @@
+// Perturbation-based saliency for image models: occlusion sensitivity (Zeiler & Fergus, 2014) and
+// RISE (Petsiuk et al., 2018). Both only query the model, so they also work for models behind the
+// Python bridge; `score` maps an array of [channels][height][width] tensors to target-class scores.
+
+import { createRng, resolveSeed } from '../random.js';
+
+export const IMAGE_METHODS = ['occlusion', 'rise'];
+
+// Perturbed images scored per call: at most 32, and fewer for large images so a batch's JSON for the
+// Python bridge (about 20 bytes per value) and its Float64Array copies stay near BATCH_BYTES
+const MAX_BATCH_SIZE = 32;
+const BATCH_BYTES = 64 * 1024 * 1024;
+const JSON_BYTES_PER_VALUE = 20;
+
+export const batchSize = ([channels, height, width]) =>
+  Math.max(1, Math.min(MAX_BATCH_SIZE, Math.floor(BATCH_BYTES / (channels * height * width * JSON_BYTES_PER_VALUE))));
+
+const toMatrix = (values, height, width) =>
+  Array.from({ length: height }, (_, y) => Array.from(values.subarray(y * width, (y + 1) * width)));
+
+// Window offsets along one axis; the last window is aligned with the edge so every pixel is covered
+function offsets(size, window, stride) {
+  const result = [];
+  for (let start = 0; start + window < size; start += stride) result.push(start);
+  result.push(Math.max(0, size - window));
+  return result;
+}
+
+/**
+ * Slides a window filled with the per-channel image mean over the image. A pixel's saliency is the
+ * mean drop in the target score over the windows that cover it.
+ */
+export async function occlusion(score, image, [channels, height, width], { windowSize, stride } = {}) {
+  const window = Math.min(windowSize ?? Math.max(2, Math.round(Math.min(height, width) / 8)), height, width);
+  const step = stride ?? Math.max(1, Math.floor(window / 2));
+  const plane = height * width;
+  const fill = Array.from({ length: channels }, (_, c) => image.subarray(c * plane, (c + 1) * plane).reduce((total, value) => total + value, 0) / plane);
+
+  const windows = offsets(height, window, step).flatMap(y => offsets(width, window, step).map(x => [y, x]));
+  const [base] = await score([image]);
+  const total = new Float64Array(plane);
+  const covered = new Float64Array(plane);
+  const size = batchSize([channels, height, width]);
+  for (let start = 0; start < windows.length; start += size) {
+    const batch = windows.slice(start, start + size);
+    const scores = await score(batch.map(([top, left]) => {
+      const occluded = Float64Array.from(image);
+      for (let c = 0; c < channels; c++) {
+        for (let y = top; y < top + window; y++) occluded.fill(fill[c], c * plane + y * width + left, c * plane + y * width + left + window);
+      }
+      return occluded;
+    }));
+    batch.forEach(([top, left], i) => {
+      for (let y = top; y < top + window; y++) {
+        for (let x = left; x < left + window; x++) {
+          total[y * width + x] += base - scores[i];
+          covered[y * width + x] += 1;
+        }
+      }
+    });
+  }
+  const saliency = total.map((value, p) => value / covered[p]);
+  return {
+    saliency: toMatrix(saliency, height, width),
+    base_score: base,
+    settings: { window_size: window, stride: step, num_windows: windows.length, fill: 'channel_mean' }
+  };
+}
+
+// Random binary grid upsampled bilinearly to the image and shifted by a random sub-cell offset
+function randomMask(rng, height, width, resolution, keepProbability) {
+  const cellHeight = Math.ceil(height / resolution);
+  const cellWidth = Math.ceil(width / resolution);
+  const grid = Array.from({ length: (resolution + 1) ** 2 }, () => (rng.next() < keepProbability ? 1 : 0));
+  const shiftY = rng.next() * cellHeight;
+  const shiftX = rng.next() * cellWidth;
+  const mask = new Float64Array(height * width);
+  for (let y = 0; y < height; y++) {
+    const gy = Math.min(resolution, (y + shiftY) / cellHeight);
+    const y0 = Math.floor(gy);
+    const y1 = Math.min(resolution, y0 + 1);
+    const fy = gy - y0;
+    for (let x = 0; x < width; x++) {
+      const gx = Math.min(resolution, (x + shiftX) / cellWidth);
+      const x0 = Math.floor(gx);
+      const x1 = Math.min(resolution, x0 + 1);
+      const fx = gx - x0;
+      const at = (row, column) => grid[row * (resolution + 1) + column];
+      mask[y * width + x] = (at(y0, x0) * (1 - fx) + at(y0, x1) * fx) * (1 - fy) + (at(y1, x0) * (1 - fx) + at(y1, x1) * fx) * fy;
+    }
+  }
+  return mask;
+}
+
+/**
+ * Scores the image under random smooth masks; saliency is the score-weighted mean of the masks,
+ * normalised by the keep probability so an unimportant pixel sits near the mean score.
+ */
+export async function rise(score, image, [channels, height, width], { numMasks = 500, resolution = 7, keepProbability = 0.5, seed } = {}) {
+  if (!(keepProbability > 0 && keepProbability < 1)) throw new Error('keep_probability must be between 0 and 1');
+  const resolvedSeed = resolveSeed(seed);
+  const rng = createRng(resolvedSeed);
+  const plane = height * width;
+  const [base] = await score([image]);
+  const saliency = new Float64Array(plane);
+  let scoreTotal = 0;
+  const size = batchSize([channels, height, width]);
+  for (let start = 0; start < numMasks; start += size) {
+    const masks = Array.from({ length: Math.min(size, numMasks - start) }, () => randomMask(rng, height, width, resolution, keepProbability));
+    const scores = await score(masks.map(mask => image.map((value, i) => value * mask[i % plane])));
+    masks.forEach((mask, m) => {
+      scoreTotal += scores[m];
+      for (let p = 0; p < plane; p++) saliency[p] += scores[m] * mask[p];
+    });
+  }
+  for (let p = 0; p < plane; p++) saliency[p] /= numMasks * keepProbability;
+  return {
+    saliency: toMatrix(saliency, height, width),
+    base_score: base,
+    mean_masked_score: scoreTotal / numMasks,
+    settings: { num_masks: numMasks, mask_resolution: resolution, keep_probability: keepProbability },
+    seed: resolvedSeed
+  };
+}
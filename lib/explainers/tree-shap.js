@@ -0,0 +1,247 @@
+// TreeSHAP (Lundberg et al., 2020): exact Shapley values of tree ensembles in polynomial time.
+// Attributions explain the raw ensemble output (the margin, in log-odds when the link is logistic)
+
+import { goesLeft } from '../models.js';
+import { mean } from '../linalg.js';
+import { createRng, resolveSeed } from '../random.js';
+import { toFeatureMap } from '../samples.js';
+
+export const FEATURE_PERTURBATIONS = ['interventional', 'tree_path_dependent'];
+
+const isLeaf = (node) => node.value !== undefined;
+
+function binomial(n, k) {
+  let result = 1;
+  for (let i = 1; i <= k; i++) result = (result * (n - k + i)) / i;
+  return result;
+}
+
+// Path-dependent TreeSHAP weighs the two branches of every split by the cover of the children
+function hasCover(node) {
+  if (isLeaf(node)) return true;
+  const covers = [node.left.cover, node.right.cover];
+  return covers.every(cover => Number.isFinite(cover) && cover >= 0) && covers[0] + covers[1] > 0 &&
+    hasCover(node.left) && hasCover(node.right);
+}
+
+// Cover-weighted mean of the leaves: the tree's expected output over its training data
+function expectedValue(node) {
+  if (isLeaf(node)) return node.value;
+  const total = node.left.cover + node.right.cover;
+  return (node.left.cover * expectedValue(node.left) + node.right.cover * expectedValue(node.right)) / total;
+}
+
+// Path bookkeeping from Algorithm 2 of the TreeSHAP paper: each element holds the fraction of zero
+// (feature absent) and one (feature present) paths through its split and the permutation weight
+function extendPath(path, depth, zero, one, feature) {
+  path[depth] = { feature, zero, one, weight: depth === 0 ? 1 : 0 };
+  for (let i = depth - 1; i >= 0; i--) {
+    path[i + 1].weight += (one * path[i].weight * (i + 1)) / (depth + 1);
+    path[i].weight = (zero * path[i].weight * (depth - i)) / (depth + 1);
+  }
+}
+
+function unwindPath(path, depth, index) {
+  const { zero, one } = path[index];
+  let nextOne = path[depth].weight;
+  for (let i = depth - 1; i >= 0; i--) {
+    if (one !== 0) {
+      const previous = path[i].weight;
+      path[i].weight = (nextOne * (depth + 1)) / ((i + 1) * one);
+      nextOne = previous - (path[i].weight * zero * (depth - i)) / (depth + 1);
+    } else {
+      path[i].weight = (path[i].weight * (depth + 1)) / (zero * (depth - i));
+    }
+  }
+  for (let i = index; i < depth; i++) {
+    path[i].feature = path[i + 1].feature;
+    path[i].zero = path[i + 1].zero;
+    path[i].one = path[i + 1].one;
+  }
+}
+
+// Total permutation weight of the path with element `index` removed, without modifying it
+function unwoundPathSum(path, depth, index) {
+  const { zero, one } = path[index];
+  let nextOne = path[depth].weight;
+  let total = 0;
+  for (let i = depth - 1; i >= 0; i--) {
+    if (one !== 0) {
+      const weight = (nextOne * (depth + 1)) / ((i + 1) * one);
+      total += weight;
+      nextOne = path[i].weight - (weight * zero * (depth - i)) / (depth + 1);
+    } else if (zero !== 0) {
+      total += path[i].weight / zero / ((depth - i) / (depth + 1));
+    }
+  }
+  return total;
+}
+
+/**
+ * Adds one tree's path-dependent SHAP values for x to phi. A non-zero `condition` fixes
+ * `conditionFeature` as present (1) or absent (-1), which the interaction values are built from.
+ */
+function pathDependentTree(root, x, phi, condition = 0, conditionFeature = -1) {
+  const recurse = (node, parentPath, depth, parentZero, parentOne, parentFeature, conditionFraction) => {
+    if (conditionFraction === 0) return;
+    const path = parentPath.slice(0, depth + 1).map(element => ({ ...element }));
+    if (condition === 0 || conditionFeature !== parentFeature) {
+      extendPath(path, depth, parentZero, parentOne, parentFeature);
+    }
+
+    if (isLeaf(node)) {
+      for (let i = 1; i <= depth; i++) {
+        const weight = unwoundPathSum(path, depth, i);
+        phi[path[i].feature] += weight * (path[i].one - path[i].zero) * node.value * conditionFraction;
+      }
+      return;
+    }
+
+    const [hot, cold] = goesLeft(node, x[node.feature]) ? [node.left, node.right] : [node.right, node.left];
+    const total = node.left.cover + node.right.cover;
+    const hotZero = hot.cover / total;
+    const coldZero = cold.cover / total;
+
+    // A feature split on again higher up is unwound so this split redefines its fractions
+    let incomingZero = 1;
+    let incomingOne = 1;
+    let uniqueDepth = depth;
+    const previous = path.findIndex((element, i) => i <= uniqueDepth && element.feature === node.feature);
+    if (previous >= 0) {
+      incomingZero = path[previous].zero;
+      incomingOne = path[previous].one;
+      unwindPath(path, uniqueDepth, previous);
+      uniqueDepth -= 1;
+    }
+
+    let hotFraction = conditionFraction;
+    let coldFraction = conditionFraction;
+    if (condition > 0 && node.feature === conditionFeature) {
+      coldFraction = 0;
+      uniqueDepth -= 1;
+    } else if (condition < 0 && node.feature === conditionFeature) {
+      hotFraction *= hotZero;
+      coldFraction *= coldZero;
+      uniqueDepth -= 1;
+    }
+
+    recurse(hot, path, uniqueDepth + 1, hotZero * incomingZero, incomingOne, node.feature, hotFraction);
+    recurse(cold, path, uniqueDepth + 1, coldZero * incomingZero, 0, node.feature, coldFraction);
+  };
+  recurse(root, [], 0, 1, 1, -1, 1);
+}
+
+/**
+ * Adds one tree's exact Shapley values for x against a single reference row z to phi. Only splits
+ * that send x and z different ways matter; a leaf reached with features A taken from x and B from z
+ * counts for coalitions containing A and none of B, which gives closed-form Shapley weights.
+ */
+function interventionalTree(root, x, z, phi, condition = 0, conditionFeature = -1) {
+  const source = new Int8Array(x.length);
+  const assigned = [];
+  const visit = (node, fromX, fromZ) => {
+    if (isLeaf(node)) {
+      if (fromX + fromZ === 0) return;
+      const xWeight = fromX > 0 ? node.value / (fromX * binomial(fromX + fromZ, fromX)) : 0;
+      const zWeight = fromZ > 0 ? node.value / (fromZ * binomial(fromX + fromZ, fromZ)) : 0;
+      for (const feature of assigned) phi[feature] += source[feature] > 0 ? xWeight : -zWeight;
+      return;
+    }
+    const feature = node.feature;
+    const xLeft = goesLeft(node, x[feature]);
+    const zLeft = goesLeft(node, z[feature]);
+    const xChild = xLeft ? node.left : node.right;
+    const zChild = zLeft ? node.left : node.right;
+    if (xLeft === zLeft) return visit(xChild, fromX, fromZ);
+    if (feature === conditionFeature) return visit(condition > 0 ? xChild : zChild, fromX, fromZ);
+    if (source[feature] !== 0) return visit(source[feature] > 0 ? xChild : zChild, fromX, fromZ);
+
+    assigned.push(feature);
+    source[feature] = 1;
+    visit(xChild, fromX + 1, fromZ);
+    source[feature] = -1;
+    visit(zChild, fromX, fromZ + 1);
+    source[feature] = 0;
+    assigned.pop();
+  };
+  visit(root, 0, 0);
+}
+
+/**
+ * TreeSHAP for rf, xgb and tree_ensemble models. `featurePerturbation` 'interventional' averages exact
+ * Shapley values against the background rows (all zeros without one); 'tree_path_dependent' needs no
+ * background and follows the node covers instead. 'auto' picks interventional when a background is
+ * given and path-dependent otherwise. With `interactions`, SHAP interaction values are returned too.
+ */
+export function treeShap(model, x, { background, featurePerturbation = 'auto', interactions = false, seed, maxBackground = 100 } = {}) {
+  const covered = model.trees.every(hasCover);
+  const mode = featurePerturbation === 'auto'
+    ? (background || !covered ? 'interventional' : 'tree_path_dependent')
+    : featurePerturbation;
+  if (!FEATURE_PERTURBATIONS.includes(mode)) {
+    throw new Error(`Unknown feature_perturbation '${mode}'. Use auto, ${FEATURE_PERTURBATIONS.join(' or ')}`);
+  }
+  if (mode === 'tree_path_dependent' && !covered) {
+    throw new Error('Path-dependent TreeSHAP needs the cover (training samples or hessian) of every tree node; use interventional with a background instead');
+  }
+
+  const resolvedSeed = resolveSeed(seed);
+  const rng = createRng(resolvedSeed);
+  const rows = background ?? [new Array(x.length).fill(0)];
+  const reference = rows.length > maxBackground ? rng.sample(rows, maxBackground) : rows;
+  const scale = model.aggregation === 'mean' ? 1 / model.trees.length : 1;
+
+  const shapValues = (condition = 0, conditionFeature = -1) => {
+    const phi = new Array(x.length).fill(0);
+    if (mode === 'tree_path_dependent') {
+      for (const tree of model.trees) pathDependentTree(tree, x, phi, condition, conditionFeature);
+      return phi.map(value => value * scale);
+    }
+    for (const z of reference) {
+      for (const tree of model.trees) interventionalTree(tree, x, z, phi, condition, conditionFeature);
+    }
+    return phi.map(value => (value * scale) / reference.length);
+  };
+
+  const phi = shapValues();
+  const margin = model.margin(x);
+  const baseValue = mode === 'tree_path_dependent'
+    ? model.baseScore + scale * model.trees.reduce((total, tree) => total + expectedValue(tree), 0)
+    : mean(reference.map(row => model.margin(row)));
+  const attributionSum = phi.reduce((total, value) => total + value, 0);
+
+  let interactionValues;
+  if (interactions) {
+    // Φij is half the change in φi when feature j is switched from absent to present; Φii keeps the rest
+    const matrix = phi.map(() => new Array(x.length).fill(0));
+    for (let j = 0; j < x.length; j++) {
+      const present = shapValues(1, j);
+      const absent = shapValues(-1, j);
+      for (let i = 0; i < x.length; i++) {
+        if (i !== j) matrix[i][j] = (present[i] - absent[i]) / 2;
+      }
+    }
+    matrix.forEach((row, i) => {
+      row[i] = phi[i] - row.reduce((total, value, j) => (j === i ? total : total + value), 0);
+    });
+    interactionValues = Object.fromEntries(model.featureNames.map((name, i) => [name, toFeatureMap(model.featureNames, matrix[i])]));
+  }
+
+  return {
+    method: 'tree_shap',
+    feature_perturbation: mode,
+    model_output: model.link === 'logistic' ? 'log_odds' : 'raw',
+    attributions: toFeatureMap(model.featureNames, phi),
+    base_value: baseValue,
+    margin,
+    prediction: model.predict(x),
+    sum_check: {
+      sum_of_attributions: attributionSum,
+      margin_minus_base: margin - baseValue,
+      error: Math.abs(attributionSum - (margin - baseValue))
+    },
+    ...(interactionValues && { interaction_values: interactionValues }),
+    ...(mode === 'interventional' && { background_size: reference.length }),
+    seed: resolvedSeed
+  };
+}
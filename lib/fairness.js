@@ -0,0 +1,90 @@
+// Fairness of explanation quality: faithfulness and stability scored separately for protected
+// subgroups of a dataset, with the disparity between the best and worst served group
+
+import { higherIsBetter } from './leaderboard.js';
+
+// Per-row metrics that can be compared across groups; agreement metrics have no per-row meaning here
+export const FAIRNESS_BASE_METRICS = ['PGI', 'PGU', 'RIS', 'RRS', 'ROS'];
+export const FAITHFULNESS_METRICS = ['PGI', 'PGU'];
+const MAX_DISTINCT_GROUPS = 10;
+
+const describeValue = (value) => (typeof value === 'string' ? `'${value}'` : String(value));
+
+/**
+ * Splits the dataset rows into subgroups of `feature` (any column, compared on its original values):
+ * one group per entry of `values`, a below/at-or-above split at `threshold`, or else one group per
+ * distinct value. Returns [{ name, rows }] with row indices into the dataset.
+ */
+export function defineSubgroups(dataset, { feature, values, threshold }) {
+  const columns = dataset.summary.columns.map(column => column.name);
+  if (!columns.includes(feature)) {
+    throw new Error(`Protected feature '${feature}' not found. Columns: ${columns.join(', ')}`);
+  }
+  const column = dataset.records.map(record => record[feature]);
+  const present = column.map((value, i) => (value === null ? -1 : i)).filter(i => i >= 0);
+
+  let groups;
+  if (threshold !== undefined) {
+    if (present.some(i => typeof column[i] !== 'number')) {
+      throw new Error(`threshold needs a numeric protected feature; '${feature}' is ${dataset.summary.columns.find(c => c.name === feature).type}`);
+    }
+    groups = [
+      { name: `${feature} < ${threshold}`, rows: present.filter(i => column[i] < threshold) },
+      { name: `${feature} >= ${threshold}`, rows: present.filter(i => column[i] >= threshold) }
+    ];
+  } else {
+    const distinct = values ?? [...new Set(present.map(i => column[i]))].sort();
+    if (!values && distinct.length > MAX_DISTINCT_GROUPS) {
+      throw new Error(`'${feature}' has ${distinct.length} distinct values; pass protected_values or a threshold`);
+    }
+    groups = distinct.map(value => ({
+      name: `${feature} = ${describeValue(value)}`,
+      rows: present.filter(i => String(column[i]) === String(value))
+    }));
+  }
+
+  const empty = groups.filter(group => group.rows.length === 0);
+  if (empty.length > 0) {
+    const seen = [...new Set(present.map(i => column[i]))].slice(0, MAX_DISTINCT_GROUPS).map(describeValue);
+    throw new Error(`No rows in ${empty.map(group => group.name).join(', ')}. Values of '${feature}' include ${seen.join(', ')}`);
+  }
+  if (groups.length < 2) {
+    throw new Error(`Fairness needs at least two subgroups of '${feature}'`);
+  }
+  return groups;
+}
+
+/**
+ * Gap between the best and worst group means for one metric, in the metric's direction; ratio is
+ * worst / best (1 means parity) when both are positive.
+ */
+export function disparity(metric, groupScores) {
+  const scored = groupScores.filter(group => Number.isFinite(group.score));
+  if (scored.length < 2) {
+    return { metric, gap: null, ratio: null, best_group: null, worst_group: null, higher_is_better: higherIsBetter(metric) };
+  }
+  const ascending = [...scored].sort((a, b) => a.score - b.score);
+  const direction = higherIsBetter(metric);
+  const best = direction ? ascending[ascending.length - 1] : ascending[0];
+  const worst = direction ? ascending[0] : ascending[ascending.length - 1];
+  return {
+    metric,
+    gap: ascending[ascending.length - 1].score - ascending[0].score,
+    ratio: best.score > 0 && worst.score > 0 ? Math.min(best.score, worst.score) / Math.max(best.score, worst.score) : null,
+    best_group: best.name,
+    worst_group: worst.name,
+    higher_is_better: direction
+  };
+}
+
+// FG and SG: the largest gap among the faithfulness and the stability metrics evaluated
+export function fairnessSummary(disparities) {
+  const largest = (metrics) => {
+    const gaps = disparities.filter(entry => metrics.includes(entry.metric) && entry.gap !== null).map(entry => entry.gap);
+    return gaps.length > 0 ? Math.max(...gaps) : null;
+  };
+  return {
+    FG: largest(FAITHFULNESS_METRICS),
+    SG: largest(FAIRNESS_BASE_METRICS.filter(metric => !FAITHFULNESS_METRICS.includes(metric)))
+  };
+}
@@ -0,0 +1,124 @@
+// Network transport: clients open an SSE stream with GET /sse and post JSON-RPC messages to
+// /messages?sessionId=..., each session served by its own MCP Server over shared tool state
+
+import http from 'http';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+
+export const TRANSPORTS = ['stdio', 'http'];
+export const DEFAULT_HOST = '127.0.0.1';
+export const DEFAULT_PORT = 3000;
+
+const SSE_PATH = '/sse';
+const MESSAGES_PATH = '/messages';
+const HEALTH_PATH = '/health';
+
+function flagValue(argv, name) {
+  const index = argv.findIndex(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+  if (index < 0) return undefined;
+  const arg = argv[index];
+  return arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : argv[index + 1];
+}
+
+/**
+ * Transport settings from the command line (--transport stdio|http, --http, --host, --port),
+ * falling back to OPENXAI_TRANSPORT, OPENXAI_HOST and OPENXAI_PORT (or PORT).
+ */
+export function transportOptions(argv = process.argv.slice(2), env = process.env) {
+  const transport = argv.includes('--http') ? 'http' : flagValue(argv, 'transport') ?? env.OPENXAI_TRANSPORT ?? 'stdio';
+  if (!TRANSPORTS.includes(transport)) {
+    throw new Error(`Unknown transport '${transport}'. Use one of: ${TRANSPORTS.join(', ')}`);
+  }
+  const host = flagValue(argv, 'host') ?? env.OPENXAI_HOST ?? DEFAULT_HOST;
+  const rawPort = flagValue(argv, 'port') ?? env.OPENXAI_PORT ?? env.PORT ?? DEFAULT_PORT;
+  const port = Number(rawPort);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port '${rawPort}'`);
+  }
+  return { transport, host, port };
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+}
+
+export class HttpTransportServer {
+  /**
+   * `createServer` returns a new, unconnected MCP Server for each SSE session; `info` ({ name, version })
+   * is reported by /health.
+   */
+  constructor(createServer, { host = DEFAULT_HOST, port = DEFAULT_PORT, info = {} } = {}) {
+    this.createServer = createServer;
+    this.host = host;
+    this.port = port;
+    this.info = info;
+    this.sessions = new Map();
+    this.startedAt = Date.now();
+    this.httpServer = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        if (!res.headersSent) sendJSON(res, 500, { error: error.message });
+      });
+    });
+  }
+
+  // Resolves with the base URL once listening (port 0 picks a free port)
+  start() {
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off('error', reject);
+        const { port } = this.httpServer.address();
+        const host = this.host.includes(':') ? `[${this.host}]` : this.host;
+        resolve(`http://${host}:${port}`);
+      });
+    });
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === HEALTH_PATH) {
+      return sendJSON(res, 200, {
+        status: 'ok',
+        ...this.info,
+        transport: 'http',
+        sessions: this.sessions.size,
+        uptime_s: Math.round((Date.now() - this.startedAt) / 1000)
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === SSE_PATH) {
+      const transport = new SSEServerTransport(MESSAGES_PATH, res);
+      const server = this.createServer();
+      const { sessionId } = transport;
+      this.sessions.set(sessionId, { server, transport });
+      // Fires when the client disconnects or the server is closed; the factory's own onclose still runs
+      const onclose = server.onclose;
+      server.onclose = () => {
+        this.sessions.delete(sessionId);
+        onclose?.();
+      };
+      await server.connect(transport);
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === MESSAGES_PATH) {
+      const session = this.sessions.get(url.searchParams.get('sessionId'));
+      if (!session) {
+        return sendJSON(res, 404, { error: 'Unknown or expired session. Reconnect to /sse' });
+      }
+      return session.transport.handlePostMessage(req, res);
+    }
+
+    sendJSON(res, 404, { error: `Not found. Endpoints: GET ${SSE_PATH}, POST ${MESSAGES_PATH}, GET ${HEALTH_PATH}` });
+  }
+
+  // Ends every SSE stream, then stops accepting connections
+  async close() {
+    await Promise.all([...this.sessions.values()].map(({ server }) => server.close()));
+    this.sessions.clear();
+    await new Promise(resolve => {
+      this.httpServer.close(() => resolve());
+      this.httpServer.closeAllConnections();
+    });
+  }
+}
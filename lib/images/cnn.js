@@ -0,0 +1,195 @@
+// JSON-defined convolutional networks over images, evaluated in-process for image explanations
+
+import { ACTIVATIONS, softmax } from '../models.js';
+
+export const IMAGE_MODEL_TYPES = ['cnn'];
+const LAYER_TYPES = ['conv2d', 'maxpool', 'avgpool', 'flatten', 'dense'];
+
+const isMatrix = (value, rows) => Array.isArray(value) && value.length === rows && value.every(Array.isArray);
+
+function resolveActivation(activation, location, last) {
+  if (activation === 'softmax') {
+    if (!last) throw new Error(`${location}: softmax is only supported on the output layer`);
+    return activation;
+  }
+  if (!ACTIVATIONS[activation]) {
+    throw new Error(`Unknown activation '${activation}' in ${location}. Available: ${[...Object.keys(ACTIVATIONS), 'softmax'].join(', ')}`);
+  }
+  return activation;
+}
+
+// Checks every layer against the shape the previous one produces and returns the layers with defaults
+function validateLayers(layers, inputShape) {
+  if (!Array.isArray(layers) || layers.length === 0) {
+    throw new Error("CNN model requires a non-empty 'layers' array");
+  }
+  let shape = inputShape;
+  const validated = layers.map((layer, l) => {
+    const location = `layers[${l}]`;
+    const last = l === layers.length - 1;
+    if (!LAYER_TYPES.includes(layer?.type)) {
+      throw new Error(`${location}.type must be one of ${LAYER_TYPES.join(', ')}`);
+    }
+
+    if (layer.type === 'conv2d') {
+      if (shape.length !== 3) throw new Error(`${location}: conv2d needs a [channels, height, width] input`);
+      const [channels, height, width] = shape;
+      const { weights } = layer;
+      if (!Array.isArray(weights) || weights.length === 0 || !weights.every(kernel => isMatrix(kernel, channels))) {
+        throw new Error(`${location}.weights must be [out_channels][${channels}][kernel_height][kernel_width]`);
+      }
+      const kernelHeight = weights[0][0].length;
+      const kernelWidth = weights[0][0][0]?.length;
+      if (!weights.every(kernel => kernel.every(plane => isMatrix(plane, kernelHeight) && plane.every(row => row.length === kernelWidth)))) {
+        throw new Error(`${location}.weights kernels must all be ${kernelHeight}x${kernelWidth}`);
+      }
+      const stride = layer.stride ?? 1;
+      const padding = layer.padding ?? 0;
+      const outHeight = Math.floor((height + 2 * padding - kernelHeight) / stride) + 1;
+      const outWidth = Math.floor((width + 2 * padding - kernelWidth) / stride) + 1;
+      if (outHeight < 1 || outWidth < 1) throw new Error(`${location}: the kernel is larger than its ${height}x${width} input`);
+      const bias = layer.bias ?? new Array(weights.length).fill(0);
+      if (bias.length !== weights.length) throw new Error(`${location}.bias must have ${weights.length} entries`);
+      shape = [weights.length, outHeight, outWidth];
+      return {
+        type: 'conv2d', weights, bias, stride, padding, kernelHeight, kernelWidth,
+        activation: resolveActivation(layer.activation ?? 'relu', location, last), outputShape: shape
+      };
+    }
+
+    if (layer.type === 'maxpool' || layer.type === 'avgpool') {
+      if (shape.length !== 3) throw new Error(`${location}: ${layer.type} needs a [channels, height, width] input`);
+      const size = layer.size ?? 2;
+      const stride = layer.stride ?? size;
+      const [channels, height, width] = shape;
+      const outHeight = Math.floor((height - size) / stride) + 1;
+      const outWidth = Math.floor((width - size) / stride) + 1;
+      if (outHeight < 1 || outWidth < 1) throw new Error(`${location}: pool size ${size} is larger than its ${height}x${width} input`);
+      shape = [channels, outHeight, outWidth];
+      return { type: layer.type, size, stride, outputShape: shape };
+    }
+
+    if (layer.type === 'flatten') {
+      shape = [shape.reduce((total, size) => total * size, 1)];
+      return { type: 'flatten', outputShape: shape };
+    }
+
+    // Dense layers flatten a spatial input in [channels, height, width] order, as PyTorch does
+    const inputs = shape.reduce((total, size) => total * size, 1);
+    const { weights } = layer;
+    if (!Array.isArray(weights) || weights.length === 0 || !weights.every(row => Array.isArray(row) && row.length === inputs)) {
+      throw new Error(`${location}.weights must be a [outputs][${inputs}] matrix`);
+    }
+    const bias = layer.bias ?? new Array(weights.length).fill(0);
+    if (bias.length !== weights.length) throw new Error(`${location}.bias must have ${weights.length} entries`);
+    shape = [weights.length];
+    return {
+      type: 'dense', weights, bias,
+      activation: resolveActivation(layer.activation ?? (last ? 'linear' : 'relu'), location, last), outputShape: shape
+    };
+  });
+  if (shape.length !== 1) throw new Error('The last CNN layer must produce a vector of class scores (end with dense or flatten)');
+  return validated;
+}
+
+function convolve(layer, input, [channels, height, width]) {
+  const [outChannels, outHeight, outWidth] = layer.outputShape;
+  const output = new Float64Array(outChannels * outHeight * outWidth);
+  const activate = ACTIVATIONS[layer.activation].forward;
+  for (let o = 0; o < outChannels; o++) {
+    for (let y = 0; y < outHeight; y++) {
+      for (let x = 0; x < outWidth; x++) {
+        let total = layer.bias[o];
+        for (let c = 0; c < channels; c++) {
+          const kernel = layer.weights[o][c];
+          for (let ky = 0; ky < layer.kernelHeight; ky++) {
+            const row = y * layer.stride + ky - layer.padding;
+            if (row < 0 || row >= height) continue;
+            for (let kx = 0; kx < layer.kernelWidth; kx++) {
+              const column = x * layer.stride + kx - layer.padding;
+              if (column < 0 || column >= width) continue;
+              total += kernel[ky][kx] * input[(c * height + row) * width + column];
+            }
+          }
+        }
+        output[(o * outHeight + y) * outWidth + x] = activate(total);
+      }
+    }
+  }
+  return output;
+}
+
+function pool(layer, input, [channels, height, width]) {
+  const [, outHeight, outWidth] = layer.outputShape;
+  const output = new Float64Array(channels * outHeight * outWidth);
+  for (let c = 0; c < channels; c++) {
+    for (let y = 0; y < outHeight; y++) {
+      for (let x = 0; x < outWidth; x++) {
+        let result = layer.type === 'maxpool' ? -Infinity : 0;
+        for (let py = 0; py < layer.size; py++) {
+          for (let px = 0; px < layer.size; px++) {
+            const value = input[(c * height + y * layer.stride + py) * width + x * layer.stride + px];
+            result = layer.type === 'maxpool' ? Math.max(result, value) : result + value;
+          }
+        }
+        output[(c * outHeight + y) * outWidth + x] = layer.type === 'maxpool' ? result : result / (layer.size * layer.size);
+      }
+    }
+  }
+  return output;
+}
+
+function dense(layer, input) {
+  const z = layer.weights.map((row, i) => {
+    let total = layer.bias[i];
+    for (let j = 0; j < row.length; j++) total += row[j] * input[j];
+    return total;
+  });
+  return layer.activation === 'softmax' ? softmax(z) : z.map(value => ACTIVATIONS[layer.activation].forward(value));
+}
+
+/**
+ * Builds a CNN from { type: 'cnn', input_shape: [channels, height, width], layers, normalize?, classes? }.
+ * predict takes a [channels][height][width] Float64Array with values in [0, 1] and returns the class
+ * scores; `normalize` ({ mean, std } per channel) is applied first.
+ */
+export function createImageModel(spec) {
+  const inputShape = spec.input_shape;
+  if (!Array.isArray(inputShape) || inputShape.length !== 3 || !inputShape.every(size => Number.isInteger(size) && size > 0)) {
+    throw new Error('CNN model requires input_shape [channels, height, width]');
+  }
+  const [channels, height, width] = inputShape;
+  if (channels !== 1 && channels !== 3) throw new Error('CNN input_shape must have 1 (grayscale) or 3 (RGB) channels');
+  const layers = validateLayers(spec.layers, inputShape);
+  const numClasses = layers[layers.length - 1].outputShape[0];
+  const classes = spec.classes ?? Array.from({ length: numClasses }, (_, i) => String(i));
+  if (classes.length !== numClasses) throw new Error(`classes must have ${numClasses} entries`);
+  const mean = spec.normalize?.mean ?? new Array(channels).fill(0);
+  const std = spec.normalize?.std ?? new Array(channels).fill(1);
+  if (mean.length !== channels || std.length !== channels || std.some(value => !(value > 0))) {
+    throw new Error(`normalize.mean and normalize.std need ${channels} entries with std > 0`);
+  }
+
+  const predict = (image) => {
+    let values = image.map((value, i) => (value - mean[Math.floor(i / (height * width))]) / std[Math.floor(i / (height * width))]);
+    let shape = inputShape;
+    for (const layer of layers) {
+      if (layer.type === 'conv2d') values = convolve(layer, values, shape);
+      else if (layer.type === 'dense') values = dense(layer, values);
+      else if (layer.type !== 'flatten') values = pool(layer, values, shape);
+      shape = layer.outputShape;
+    }
+    return Array.from(values);
+  };
+
+  return {
+    type: 'cnn',
+    inputShape,
+    numFeatures: channels * height * width,
+    numClasses,
+    classes,
+    layers,
+    predict,
+    predictBatch: (images) => images.map(predict)
+  };
+}
@@ -0,0 +1,55 @@
+// Saliency heatmaps blended over the explained image, encoded as PNG for MCP image content
+
+import { encodePng } from './png.js';
+
+// Small images are enlarged by a whole factor so the heatmap stays legible
+const MIN_DISPLAY_SIZE = 224;
+const OVERLAY_ALPHA = 0.5;
+
+// Jet colour map: blue (low) through green to red (high), t in [0, 1]
+function jet(t) {
+  const clamp = (value) => Math.min(1, Math.max(0, value));
+  return [clamp(1.5 - Math.abs(4 * t - 3)), clamp(1.5 - Math.abs(4 * t - 2)), clamp(1.5 - Math.abs(4 * t - 1))];
+}
+
+/**
+ * Renders `saliency` (a [height][width] matrix at any resolution) over the grayscale input image.
+ * Values are rescaled from their min-max range; returns the PNG buffer and its size.
+ */
+export function renderOverlay(image, saliency) {
+  const rows = saliency.length;
+  const columns = saliency[0].length;
+  // A loop, not Math.min(...values): spreading a few hundred thousand values overflows the call stack
+  let low = Infinity;
+  let high = -Infinity;
+  for (const row of saliency) {
+    for (const value of row) {
+      if (value < low) low = value;
+      if (value > high) high = value;
+    }
+  }
+  const range = high - low;
+
+  const factor = Math.max(1, Math.floor(MIN_DISPLAY_SIZE / Math.max(image.width, image.height)));
+  const width = image.width * factor;
+  const height = image.height * factor;
+  const pixels = new Uint8Array(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    const sourceY = Math.floor(y / factor);
+    const saliencyRow = saliency[Math.min(rows - 1, Math.floor((y * rows) / height))];
+    for (let x = 0; x < width; x++) {
+      const sourceX = Math.floor(x / factor);
+      const offset = (sourceY * image.width + sourceX) * image.channels;
+      let gray = 0;
+      for (let c = 0; c < image.channels; c++) gray += image.pixels[offset + c];
+      gray /= image.channels * 255;
+
+      const value = saliencyRow[Math.min(columns - 1, Math.floor((x * columns) / width))];
+      const colour = jet(range > 0 ? (value - low) / range : 0);
+      for (let c = 0; c < 3; c++) {
+        pixels[(y * width + x) * 3 + c] = Math.round(255 * ((1 - OVERLAY_ALPHA) * gray + OVERLAY_ALPHA * colour[c]));
+      }
+    }
+  }
+  return { png: encodePng({ width, height, channels: 3, pixels }), width, height };
+}
@@ -0,0 +1,174 @@
+// Minimal PNG codec for image explanations: decodes non-interlaced PNGs of any colour type and bit
+// depth to 8-bit grayscale or RGB pixels, and encodes 8-bit grayscale or RGB images
+
+import { deflateSync, inflateSync } from 'zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Samples per pixel for each PNG colour type: gray, RGB, palette, gray + alpha, RGBA
+const COLOR_SAMPLES = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+// Largest image decoded (a 4096 × 4096 square); the header is checked before any data is inflated
+export const MAX_PNG_PIXELS = 4096 * 4096;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Reverses the per-scanline filters in place and returns the raw scanlines without filter bytes
+function unfilter(data, height, rowBytes, bytesPerPixel) {
+  const rows = Buffer.alloc(height * rowBytes);
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (rowBytes + 1)];
+    const line = data.subarray(y * (rowBytes + 1) + 1, (y + 1) * (rowBytes + 1));
+    const offset = y * rowBytes;
+    for (let i = 0; i < rowBytes; i++) {
+      const left = i >= bytesPerPixel ? rows[offset + i - bytesPerPixel] : 0;
+      const up = y > 0 ? rows[offset - rowBytes + i] : 0;
+      const upLeft = y > 0 && i >= bytesPerPixel ? rows[offset - rowBytes + i - bytesPerPixel] : 0;
+      let predictor;
+      if (filter === 0) predictor = 0;
+      else if (filter === 1) predictor = left;
+      else if (filter === 2) predictor = up;
+      else if (filter === 3) predictor = (left + up) >> 1;
+      else if (filter === 4) predictor = paeth(left, up, upLeft);
+      else throw new Error(`Invalid PNG filter type ${filter} on row ${y}`);
+      rows[offset + i] = (line[i] + predictor) & 0xff;
+    }
+  }
+  return rows;
+}
+
+// Sample `index` of a scanline at the given bit depth, scaled to 0-255 (palette indices are not scaled)
+function readSample(row, index, bitDepth, scale) {
+  if (bitDepth === 8) return row[index];
+  if (bitDepth === 16) return row[index * 2];
+  const perByte = 8 / bitDepth;
+  const shift = 8 - bitDepth * ((index % perByte) + 1);
+  const value = (row[Math.floor(index / perByte)] >> shift) & ((1 << bitDepth) - 1);
+  return scale ? Math.round((value * 255) / ((1 << bitDepth) - 1)) : value;
+}
+
+/**
+ * Decodes a PNG buffer to { width, height, channels, pixels } with 8-bit row-major pixels: one
+ * channel for grayscale images and three otherwise (palettes are expanded, alpha is dropped).
+ */
+export function decodePng(buffer) {
+  if (buffer.length < SIGNATURE.length || !buffer.subarray(0, SIGNATURE.length).equals(SIGNATURE)) {
+    throw new Error('Image is not a PNG (bad signature)');
+  }
+  let header = null;
+  let palette = null;
+  const data = [];
+  let offset = SIGNATURE.length;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const body = buffer.subarray(offset + 8, offset + 8 + length);
+    if (body.length < length) throw new Error(`PNG chunk ${type} is truncated`);
+    if (type === 'IHDR') {
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = body;
+    } else if (type === 'IDAT') {
+      data.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += length + 12;
+  }
+
+  if (!header) throw new Error('PNG has no IHDR chunk');
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const samples = COLOR_SAMPLES[colorType];
+  if (!samples || ![1, 2, 4, 8, 16].includes(bitDepth)) {
+    throw new Error(`Unsupported PNG colour type ${colorType} with bit depth ${bitDepth}`);
+  }
+  if (interlace !== 0) throw new Error('Interlaced PNGs are not supported; save the image without interlacing');
+  if (width === 0 || height === 0 || width * height > MAX_PNG_PIXELS) {
+    throw new Error(`PNG is ${width} × ${height}; images must have between 1 and ${MAX_PNG_PIXELS} pixels`);
+  }
+  if (colorType === 3 && !palette) throw new Error('Palette PNG has no PLTE chunk');
+  if (data.length === 0) throw new Error('PNG has no image data');
+
+  const rowBytes = Math.ceil((width * samples * bitDepth) / 8);
+  const expected = height * (rowBytes + 1);
+  let inflated;
+  try {
+    inflated = inflateSync(Buffer.concat(data), { maxOutputLength: expected });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`PNG image data inflates to more than the ${expected} bytes a ${width} × ${height} image needs`);
+    throw error;
+  }
+  if (inflated.length < expected) throw new Error('PNG image data is truncated');
+  const rows = unfilter(inflated, height, rowBytes, Math.max(1, (samples * bitDepth) / 8));
+
+  const channels = colorType === 0 || colorType === 4 ? 1 : 3;
+  const pixels = new Uint8Array(width * height * channels);
+  for (let y = 0; y < height; y++) {
+    const row = rows.subarray(y * rowBytes, (y + 1) * rowBytes);
+    for (let x = 0; x < width; x++) {
+      const target = (y * width + x) * channels;
+      if (colorType === 3) {
+        const index = readSample(row, x, bitDepth, false);
+        for (let c = 0; c < 3; c++) pixels[target + c] = palette[index * 3 + c] ?? 0;
+      } else {
+        for (let c = 0; c < channels; c++) pixels[target + c] = readSample(row, x * samples + c, bitDepth, true);
+      }
+    }
+  }
+  return { width, height, channels, pixels };
+}
+
+function chunk(type, body) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(body.length);
+  const typed = Buffer.concat([Buffer.from(type, 'latin1'), body]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typed));
+  return Buffer.concat([length, typed, crc]);
+}
+
+// Encodes 8-bit row-major pixels with one (grayscale) or three (RGB) channels
+export function encodePng({ width, height, channels, pixels }) {
+  if (channels !== 1 && channels !== 3) throw new Error('PNG encoding supports 1 or 3 channels');
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = channels === 1 ? 0 : 2;
+  const rowBytes = width * channels;
+  const raw = Buffer.alloc(height * (rowBytes + 1));
+  for (let y = 0; y < height; y++) {
+    Buffer.from(pixels.buffer, pixels.byteOffset + y * rowBytes, rowBytes).copy(raw, y * (rowBytes + 1) + 1);
+  }
+  return Buffer.concat([SIGNATURE, chunk('IHDR', header), chunk('IDAT', deflateSync(raw)), chunk('IEND', Buffer.alloc(0))]);
+}
+
+// Accepts raw base64 or a data:image/png;base64 URL
+export function decodeBase64Png(text) {
+  const base64 = text.replace(/^data:[^;,]*;base64,/, '').replace(/\s+/g, '');
+  return decodePng(Buffer.from(base64, 'base64'));
+}
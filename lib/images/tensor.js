@@ -0,0 +1,63 @@
+// Conversions between decoded PNG pixels and the [channels][height][width] tensors models take
+
+// python_model inputs are resized to at most this many pixels; PNGs themselves may be 4096 × 4096
+export const MAX_PYTHON_INPUT_PIXELS = 512 * 512;
+// Longer side of a python_model input when no input_shape is given
+const DEFAULT_PYTHON_SIDE = 224;
+
+// Bilinear sample of channel c at fractional pixel coordinates
+function sample(image, c, y, x) {
+  const y0 = Math.min(image.height - 1, Math.max(0, Math.floor(y)));
+  const x0 = Math.min(image.width - 1, Math.max(0, Math.floor(x)));
+  const y1 = Math.min(image.height - 1, y0 + 1);
+  const x1 = Math.min(image.width - 1, x0 + 1);
+  const fy = Math.min(1, Math.max(0, y - y0));
+  const fx = Math.min(1, Math.max(0, x - x0));
+  const at = (row, column) => image.pixels[(row * image.width + column) * image.channels + c];
+  return (at(y0, x0) * (1 - fx) + at(y0, x1) * fx) * (1 - fy) + (at(y1, x0) * (1 - fx) + at(y1, x1) * fx) * fy;
+}
+
+/**
+ * Converts decoded pixels to a Float64Array tensor of the given shape with values in [0, 1]:
+ * resized bilinearly when the sizes differ, RGB averaged to grayscale or grayscale repeated to RGB.
+ */
+export function toTensor(image, [channels, height, width] = [image.channels, image.height, image.width]) {
+  const tensor = new Float64Array(channels * height * width);
+  const scaleY = image.height / height;
+  const scaleX = image.width / width;
+  for (let y = 0; y < height; y++) {
+    const sourceY = (y + 0.5) * scaleY - 0.5;
+    for (let x = 0; x < width; x++) {
+      const sourceX = (x + 0.5) * scaleX - 0.5;
+      const values = Array.from({ length: image.channels }, (_, c) => sample(image, c, sourceY, sourceX) / 255);
+      for (let c = 0; c < channels; c++) {
+        tensor[(c * height + y) * width + x] = channels === image.channels
+          ? values[c]
+          : channels === 1 ? values.reduce((total, value) => total + value, 0) / values.length : values[0];
+      }
+    }
+  }
+  return tensor;
+}
+
+// Channels-last nested arrays ([height][width][channels]), the layout NumPy and PIL use
+export function toNestedHWC(tensor, [channels, height, width]) {
+  return Array.from({ length: height }, (_, y) => Array.from({ length: width }, (_, x) =>
+    Array.from({ length: channels }, (_, c) => tensor[(c * height + y) * width + x])));
+}
+
+/**
+ * The [channels, height, width] a python_model scores: `inputShape` when given, otherwise the image
+ * with its longer side scaled down to 224 pixels (smaller images keep their size).
+ */
+export function pythonInputShape(image, inputShape) {
+  if (inputShape) {
+    const [, height, width] = inputShape;
+    if (height * width > MAX_PYTHON_INPUT_PIXELS) {
+      throw new Error(`input_shape ${height} × ${width} has more than ${MAX_PYTHON_INPUT_PIXELS} pixels`);
+    }
+    return inputShape;
+  }
+  const scale = Math.min(1, DEFAULT_PYTHON_SIDE / Math.max(image.height, image.width));
+  return [image.channels, Math.max(1, Math.round(image.height * scale)), Math.max(1, Math.round(image.width * scale))];
+}
@@ -0,0 +1,78 @@
+// Converts the Zod schemas used for tool arguments into the JSON Schema advertised to MCP clients.
+// Covers the subset of Zod the tool definitions use; anything else becomes an unconstrained schema.
+
+function withDescription(schema, zodSchema) {
+  return zodSchema.description ? { ...schema, description: zodSchema.description } : schema;
+}
+
+function numberSchema(def) {
+  const schema = { type: 'number' };
+  for (const check of def.checks) {
+    if (check.kind === 'int') schema.type = 'integer';
+    if (check.kind === 'min') schema[check.inclusive ? 'minimum' : 'exclusiveMinimum'] = check.value;
+    if (check.kind === 'max') schema[check.inclusive ? 'maximum' : 'exclusiveMaximum'] = check.value;
+  }
+  return schema;
+}
+
+function stringSchema(def) {
+  const schema = { type: 'string' };
+  for (const check of def.checks) {
+    if (check.kind === 'min') schema.minLength = check.value;
+    if (check.kind === 'max') schema.maxLength = check.value;
+    if (check.kind === 'regex') schema.pattern = check.regex.source;
+  }
+  return schema;
+}
+
+function arraySchema(def) {
+  const schema = { type: 'array', items: toJSONSchema(def.type) };
+  const minItems = def.exactLength?.value ?? def.minLength?.value;
+  const maxItems = def.exactLength?.value ?? def.maxLength?.value;
+  if (minItems !== undefined) schema.minItems = minItems;
+  if (maxItems !== undefined) schema.maxItems = maxItems;
+  return schema;
+}
+
+export function toJSONSchema(zodSchema) {
+  const def = zodSchema._def;
+  switch (def.typeName) {
+    case 'ZodObject': {
+      const shape = zodSchema.shape;
+      const schema = {
+        type: 'object',
+        properties: Object.fromEntries(Object.entries(shape).map(([key, value]) => [key, toJSONSchema(value)])),
+        // Optional and defaulted properties accept undefined, so they are left out of `required`
+        required: Object.keys(shape).filter(key => !shape[key].isOptional())
+      };
+      if (def.unknownKeys === 'passthrough') schema.additionalProperties = true;
+      return withDescription(schema, zodSchema);
+    }
+    case 'ZodString':
+      return withDescription(stringSchema(def), zodSchema);
+    case 'ZodNumber':
+      return withDescription(numberSchema(def), zodSchema);
+    case 'ZodBoolean':
+      return withDescription({ type: 'boolean' }, zodSchema);
+    case 'ZodEnum':
+      return withDescription({ type: 'string', enum: [...def.values] }, zodSchema);
+    case 'ZodLiteral':
+      return withDescription({ const: def.value }, zodSchema);
+    case 'ZodArray':
+      return withDescription(arraySchema(def), zodSchema);
+    case 'ZodRecord':
+      return withDescription({ type: 'object', additionalProperties: toJSONSchema(def.valueType) }, zodSchema);
+    case 'ZodUnion':
+      return withDescription({ anyOf: def.options.map(toJSONSchema) }, zodSchema);
+    case 'ZodNullable':
+      return withDescription({ anyOf: [toJSONSchema(def.innerType), { type: 'null' }] }, zodSchema);
+    case 'ZodOptional':
+      return withDescription(toJSONSchema(def.innerType), zodSchema);
+    case 'ZodDefault':
+      return withDescription({ ...toJSONSchema(def.innerType), default: def.defaultValue() }, zodSchema);
+    case 'ZodEffects':
+      return withDescription(toJSONSchema(def.schema), zodSchema);
+    default:
+      return withDescription({}, zodSchema);
+  }
+}
@@ -0,0 +1,102 @@
+// Local leaderboard: every score computed by evaluate_explanation is appended to a JSONL file and
+// aggregated per dataset, model, explainer and metric when the leaderboard is read
+
+import fs from 'fs-extra';
+import path from 'path';
+import { METRIC_CATALOG } from './catalog.js';
+import { summarise } from './statistics.js';
+
+const UNSPECIFIED = 'unspecified';
+// Result method names that differ from the tool's method argument
+const EXPLAINER_ALIASES = { kernel_shap: 'shap', tree_shap: 'shap' };
+
+export function leaderboardFile() {
+  return path.resolve(process.env.OPENXAI_LEADERBOARD_FILE ?? 'leaderboard.jsonl');
+}
+
+export function higherIsBetter(metric) {
+  const definition = Object.values(METRIC_CATALOG).find(category => category[metric])?.[metric];
+  return definition?.higher_is_better ?? true;
+}
+
+const matches = (filter, value) => !filter || filter.toLowerCase() === value.toLowerCase();
+
+/**
+ * Groups runs by dataset, model, explainer and metric and ranks the groups by mean score within
+ * each dataset and metric, in the direction given by the metric's higher_is_better.
+ */
+export function aggregateRuns(runs, { dataset, metric, model, explainer } = {}) {
+  const groups = new Map();
+  for (const run of runs) {
+    if (!matches(dataset, run.dataset) || !matches(metric, run.metric) ||
+        !matches(model, run.model) || !matches(explainer, run.explainer)) continue;
+    const key = JSON.stringify([run.dataset, run.metric, run.model, run.explainer]);
+    if (!groups.has(key)) groups.set(key, { run, scores: [], lastRun: run.timestamp });
+    const group = groups.get(key);
+    group.scores.push(run.score);
+    if (run.timestamp > group.lastRun) group.lastRun = run.timestamp;
+  }
+
+  const entries = [...groups.values()].map(({ run, scores, lastRun }) => {
+    const { mean, std, min, max } = summarise(scores);
+    return {
+      dataset: run.dataset,
+      metric: run.metric,
+      model: run.model,
+      explainer: run.explainer,
+      score: mean,
+      runs: scores.length,
+      variance: std ** 2,
+      std,
+      min,
+      max,
+      higher_is_better: higherIsBetter(run.metric),
+      last_run: lastRun
+    };
+  });
+
+  entries.sort((a, b) => a.dataset.localeCompare(b.dataset) || a.metric.localeCompare(b.metric) ||
+    (a.higher_is_better ? b.score - a.score : a.score - b.score) || b.runs - a.runs);
+  let rank = 0;
+  return entries.map((entry, i) => {
+    const previous = entries[i - 1];
+    rank = previous && previous.dataset === entry.dataset && previous.metric === entry.metric ? rank + 1 : 1;
+    return { rank, ...entry };
+  });
+}
+
+export class LeaderboardStore {
+  constructor({ file = leaderboardFile() } = {}) {
+    this.file = file;
+  }
+
+  async record({ dataset, model, explainer, metric, score, settings }) {
+    const run = {
+      timestamp: new Date().toISOString(),
+      dataset: dataset || UNSPECIFIED,
+      model: model || UNSPECIFIED,
+      explainer: EXPLAINER_ALIASES[explainer] ?? explainer ?? UNSPECIFIED,
+      metric,
+      score,
+      ...(settings && { settings })
+    };
+    await fs.ensureDir(path.dirname(this.file));
+    await fs.appendFile(this.file, JSON.stringify(run) + '\n');
+    return run;
+  }
+
+  async runs() {
+    if (!(await fs.pathExists(this.file))) return [];
+    const text = await fs.readFile(this.file, 'utf8');
+    // A line cut short by an interrupted write is skipped rather than failing the whole leaderboard
+    return text.split('\n').flatMap(line => {
+      if (!line.trim()) return [];
+      try {
+        const run = JSON.parse(line);
+        return Number.isFinite(run.score) ? [run] : [];
+      } catch {
+        return [];
+      }
+    });
+  }
+}
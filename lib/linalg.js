@@ -0,0 +1,85 @@
+// Small dense linear algebra helpers used by the surrogate-model explainers
+
+export function dot(a, b) {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) total += a[i] * b[i];
+  return total;
+}
+
+export function norm(values, order = 2) {
+  if (order === Infinity) {
+    return values.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+  }
+  if (order === 1) {
+    return values.reduce((total, value) => total + Math.abs(value), 0);
+  }
+  return Math.sqrt(values.reduce((total, value) => total + value * value, 0));
+}
+
+export function mean(values) {
+  return values.length ? values.reduce((total, value) => total + value, 0) / values.length : 0;
+}
+
+export function std(values) {
+  if (values.length < 2) return 0;
+  const centre = mean(values);
+  return Math.sqrt(values.reduce((total, value) => total + (value - centre) ** 2, 0) / (values.length - 1));
+}
+
+// Gaussian elimination with partial pivoting; A is square, both inputs are left untouched
+export function solveLinearSystem(A, b) {
+  const n = A.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) {
+      throw new Error('Linear system is singular; try more samples or a larger regularisation');
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col];
+      if (factor === 0) continue;
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let total = m[row][n];
+    for (let k = row + 1; k < n; k++) total -= m[row][k] * x[k];
+    x[row] = total / m[row][row];
+  }
+  return x;
+}
+
+// Weighted ridge regression via the normal equations. The intercept is never penalised.
+export function weightedLeastSquares(X, y, weights, { ridge = 0, intercept = true } = {}) {
+  const p = X[0]?.length ?? 0;
+  const size = p + (intercept ? 1 : 0);
+  const XtWX = Array.from({ length: size }, () => new Array(size).fill(0));
+  const XtWy = new Array(size).fill(0);
+
+  for (let i = 0; i < X.length; i++) {
+    const row = intercept ? [...X[i], 1] : X[i];
+    const w = weights ? weights[i] : 1;
+    for (let a = 0; a < size; a++) {
+      XtWy[a] += w * row[a] * y[i];
+      for (let b = a; b < size; b++) XtWX[a][b] += w * row[a] * row[b];
+    }
+  }
+  for (let a = 0; a < size; a++) {
+    for (let b = 0; b < a; b++) XtWX[a][b] = XtWX[b][a];
+  }
+  for (let a = 0; a < p; a++) XtWX[a][a] += ridge;
+
+  const solution = solveLinearSystem(XtWX, XtWy);
+  return {
+    coefficients: solution.slice(0, p),
+    intercept: intercept ? solution[p] : 0
+  };
+}
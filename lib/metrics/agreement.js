@@ -0,0 +1,86 @@
+// Agreement between two attribution vectors (Krishna et al., 2022), used both for ground-truth
+// faithfulness and for measuring disagreement between explainers
+
+import { rankByMagnitude } from './faithfulness.js';
+
+// Average ranks (1 = largest magnitude), ties share their mean rank
+function magnitudeRanks(values) {
+  const order = values
+    .map((value, j) => ({ j, magnitude: Math.abs(value) }))
+    .sort((a, b) => b.magnitude - a.magnitude);
+  const ranks = new Array(values.length);
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].magnitude === order[start].magnitude) end++;
+    const rank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) ranks[order[i].j] = rank;
+    start = end + 1;
+  }
+  return ranks;
+}
+
+function pearson(a, b) {
+  const meanA = a.reduce((total, value) => total + value, 0) / a.length;
+  const meanB = b.reduce((total, value) => total + value, 0) / b.length;
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (let i = 0; i < a.length; i++) {
+    covariance += (a[i] - meanA) * (b[i] - meanB);
+    varianceA += (a[i] - meanA) ** 2;
+    varianceB += (b[i] - meanB) ** 2;
+  }
+  return varianceA === 0 || varianceB === 0 ? 0 : covariance / Math.sqrt(varianceA * varianceB);
+}
+
+const sameSign = (a, b) => Math.sign(a) === Math.sign(b);
+
+const AGREEMENT = {
+  FA: ({ topA, topB, k }) => topA.filter(j => topB.includes(j)).length / k,
+  RA: ({ topA, topB, k }) => topA.filter((j, i) => topB[i] === j).length / k,
+  SA: ({ a, b, topA, topB, k }) => topA.filter(j => topB.includes(j) && sameSign(a[j], b[j])).length / k,
+  SRA: ({ a, b, topA, topB, k }) => topA.filter((j, i) => topB[i] === j && sameSign(a[j], b[j])).length / k,
+  // Spearman correlation of the magnitude rankings over all features
+  RC: ({ a, b }) => pearson(magnitudeRanks(a), magnitudeRanks(b)),
+  // Pairs among the reference's top-k whose relative ordering matches
+  PRA: ({ a, b, topB }) => {
+    let agree = 0;
+    let pairs = 0;
+    for (let i = 0; i < topB.length; i++) {
+      for (let j = i + 1; j < topB.length; j++) {
+        const [p, q] = [topB[i], topB[j]];
+        pairs += 1;
+        if ((Math.abs(a[p]) > Math.abs(a[q])) === (Math.abs(b[p]) > Math.abs(b[q]))) agree += 1;
+      }
+    }
+    return pairs === 0 ? 1 : agree / pairs;
+  }
+};
+
+export const AGREEMENT_METRICS = Object.keys(AGREEMENT);
+
+/**
+ * Scores `attributions` against `reference` (ground truth or another explanation) over the top-k features.
+ */
+export function agreement(metric, attributions, reference, featureNames, { k = 3 } = {}) {
+  const score = AGREEMENT[metric];
+  if (!score) throw new Error(`Unknown agreement metric '${metric}'`);
+  if (attributions.length !== reference.length) {
+    throw new Error(`Explanation has ${attributions.length} values but the reference has ${reference.length}`);
+  }
+  if (!Number.isInteger(k) || k < 1) throw new Error('k must be a positive integer');
+
+  const count = Math.min(k, attributions.length);
+  const topA = rankByMagnitude(attributions).slice(0, count);
+  const topB = rankByMagnitude(reference).slice(0, count);
+
+  return {
+    metric,
+    score: score({ a: attributions, b: reference, topA, topB, k: count }),
+    top_k: {
+      explanation: topA.map(j => featureNames[j]),
+      reference: topB.map(j => featureNames[j])
+    },
+    settings: { k: count }
+  };
+}
@@ -0,0 +1,48 @@
+// Prediction-gap faithfulness metrics (PGI / PGU) from the OpenXAI paper
+
+import { createRng, resolveSeed } from '../random.js';
+import { mean, std } from '../linalg.js';
+
+// Feature indices ordered by attribution magnitude, most important first
+export function rankByMagnitude(attributions) {
+  return attributions
+    .map((value, j) => ({ j, magnitude: Math.abs(value) }))
+    .sort((a, b) => b.magnitude - a.magnitude || a.j - b.j)
+    .map(({ j }) => j);
+}
+
+/**
+ * Mean absolute change in prediction when Gaussian noise is added to the top-k
+ * (important = true, PGI) or bottom-k (important = false, PGU) features.
+ */
+export function predictionGap(model, x, attributions, { k = 3, sigma = 0.1, numSamples = 100, seed, important = true } = {}) {
+  if (attributions.length !== x.length) {
+    throw new Error(`Explanation has ${attributions.length} values but the input has ${x.length} features`);
+  }
+  if (!Number.isInteger(k) || k < 1) throw new Error('k must be a positive integer');
+  if (!(sigma > 0)) throw new Error('sigma must be positive');
+  if (!Number.isInteger(numSamples) || numSamples < 1) throw new Error('num_samples must be a positive integer');
+
+  const resolvedSeed = resolveSeed(seed);
+  const rng = createRng(resolvedSeed);
+  const count = Math.min(k, x.length);
+  const ranking = rankByMagnitude(attributions);
+  const perturbed = important ? ranking.slice(0, count) : ranking.slice(-count);
+  const original = model.predict(x);
+
+  const gaps = [];
+  for (let s = 0; s < numSamples; s++) {
+    const neighbour = [...x];
+    for (const j of perturbed) neighbour[j] += rng.normal(0, sigma);
+    gaps.push(Math.abs(model.predict(neighbour) - original));
+  }
+
+  return {
+    metric: important ? 'PGI' : 'PGU',
+    score: mean(gaps),
+    std: std(gaps),
+    prediction: original,
+    perturbed_features: perturbed.map(j => model.featureNames[j]),
+    settings: { k: count, sigma, num_samples: numSamples, seed: resolvedSeed }
+  };
+}
@@ -0,0 +1,47 @@
+// Explanation quality metrics computed in-process against models from lib/models.js
+
+import { predictionGap } from './faithfulness.js';
+import { relativeStability } from './stability.js';
+import { agreement, AGREEMENT_METRICS } from './agreement.js';
+
+const stability = (metric) => (context, options) => {
+  if (typeof context.explain !== 'function') {
+    throw new Error(`${metric} needs an explainer to regenerate explanations for neighbouring inputs`);
+  }
+  return relativeStability(metric, context.model, context.x, context.attributions, context.explain, { ...options, inputScales: context.inputScales });
+};
+
+const agreementWith = (metric) => (context, options) => {
+  if (!context.reference) {
+    throw new Error(`${metric} needs a ground-truth vector or a reference explanation to compare against`);
+  }
+  return agreement(metric, context.attributions, context.reference, context.featureNames, options);
+};
+
+const metrics = {
+  PGI: (context, options) => predictionGap(context.model, context.x, context.attributions, { ...options, important: true }),
+  PGU: (context, options) => predictionGap(context.model, context.x, context.attributions, { ...options, important: false }),
+  RIS: stability('RIS'),
+  RRS: stability('RRS'),
+  ROS: stability('ROS'),
+  ...Object.fromEntries(AGREEMENT_METRICS.map(metric => [metric, agreementWith(metric)]))
+};
+
+export const STABILITY_METRICS = ['RIS', 'RRS', 'ROS'];
+export { AGREEMENT_METRICS };
+
+export const LOCAL_METRICS = Object.keys(metrics);
+
+/**
+ * context: { model, x, attributions, explain?, inputScales?, reference?, featureNames? } where x is
+ * the explained input, attributions its explanation, explain(x') regenerates an attribution vector
+ * (stability metrics), inputScales holds per-feature standard deviations (RIS) and reference is the
+ * vector the agreement metrics compare against.
+ */
+export function evaluateMetric(metric, context, options = {}) {
+  const evaluate = metrics[metric];
+  if (!evaluate) {
+    throw new Error(`Metric '${metric}' cannot be computed locally. Locally computed metrics: ${LOCAL_METRICS.join(', ')}`);
+  }
+  return evaluate(context, options);
+}
@@ -0,0 +1,95 @@
+// Relative stability metrics (Agarwal et al., 2022): how much an explanation moves relative to
+// the input (RIS), the hidden representation (RRS) or the model output (ROS)
+
+import { createRng, resolveSeed } from '../random.js';
+import { mean, norm } from '../linalg.js';
+import { toFeatureMap } from '../samples.js';
+
+const EPSILON = 1e-6;
+
+// Elementwise percentage change. Each denominator is at least floors[i] (EPSILON by default), so
+// values at or near zero do not blow the change up
+function relativeChange(reference, other, floors) {
+  return reference.map((value, i) => (value - other[i]) / Math.max(Math.abs(value), floors?.[i] > 0 ? floors[i] : EPSILON));
+}
+
+// Logits for networks, the pre-link margin for lr/trees
+export function outputOf(model, x) {
+  if (model.type === 'ann') {
+    const { preActivations } = model.forward(x);
+    return preActivations[preActivations.length - 1];
+  }
+  return [model.margin ? model.margin(x) : model.predict(x)];
+}
+
+// Activations of the last hidden layer
+export function representationOf(model, x) {
+  if (model.type !== 'ann' || model.layers.length < 2) {
+    throw new Error('RRS needs a neural network (ann) with at least one hidden layer');
+  }
+  const { activations } = model.forward(x);
+  return activations[activations.length - 2];
+}
+
+// RIS floors each input's denominator at the feature's standard deviation when it is known, so a
+// feature coded 0 (a category, an unset flag) counts the same as any other value of its scale
+const DENOMINATORS = {
+  RIS: (model, x, neighbour, inputScales) => relativeChange(x, neighbour, inputScales),
+  RRS: (model, x, neighbour) => relativeChange(representationOf(model, x), representationOf(model, neighbour)),
+  ROS: (model, x, neighbour) => relativeChange(outputOf(model, x), outputOf(model, neighbour))
+};
+
+/**
+ * explainFn(x') regenerates an attribution vector for a neighbour with the same explainer.
+ * Neighbours are Gaussian perturbations of x; with sameClass they must keep x's predicted label.
+ * inputScales (RIS only) holds per-feature standard deviations that floor the relative input change.
+ */
+export function relativeStability(metric, model, x, attributions, explainFn, { sigma = 0.05, numSamples = 50, seed, sameClass = true, inputScales } = {}) {
+  const denominator = DENOMINATORS[metric];
+  if (!denominator) throw new Error(`Unknown stability metric '${metric}'`);
+  if (!(sigma > 0)) throw new Error('sigma must be positive');
+  if (!Number.isInteger(numSamples) || numSamples < 1) throw new Error('num_samples must be a positive integer');
+
+  const resolvedSeed = resolveSeed(seed);
+  const rng = createRng(resolvedSeed);
+  const label = model.predict(x) >= 0.5;
+
+  let best = null;
+  const ratios = [];
+  let rejected = 0;
+
+  for (let s = 0; s < numSamples; s++) {
+    const neighbour = x.map(value => value + rng.normal(0, sigma));
+    if (sameClass && (model.predict(neighbour) >= 0.5) !== label) {
+      rejected += 1;
+      continue;
+    }
+    const explanationChange = norm(relativeChange(attributions, explainFn(neighbour)));
+    const ratio = explanationChange / Math.max(norm(denominator(model, x, neighbour, inputScales)), EPSILON);
+    ratios.push(ratio);
+    if (!best || ratio > best.ratio) best = { ratio, neighbour, index: s };
+  }
+
+  if (!best) {
+    throw new Error('Every sampled neighbour changed the predicted class; try a smaller sigma');
+  }
+
+  return {
+    metric,
+    score: best.ratio,
+    mean_ratio: mean(ratios),
+    worst_neighbour: {
+      index: best.index,
+      sample: toFeatureMap(model.featureNames, best.neighbour)
+    },
+    neighbours_used: ratios.length,
+    neighbours_rejected: rejected,
+    settings: {
+      sigma,
+      num_samples: numSamples,
+      same_class: sameClass,
+      seed: resolvedSeed,
+      ...(metric === 'RIS' && { input_floor: inputScales ? 'feature_std' : 'epsilon' })
+    }
+  };
+}
@@ -0,0 +1,62 @@
+// JSON model definitions stored on disk, looked up by dataset and model type
+
+import fs from 'fs-extra';
+import path from 'path';
+
+export function modelDirectory() {
+  return path.resolve(process.env.OPENXAI_MODEL_DIR ?? 'models');
+}
+
+// Resolves a client-supplied file name in the model directory, refusing names that leave it
+export function modelPath(fileName, directory = modelDirectory()) {
+  const root = path.resolve(directory);
+  const file = path.resolve(root, fileName);
+  if (!file.startsWith(root + path.sep)) {
+    throw new Error(`'${fileName}' points outside the model directory ${root}`);
+  }
+  return file;
+}
+
+// Packages whose modules python_model may import, from the comma-separated OPENXAI_PYTHON_MODULES
+export function pythonModuleAllowlist() {
+  return (process.env.OPENXAI_PYTHON_MODULES ?? '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Checks a python_model reference before it reaches the Python worker, which runs whatever it imports.
+ * A 'file.py:function' file must lie in the model directory (relative names are resolved there); a
+ * 'module:function' module must be, or sit inside, an allowlisted package. Returns the reference
+ * with the file path made absolute.
+ */
+export function resolvePythonModel(reference, { directory = modelDirectory(), modules = pythonModuleAllowlist() } = {}) {
+  const separator = reference.lastIndexOf(':');
+  const location = reference.slice(0, separator);
+  const name = reference.slice(separator + 1);
+  if (separator <= 0 || !/^[A-Za-z_]\w*$/.test(name)) {
+    throw new Error(`python_model must look like 'file.py:function' or 'package.module:function', got '${reference}'`);
+  }
+  if (location.endsWith('.py')) {
+    return `${modelPath(location, directory)}:${name}`;
+  }
+  const allowed = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*$/.test(location) &&
+    modules.some(entry => location === entry || location.startsWith(`${entry}.`));
+  if (!allowed) {
+    throw new Error(`python_model module '${location}' is not allowed; add its package to OPENXAI_PYTHON_MODULES ` +
+                    `or put a .py file in the model directory ${path.resolve(directory)}`);
+  }
+  return reference;
+}
+
+// <data_name>_<ml_model>.json, e.g. models/german_lr.json
+export async function findModelFile(dataName, mlModel, directory = modelDirectory()) {
+  const candidate = modelPath(`${dataName}_${mlModel}.json`, directory);
+  return (await fs.pathExists(candidate)) ? candidate : null;
+}
+
+export async function readModelFile(file) {
+  try {
+    return await fs.readJson(file);
+  } catch (error) {
+    throw new Error(`Could not read model definition ${file}: ${error.message}`);
+  }
+}
@@ -0,0 +1,366 @@
+// JSON-defined models the server can evaluate locally (no Python required)
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+const LINKS = {
+  identity: (z) => z,
+  logistic: sigmoid
+};
+
+// Derivative of each link with respect to the margin, given the linked output
+const LINK_DERIVATIVES = {
+  identity: () => 1,
+  logistic: (output) => output * (1 - output)
+};
+
+// Elementwise activations with derivatives expressed in terms of (z, a)
+export const ACTIVATIONS = {
+  linear: { forward: (z) => z, derivative: () => 1 },
+  relu: { forward: (z) => Math.max(0, z), derivative: (z) => (z > 0 ? 1 : 0) },
+  tanh: { forward: Math.tanh, derivative: (z, a) => 1 - a * a },
+  sigmoid: { forward: sigmoid, derivative: (z, a) => a * (1 - a) }
+};
+
+// 'probability' when predict() returns a value in [0, 1] (logistic link, sigmoid or softmax output layer);
+// 'unbounded' for regression outputs
+export function outputKind(model) {
+  const probability = model.type === 'ann'
+    ? ['sigmoid', 'softmax'].includes(model.layers[model.layers.length - 1].activation)
+    : model.link === 'logistic';
+  return probability ? 'probability' : 'unbounded';
+}
+
+export function softmax(z) {
+  const peak = Math.max(...z);
+  const exps = z.map(value => Math.exp(value - peak));
+  const total = exps.reduce((sum, value) => sum + value, 0);
+  return exps.map(value => value / total);
+}
+
+const TREE_DEFAULTS = {
+  tree_ensemble: { aggregation: 'sum', link: 'identity' },
+  rf: { aggregation: 'mean', link: 'identity' },
+  xgb: { aggregation: 'sum', link: 'logistic' }
+};
+
+export const SUPPORTED_MODEL_TYPES = ['lr', 'ann', ...Object.keys(TREE_DEFAULTS)];
+
+function resolveFeatureNames(spec, count) {
+  if (Array.isArray(spec.feature_names)) {
+    if (count !== undefined && spec.feature_names.length !== count) {
+      throw new Error(`Model declares ${spec.feature_names.length} feature_names but has ${count} inputs`);
+    }
+    return spec.feature_names.map(String);
+  }
+  if (count === undefined) {
+    throw new Error('Model must declare feature_names or num_features');
+  }
+  return Array.from({ length: count }, (_, i) => `x${i}`);
+}
+
+function resolveLink(link) {
+  if (!LINKS[link]) {
+    throw new Error(`Unknown link '${link}'. Available links: ${Object.keys(LINKS).join(', ')}`);
+  }
+  return link;
+}
+
+function buildLogisticRegression(spec) {
+  const coefficients = spec.coefficients ?? spec.weights;
+  if (!Array.isArray(coefficients) || coefficients.some(value => typeof value !== 'number')) {
+    throw new Error("Logistic regression model requires a numeric 'coefficients' array");
+  }
+  const intercept = spec.intercept ?? spec.bias ?? 0;
+  const link = resolveLink(spec.link ?? 'logistic');
+  const featureNames = resolveFeatureNames(spec, coefficients.length);
+
+  const margin = (x) => {
+    let z = intercept;
+    for (let i = 0; i < coefficients.length; i++) z += coefficients[i] * x[i];
+    return z;
+  };
+  const predict = (x) => LINKS[link](margin(x));
+  const gradient = (x) => {
+    const scale = LINK_DERIVATIVES[link](predict(x));
+    return coefficients.map(weight => scale * weight);
+  };
+
+  return {
+    type: 'lr',
+    featureNames,
+    numFeatures: featureNames.length,
+    link,
+    coefficients: [...coefficients],
+    intercept,
+    margin,
+    predict,
+    predictBatch: (rows) => rows.map(predict),
+    gradient
+  };
+}
+
+function validateLayers(layers) {
+  if (!Array.isArray(layers) || layers.length === 0) {
+    throw new Error("Neural network model requires a non-empty 'layers' array");
+  }
+  let inputs = null;
+  return layers.map((layer, l) => {
+    const { weights } = layer;
+    if (!Array.isArray(weights) || weights.length === 0 || !weights.every(Array.isArray)) {
+      throw new Error(`layers[${l}].weights must be a [outputs][inputs] matrix`);
+    }
+    const width = weights[0].length;
+    if (weights.some(row => row.length !== width)) {
+      throw new Error(`layers[${l}].weights rows must all have ${width} columns`);
+    }
+    if (inputs !== null && width !== inputs) {
+      throw new Error(`layers[${l}] expects ${width} inputs but the previous layer produces ${inputs}`);
+    }
+    const bias = layer.bias ?? new Array(weights.length).fill(0);
+    if (bias.length !== weights.length) {
+      throw new Error(`layers[${l}].bias must have ${weights.length} entries`);
+    }
+    const activation = layer.activation ?? (l === layers.length - 1 ? 'linear' : 'relu');
+    if (activation !== 'softmax' && !ACTIVATIONS[activation]) {
+      throw new Error(`Unknown activation '${activation}' in layers[${l}]. Available: ${[...Object.keys(ACTIVATIONS), 'softmax'].join(', ')}`);
+    }
+    if (activation === 'softmax' && l !== layers.length - 1) {
+      throw new Error('softmax is only supported on the output layer');
+    }
+    inputs = weights.length;
+    return { weights, bias, activation };
+  });
+}
+
+function buildNeuralNetwork(spec) {
+  const layers = validateLayers(spec.layers);
+  const featureNames = resolveFeatureNames(spec, layers[0].weights[0].length);
+  const outputs = layers[layers.length - 1].weights.length;
+  const target = spec.target_class ?? (outputs > 1 ? 1 : 0);
+  if (!Number.isInteger(target) || target < 0 || target >= outputs) {
+    throw new Error(`target_class must be between 0 and ${outputs - 1}`);
+  }
+
+  // Returns pre-activations and activations for every layer (activations[0] is the input)
+  const forward = (x) => {
+    const preActivations = [];
+    const activations = [x];
+    for (const layer of layers) {
+      const input = activations[activations.length - 1];
+      const z = layer.weights.map((row, i) => {
+        let total = layer.bias[i];
+        for (let j = 0; j < row.length; j++) total += row[j] * input[j];
+        return total;
+      });
+      preActivations.push(z);
+      activations.push(layer.activation === 'softmax'
+        ? softmax(z)
+        : z.map(value => ACTIVATIONS[layer.activation].forward(value)));
+    }
+    return { preActivations, activations };
+  };
+
+  const predict = (x) => forward(x).activations[layers.length][target];
+
+  // Backpropagate d(output[target])/dx. Guided mode only passes positive signal through ReLUs.
+  const gradient = (x, { guided = false } = {}) => {
+    const { preActivations, activations } = forward(x);
+    let upstream = new Array(outputs).fill(0);
+    upstream[target] = 1;
+
+    for (let l = layers.length - 1; l >= 0; l--) {
+      const layer = layers[l];
+      const z = preActivations[l];
+      const a = activations[l + 1];
+      let local;
+      if (layer.activation === 'softmax') {
+        const weighted = upstream.reduce((total, g, k) => total + g * a[k], 0);
+        local = a.map((value, i) => value * (upstream[i] - weighted));
+      } else {
+        local = z.map((value, i) => {
+          const signal = guided && layer.activation === 'relu' ? Math.max(0, upstream[i]) : upstream[i];
+          return signal * ACTIVATIONS[layer.activation].derivative(value, a[i]);
+        });
+      }
+      const previous = new Array(layer.weights[0].length).fill(0);
+      layer.weights.forEach((row, i) => {
+        for (let j = 0; j < row.length; j++) previous[j] += row[j] * local[i];
+      });
+      upstream = previous;
+    }
+    return upstream;
+  };
+
+  return {
+    type: 'ann',
+    featureNames,
+    numFeatures: featureNames.length,
+    layers,
+    targetClass: target,
+    forward,
+    predict,
+    predictBatch: (rows) => rows.map(predict),
+    gradient
+  };
+}
+
+// Normalise a nested tree so every split refers to a feature index
+function normaliseNode(node, featureNames, location) {
+  if (node === null || typeof node !== 'object') {
+    throw new Error(`Invalid tree node at ${location}`);
+  }
+  if (node.value !== undefined || node.leaf !== undefined) {
+    const value = node.value ?? node.leaf;
+    if (typeof value !== 'number') throw new Error(`Leaf at ${location} must have a numeric value`);
+    return { value, cover: node.cover };
+  }
+
+  let feature = node.feature;
+  if (typeof feature === 'string') {
+    feature = featureNames ? featureNames.indexOf(feature) : -1;
+    if (feature < 0) throw new Error(`Unknown split feature '${node.feature}' at ${location}`);
+  }
+  if (!Number.isInteger(feature) || feature < 0) {
+    throw new Error(`Split at ${location} must reference a feature index or name`);
+  }
+  if (typeof node.threshold !== 'number') {
+    throw new Error(`Split at ${location} must have a numeric threshold`);
+  }
+
+  return {
+    feature,
+    threshold: node.threshold,
+    operator: node.operator === '<=' ? '<=' : '<',
+    missing: node.missing === 'right' ? 'right' : 'left',
+    cover: node.cover,
+    left: normaliseNode(node.left, featureNames, `${location}.left`),
+    right: normaliseNode(node.right, featureNames, `${location}.right`)
+  };
+}
+
+function maxFeatureIndex(node) {
+  if (node.value !== undefined) return -1;
+  return Math.max(node.feature, maxFeatureIndex(node.left), maxFeatureIndex(node.right));
+}
+
+export function goesLeft(node, value) {
+  if (value === null || value === undefined || Number.isNaN(value)) {
+    return node.missing === 'left';
+  }
+  return node.operator === '<=' ? value <= node.threshold : value < node.threshold;
+}
+
+export function evaluateTree(node, x) {
+  let current = node;
+  while (current.value === undefined) {
+    current = goesLeft(current, x[current.feature]) ? current.left : current.right;
+  }
+  return current.value;
+}
+
+// Flattens a normalised tree into parallel arrays (feature -1 marks a leaf) for fast repeated evaluation
+function compileTree(root) {
+  const nodes = [];
+  const children = new Map();
+  const visit = (node) => {
+    const index = nodes.length;
+    nodes.push(node);
+    if (node.value === undefined) {
+      children.set(index, [visit(node.left), visit(node.right)]);
+    }
+    return index;
+  };
+  visit(root);
+  const compiled = {
+    feature: new Int32Array(nodes.length),
+    threshold: new Float64Array(nodes.length),
+    value: new Float64Array(nodes.length),
+    left: new Int32Array(nodes.length),
+    right: new Int32Array(nodes.length),
+    inclusive: new Uint8Array(nodes.length),
+    missingLeft: new Uint8Array(nodes.length)
+  };
+  nodes.forEach((node, i) => {
+    const leaf = node.value !== undefined;
+    compiled.feature[i] = leaf ? -1 : node.feature;
+    compiled.threshold[i] = leaf ? 0 : node.threshold;
+    compiled.value[i] = leaf ? node.value : 0;
+    [compiled.left[i], compiled.right[i]] = leaf ? [-1, -1] : children.get(i);
+    compiled.inclusive[i] = node.operator === '<=' ? 1 : 0;
+    compiled.missingLeft[i] = node.missing === 'left' ? 1 : 0;
+  });
+  return compiled;
+}
+
+function evaluateCompiled(tree, x) {
+  let i = 0;
+  while (tree.feature[i] >= 0) {
+    const value = x[tree.feature[i]];
+    const left = value === null || value === undefined || Number.isNaN(value)
+      ? tree.missingLeft[i] === 1
+      : tree.inclusive[i] === 1 ? value <= tree.threshold[i] : value < tree.threshold[i];
+    i = left ? tree.left[i] : tree.right[i];
+  }
+  return tree.value[i];
+}
+
+function buildTreeEnsemble(spec) {
+  if (!Array.isArray(spec.trees) || spec.trees.length === 0) {
+    throw new Error("Tree ensemble model requires a non-empty 'trees' array");
+  }
+  const defaults = TREE_DEFAULTS[spec.type];
+  const aggregation = spec.aggregation ?? defaults.aggregation;
+  if (!['sum', 'mean'].includes(aggregation)) {
+    throw new Error(`Unknown aggregation '${aggregation}'. Use 'sum' or 'mean'`);
+  }
+  const link = resolveLink(spec.link ?? defaults.link);
+  const baseScore = spec.base_score ?? 0;
+
+  const declaredNames = Array.isArray(spec.feature_names) ? spec.feature_names.map(String) : null;
+  const trees = spec.trees.map((tree, i) => normaliseNode(tree, declaredNames, `trees[${i}]`));
+  const highestIndex = Math.max(...trees.map(maxFeatureIndex));
+  const numFeatures = declaredNames?.length ?? spec.num_features ?? highestIndex + 1;
+  if (highestIndex >= numFeatures) {
+    throw new Error(`Trees split on feature ${highestIndex} but the model only has ${numFeatures} features`);
+  }
+  const featureNames = resolveFeatureNames(spec, numFeatures);
+
+  const compiled = trees.map(compileTree);
+
+  // Raw ensemble output before the link function is applied
+  const margin = (x) => {
+    let total = 0;
+    for (const tree of compiled) total += evaluateCompiled(tree, x);
+    return baseScore + (aggregation === 'mean' ? total / trees.length : total);
+  };
+  const predict = (x) => LINKS[link](margin(x));
+
+  return {
+    type: spec.type,
+    featureNames,
+    numFeatures,
+    link,
+    aggregation,
+    baseScore,
+    trees,
+    margin,
+    predict,
+    predictBatch: (rows) => rows.map(predict)
+  };
+}
+
+export function createModel(spec) {
+  if (!spec || typeof spec !== 'object') {
+    throw new Error('Model definition must be a JSON object');
+  }
+  if (spec.type === 'lr') return buildLogisticRegression(spec);
+  if (spec.type === 'ann') return buildNeuralNetwork(spec);
+  if (TREE_DEFAULTS[spec.type]) return buildTreeEnsemble(spec);
+  if (spec.type === 'cnn') {
+    throw new Error("CNN models explain images: use generate_explanation with method 'occlusion' or 'rise' and an image");
+  }
+  if (spec.type === 'bow') {
+    throw new Error("Bag-of-words models explain text: use generate_explanation with method 'lime' and text");
+  }
+  throw new Error(`Model type '${spec.type}' cannot be evaluated locally. Supported types: ${SUPPORTED_MODEL_TYPES.join(', ')}`);
+}
@@ -0,0 +1,153 @@
+// Parameterised MCP prompts for recurring explainability workflows, built from the catalog and
+// the local leaderboard
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { EXPLAINER_CATALOG, METRIC_CATALOG } from './catalog.js';
+import { LOCAL_METHODS } from './explainers/index.js';
+import { aggregateRuns } from './leaderboard.js';
+
+const describeMethod = (method) => {
+  const entry = EXPLAINER_CATALOG[method];
+  return entry ? `- ${method}: ${entry.name}. ${entry.description}` : `- ${method}`;
+};
+
+const describeMetrics = (category) => Object.entries(METRIC_CATALOG[category])
+  .map(([metric, entry]) => `- ${metric} (${entry.name}): ${entry.description}. ${entry.higher_is_better ? 'Higher' : 'Lower'} is better.`)
+  .join('\n');
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const modelLine = (args) => args.model
+  ? `Use this JSON model definition as the \`model\` argument of every tool call: ${args.model}`
+  : `No model definition was given: call \`load_model\` for data_name '${args.data_name}' and ml_model '${args.ml_model ?? 'ann'}' and ask me for a JSON model definition (lr, ann, rf or xgb) if local computation needs one.`;
+
+const PROMPTS = {
+  audit_faithfulness: {
+    description: 'Audit a model\'s explanations for faithfulness and stability with PGI/PGU and RIS/RRS/ROS',
+    arguments: [
+      { name: 'data_name', description: 'Dataset the model was trained on (e.g. german)', required: true },
+      { name: 'ml_model', description: 'Model type (ann, lr, rf, xgb)', required: false },
+      { name: 'model', description: 'JSON model definition to compute scores locally', required: false },
+      { name: 'explainer', description: `Explanation method to audit (default shap; one of ${LOCAL_METHODS.join(', ')})`, required: false },
+      { name: 'k', description: 'Number of top/bottom features perturbed by PGI/PGU (default 3)', required: false }
+    ],
+    build: (args) => {
+      const explainer = args.explainer ?? 'shap';
+      const k = args.k ?? '3';
+      return `Audit how faithful and stable the ${explainer} explanations of the '${args.data_name}' model are.
+
+${modelLine(args)}
+
+Explainer under audit:
+${describeMethod(explainer)}
+
+Faithfulness metrics:
+${describeMetrics('faithfulness')}
+
+Stability metrics:
+${describeMetrics('stability')}
+
+Steps:
+1. Call \`load_dataset\` for '${args.data_name}' and pick 3-5 representative rows (include both classes).
+2. For each row, call \`generate_explanation\` with method '${explainer}' and a fixed seed.
+3. For each explanation, call \`evaluate_explanation\` with PGI and PGU (k = ${k}) and with RIS and ROS (explainer '${explainer}'); add RRS if the model is an ann.
+4. Report a table of scores per row, the mean and spread of each metric, and the rows where the explanation is least faithful or least stable.
+5. Conclude whether the explanations can be trusted for this model, and what you would check next.`;
+    }
+  },
+
+  compare_explainers: {
+    description: 'Compare several explanation methods on one dataset and rank them by an evaluation metric',
+    arguments: [
+      { name: 'data_name', description: 'Dataset to compare on (e.g. german)', required: true },
+      { name: 'methods', description: `Comma-separated explanation methods (default ${LOCAL_METHODS.slice(0, 3).join(', ')})`, required: false },
+      { name: 'metric', description: 'Metric to rank by (default PGI)', required: false },
+      { name: 'ml_model', description: 'Model type (ann, lr, rf, xgb)', required: false },
+      { name: 'model', description: 'JSON model definition to compute scores locally', required: false }
+    ],
+    build: (args, { runs = [] }) => {
+      const methods = args.methods ? splitList(args.methods) : LOCAL_METHODS.slice(0, 3);
+      const metric = (args.metric ?? 'PGI').toUpperCase();
+      const definition = Object.values(METRIC_CATALOG).find(category => category[metric])?.[metric];
+      const rankings = aggregateRuns(runs, { dataset: args.data_name, metric });
+      const leaderboard = rankings.length > 0
+        ? rankings.map(entry => `${entry.rank}. ${entry.explainer} (${entry.model}): ${entry.score} over ${entry.runs} run${entry.runs === 1 ? '' : 's'}`).join('\n')
+        : `No ${metric} scores for '${args.data_name}' have been recorded yet.`;
+      return `Compare these explanation methods on the '${args.data_name}' dataset and rank them by ${metric}.
+
+${modelLine(args)}
+
+Methods:
+${methods.map(describeMethod).join('\n')}
+
+Ranking metric:
+- ${metric}${definition ? ` (${definition.name}): ${definition.description}. ${definition.higher_is_better ? 'Higher' : 'Lower'} is better.` : ''}
+
+Local leaderboard (${metric} on '${args.data_name}', from earlier evaluate_explanation and run_benchmark calls):
+${leaderboard}
+
+Steps:
+1. Call \`load_dataset\` for '${args.data_name}' and choose the same 5 rows for every method.
+2. Call \`generate_explanation\` for each method and row with a fixed seed.
+3. Call \`evaluate_explanation\` with ${metric} for every explanation, and FA/RC with \`reference_explanation\` between methods to measure how much they disagree.
+4. Rank the methods by mean ${metric}, note where the ranking differs from the local leaderboard above, and point out rows where the methods disagree on the top features.
+5. Call \`get_leaderboard\` for '${args.data_name}' and ${metric}: every score from step 3 is recorded there, so check your ranking against earlier runs and their variance.`;
+    }
+  },
+
+  explain_decision: {
+    description: 'Write a plain-language explanation of one model decision for the person it affects',
+    arguments: [
+      { name: 'data_sample', description: 'JSON feature values of the decision to explain', required: true },
+      { name: 'data_name', description: 'Dataset the model was trained on', required: false },
+      { name: 'model', description: 'JSON model definition to compute the explanation locally', required: false },
+      { name: 'method', description: 'Explanation method (default shap)', required: false },
+      { name: 'audience', description: 'Who will read the explanation (default: the applicant)', required: false }
+    ],
+    build: (args) => {
+      const method = args.method ?? 'shap';
+      const audience = args.audience ?? 'the applicant';
+      return `Explain the model's decision for this input to ${audience}:
+${args.data_sample}
+
+${args.model ? `Model definition (pass as \`model\`): ${args.model}` : 'Ask me for the model definition if it is needed to compute the explanation.'}
+
+Explanation method:
+${describeMethod(method)}
+
+Steps:
+1. Call \`generate_explanation\` with method '${method}'${args.data_name ? `, model_info.data_name '${args.data_name}'` : ''} and this data_sample.
+2. Check the explanation with \`evaluate_explanation\` (PGI, k = 3); if the score is low, say the explanation is uncertain.
+3. Call \`generate_counterfactual\` with the same data_sample, marking attributes the person cannot or should not change (such as age, sex or race) as immutable.
+4. Write at most 150 words for ${audience}: the decision, the two or three factors that mattered most and in which direction, and one or two of the counterfactuals as concrete recourse steps.
+5. Use plain language: no feature indices, attribution values or jargon, and do not present correlations as causes.`;
+    }
+  }
+};
+
+export function listPrompts() {
+  return Object.entries(PROMPTS).map(([name, prompt]) => ({
+    name,
+    description: prompt.description,
+    arguments: prompt.arguments
+  }));
+}
+
+/**
+ * Fills in a prompt's template. `runs` are the local leaderboard runs that prompts quoting
+ * recorded scores rank.
+ */
+export function getPrompt(name, args = {}, { runs = [] } = {}) {
+  const prompt = PROMPTS[name];
+  if (!prompt) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown prompt '${name}'. Available prompts: ${Object.keys(PROMPTS).join(', ')}`);
+  }
+  const missing = prompt.arguments.filter(argument => argument.required && !args[argument.name]);
+  if (missing.length > 0) {
+    throw new McpError(ErrorCode.InvalidParams, `Prompt '${name}' requires: ${missing.map(argument => argument.name).join(', ')}`);
+  }
+  return {
+    description: prompt.description,
+    messages: [{ role: 'user', content: { type: 'text', text: prompt.build(args, { runs }) } }]
+  };
+}
@@ -0,0 +1,178 @@
+// Pool of long-lived Python workers that run OpenXAI over line-delimited JSON-RPC
+
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const WORKER_SCRIPT = fileURLToPath(new URL('./python/openxai_worker.py', import.meta.url));
+const UNAVAILABLE_RECHECK_MS = 60000;
+const STDERR_LIMIT = 4000;
+
+export class PythonBridgeError extends Error {
+  constructor(message, { code, stderr } = {}) {
+    super(message);
+    this.name = 'PythonBridgeError';
+    this.code = code;
+    this.stderr = stderr;
+  }
+}
+
+class PythonWorker {
+  constructor(pythonPath) {
+    this.busy = false;
+    this.alive = true;
+    this.nextId = 1;
+    this.pending = null;
+    this.buffer = '';
+    this.stderr = '';
+
+    this.process = spawn(pythonPath, ['-u', WORKER_SCRIPT], { stdio: ['pipe', 'pipe', 'pipe'] });
+    this.process.stdout.setEncoding('utf8');
+    this.process.stderr.setEncoding('utf8');
+    this.process.stdout.on('data', (chunk) => this.onStdout(chunk));
+    this.process.stderr.on('data', (chunk) => {
+      this.stderr = (this.stderr + chunk).slice(-STDERR_LIMIT);
+    });
+    this.process.on('error', (error) => this.fail(
+      error.code === 'ENOENT' ? `Python interpreter '${pythonPath}' not found` : error.message,
+      error.code === 'ENOENT' ? 'not_found' : 'spawn'
+    ));
+    this.process.on('exit', (code, signal) => this.fail(`Python worker exited (${signal ?? `code ${code}`})`, 'exited'));
+    // Writes to a worker that died are reported through 'exit'
+    this.process.stdin.on('error', () => {});
+  }
+
+  onStdout(chunk) {
+    this.buffer += chunk;
+    let newline;
+    while ((newline = this.buffer.indexOf('\n')) >= 0) {
+      const line = this.buffer.slice(0, newline).trim();
+      this.buffer = this.buffer.slice(newline + 1);
+      if (!line || !this.pending) continue;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (message.id !== this.pending.id) continue;
+
+      const { resolve, reject, timer, startedAt } = this.pending;
+      this.pending = null;
+      clearTimeout(timer);
+      // The worker returns the output captured during the call; the raw pipe can lag behind stdout
+      const stderr = message.stderr ?? this.stderr.trim();
+      if (message.error) {
+        reject(new PythonBridgeError(message.error.message, { code: 'rpc', stderr }));
+      } else {
+        resolve({ result: message.result, stderr, elapsedMs: Date.now() - startedAt });
+      }
+    }
+  }
+
+  fail(reason, code) {
+    this.alive = false;
+    if (this.pending) {
+      const { reject, timer } = this.pending;
+      this.pending = null;
+      clearTimeout(timer);
+      reject(new PythonBridgeError(reason, { code, stderr: this.stderr.trim() }));
+    }
+  }
+
+  request(method, params, timeout) {
+    return new Promise((resolve, reject) => {
+      if (!this.alive) {
+        reject(new PythonBridgeError('Python worker is not running', { code: 'exited' }));
+        return;
+      }
+      const id = this.nextId++;
+      this.stderr = '';
+      const timer = setTimeout(() => {
+        // A timed-out worker may be stuck in native code, so it is replaced rather than reused
+        this.fail(`Python call '${method}' timed out after ${timeout} ms`, 'timeout');
+        this.kill();
+      }, timeout);
+      this.pending = { id, resolve, reject, timer, startedAt: Date.now() };
+      this.process.stdin.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+    });
+  }
+
+  kill() {
+    this.alive = false;
+    if (this.process.exitCode === null && this.process.signalCode === null) {
+      this.process.kill('SIGKILL');
+    }
+  }
+}
+
+export class PythonBridge {
+  constructor({
+    pythonPath = process.env.OPENXAI_PYTHON ?? (process.platform === 'win32' ? 'python' : 'python3'),
+    poolSize = Number(process.env.OPENXAI_PYTHON_POOL_SIZE ?? 1),
+    timeout = Number(process.env.OPENXAI_PYTHON_TIMEOUT_MS ?? 120000)
+  } = {}) {
+    this.pythonPath = pythonPath;
+    this.poolSize = Math.max(1, poolSize);
+    this.timeout = timeout;
+    this.workers = [];
+    this.waiting = [];
+    this.status = null;
+  }
+
+  // Whether Python and the openxai package are usable; failures are re-checked after a minute
+  async availability() {
+    if (this.status && (this.status.available || Date.now() - this.status.checkedAt < UNAVAILABLE_RECHECK_MS)) {
+      return this.status;
+    }
+    try {
+      const { result } = await this.call('ping', {}, { timeout: 30000 });
+      this.status = result.openxai_error
+        ? { available: false, reason: `openxai package is not importable (${result.openxai_error})` }
+        : { available: true, python: result.python, openxai: result.openxai };
+    } catch (error) {
+      this.status = { available: false, reason: error.message };
+    }
+    this.status.checkedAt = Date.now();
+    if (!this.status.available) await this.close();
+    return this.status;
+  }
+
+  async call(method, params = {}, { timeout = this.timeout } = {}) {
+    const worker = await this.acquire();
+    try {
+      return await worker.request(method, params, timeout);
+    } finally {
+      this.release(worker);
+    }
+  }
+
+  takeWorker() {
+    this.workers = this.workers.filter(worker => worker.alive);
+    let worker = this.workers.find(candidate => !candidate.busy);
+    if (!worker && this.workers.length < this.poolSize) {
+      worker = new PythonWorker(this.pythonPath);
+      this.workers.push(worker);
+    }
+    if (worker) worker.busy = true;
+    return worker;
+  }
+
+  acquire() {
+    const worker = this.takeWorker();
+    return worker ? Promise.resolve(worker) : new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release(worker) {
+    worker.busy = false;
+    if (this.waiting.length > 0) {
+      const next = this.takeWorker();
+      if (next) this.waiting.shift()(next);
+    }
+  }
+
+  async close() {
+    for (const worker of this.workers) worker.kill();
+    this.workers = [];
+  }
+}
@@ -0,0 +1,263 @@
+#!/usr/bin/env python3
+"""Long-lived OpenXAI worker for the MCP server.
+
+Reads one JSON-RPC 2.0 request per line on stdin and writes one response per line on stdout.
+Anything the openxai package prints goes to stderr (so it cannot corrupt the protocol) and is
+also returned with the response for the call that produced it.
+"""
+
+import importlib
+import importlib.util
+import io
+import json
+import sys
+import traceback
+
+PROTOCOL_OUT = sys.stdout
+REAL_STDERR = sys.stderr
+
+
+class CapturedOutput(io.TextIOBase):
+    """Mirrors writes to the real stderr while keeping a copy for the current response."""
+
+    def __init__(self):
+        self.parts = []
+
+    def write(self, text):
+        self.parts.append(text)
+        REAL_STDERR.write(text)
+        return len(text)
+
+    def flush(self):
+        REAL_STDERR.flush()
+
+    def reset(self):
+        self.parts = []
+        return self
+
+    def text(self):
+        return "".join(self.parts)[-4000:].strip()
+
+
+CAPTURED = CapturedOutput()
+sys.stdout = CAPTURED
+sys.stderr = CAPTURED
+
+OPENXAI_ERROR = None
+try:
+    import openxai
+    import torch
+    from openxai import Evaluator, Explainer, LoadModel
+    from openxai.dataloader import ReturnLoaders
+except Exception as error:  # pragma: no cover - depends on the host environment
+    OPENXAI_ERROR = f"{type(error).__name__}: {error}"
+
+MODELS = {}
+LOADERS = {}
+CALLABLES = {}
+
+
+class RpcError(Exception):
+    def __init__(self, code, message):
+        super().__init__(message)
+        self.code = code
+
+
+def require_openxai():
+    if OPENXAI_ERROR:
+        raise RpcError(-32001, f"openxai is not importable: {OPENXAI_ERROR}")
+
+
+def get_loaders(data_name, download=True):
+    if data_name not in LOADERS:
+        LOADERS[data_name] = ReturnLoaders(data_name=data_name, download=download)
+    return LOADERS[data_name]
+
+
+def get_model(data_name, ml_model, pretrained=True):
+    key = (data_name, ml_model, pretrained)
+    if key not in MODELS:
+        MODELS[key] = LoadModel(data_name=data_name, ml_model=ml_model, pretrained=pretrained)
+    return MODELS[key]
+
+
+def to_tensor(sample):
+    values = list(sample.values()) if isinstance(sample, dict) else sample
+    if values and not isinstance(values[0], (list, tuple)):
+        values = [values]
+    return torch.tensor(values, dtype=torch.float32)
+
+
+def training_inputs(data_name):
+    trainloader, _ = get_loaders(data_name)
+    return torch.tensor(trainloader.dataset.data, dtype=torch.float32)
+
+
+def predicted_labels(model, inputs):
+    with torch.no_grad():
+        return model(inputs).argmax(dim=-1)
+
+
+def ping(params):
+    return {
+        "python": sys.version.split()[0],
+        "openxai": None if OPENXAI_ERROR else getattr(openxai, "__version__", "unknown"),
+        "openxai_error": OPENXAI_ERROR,
+    }
+
+
+def load_dataset(params):
+    require_openxai()
+    trainloader, testloader = get_loaders(params["dataset_name"], params.get("download", True))
+    inputs, labels = next(iter(testloader))
+    return {
+        "dataset": params["dataset_name"],
+        "train_samples": len(trainloader.dataset),
+        "test_samples": len(testloader.dataset),
+        "num_features": int(inputs.shape[1]),
+        "feature_names": list(getattr(trainloader.dataset, "feature_names", []) or []),
+        "batch_input_shape": list(inputs.shape),
+        "batch_label_shape": list(labels.shape),
+    }
+
+
+def load_model(params):
+    require_openxai()
+    model = get_model(params["data_name"], params["ml_model"], params.get("pretrained", True))
+    return {
+        "data_name": params["data_name"],
+        "ml_model": params["ml_model"],
+        "class_name": type(model).__name__,
+        "parameters": sum(p.numel() for p in model.parameters()) if hasattr(model, "parameters") else None,
+    }
+
+
+def generate_explanation(params):
+    require_openxai()
+    data_name = params["data_name"]
+    model = get_model(data_name, params["ml_model"])
+    inputs = to_tensor(params["data_sample"])
+    param_dict = {}
+    if params["method"] in ("lime", "shap"):
+        param_dict["inputs"] = training_inputs(data_name)
+    explainer = Explainer(method=params["method"], model=model, param_dict=param_dict)
+    explanations = explainer.get_explanations(inputs, label=predicted_labels(model, inputs))
+    return {"method": params["method"], "attributions": explanations.detach().tolist()}
+
+
+def evaluate_explanation(params):
+    require_openxai()
+    data_name = params["data_name"]
+    model = get_model(data_name, params["ml_model"])
+    inputs = to_tensor(params["data_sample"])
+    explanations = to_tensor(params["explanation"])
+    evaluator = Evaluator(model, metric=params["metric"])
+    score = evaluator.evaluate(
+        inputs=inputs,
+        labels=predicted_labels(model, inputs),
+        explanations=explanations,
+        inputs_train=training_inputs(data_name),
+    )
+    if hasattr(score, "tolist"):
+        score = score.tolist()
+    elif isinstance(score, tuple):
+        score = [s.tolist() if hasattr(s, "tolist") else s for s in score]
+    return {"metric": params["metric"], "score": score}
+
+
+def read_table(params):
+    """Reads formats the JS side cannot parse natively (e.g. Parquet); needs pandas, not openxai."""
+    import pandas
+
+    frame = pandas.read_parquet(params["path"])
+    frame = frame.astype(object).where(frame.notna(), None)
+    return {"columns": [str(column) for column in frame.columns], "rows": frame.values.tolist()}
+
+
+def load_callable(reference):
+    """Resolves "package.module:function" or "/path/to/file.py:function", caching the result."""
+    if reference not in CALLABLES:
+        location, _, name = reference.rpartition(":")
+        if not location or not name:
+            raise RpcError(-32602, f"Callable must look like 'module:function' or '/path/file.py:function', got '{reference}'")
+        if location.endswith(".py"):
+            spec = importlib.util.spec_from_file_location(f"openxai_mcp_model_{len(CALLABLES)}", location)
+            if spec is None:
+                raise RpcError(-32602, f"Cannot import {location}")
+            module = importlib.util.module_from_spec(spec)
+            spec.loader.exec_module(module)
+        else:
+            module = importlib.import_module(location)
+        function = getattr(module, name, None)
+        if not callable(function):
+            raise RpcError(-32602, f"{location} has no callable '{name}'")
+        CALLABLES[reference] = function
+    return CALLABLES[reference]
+
+
+def predict_images(params):
+    """Scores a batch of [height][width][channels] images in [0, 1] with a user callable; needs no openxai.
+
+    The callable gets a NumPy array of shape (N, H, W, C) when NumPy is installed (nested lists
+    otherwise) and must return one row of class scores per image.
+    """
+    function = load_callable(params["callable"])
+    images = params["images"]
+    try:
+        import numpy
+
+        images = numpy.asarray(images, dtype=numpy.float32)
+    except ImportError:
+        pass
+    scores = function(images)
+    if hasattr(scores, "detach"):
+        scores = scores.detach().cpu()
+    if hasattr(scores, "tolist"):
+        scores = scores.tolist()
+    scores = [row if isinstance(row, (list, tuple)) else [row] for row in scores]
+    return {"scores": [[float(value) for value in row] for row in scores]}
+
+
+METHODS = {
+    "ping": ping,
+    "read_table": read_table,
+    "predict_images": predict_images,
+    "load_dataset": load_dataset,
+    "load_model": load_model,
+    "generate_explanation": generate_explanation,
+    "evaluate_explanation": evaluate_explanation,
+}
+
+
+def respond(message):
+    message["stderr"] = CAPTURED.text()
+    PROTOCOL_OUT.write(json.dumps(message) + "\n")
+    PROTOCOL_OUT.flush()
+
+
+def main():
+    for line in sys.stdin:
+        if not line.strip():
+            continue
+        request_id = None
+        CAPTURED.reset()
+        try:
+            request = json.loads(line)
+            request_id = request.get("id")
+            handler = METHODS.get(request.get("method"))
+            if handler is None:
+                raise RpcError(-32601, f"Unknown method: {request.get('method')}")
+            respond({"jsonrpc": "2.0", "id": request_id, "result": handler(request.get("params") or {})})
+        except RpcError as error:
+            respond({"jsonrpc": "2.0", "id": request_id, "error": {"code": error.code, "message": str(error)}})
+        except Exception as error:
+            traceback.print_exc()
+            respond({
+                "jsonrpc": "2.0",
+                "id": request_id,
+                "error": {"code": -32000, "message": f"{type(error).__name__}: {error}"},
+            })
+
+
+if __name__ == "__main__":
+    main()
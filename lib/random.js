@@ -0,0 +1,56 @@
+// Seeded pseudo-random numbers so sampled explanations and metrics are reproducible
+
+// Pick a fresh seed when the caller did not supply one (reported back in results)
+export function resolveSeed(seed) {
+  if (seed === undefined || seed === null) {
+    return Math.floor(Math.random() * 2 ** 31);
+  }
+  if (!Number.isInteger(seed) || seed < 0) {
+    throw new Error(`Seed must be a non-negative integer, got '${seed}'`);
+  }
+  return seed;
+}
+
+// mulberry32 generator with Gaussian, integer and subset helpers
+export function createRng(seed) {
+  let state = resolveSeed(seed) >>> 0;
+  let spareNormal = null;
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const normal = (mean = 0, std = 1) => {
+    if (spareNormal !== null) {
+      const value = spareNormal;
+      spareNormal = null;
+      return mean + std * value;
+    }
+    let u = 0;
+    while (u === 0) u = next();
+    const v = next();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    spareNormal = radius * Math.sin(2 * Math.PI * v);
+    return mean + std * radius * Math.cos(2 * Math.PI * v);
+  };
+
+  const int = (max) => Math.floor(next() * max);
+
+  // Fisher-Yates on a copy
+  const shuffle = (items) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = int(i + 1);
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  };
+
+  const sample = (items, count) => shuffle(items).slice(0, count);
+
+  return { next, normal, int, shuffle, sample };
+}
@@ -0,0 +1,125 @@
+// MCP resources over the static catalog, so clients can attach reference material without a tool call
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { catalogDatasets, DEPLOYMENT_GUIDES, EXPLAINER_CATALOG, FRAMEWORK_INFO, METRIC_CATALOG } from './catalog.js';
+
+const JSON_TYPE = 'application/json';
+const MARKDOWN_TYPE = 'text/markdown';
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'openxai://datasets/{name}',
+    name: 'Dataset',
+    description: 'Catalog entry for a dataset, plus the schema and statistics once it has been loaded',
+    mimeType: JSON_TYPE
+  },
+  {
+    uriTemplate: 'openxai://explainers/{method}',
+    name: 'Explanation method',
+    description: 'Description, supported data types and requirements of an explanation method',
+    mimeType: JSON_TYPE
+  },
+  {
+    uriTemplate: 'openxai://metrics/{metric}',
+    name: 'Evaluation metric',
+    description: 'Definition of an evaluation metric (e.g. PGI, RIS, FA)',
+    mimeType: JSON_TYPE
+  },
+  {
+    uriTemplate: 'openxai://framework/{topic}',
+    name: 'Framework information',
+    description: `OpenXAI reference text (${Object.keys(FRAMEWORK_INFO).join(', ')})`,
+    mimeType: MARKDOWN_TYPE
+  },
+  {
+    uriTemplate: 'openxai://guides/deployment/{type}',
+    name: 'Deployment guide',
+    description: `OpenXAI Studio deployment guide (${Object.keys(DEPLOYMENT_GUIDES).join(', ')})`,
+    mimeType: MARKDOWN_TYPE
+  }
+];
+
+function metricEntries() {
+  return Object.entries(METRIC_CATALOG).flatMap(([category, metrics]) =>
+    Object.entries(metrics).map(([metric, definition]) => ({ metric, category, ...definition })));
+}
+
+const titleCase = (key) => key.split('_').map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+
+export function listResources() {
+  return [
+    ...catalogDatasets().map(entry => ({
+      uri: `openxai://datasets/${entry.name}`,
+      name: `Dataset: ${entry.name}`,
+      description: entry.description,
+      mimeType: JSON_TYPE
+    })),
+    ...Object.entries(EXPLAINER_CATALOG).map(([method, entry]) => ({
+      uri: `openxai://explainers/${method}`,
+      name: `Explainer: ${entry.name}`,
+      description: entry.description,
+      mimeType: JSON_TYPE
+    })),
+    ...metricEntries().map(entry => ({
+      uri: `openxai://metrics/${entry.metric}`,
+      name: `Metric: ${entry.metric} (${entry.name})`,
+      description: entry.description,
+      mimeType: JSON_TYPE
+    })),
+    ...Object.keys(FRAMEWORK_INFO).map(topic => ({
+      uri: `openxai://framework/${topic}`,
+      name: `OpenXAI ${titleCase(topic)}`,
+      mimeType: MARKDOWN_TYPE
+    })),
+    ...Object.keys(DEPLOYMENT_GUIDES).map(type => ({
+      uri: `openxai://guides/deployment/${type}`,
+      name: `Deployment Guide: ${titleCase(type)}`,
+      mimeType: MARKDOWN_TYPE
+    }))
+  ];
+}
+
+function jsonContents(uri, value) {
+  return { contents: [{ uri, mimeType: JSON_TYPE, text: JSON.stringify(value, null, 2) }] };
+}
+
+function notFound(uri) {
+  return new McpError(ErrorCode.InvalidParams, `Resource not found: ${uri}`);
+}
+
+/**
+ * Resolves an openxai:// URI. `datasets` holds the datasets loaded in this server, whose summaries
+ * are served under openxai://datasets/{name} alongside (or instead of) the catalog entry.
+ */
+export function readResource(uri, { datasets = new Map() } = {}) {
+  const match = /^openxai:\/\/([a-z]+)\/(.+)$/.exec(uri);
+  if (!match) {
+    throw notFound(uri);
+  }
+  const [, kind, rawKey] = match;
+  const key = decodeURIComponent(rawKey);
+
+  if (kind === 'datasets') {
+    const entry = catalogDatasets().find(candidate => candidate.name === key);
+    const loaded = datasets.get(key)?.summary;
+    if (!entry && !loaded) throw notFound(uri);
+    return jsonContents(uri, { ...(entry ?? { name: key }), ...(loaded && { loaded }) });
+  }
+  if (kind === 'explainers' && EXPLAINER_CATALOG[key]) {
+    return jsonContents(uri, { method: key, ...EXPLAINER_CATALOG[key] });
+  }
+  if (kind === 'metrics') {
+    const entry = metricEntries().find(candidate => candidate.metric === key.toUpperCase());
+    if (entry) return jsonContents(uri, entry);
+  }
+  if (kind === 'framework' && FRAMEWORK_INFO[key]) {
+    return { contents: [{ uri, mimeType: MARKDOWN_TYPE, text: FRAMEWORK_INFO[key] }] };
+  }
+  if (kind === 'guides') {
+    const type = key.startsWith('deployment/') ? key.slice('deployment/'.length) : null;
+    if (type && DEPLOYMENT_GUIDES[type]) {
+      return { contents: [{ uri, mimeType: MARKDOWN_TYPE, text: DEPLOYMENT_GUIDES[type] }] };
+    }
+  }
+  throw notFound(uri);
+}
@@ -0,0 +1,91 @@
+// Parsing helpers for the JSON-string arguments tools receive
+
+export function parseJSONArgument(value, label) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${label} is not valid JSON: ${error.message}`);
+  }
+}
+
+function toNumber(value, label) {
+  // Missing values stay NaN so tree models can route them down the default branch
+  if (value === null || value === '') return NaN;
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    throw new Error(`${label} must be numeric, got '${value}'`);
+  }
+  return number;
+}
+
+// Accepts an array of numbers or an object keyed by feature name
+export function parseSample(dataSample, featureNames, label = 'data_sample') {
+  const parsed = parseJSONArgument(dataSample, label);
+
+  if (Array.isArray(parsed)) {
+    if (featureNames && parsed.length !== featureNames.length) {
+      throw new Error(`${label} has ${parsed.length} values but the model expects ${featureNames.length} features`);
+    }
+    return parsed.map((value, i) => toNumber(value, `${label}[${i}]`));
+  }
+
+  if (parsed && typeof parsed === 'object') {
+    const names = featureNames ?? Object.keys(parsed);
+    const missing = names.filter(name => !(name in parsed));
+    if (missing.length > 0) {
+      throw new Error(`${label} is missing features: ${missing.join(', ')}`);
+    }
+    return names.map(name => toNumber(parsed[name], `${label}.${name}`));
+  }
+
+  throw new Error(`${label} must be a JSON array or object of feature values`);
+}
+
+// Background or neighbour rows: an array of samples in either format
+export function parseRows(rows, featureNames, label = 'background') {
+  const parsed = parseJSONArgument(rows, label);
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    throw new Error(`${label} must be a non-empty JSON array of samples`);
+  }
+  return parsed.map((row, i) => parseSample(row, featureNames, `${label}[${i}]`));
+}
+
+// Explanations may be a plain vector, a feature map, or a generate_explanation result
+function unwrapAttributions(explanation, label) {
+  const parsed = parseJSONArgument(explanation, label);
+  return parsed && !Array.isArray(parsed) && typeof parsed.attributions === 'object'
+    ? parsed.attributions
+    : parsed;
+}
+
+export function parseAttributions(explanation, featureNames, label = 'explanation') {
+  const vector = unwrapAttributions(explanation, label);
+  const values = parseSample(vector, featureNames, label);
+  if (values.some(Number.isNaN)) {
+    throw new Error(`${label} contains missing attribution values`);
+  }
+  return values;
+}
+
+// Method and seed recorded in a generate_explanation result (null for a plain vector or feature map)
+export function explanationSource(explanation, label = 'explanation') {
+  const parsed = parseJSONArgument(explanation, label);
+  const isResult = parsed && !Array.isArray(parsed) && typeof parsed === 'object';
+  return {
+    method: isResult && typeof parsed.method === 'string' ? parsed.method : null,
+    seed: isResult && Number.isInteger(parsed.seed) ? parsed.seed : null
+  };
+}
+
+// Feature names carried by an explanation itself (x0, x1, ... for plain vectors)
+export function inferFeatureNames(explanation, label = 'explanation') {
+  const vector = unwrapAttributions(explanation, label);
+  if (Array.isArray(vector)) return vector.map((_, i) => `x${i}`);
+  if (vector && typeof vector === 'object') return Object.keys(vector);
+  throw new Error(`${label} must be a JSON array or object of attributions`);
+}
+
+export function toFeatureMap(featureNames, values) {
+  return Object.fromEntries(featureNames.map((name, i) => [name, values[i]]));
+}
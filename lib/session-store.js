@@ -0,0 +1,193 @@
+// Handles for the datasets and models loaded by the tools, held in server memory with an idle TTL
+// and a memory budget; when the budget is exceeded the least recently used entries are evicted.
+// Each entry belongs to the MCP session that created it (see scope()); lookups made for an owner
+// only see that owner's entries.
+
+import { randomBytes } from 'crypto';
+
+export const HANDLE_KINDS = ['dataset', 'model'];
+const HANDLE_PREFIXES = { dataset: 'ds', model: 'mdl' };
+
+// Rough V8 footprint of a value: enough to compare entries against the budget, not an exact heap size
+export function estimateBytes(value, seen = new Set()) {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'number') return 8;
+  if (typeof value === 'boolean') return 4;
+  if (typeof value === 'string') return 16 + 2 * value.length;
+  if (typeof value !== 'object' || seen.has(value)) return 0;
+  seen.add(value);
+  if (ArrayBuffer.isView(value)) return 64 + value.byteLength;
+  if (Array.isArray(value)) {
+    let total = 16 + 8 * value.length;
+    for (const item of value) total += estimateBytes(item, seen);
+    return total;
+  }
+  let total = 32;
+  for (const [key, item] of Object.entries(value)) {
+    total += 8 + 2 * key.length + estimateBytes(item, seen);
+  }
+  return total;
+}
+
+// Lookups without an owner see every entry
+const visible = (entry, owner) => owner === undefined || entry.owner === owner;
+
+export class SessionStore {
+  constructor({
+    ttlMs = Number(process.env.OPENXAI_HANDLE_TTL_MS ?? 30 * 60 * 1000),
+    maxBytes = Number(process.env.OPENXAI_MAX_LOADED_MB ?? 512) * 1024 * 1024,
+    now = Date.now
+  } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxBytes = maxBytes;
+    this.now = now;
+    this.entries = new Map();
+  }
+
+  get usedBytes() {
+    return this.bytesOf(undefined);
+  }
+
+  // Bytes held by one owner's entries (every entry without an owner)
+  bytesOf(owner) {
+    let total = 0;
+    for (const entry of this.entries.values()) {
+      if (visible(entry, owner)) total += entry.bytes;
+    }
+    return total;
+  }
+
+  /**
+   * Stores `value` under a new handle for `owner`. With `replace`, the owner's earlier entry of the
+   * same kind and name is dropped so lookups by name see the latest load. `details` are shown by
+   * list(). Returns { handle, evicted } where evicted lists the handles dropped to stay within the budget.
+   */
+  add(kind, name, value, { owner, details = {}, bytes = estimateBytes(value), replace = false } = {}) {
+    if (bytes > this.maxBytes) {
+      throw new Error(`${kind} '${name}' needs about ${megabytes(bytes)} MB, more than the ${megabytes(this.maxBytes)} MB budget (OPENXAI_MAX_LOADED_MB)`);
+    }
+    this.sweep();
+    if (replace) {
+      for (const [handle, entry] of this.entries) {
+        if (entry.kind === kind && entry.name === name && entry.owner === owner) this.entries.delete(handle);
+      }
+    }
+    const evicted = [];
+    // Map iteration order is insertion order and touch() re-inserts, so the first entry is the least recently used
+    while (this.usedBytes + bytes > this.maxBytes) {
+      const [oldest] = this.entries.keys();
+      this.entries.delete(oldest);
+      evicted.push(oldest);
+    }
+
+    const handle = `${HANDLE_PREFIXES[kind]}_${randomBytes(6).toString('hex')}`;
+    const time = this.now();
+    this.entries.set(handle, { handle, kind, name, owner, value, details, bytes, createdAt: time, lastUsedAt: time });
+    return { handle, evicted };
+  }
+
+  get(handle, kind, owner) {
+    this.sweep();
+    const entry = this.entries.get(handle);
+    if (!entry || !visible(entry, owner) || (kind && entry.kind !== kind)) {
+      throw new Error(`Unknown or expired ${kind ? `${kind} handle` : 'handle'} '${handle}'. ` +
+                      'Handles expire after being idle; call list_loaded to see the active ones');
+    }
+    return this.touch(entry).value;
+  }
+
+  findByName(kind, name, owner) {
+    this.sweep();
+    for (const entry of this.entries.values()) {
+      if (entry.kind === kind && entry.name === name && visible(entry, owner)) return this.touch(entry).value;
+    }
+    return undefined;
+  }
+
+  // Live values of one kind keyed by name, without refreshing their TTL
+  byName(kind, owner) {
+    this.sweep();
+    return new Map([...this.entries.values()]
+      .filter(entry => entry.kind === kind && visible(entry, owner))
+      .map(entry => [entry.name, entry.value]));
+  }
+
+  remove(handle, owner) {
+    const entry = this.entries.get(handle);
+    if (!entry || !visible(entry, owner)) return null;
+    this.entries.delete(handle);
+    return this.describe(entry);
+  }
+
+  // Drops every entry of a session that has ended, returning their handles
+  removeOwner(owner) {
+    const removed = [];
+    for (const [handle, entry] of this.entries) {
+      if (entry.owner === owner) {
+        this.entries.delete(handle);
+        removed.push(handle);
+      }
+    }
+    return removed;
+  }
+
+  list(kind, owner) {
+    this.sweep();
+    return [...this.entries.values()]
+      .filter(entry => (!kind || entry.kind === kind) && visible(entry, owner))
+      .map(entry => this.describe(entry));
+  }
+
+  /**
+   * The store as seen by one session: the same methods, limited to the entries `owner` created.
+   * usedBytes counts the session's entries; sessions share the budget, which totalBytes is measured
+   * against. close() drops the session's entries when it ends.
+   */
+  scope(owner) {
+    const store = this;
+    return {
+      get ttlMs() { return store.ttlMs; },
+      get maxBytes() { return store.maxBytes; },
+      get usedBytes() { return store.bytesOf(owner); },
+      get totalBytes() { return store.usedBytes; },
+      add: (kind, name, value, options = {}) => store.add(kind, name, value, { ...options, owner }),
+      get: (handle, kind) => store.get(handle, kind, owner),
+      findByName: (kind, name) => store.findByName(kind, name, owner),
+      byName: (kind) => store.byName(kind, owner),
+      remove: (handle) => store.remove(handle, owner),
+      list: (kind) => store.list(kind, owner),
+      close: () => store.removeOwner(owner)
+    };
+  }
+
+  describe(entry) {
+    return {
+      handle: entry.handle,
+      kind: entry.kind,
+      name: entry.name,
+      ...entry.details,
+      bytes: entry.bytes,
+      created_at: new Date(entry.createdAt).toISOString(),
+      last_used_at: new Date(entry.lastUsedAt).toISOString(),
+      expires_at: new Date(entry.lastUsedAt + this.ttlMs).toISOString()
+    };
+  }
+
+  touch(entry) {
+    entry.lastUsedAt = this.now();
+    this.entries.delete(entry.handle);
+    this.entries.set(entry.handle, entry);
+    return entry;
+  }
+
+  sweep() {
+    const cutoff = this.now() - this.ttlMs;
+    for (const [handle, entry] of this.entries) {
+      if (entry.lastUsedAt <= cutoff) this.entries.delete(handle);
+    }
+  }
+}
+
+function megabytes(bytes) {
+  return Math.round(bytes / 1024 / 1024 * 10) / 10;
+}
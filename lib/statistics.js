@@ -0,0 +1,36 @@
+// Per-feature summary statistics over numeric rows (NaN marks a missing value)
+
+export function summarise(values) {
+  const present = values.filter(value => !Number.isNaN(value));
+  if (present.length === 0) {
+    return { count: 0, missing: values.length, min: null, max: null, mean: null, std: null };
+  }
+  let min = Infinity;
+  let max = -Infinity;
+  let total = 0;
+  for (const value of present) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+    total += value;
+  }
+  const mean = total / present.length;
+  const variance = present.length > 1
+    ? present.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (present.length - 1)
+    : 0;
+  return {
+    count: present.length,
+    missing: values.length - present.length,
+    min,
+    max,
+    mean,
+    std: Math.sqrt(variance)
+  };
+}
+
+// Per-feature standard deviations (0 when unknown), e.g. to floor RIS's relative input change
+export const featureScales = (statistics) => statistics.map(entry => entry.std ?? 0);
+
+export function featureStatistics(rows) {
+  const numFeatures = rows[0]?.length ?? 0;
+  return Array.from({ length: numFeatures }, (_, j) => summarise(rows.map(row => row[j])));
+}
@@ -0,0 +1,173 @@
+// Leaderboard submissions: validates the locally recorded runs and packages them as a versioned,
+// HMAC-signed bundle with a manifest, ready to attach to a leaderboard pull request
+
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { aggregateRuns } from './leaderboard.js';
+
+export const SUBMISSION_FORMAT = 'openxai-leaderboard-submission';
+export const SUBMISSION_VERSION = 1;
+export const SIGNATURE_ALGORITHM = 'HMAC-SHA256';
+
+// Faithfulness and input/output stability apply to every model type; RRS needs an ann
+export const DEFAULT_REQUIRED_METRICS = ['PGI', 'PGU', 'RIS', 'ROS'];
+
+// Valid score ranges: prediction gaps of probabilities, non-negative stability ratios, agreement fractions.
+// PGI and PGU of models with unbounded (regression) outputs only have to be non-negative; see scoreRange
+export const SCORE_RANGES = {
+  PGI: [0, 1],
+  PGU: [0, 1],
+  RIS: [0, Infinity],
+  RRS: [0, Infinity],
+  ROS: [0, Infinity],
+  FA: [0, 1],
+  RA: [0, 1],
+  SA: [0, 1],
+  SRA: [0, 1],
+  RC: [-1, 1],
+  PRA: [0, 1]
+};
+
+// Metrics and explainers whose results depend on random sampling, so runs must record their seed
+const SEEDED_METRICS = ['PGI', 'PGU', 'RIS', 'RRS', 'ROS'];
+const SAMPLING_EXPLAINERS = ['lime', 'shap', 'smoothgrad'];
+// Metrics measured in model output units, bounded only when the model outputs probabilities
+const OUTPUT_GAP_METRICS = ['PGI', 'PGU'];
+const UNSPECIFIED = 'unspecified';
+
+function scoreRange(run) {
+  if (OUTPUT_GAP_METRICS.includes(run.metric) && run.settings?.output === 'unbounded') return [0, Infinity];
+  return SCORE_RANGES[run.metric] ?? [-Infinity, Infinity];
+}
+
+export function submissionDirectory() {
+  return path.resolve(process.env.OPENXAI_SUBMISSION_DIR ?? 'submissions');
+}
+
+// Shared secret the bundle is signed with; leaderboard maintainers verify it with the same key
+export function submissionKey() {
+  return process.env.OPENXAI_SUBMISSION_KEY || null;
+}
+
+function issue(severity, code, message, extra = {}) {
+  return { severity, code, message, ...extra };
+}
+
+/**
+ * Checks the runs a submission would contain. Without `datasets`, every dataset with recorded runs is
+ * required. Returns the selected runs, the required dataset/metric pairs and the issues found; any
+ * issue with severity 'error' blocks the submission.
+ */
+export function validateRuns(allRuns, { datasets, metrics = DEFAULT_REQUIRED_METRICS, model, explainer } = {}) {
+  const issues = [];
+  const matches = (filter, value) => !filter || filter.toLowerCase() === value.toLowerCase();
+  const candidates = allRuns.filter(run => matches(model, run.model) && matches(explainer, run.explainer));
+
+  const unassigned = candidates.filter(run => run.dataset === UNSPECIFIED).length;
+  if (unassigned > 0 && !datasets) {
+    issues.push(issue('warning', 'no_dataset', `${unassigned} runs have no dataset (model_info.data_name) and are left out`));
+  }
+  const requiredDatasets = datasets ?? [...new Set(candidates.map(run => run.dataset))].filter(name => name !== UNSPECIFIED).sort();
+  if (requiredDatasets.length === 0) {
+    issues.push(issue('error', 'no_results', 'No recorded runs match. Evaluate explanations with evaluate_explanation first'));
+  }
+
+  const runs = candidates.filter(run => requiredDatasets.includes(run.dataset) && metrics.includes(run.metric));
+  const required = requiredDatasets.flatMap(dataset => metrics.map(metric => ({
+    dataset,
+    metric,
+    runs: runs.filter(run => run.dataset === dataset && run.metric === metric).length
+  })));
+  for (const pair of required.filter(pair => pair.runs === 0)) {
+    issues.push(issue('error', 'missing_pair', `No ${pair.metric} runs for dataset '${pair.dataset}'`, { dataset: pair.dataset, metric: pair.metric }));
+  }
+
+  for (const run of runs) {
+    const where = { dataset: run.dataset, metric: run.metric, timestamp: run.timestamp };
+    const [min, max] = scoreRange(run);
+    if (!Number.isFinite(run.score) || run.score < min || run.score > max) {
+      // Runs recorded before the model's output kind was, or scored by OpenXAI in Python, may come from a regression model
+      const unknownOutput = OUTPUT_GAP_METRICS.includes(run.metric) && !run.settings?.output && Number.isFinite(run.score) && run.score >= min;
+      issues.push(unknownOutput
+        ? issue('warning', 'score_out_of_range', `${run.metric} score ${run.score} is above ${max}, which only a regression model can produce; the run does not record the model's output`, where)
+        : issue('error', 'score_out_of_range', `${run.metric} score ${run.score} is outside [${min}, ${max}]`, where));
+    }
+    if (SEEDED_METRICS.includes(run.metric) && !Number.isInteger(run.settings?.seed)) {
+      issues.push(issue('error', 'missing_seed', `${run.metric} run has no recorded seed, so it cannot be reproduced`, where));
+    }
+    if (SAMPLING_EXPLAINERS.includes(run.explainer) && !Number.isInteger(run.settings?.explainer_seed)) {
+      issues.push(issue('warning', 'missing_explainer_seed',
+        `${run.explainer} explanation has no recorded seed; pass the generate_explanation result as 'explanation' to record it`, where));
+    }
+  }
+
+  return { runs, required, issues, valid: !issues.some(entry => entry.severity === 'error') };
+}
+
+export function signBundle(text, key) {
+  return createHmac('sha256', key).update(text).digest('hex');
+}
+
+// Identifies the key without revealing it, so reviewers know which shared secret to verify with
+export function keyId(key) {
+  return createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * Builds the bundle text and its manifest. The manifest holds the bundle's SHA-256 digest and its
+ * HMAC-SHA256 signature under `key`.
+ */
+export function buildSubmission(runs, { required, submitter, notes, server, key, createdAt = new Date().toISOString() }) {
+  const results = aggregateRuns(runs).map(({ rank, higher_is_better, ...entry }) => entry);
+  const bundle = {
+    format: SUBMISSION_FORMAT,
+    version: SUBMISSION_VERSION,
+    created_at: createdAt,
+    ...(submitter && { submitter }),
+    ...(notes && { notes }),
+    server,
+    requirements: {
+      datasets: [...new Set(required.map(pair => pair.dataset))],
+      metrics: [...new Set(required.map(pair => pair.metric))]
+    },
+    results,
+    runs
+  };
+  const text = JSON.stringify(bundle, null, 2) + '\n';
+  const manifest = {
+    format: `${SUBMISSION_FORMAT}-manifest`,
+    version: SUBMISSION_VERSION,
+    created_at: createdAt,
+    bundle: 'submission.json',
+    sha256: createHash('sha256').update(text).digest('hex'),
+    bytes: Buffer.byteLength(text),
+    counts: { runs: runs.length, results: results.length, datasets: bundle.requirements.datasets.length, metrics: bundle.requirements.metrics.length },
+    signature: { algorithm: SIGNATURE_ALGORITHM, key_id: keyId(key), value: signBundle(text, key) }
+  };
+  return { bundle, text, manifest };
+}
+
+export function verifySubmission(text, manifest, key) {
+  if (manifest.signature?.algorithm !== SIGNATURE_ALGORITHM) return false;
+  const digest = createHash('sha256').update(text).digest('hex');
+  const expected = Buffer.from(signBundle(text, key), 'hex');
+  const actual = Buffer.from(String(manifest.signature.value), 'hex');
+  return digest === manifest.sha256 && actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+// Writes <directory>/<id>/submission.json and manifest.json; the id is timestamped so bundles never overwrite
+export async function writeSubmission({ text, manifest }, { directory = submissionDirectory(), label = 'results' } = {}) {
+  const stamp = manifest.created_at.replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  const id = `${label.replace(/[^\w.-]+/g, '_')}-${stamp}`;
+  const folder = path.join(directory, id);
+  if (await fs.pathExists(folder)) {
+    throw new Error(`Submission ${folder} already exists`);
+  }
+  await fs.ensureDir(folder);
+  const bundleFile = path.join(folder, manifest.bundle);
+  const manifestFile = path.join(folder, 'manifest.json');
+  await fs.writeFile(bundleFile, text);
+  await fs.writeFile(manifestFile, JSON.stringify(manifest, null, 2) + '\n');
+  return { id, bundleFile, manifestFile };
+}
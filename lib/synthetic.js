@@ -0,0 +1,133 @@
+// Seeded synthetic tabular datasets whose labels come from a known linear model, so explanations
+// can be scored against true feature importance
+
+import { createRng, resolveSeed } from './random.js';
+
+export const CORRELATION_STRUCTURES = ['independent', 'equicorrelated', 'toeplitz'];
+
+const DECIMALS = 6;
+
+const round = (value) => Number(value.toFixed(DECIMALS));
+
+// Standard normal features with unit variance and the requested pairwise correlation
+function sampleFeatures(rng, numFeatures, structure, rho) {
+  if (structure === 'equicorrelated') {
+    // Shared factor: corr(x_i, x_j) = rho for every pair
+    const shared = rng.normal();
+    return Array.from({ length: numFeatures }, () => Math.sqrt(rho) * shared + Math.sqrt(1 - rho) * rng.normal());
+  }
+  if (structure === 'toeplitz') {
+    // AR(1) chain: corr(x_i, x_j) = rho^|i - j|
+    const row = [rng.normal()];
+    for (let j = 1; j < numFeatures; j++) {
+      row.push(rho * row[j - 1] + Math.sqrt(1 - rho ** 2) * rng.normal());
+    }
+    return row;
+  }
+  return Array.from({ length: numFeatures }, () => rng.normal());
+}
+
+function quantile(values, q) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function validate({ task, numSamples, numFeatures, numInformative, correlation, correlationStructure, noise, classBalance }) {
+  if (!['classification', 'regression'].includes(task)) {
+    throw new Error(`task must be 'classification' or 'regression', got '${task}'`);
+  }
+  if (!Number.isInteger(numSamples) || numSamples < 2) throw new Error('num_samples must be an integer of at least 2');
+  if (!Number.isInteger(numFeatures) || numFeatures < 1) throw new Error('num_features must be a positive integer');
+  if (!Number.isInteger(numInformative) || numInformative < 1 || numInformative > numFeatures) {
+    throw new Error(`num_informative must be an integer between 1 and num_features (${numFeatures})`);
+  }
+  if (!CORRELATION_STRUCTURES.includes(correlationStructure)) {
+    throw new Error(`correlation_structure must be one of: ${CORRELATION_STRUCTURES.join(', ')}`);
+  }
+  if (!(correlation >= 0 && correlation < 1)) throw new Error('correlation must be in [0, 1)');
+  if (correlationStructure === 'independent' && correlation > 0) {
+    throw new Error(`correlation_structure 'independent' cannot have a correlation of ${correlation}; use 'equicorrelated' or 'toeplitz', or set correlation to 0`);
+  }
+  if (!(noise >= 0)) throw new Error('noise must be non-negative');
+  if (!(classBalance > 0 && classBalance < 1)) throw new Error('class_balance must be in (0, 1)');
+}
+
+/**
+ * Generates a dataset as { columns, rows } plus its ground truth. Informative features get
+ * coefficients of random sign and magnitude in [0.5, 2]; the rest are zero. Classification labels
+ * threshold the noisy linear score so that `classBalance` of the rows are positive.
+ */
+export function generateSyntheticDataset({
+  task = 'classification',
+  numSamples = 1000,
+  numFeatures = 10,
+  numInformative = Math.min(5, numFeatures),
+  correlation = 0,
+  correlationStructure = correlation > 0 ? 'equicorrelated' : 'independent',
+  noise = 0.1,
+  classBalance = 0.5,
+  seed
+} = {}) {
+  validate({ task, numSamples, numFeatures, numInformative, correlation, correlationStructure, noise, classBalance });
+  const resolvedSeed = resolveSeed(seed);
+  const rng = createRng(resolvedSeed);
+  const featureNames = Array.from({ length: numFeatures }, (_, j) => `x${j}`);
+
+  const informative = rng.sample(featureNames.map((_, j) => j), numInformative).sort((a, b) => a - b);
+  const coefficients = new Array(numFeatures).fill(0);
+  for (const j of informative) {
+    coefficients[j] = round((rng.next() < 0.5 ? -1 : 1) * (0.5 + 1.5 * rng.next()));
+  }
+
+  const features = Array.from({ length: numSamples }, () =>
+    sampleFeatures(rng, numFeatures, correlationStructure, correlation).map(round));
+  const scores = features.map(row =>
+    row.reduce((total, value, j) => total + coefficients[j] * value, 0) + noise * rng.normal());
+
+  let labels;
+  let intercept = 0;
+  if (task === 'classification') {
+    const threshold = quantile(scores, 1 - classBalance);
+    intercept = round(-threshold);
+    labels = scores.map(score => (score > threshold ? 1 : 0));
+  } else {
+    labels = scores.map(round);
+  }
+
+  const totalWeight = coefficients.reduce((total, value) => total + Math.abs(value), 0);
+  const groundTruth = {
+    coefficients: Object.fromEntries(featureNames.map((name, j) => [name, coefficients[j]])),
+    importance: Object.fromEntries(featureNames.map((name, j) => [name, Math.abs(coefficients[j]) / totalWeight])),
+    informative_features: informative.map(j => featureNames[j]),
+    // Data-generating model in the format accepted by the explanation and evaluation tools
+    model: {
+      type: 'lr',
+      feature_names: featureNames,
+      coefficients,
+      intercept,
+      link: task === 'classification' ? 'logistic' : 'identity'
+    }
+  };
+
+  return {
+    table: {
+      columns: [...featureNames, 'label'],
+      rows: features.map((row, i) => [...row, labels[i]])
+    },
+    groundTruth,
+    settings: {
+      task,
+      num_samples: numSamples,
+      num_features: numFeatures,
+      num_informative: numInformative,
+      correlation,
+      correlation_structure: correlationStructure,
+      noise,
+      ...(task === 'classification' && { class_balance: classBalance }),
+      seed: resolvedSeed
+    }
+  };
+}
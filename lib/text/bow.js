@@ -0,0 +1,62 @@
+// Bag-of-words logistic text classifiers defined in JSON, and the tokenizer they share with text explanations
+
+export const TEXT_MODEL_TYPES = ['bow'];
+
+// Words and numbers, keeping inner apostrophes ("don't") together
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+// Tokens with their character offsets in the original text, so renderings keep its spacing and punctuation
+export function tokenize(text, { lowercase = true } = {}) {
+  return Array.from(text.matchAll(TOKEN_PATTERN), match => ({
+    token: match[0],
+    word: lowercase ? match[0].toLowerCase() : match[0],
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * Builds a classifier from { type: 'bow', vocabulary, coefficients, intercept?, binary?, lowercase?, classes? }.
+ * The score is sigmoid(intercept + Σ coefficient × count), or × presence when `binary` is set; words outside
+ * the vocabulary are ignored. predict takes the normalised words of a text and returns P(classes[1]).
+ */
+export function createTextModel(spec) {
+  const { vocabulary, coefficients } = spec;
+  if (!Array.isArray(vocabulary) || vocabulary.length === 0 || !vocabulary.every(word => typeof word === 'string')) {
+    throw new Error("bow model requires a non-empty 'vocabulary' array of words");
+  }
+  if (!Array.isArray(coefficients) || coefficients.length !== vocabulary.length || !coefficients.every(Number.isFinite)) {
+    throw new Error(`bow model requires 'coefficients' with one number per vocabulary word (${vocabulary.length})`);
+  }
+  const lowercase = spec.lowercase ?? true;
+  const weights = new Map();
+  vocabulary.forEach((word, i) => {
+    const key = lowercase ? word.toLowerCase() : word;
+    if (weights.has(key)) throw new Error(`Duplicate vocabulary word '${word}'`);
+    weights.set(key, coefficients[i]);
+  });
+  const intercept = spec.intercept ?? 0;
+  const binary = spec.binary ?? false;
+  const classes = spec.classes ?? ['0', '1'];
+  if (classes.length !== 2) throw new Error('bow models are binary: classes must have 2 entries');
+
+  const predict = (words) => {
+    const counted = binary ? new Set(words) : words;
+    let z = intercept;
+    for (const word of counted) z += weights.get(word) ?? 0;
+    return sigmoid(z);
+  };
+
+  return {
+    type: 'bow',
+    numFeatures: vocabulary.length,
+    classes,
+    lowercase,
+    tokenize: (text) => tokenize(text, { lowercase }),
+    weightOf: (word) => weights.get(word) ?? 0,
+    predict,
+    predictBatch: (documents) => documents.map(predict)
+  };
+}
@@ -0,0 +1,65 @@
+// HTML and Markdown renderings of token scores over the original text
+
+// Markdown marks at most this many words, and only those scoring at least a tenth of the largest score
+const MARKDOWN_TOKENS = 10;
+const MARKDOWN_MIN_SHARE = 0.1;
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, character =>
+  ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[character]);
+
+const formatScore = (score) => `${score >= 0 ? '+' : '−'}${Math.abs(score).toFixed(3)}`;
+
+// Rebuilds the text from its tokens, passing the gaps (spacing, punctuation) through `gap`
+function weave(text, tokens, { token: renderToken, gap }) {
+  let output = '';
+  let position = 0;
+  for (const token of tokens) {
+    output += gap(text.slice(position, token.start)) + renderToken(token);
+    position = token.end;
+  }
+  return output + gap(text.slice(position));
+}
+
+// A loop rather than Math.max(...scores), which overflows the stack on very long texts
+function peakScore(tokens) {
+  let peak = 0;
+  for (const token of tokens) peak = Math.max(peak, Math.abs(token.score));
+  return peak;
+}
+
+/**
+ * Highlights each token with a green (towards `classes[1]`) or red (towards `classes[0]`) background
+ * whose opacity follows its score relative to the largest absolute score.
+ */
+export function renderHtml(text, tokens, classes) {
+  const peak = peakScore(tokens);
+  const body = weave(text, tokens, {
+    gap: escapeHtml,
+    token: ({ token, score }) => {
+      const alpha = peak > 0 ? Math.abs(score) / peak : 0;
+      if (alpha < 0.005) return escapeHtml(token);
+      const colour = score > 0 ? '34, 139, 34' : '220, 20, 60';
+      return `<span style="background-color: rgba(${colour}, ${alpha.toFixed(2)})" title="${formatScore(score)} towards ${escapeHtml(score > 0 ? classes[1] : classes[0])}">${escapeHtml(token)}</span>`;
+    }
+  });
+  return `<p class="token-attributions">${body}</p>`;
+}
+
+// Marks the highest-scoring words: **bold** pushes towards classes[1], ~~struck~~ towards classes[0]
+export function renderMarkdown(text, tokens, classes) {
+  const peak = peakScore(tokens);
+  const ranked = [...new Map(tokens.map(token => [token.token, Math.abs(token.score)])).entries()]
+    .filter(([, magnitude]) => magnitude > 0 && magnitude >= MARKDOWN_MIN_SHARE * peak)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MARKDOWN_TOKENS);
+  const marked = new Set(ranked.map(([word]) => word));
+  const escapeMarkdown = (value) => value.replace(/([\\`*_~[\]#<>|])/g, '\\$1');
+  const body = weave(text, tokens, {
+    gap: escapeMarkdown,
+    token: ({ token, score }) => {
+      if (!marked.has(token)) return escapeMarkdown(token);
+      return score > 0 ? `**${token}** (${formatScore(score)})` : `~~${token}~~ (${formatScore(score)})`;
+    }
+  });
+  return `${body}\n\n**bold**: towards '${classes[1]}'; ~~struck~~: towards '${classes[0]}' (the ${marked.size} highest-scoring words are marked)`;
+}
@@ -0,0 +1,701 @@
+// Tool definitions: one Zod schema per tool validates the arguments and is the source of the
+// advertised inputSchema; a second schema describes the structuredContent each tool returns
+
+import { z } from 'zod';
+import { toJSONSchema } from './json-schema.js';
+import { LOCAL_METHODS, SHAP_ALGORITHMS } from './explainers/index.js';
+import { FEATURE_PERTURBATIONS } from './explainers/tree-shap.js';
+import { IMAGE_METHODS } from './explainers/saliency.js';
+import { IMAGE_MODEL_TYPES } from './images/cnn.js';
+import { TEXT_MODEL_TYPES } from './text/bow.js';
+import { MAX_TEXT_WORDS } from './explainers/lime-text.js';
+import { SUPPORTED_MODEL_TYPES } from './models.js';
+import { CORRELATION_STRUCTURES } from './synthetic.js';
+import { HANDLE_KINDS } from './session-store.js';
+import { FAIRNESS_BASE_METRICS } from './fairness.js';
+import { DIRECTIONS } from './counterfactuals.js';
+import { TREE_FORMATS } from './tree-import.js';
+import { CHART_TYPES } from './charts/charts.js';
+
+const EXECUTE_DESCRIPTION = 'Run the OpenXAI code in a local Python worker and return real results (falls back to code only when Python or openxai is unavailable; default from OPENXAI_EXECUTION_MODE)';
+
+const EXPLANATION_METHODS = ['lime', 'shap', 'integrated_gradients', 'gradient_x_input', 'smoothgrad', 'gradcam', 'guided_backprop'];
+const ML_MODELS = ['ann', 'lr', 'rf', 'svm', 'xgb'];
+const METRICS = ['PGI', 'PGU', 'RIS', 'RRS', 'ROS', 'FA', 'RA', 'SA', 'SRA', 'RC', 'PRA'];
+
+// Samples, explanations and background rows are JSON strings, but already-parsed values are accepted too
+const jsonValue = (description) => z.union([z.string(), z.array(z.unknown()), z.record(z.unknown())]).describe(description);
+
+// Long enough for any IMDB review; lime-text.js also caps the distinct words
+const MAX_TEXT_CHARACTERS = 20000;
+
+const count = () => z.number().int().positive();
+const seed = (description) => z.number().int().nonnegative().describe(description).optional();
+
+const modelInfo = (description) => z.object({
+  data_name: z.string().optional(),
+  ml_model: z.string().optional()
+}).passthrough().describe(description);
+
+const modelDefinition = (description, types = SUPPORTED_MODEL_TYPES) => z.object({
+  type: z.enum(types)
+}).passthrough().describe(description).optional();
+
+const execute = z.boolean().describe(EXECUTE_DESCRIPTION).optional();
+
+const handle = (description) => z.string().min(1).describe(description).optional();
+const modelHandle = handle('Handle returned by load_model; supplies model_info and the model definition');
+const datasetHandle = handle('Handle returned by load_dataset or generate_synthetic_dataset; its rows serve as background data and its recorded ground truth as ground_truth \'dataset\'');
+
+// model_info may be omitted when a model handle carries it
+const requireModelReference = (schema) => schema.refine(args => args.model_info || args.model_handle, {
+  message: 'Required unless model_handle is given',
+  path: ['model_info']
+});
+
+// Output building blocks. Objects pass through extra keys so results can grow without breaking clients.
+const entry = (shape) => z.object(shape).passthrough();
+const numberMap = z.record(z.number().nullable());
+
+const execution = entry({
+  status: z.enum(['ok', 'unavailable', 'timeout', 'error']),
+  result: z.unknown().optional(),
+  stderr: z.string().optional(),
+  elapsed_ms: z.number().optional(),
+  reason: z.string().optional()
+}).describe('Outcome of running the code in the local Python worker; absent when execution was not requested').optional();
+
+const pythonCode = z.string().describe('Equivalent OpenXAI Python code').optional();
+
+const datasetSummary = entry({
+  name: z.string(),
+  source: z.string().optional(),
+  num_rows: z.number().int(),
+  num_features: z.number().int(),
+  feature_names: z.array(z.string()),
+  label_column: z.string(),
+  task: z.enum(['classification', 'regression']),
+  columns: z.array(entry({ name: z.string(), type: z.string(), missing: z.number().int() })),
+  missing_values: z.record(z.number().int()),
+  feature_statistics: z.record(entry({ type: z.string() })),
+  class_balance: z.record(entry({ count: z.number().int(), fraction: z.number() })).optional(),
+  label_statistics: entry({}).optional()
+});
+
+const sampleRows = z.array(z.record(z.unknown()));
+
+const chartSummary = entry({
+  title: z.string(),
+  width: z.number().int(),
+  height: z.number().int(),
+  mime_type: z.string(),
+  svg_file: z.string().describe('Where the SVG was saved, when save was requested').optional()
+});
+
+const modelSummary = entry({
+  type: z.string().nullable(),
+  num_features: z.number().int().optional()
+});
+
+export const TOOLS = [
+  {
+    name: 'list_datasets',
+    description: 'List available datasets in OpenXAI framework',
+    input: z.object({
+      category: z.enum(['synthetic', 'real-world', 'tabular', 'image', 'text', 'all'])
+        .describe('Filter by dataset category (synthetic, real-world, tabular, image, text)').optional()
+    }),
+    output: z.object({
+      category: z.string(),
+      datasets: z.array(entry({
+        name: z.string(),
+        category: z.string(),
+        description: z.string(),
+        task: z.string()
+      }))
+    })
+  },
+  {
+    name: 'load_dataset',
+    description: 'Load a dataset from the local data directory (OPENXAI_DATA_DIR, CSV/TSV/JSON/JSONL/Parquet) and return its schema, statistics and sample rows, or fall back to OpenXAI',
+    input: z.object({
+      dataset_name: z.string().min(1)
+        .describe('Name of the dataset to load (e.g., german, compas, adult); matches <name>.csv etc. in the data directory'),
+      label_column: z.string().describe('Label column (defaults to label/target/y/class/outcome, else the last column)').optional(),
+      sample_rows: z.number().int().nonnegative().describe('Number of sample rows to return').default(5),
+      download: z.boolean().describe('Whether to download the dataset if not available locally').default(true),
+      execute
+    }),
+    output: z.object({
+      dataset_name: z.string(),
+      loaded: z.boolean().describe('Whether the dataset was read from the local data directory'),
+      summary: datasetSummary.optional(),
+      sample_rows: sampleRows.optional(),
+      data_directory: z.string().optional(),
+      local_datasets: z.array(z.string()).optional(),
+      dataset_handle: z.string().describe('Handle for later tool calls, returned when the dataset was loaded').optional(),
+      execution,
+      python_code: pythonCode
+    })
+  },
+  {
+    name: 'generate_synthetic_dataset',
+    description: 'Generate a seeded synthetic tabular dataset from a known linear model, save it to the data directory with its true feature importance and load it for the other tools',
+    input: z.object({
+      task: z.enum(['classification', 'regression']).describe('Type of label to generate').default('classification'),
+      dataset_name: z.string().min(1)
+        .describe('Name to save the dataset under (defaults to synthetic_classification or synthetic_regression)').optional(),
+      num_samples: z.number().int().min(2).describe('Number of rows').default(1000),
+      num_features: count().describe('Number of features').default(10),
+      num_informative: count().describe('Number of features with a non-zero true coefficient (default min(5, num_features))').optional(),
+      correlation: z.number().min(0).lt(1).describe('Feature correlation in [0, 1)').default(0),
+      correlation_structure: z.enum(CORRELATION_STRUCTURES)
+        .describe('equicorrelated: every pair has the given correlation; toeplitz: correlation^|i-j| (default equicorrelated when correlation > 0)').optional(),
+      noise: z.number().nonnegative().describe('Standard deviation of Gaussian noise added to the linear score before labelling').default(0.1),
+      class_balance: z.number().gt(0).lt(1).describe('Fraction of positive labels for classification').default(0.5),
+      seed: seed('Random seed; the same parameters and seed reproduce the same dataset'),
+      overwrite: z.boolean().describe('Replace an existing dataset with the same name').default(false)
+    }),
+    output: z.object({
+      dataset_name: z.string(),
+      file: z.string(),
+      ground_truth_file: z.string(),
+      settings: entry({ task: z.string(), seed: z.number().int() }),
+      ground_truth: entry({
+        coefficients: numberMap,
+        importance: numberMap,
+        informative_features: z.array(z.string()),
+        model: entry({ type: z.string() })
+      }),
+      summary: datasetSummary,
+      sample_rows: sampleRows,
+      dataset_handle: z.string()
+    })
+  },
+  {
+    name: 'list_models',
+    description: 'List available pre-trained models in OpenXAI',
+    input: z.object({
+      dataset_name: z.string().describe('Filter models by dataset they were trained on').optional(),
+      model_type: z.enum(['ann', 'lr', 'rf', 'svm', 'xgb', 'all']).describe('Filter by model type (ann, lr, rf, etc.)').optional()
+    }),
+    output: z.object({
+      dataset_name: z.string().optional(),
+      models: z.array(entry({
+        type: z.string(),
+        name: z.string(),
+        description: z.string(),
+        supported_datasets: z.array(z.string()),
+        task_types: z.array(z.string())
+      }))
+    })
+  },
+  {
+    name: 'load_model',
+    description: 'Load a pre-trained model from OpenXAI',
+    input: z.object({
+      data_name: z.string().min(1).describe('Name of the dataset the model was trained on'),
+      ml_model: z.enum(ML_MODELS).describe('Type of machine learning model (ann, lr, rf, svm, xgb)'),
+      pretrained: z.boolean().describe('Whether to load a pretrained model').default(true),
+      model: modelDefinition('JSON model definition to keep behind the handle for local computation, including bow text classifiers (defaults to <data_name>_<ml_model>.json in OPENXAI_MODEL_DIR, if present)', [...SUPPORTED_MODEL_TYPES, ...TEXT_MODEL_TYPES]),
+      model_dump: jsonValue('Tree ensemble to import instead: XGBoost dump_model or save_model JSON, LightGBM dump_model JSON, or scikit-learn tree_ arrays').optional(),
+      dump_format: z.enum(TREE_FORMATS).describe('Format of model_dump (detected when omitted)').optional(),
+      objective: z.string().min(1).describe('XGBoost objective of a dump_model model_dump, e.g. binary:logistic or reg:squarederror').optional(),
+      base_score: z.number().describe('XGBoost base_score of a dump_model model_dump, as set on the booster (a probability for logistic objectives)').optional(),
+      execute
+    }).refine(args => !(args.model && args.model_dump), {
+      message: 'Pass either model or model_dump',
+      path: ['model_dump']
+    }),
+    output: z.object({
+      data_name: z.string(),
+      ml_model: z.string(),
+      model_name: z.string(),
+      pretrained: z.boolean(),
+      model_handle: z.string(),
+      source: z.enum(['definition', 'dump', 'file', 'openxai'])
+        .describe('Where the model behind the handle comes from; only openxai models are not computed locally'),
+      model_file: z.string().optional(),
+      model: modelSummary.optional(),
+      validation: entry({
+        status: z.enum(['validated', 'skipped']),
+        dataset: z.string().optional(),
+        warnings: z.array(z.string()).optional(),
+        reason: z.string().optional()
+      }).describe('Check of a tree model against the schema of dataset data_name; its splits are mapped onto the dataset\'s feature order').optional(),
+      execution,
+      python_code: pythonCode
+    })
+  },
+  {
+    name: 'list_loaded',
+    description: 'List the dataset and model handles held by the server, with their memory use and expiry',
+    input: z.object({
+      kind: z.enum(HANDLE_KINDS).describe('Only list datasets or models').optional()
+    }),
+    output: z.object({
+      handles: z.array(entry({
+        handle: z.string(),
+        kind: z.enum(HANDLE_KINDS),
+        name: z.string(),
+        bytes: z.number().int(),
+        created_at: z.string(),
+        last_used_at: z.string(),
+        expires_at: z.string()
+      })),
+      used_bytes: z.number().int().describe('Bytes held by this session\'s handles'),
+      total_bytes: z.number().int().describe('Bytes held by every session, counted against max_bytes'),
+      max_bytes: z.number(),
+      ttl_ms: z.number()
+    })
+  },
+  {
+    name: 'unload',
+    description: 'Release a dataset or model handle and the memory it holds',
+    input: z.object({
+      handle: z.string().min(1).describe('Handle to release')
+    }),
+    output: z.object({
+      unloaded: entry({ handle: z.string(), kind: z.enum(HANDLE_KINDS), name: z.string(), bytes: z.number().int() }),
+      used_bytes: z.number().int().describe('Bytes still held by this session\'s handles')
+    })
+  },
+  {
+    name: 'predict',
+    description: 'Run batched predictions in-process with a local model definition (lr, ann or tree ensemble, including imported XGBoost, LightGBM and scikit-learn trees)',
+    input: requireModelReference(z.object({
+      data: jsonValue('JSON array of rows to predict (arrays or objects keyed by feature name); defaults to the first rows of the dataset').optional(),
+      model_info: modelInfo('Information about the model; data_name selects the dataset when data is omitted').optional(),
+      model_handle: modelHandle,
+      dataset_handle: datasetHandle,
+      model: modelDefinition('JSON model definition to predict with (same format as generate_explanation)'),
+      limit: count().describe('Number of dataset rows to predict when data is omitted').default(100)
+    })),
+    output: z.object({
+      model: modelSummary,
+      source: z.string().describe("'data' or the dataset the rows were taken from"),
+      count: z.number().int(),
+      predictions: z.array(z.number()).describe('Model output after the link (probability of the positive class for classifiers)'),
+      margins: z.array(z.number()).describe('Output before the link, for lr and tree models').optional(),
+      elapsed_ms: z.number()
+    })
+  },
+  {
+    name: 'list_explainers',
+    description: 'List available explanation methods in OpenXAI',
+    input: z.object({
+      method_type: z.enum([...EXPLANATION_METHODS, ...IMAGE_METHODS, 'counterfactual', 'all']).describe('Filter by explanation method type').optional()
+    }),
+    output: z.object({
+      explainers: z.array(entry({
+        method: z.string(),
+        name: z.string(),
+        description: z.string(),
+        supported_data_types: z.array(z.string()),
+        explanation_type: z.string(),
+        model_agnostic: z.boolean()
+      }))
+    })
+  },
+  {
+    name: 'generate_explanation',
+    description: 'Generate explanations for model predictions using OpenXAI explainers; occlusion and rise explain an image and return the saliency heatmap as image content, and lime explains text token by token',
+    input: z.object({
+      method: z.enum([...EXPLANATION_METHODS, ...IMAGE_METHODS]).describe('Explanation method to use (lime, shap, integrated_gradients, etc.; occlusion or rise for images)'),
+      data_sample: jsonValue('JSON string of the input data sample to explain (tabular methods)').optional(),
+      image: z.string().min(1).describe('Base64-encoded PNG (or data: URL) to explain with occlusion or rise').optional(),
+      text: z.string().min(1).max(MAX_TEXT_CHARACTERS).describe(`Text (e.g. an IMDB review) to explain with lime by masking its words, up to ${MAX_TEXT_CHARACTERS} characters and ${MAX_TEXT_WORDS} distinct words; needs a bow model`).optional(),
+      model_info: modelInfo('Information about the model being explained').optional(),
+      model_handle: modelHandle,
+      dataset_handle: datasetHandle,
+      model: modelDefinition('JSON model definition to evaluate locally (type lr with coefficients/intercept, ann with layers of weights/bias/activation, rf/xgb/tree_ensemble with trees, cnn with input_shape and conv2d/pool/dense layers for images, or bow with vocabulary/coefficients for text). When given, attributions are computed instead of returning Python code', [...SUPPORTED_MODEL_TYPES, ...IMAGE_MODEL_TYPES, ...TEXT_MODEL_TYPES]),
+      python_model: z.string().min(1)
+        .describe('Image model as a Python callable, \'file.py:function\' with the file in OPENXAI_MODEL_DIR or \'package.module:function\' with the package listed in OPENXAI_PYTHON_MODULES, called in the Python worker with an (N, height, width, channels) batch in [0, 1] and returning class scores per image').optional(),
+      input_shape: z.tuple([z.union([z.literal(1), z.literal(3)]), count(), count()])
+        .describe('[channels, height, width] the image is resized to for python_model, at most 512 × 512 pixels (default: the image, scaled down to 224 pixels on its longer side)').optional(),
+      target_class: z.number().int().nonnegative().describe('Class whose score image saliency explains (default: the predicted class)').optional(),
+      background: jsonValue('JSON array of background samples used as the reference distribution (defaults to an all-zero baseline)').optional(),
+      num_samples: count()
+        .describe('Sampling budget: KernelSHAP coalitions (default 2048, enumerated exhaustively when they fit; unused by TreeSHAP), LIME perturbations (default 5000), SmoothGrad noise samples (default 50) or RISE masks (default 500)').optional(),
+      baseline: jsonValue('JSON baseline sample for Integrated Gradients (defaults to all zeros)').optional(),
+      steps: count().describe('Number of Riemann steps for Integrated Gradients').default(50),
+      noise_level: z.number().nonnegative().describe('SmoothGrad noise standard deviation as a fraction of the input range').default(0.15),
+      kernel_width: z.number().positive().describe('LIME exponential kernel width over standardised distances (default 0.75 * sqrt(number of features); 25 for text, over cosine distance in percent)').optional(),
+      num_features: count().describe('Number of features (words, for text) LIME keeps in its surrogate (default: all)').optional(),
+      shap_algorithm: z.enum(SHAP_ALGORITHMS)
+        .describe('SHAP algorithm: auto uses exact TreeSHAP for tree ensembles and KernelSHAP otherwise').default('auto'),
+      feature_perturbation: z.enum(['auto', ...FEATURE_PERTURBATIONS])
+        .describe('TreeSHAP mode: interventional against the background, or tree_path_dependent using node covers (auto: interventional when background data is available)').default('auto'),
+      interactions: z.boolean().describe('Also return SHAP interaction values (TreeSHAP only)').default(false),
+      window_size: count().describe('Occlusion window side in pixels (default 1/8 of the shorter image side, at least 2)').optional(),
+      stride: count().describe('Occlusion window step in pixels (default half the window)').optional(),
+      mask_resolution: count().max(64).describe('RISE mask grid cells per side before upsampling').default(7),
+      keep_probability: z.number().gt(0).lt(1).describe('Probability that a RISE mask cell keeps the image visible').default(0.5),
+      seed: seed('Random seed for sampling-based explainers'),
+      execute
+    }).refine(args => args.model_info || args.model_handle || args.image || args.text, {
+      message: 'Required unless model_handle, image or text is given',
+      path: ['model_info']
+    }).refine(args => args.data_sample !== undefined || args.image || args.text, {
+      message: 'Pass data_sample, image for occlusion and rise, or text for lime',
+      path: ['data_sample']
+    }),
+    output: z.object({
+      method: z.string(),
+      dataset: z.string().nullable(),
+      model: modelSummary,
+      computed: z.boolean().describe('True when attributions were computed locally from the model definition'),
+      prediction: z.number().optional(),
+      attributions: numberMap.optional(),
+      heatmap: entry({ width: z.number().int(), height: z.number().int(), mime_type: z.string() })
+        .describe('Size of the saliency overlay returned as image content (image methods)').optional(),
+      result: entry({ method: z.string() }).describe('Full explainer output').optional(),
+      execution,
+      python_code: pythonCode
+    })
+  },
+  {
+    name: 'generate_counterfactual',
+    description: 'Search for small, actionable changes to a data sample that flip the prediction of a local model, respecting immutable features, monotonic directions and allowed ranges, and return several diverse counterfactuals as recourse options',
+    input: requireModelReference(z.object({
+      data_sample: jsonValue('JSON string of the input data sample whose prediction should flip'),
+      model_info: modelInfo('Information about the model; data_name selects the dataset used for feature scales and ranges').optional(),
+      model_handle: modelHandle,
+      dataset_handle: datasetHandle,
+      model: modelDefinition('JSON model definition to search against (same format as generate_explanation)'),
+      immutable: z.array(z.string()).describe('Features that must not change (e.g. age, race)').default([]),
+      monotonic: z.record(z.enum(DIRECTIONS))
+        .describe('Features that may only move one way, e.g. {"education_years": "increase"}').default({}),
+      ranges: z.record(z.array(z.number()).length(2))
+        .describe('Allowed [min, max] for changed feature values (default: the range observed in the dataset)').default({}),
+      num_counterfactuals: count().describe('Number of diverse counterfactuals to return').default(3),
+      max_features_changed: count().describe('Largest number of features one counterfactual may change (default: any)').optional(),
+      threshold: z.number().describe('Decision threshold on the model output; the prediction must cross it').default(0.5),
+      num_samples: count().describe('Random candidates tried by the search').default(1000),
+      seed: seed('Random seed for the search')
+    })),
+    output: z.object({
+      dataset: z.string().nullable(),
+      model: modelSummary,
+      prediction: z.number(),
+      predicted_class: z.number().int(),
+      desired_class: z.number().int(),
+      threshold: z.number(),
+      counterfactuals: z.array(entry({
+        values: numberMap,
+        changes: z.array(entry({ feature: z.string(), from: z.number(), to: z.number() })),
+        prediction: z.number(),
+        distance: z.number().describe('Sum of the feature changes in units of each feature\'s median absolute deviation (1 per changed categorical feature)'),
+        sparsity: z.number().int().describe('Number of features changed'),
+        recourse: z.string().describe('The changes as plain-language steps')
+      })),
+      diversity: z.number().nullable().describe('Mean distance between the returned counterfactuals'),
+      constraints: entry({
+        immutable: z.array(z.string()),
+        monotonic: z.record(z.string()),
+        ranges: z.record(entry({ min: z.number(), max: z.number() }))
+      }).describe('Immutable features and the direction and range each feature may move in'),
+      scales: z.string().describe('Where feature scales and default ranges came from'),
+      search: entry({ samples: z.number().int(), flipped: z.number().int(), distinct: z.number().int(), seed: z.number().int() })
+    })
+  },
+  {
+    name: 'list_metrics',
+    description: 'List available evaluation metrics in OpenXAI',
+    input: z.object({
+      metric_type: z.enum(['faithfulness', 'stability', 'fairness', 'all'])
+        .describe('Filter by metric type (faithfulness, stability, fairness)').optional()
+    }),
+    output: z.object({
+      categories: z.array(z.object({
+        category: z.string(),
+        metrics: z.array(entry({
+          metric: z.string(),
+          name: z.string(),
+          description: z.string(),
+          higher_is_better: z.boolean()
+        }))
+      }))
+    })
+  },
+  {
+    name: 'evaluate_explanation',
+    description: 'Evaluate explanation quality using OpenXAI metrics',
+    input: requireModelReference(z.object({
+      metric: z.enum(METRICS).describe('Evaluation metric to use (PGI, PGU, RIS, RRS, ROS, etc.)'),
+      explanation: jsonValue('JSON string of the explanation to evaluate'),
+      model_info: modelInfo('Information about the model').optional(),
+      model_handle: modelHandle,
+      dataset_handle: datasetHandle,
+      model: modelDefinition('JSON model definition to score against locally (same format as generate_explanation). When given, the metric is computed instead of returning Python code'),
+      data_sample: jsonValue('JSON string of the input the explanation was generated for').optional(),
+      k: count().describe('Number of top (PGI) or bottom (PGU) features to perturb, or top-k features compared by FA/RA/SA/SRA/PRA').default(3),
+      ground_truth: jsonValue("JSON attribution vector treated as ground truth for FA/RA/SA/SRA/RC/PRA, 'model' to use the lr model's coefficients, or 'dataset' to use the true coefficients recorded for dataset_handle or the loaded model_info.data_name (synthetic datasets)").optional(),
+      reference_explanation: jsonValue('JSON explanation to compare against instead of a ground truth (e.g. SHAP vs LIME disagreement)').optional(),
+      sigma: z.number().positive()
+        .describe('Standard deviation of the Gaussian perturbation noise (default 0.1 for PGI/PGU, 0.05 for neighbours in RIS/RRS/ROS)').optional(),
+      num_samples: count().describe('Number of perturbed samples (PGI/PGU, default 100) or sampled neighbours (RIS/RRS/ROS, default 50)').optional(),
+      explainer: z.enum(LOCAL_METHODS)
+        .describe('Explainer that produced the explanation: regenerates explanations for neighbours in RIS/RRS/ROS and files the score on the leaderboard (defaults to the method of a generate_explanation result)').optional(),
+      background: jsonValue('JSON array of background samples passed to the explainer when regenerating explanations').optional(),
+      same_class: z.boolean().describe('Only keep neighbours with the same predicted class as the input (stability metrics)').default(true),
+      seed: seed('Random seed for the perturbations (also reused by sampling explainers for every neighbour)'),
+      execute
+    })),
+    output: z.object({
+      metric: z.string(),
+      dataset: z.string().nullable(),
+      model: modelSummary,
+      computed: z.boolean().describe('True when the score was computed locally'),
+      score: z.number().nullable().optional(),
+      result: entry({ metric: z.string() }).describe('Full metric output').optional(),
+      leaderboard: entry({ recorded: z.boolean(), reason: z.string().optional() })
+        .describe('The run appended to the local leaderboard, or why it was not recorded').optional(),
+      execution,
+      python_code: pythonCode
+    })
+  },
+  {
+    name: 'evaluate_fairness',
+    description: 'Compare explanation quality across protected subgroups: compute faithfulness and stability metrics separately per subgroup of a feature and report the disparity between groups',
+    input: requireModelReference(z.object({
+      explainer: z.enum(LOCAL_METHODS).describe('Explanation method to evaluate'),
+      protected_feature: z.string().min(1).describe('Column defining the subgroups (e.g. sex, race); any dataset column, compared on its original values'),
+      protected_values: z.array(z.union([z.string(), z.number(), z.boolean()])).min(2)
+        .describe('One subgroup per value (default: one per distinct value, up to 10)').optional(),
+      threshold: z.number().describe('Split a numeric feature into < threshold and >= threshold instead').optional(),
+      metrics: z.array(z.enum(FAIRNESS_BASE_METRICS)).min(1).describe('Metrics computed per subgroup').default(['PGI', 'PGU', 'RIS']),
+      model_info: modelInfo('Information about the model; data_name selects the dataset').optional(),
+      model_handle: modelHandle,
+      dataset_handle: datasetHandle,
+      model: modelDefinition('JSON model definition to evaluate locally (same format as generate_explanation)'),
+      sample_budget: count().max(1000).describe('Rows explained and scored per subgroup').default(50),
+      explainer_samples: count().describe('Perturbation samples for LIME, SHAP and SmoothGrad (default: the explainer\'s own)').optional(),
+      metric_samples: count().describe('Perturbation samples for PGI/PGU and neighbours for the stability metrics (default: the metric\'s own)').optional(),
+      seed: z.number().int().nonnegative().describe('Seed for row sampling, explainers and metrics').default(0)
+    }).refine(args => !(args.protected_values && args.threshold !== undefined), {
+      message: 'Pass either protected_values or threshold',
+      path: ['threshold']
+    })),
+    output: z.object({
+      dataset: z.string(),
+      model: modelSummary,
+      explainer: z.string(),
+      protected_feature: z.string(),
+      groups: z.array(entry({
+        name: z.string(),
+        rows: z.number().int().describe('Rows of the dataset in the subgroup'),
+        samples: z.number().int().describe('Rows explained and scored'),
+        scores: numberMap.describe('Mean score per metric'),
+        std: numberMap
+      })),
+      disparities: z.array(entry({
+        metric: z.string(),
+        gap: z.number().nullable().describe('Best minus worst group mean (absolute)'),
+        ratio: z.number().nullable().describe('Worst / best group mean; 1 is parity'),
+        best_group: z.string().nullable(),
+        worst_group: z.string().nullable(),
+        higher_is_better: z.boolean()
+      })),
+      summary: z.object({
+        FG: z.number().nullable().describe('Faithfulness Gap: largest PGI/PGU gap'),
+        SG: z.number().nullable().describe('Stability Gap: largest RIS/RRS/ROS gap')
+      }),
+      seed: z.number().int()
+    })
+  },
+  {
+    name: 'run_benchmark',
+    description: 'Run the OpenXAI benchmark locally: score every dataset × model × explainer × metric cell over a sample of dataset rows and return a results matrix with per-cell timing; interrupted runs resume from their checkpoint',
+    input: z.object({
+      datasets: z.array(z.string().min(1)).min(1).describe('Datasets to benchmark (loaded, or <name>.csv etc. in the data directory)'),
+      models: z.array(z.enum(ML_MODELS)).min(1).describe('Model types; each needs a definition loaded with load_model or stored as <dataset>_<model>.json in OPENXAI_MODEL_DIR'),
+      explainers: z.array(z.enum(EXPLANATION_METHODS)).min(1).describe('Explanation methods (see list_explainers)'),
+      metrics: z.array(z.enum(METRICS)).min(1).describe('Metrics (see list_metrics); agreement metrics compare against lr coefficients or a synthetic dataset\'s ground truth'),
+      sample_budget: count().max(1000).describe('Dataset rows explained and scored per cell').default(20),
+      explainer_samples: count().describe('Perturbation samples for LIME, SHAP and SmoothGrad (default: the explainer\'s own)').optional(),
+      metric_samples: count().describe('Perturbation samples for PGI/PGU and neighbours for the stability metrics (default: the metric\'s own)').optional(),
+      seed: z.number().int().nonnegative().describe('Seed for row sampling, explainers and metrics').default(0),
+      max_seconds: z.number().positive().describe('Stop after this long, leaving the cell in progress pending; call again with the same arguments to resume').optional(),
+      restart: z.boolean().describe('Discard the checkpoint of an earlier run with the same settings and start over').default(false),
+      record: z.boolean().describe('File each newly computed cell on the local leaderboard').default(true)
+    }),
+    output: z.object({
+      run_id: z.string().describe('Derived from the grid and settings; the same arguments resume the same run'),
+      checkpoint: z.string(),
+      complete: z.boolean().describe('False when max_seconds stopped the run before every cell was attempted'),
+      counts: z.object({
+        total: z.number().int(),
+        completed: z.number().int(),
+        resumed: z.number().int().describe('Completed cells read back from the checkpoint'),
+        skipped: z.number().int(),
+        failed: z.number().int(),
+        pending: z.number().int()
+      }),
+      matrix: z.array(z.object({
+        dataset: z.string(),
+        model: z.string(),
+        explainer: z.string(),
+        scores: z.record(z.number().nullable())
+      })),
+      cells: z.array(entry({
+        dataset: z.string(),
+        model: z.string(),
+        explainer: z.string(),
+        metric: z.string(),
+        status: z.enum(['completed', 'skipped', 'failed', 'pending']),
+        score: z.number().optional(),
+        samples: z.number().int().optional(),
+        explain_ms: z.number().describe('Time to explain the sampled rows, shared by the cells of one explainer').optional(),
+        evaluate_ms: z.number().optional(),
+        reason: z.string().optional()
+      })),
+      elapsed_ms: z.number()
+    })
+  },
+  {
+    name: 'get_leaderboard',
+    description: 'Rank explanation methods by the scores evaluate_explanation has recorded locally, per dataset and metric',
+    input: z.object({
+      dataset: z.string().describe('Only show results for this dataset').optional(),
+      metric: z.enum(METRICS).describe('Only show results for this metric').optional(),
+      model: z.string().describe('Only show results for this model type').optional(),
+      explainer: z.string().describe('Only show results for this explanation method').optional(),
+      limit: count().describe('Number of top entries to show per dataset and metric').optional(),
+      chart: z.boolean().describe('Also return a grouped bar chart (PNG) per dataset and metric').default(false)
+    }),
+    output: z.object({
+      filters: z.record(z.string()),
+      store: z.string().describe('Leaderboard file the runs are read from'),
+      total_runs: z.number().int(),
+      rankings: z.array(entry({
+        rank: z.number().int().describe('Position within the dataset and metric'),
+        dataset: z.string(),
+        metric: z.string(),
+        model: z.string(),
+        explainer: z.string(),
+        score: z.number().describe('Mean score over the runs'),
+        runs: z.number().int(),
+        variance: z.number(),
+        std: z.number(),
+        higher_is_better: z.boolean(),
+        last_run: z.string()
+      })),
+      charts: z.array(chartSummary).optional()
+    })
+  },
+  {
+    name: 'prepare_submission',
+    description: 'Check the locally recorded evaluation results for completeness, valid score ranges and recorded seeds, then write a signed, versioned submission bundle for a leaderboard pull request',
+    input: z.object({
+      datasets: z.array(z.string().min(1)).min(1).describe('Datasets the submission must cover (default: every dataset with recorded runs)').optional(),
+      metrics: z.array(z.enum(METRICS)).min(1).describe('Metrics required for every dataset (default: PGI, PGU, RIS, ROS)').optional(),
+      model: z.string().describe('Only submit runs for this model type').optional(),
+      explainer: z.string().describe('Only submit runs for this explanation method').optional(),
+      submitter: z.string().describe('Name or GitHub handle recorded in the bundle').optional(),
+      notes: z.string().describe('Free-form notes recorded in the bundle').optional(),
+      validate_only: z.boolean().describe('Only report the checks; do not write a bundle').default(false)
+    }),
+    output: z.object({
+      valid: z.boolean().describe('True when no check failed with severity error'),
+      issues: z.array(entry({
+        severity: z.enum(['error', 'warning']),
+        code: z.string(),
+        message: z.string()
+      })),
+      required_pairs: z.array(z.object({ dataset: z.string(), metric: z.string(), runs: z.number().int() })),
+      submission_id: z.string().optional(),
+      bundle_file: z.string().optional(),
+      manifest_file: z.string().optional(),
+      manifest: z.record(z.unknown()).optional()
+    })
+  },
+  {
+    name: 'render_chart',
+    description: 'Render attributions as a sorted bar chart or SHAP-style waterfall, leaderboard rankings as grouped bar charts, or a benchmark results matrix as a heatmap; returns PNG or SVG image content and can save the SVG',
+    input: z.object({
+      chart: z.enum(CHART_TYPES).describe('bar or waterfall: attributions; grouped_bar: leaderboard rankings; heatmap: a metric grid'),
+      data: jsonValue('What to plot: the structuredContent of generate_explanation (bar, waterfall), get_leaderboard (grouped_bar) or run_benchmark (heatmap), or plain data: a { feature: attribution } map, { groups, series: [{ name, values, errors? }] }, or { rows, columns, values, higher_is_better? }'),
+      title: z.string().describe('Chart title (default: derived from the data)').optional(),
+      top_k: count().describe('Attributions to show; smaller ones are left out (bar) or summed into one row (waterfall). Default 15 for bar, 10 for waterfall').optional(),
+      base_value: z.number().describe('Expected model output the waterfall starts from (default: the result\'s base_value)').optional(),
+      format: z.enum(['png', 'svg']).describe('Image format of the returned content').default('png'),
+      save: z.boolean().describe('Also write each chart as an SVG file under OPENXAI_CHART_DIR (default ./charts)').default(false),
+      name: z.string().min(1).describe('File name stem for saved charts (default: chart type and a content hash)').optional()
+    }),
+    output: z.object({
+      chart: z.enum(CHART_TYPES),
+      format: z.enum(['png', 'svg']),
+      charts: z.array(chartSummary)
+    })
+  },
+  {
+    name: 'get_framework_info',
+    description: 'Get information about OpenXAI framework',
+    input: z.object({
+      info_type: z.enum(['overview', 'features', 'paper', 'installation', 'quickstart']).describe('Type of information to retrieve').optional()
+    }),
+    output: z.object({
+      info_type: z.string(),
+      text: z.string()
+    })
+  },
+  {
+    name: 'get_deployment_guide',
+    description: 'Get step-by-step guidance for deploying models using OpenXAI Studio',
+    input: z.object({
+      deployment_type: z.enum(['quick_start', 'detailed', 'app_store', 'troubleshooting']).describe('Type of deployment guidance needed').optional()
+    }),
+    output: z.object({
+      deployment_type: z.string(),
+      text: z.string()
+    })
+  }
+];
+
+const TOOLS_BY_NAME = new Map(TOOLS.map(tool => [tool.name, tool]));
+
+export class ToolArgumentError extends Error {
+  constructor(toolName, issues) {
+    super(`Invalid arguments for ${toolName}: ${issues.map(issue => `${issue.field}: ${issue.message}`).join('; ')}`);
+    this.name = 'ToolArgumentError';
+    this.toolName = toolName;
+    this.issues = issues;
+  }
+}
+
+export function listToolDefinitions() {
+  return TOOLS.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    inputSchema: toJSONSchema(tool.input),
+    outputSchema: toJSONSchema(tool.output)
+  }));
+}
+
+export function outputSchemaFor(name) {
+  const tool = TOOLS_BY_NAME.get(name);
+  if (!tool) {
+    throw new Error(`Unknown tool: ${name}`);
+  }
+  return tool.output;
+}
+
+/**
+ * Validates raw tool arguments and returns them with defaults applied; throws ToolArgumentError
+ * with one { field, message } entry per problem.
+ */
+export function parseToolArguments(name, args = {}) {
+  const tool = TOOLS_BY_NAME.get(name);
+  if (!tool) {
+    throw new Error(`Unknown tool: ${name}`);
+  }
+  const parsed = tool.input.safeParse(args ?? {});
+  if (!parsed.success) {
+    throw new ToolArgumentError(name, parsed.error.issues.map(issue => ({
+      field: issue.path.length > 0 ? issue.path.join('.') : '(arguments)',
+      message: issue.message
+    })));
+  }
+  return parsed.data;
+}
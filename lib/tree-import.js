@@ -0,0 +1,356 @@
+// Tree ensembles exported by XGBoost, LightGBM and scikit-learn, converted to the JSON tree
+// definitions lib/models.js evaluates, and aligned with a dataset's feature columns
+
+import { SUPPORTED_MODEL_TYPES } from './models.js';
+import { TEXT_MODEL_TYPES } from './text/bow.js';
+
+export const TREE_FORMATS = ['xgboost', 'lightgbm', 'sklearn'];
+
+const logit = (p) => Math.log(p / (1 - p));
+// XGBoost stores scalars as strings, and 2.x wraps base_score in brackets ("[5E-1]")
+const parseScalar = (value) => Number(String(value).replace(/[[\]]/g, ''));
+// Index-style names XGBoost gives unnamed features (f0, f1, ...)
+const GENERIC_NAME = /^f(\d+)$/;
+
+export function detectTreeFormat(dump) {
+  if (Array.isArray(dump)) return 'xgboost';
+  if (dump && typeof dump === 'object') {
+    if (dump.learner) return 'xgboost';
+    if (dump.tree_info) return 'lightgbm';
+    if (dump.children_left || dump.estimators) return 'sklearn';
+  }
+  return null;
+}
+
+// Native definitions pass through; anything else must be a recognised tree dump
+export function toModelDefinition(json, { format, ...settings } = {}) {
+  if (!format && [...SUPPORTED_MODEL_TYPES, ...TEXT_MODEL_TYPES].includes(json?.type)) {
+    return json;
+  }
+  return importTreeModel(json, { format, ...settings });
+}
+
+/**
+ * Converts a tree dump to a model definition: splits reference feature indices or names, leaves carry
+ * their cover (hessian sum or sample count) and `imported_from` records the source format.
+ * XGBoost dump_model JSON holds only the trees, so it needs the booster's `objective` and `baseScore`.
+ */
+export function importTreeModel(dump, { format = detectTreeFormat(dump), objective, baseScore } = {}) {
+  if (!format) {
+    throw new Error(`Unrecognised model JSON. Expected a model definition with a 'type' (${SUPPORTED_MODEL_TYPES.join(', ')}) ` +
+                    'or a tree dump from XGBoost (dump_model or save_model JSON), LightGBM (dump_model) or scikit-learn');
+  }
+  const importer = { xgboost: importXGBoost, lightgbm: importLightGBM, sklearn: importSklearn }[format];
+  if (!importer) {
+    throw new Error(`Unknown tree format '${format}'. Supported formats: ${TREE_FORMATS.join(', ')}`);
+  }
+  return importer(dump, { objective, baseScore });
+}
+
+// Feature names carried by the dump, or indices parsed from generic names
+function featureResolver(names) {
+  const declared = Array.isArray(names) && names.length > 0 ? names.map(String) : null;
+  return (feature, location) => {
+    if (Number.isInteger(feature)) return feature;
+    const index = declared ? declared.indexOf(String(feature)) : -1;
+    if (index >= 0) return index;
+    const generic = GENERIC_NAME.exec(String(feature));
+    if (generic) return Number(generic[1]);
+    throw new Error(`Unknown split feature '${feature}' at ${location}`);
+  };
+}
+
+// Leaf-value and link settings for an XGBoost objective; base_score is a probability for logistic objectives
+function xgboostObjective(name, baseScore) {
+  if (['binary:logistic', 'reg:logistic'].includes(name)) return { link: 'logistic', base: logit(baseScore) };
+  if (name === 'binary:logitraw') return { link: 'identity', base: logit(baseScore) };
+  if (/^reg:(squarederror|squaredlogerror|absoluteerror|pseudohubererror|linear)$/.test(name)) return { link: 'identity', base: baseScore };
+  throw new Error(`XGBoost objective '${name}' is not supported; binary classification and regression objectives are`);
+}
+
+function importXGBoost(dump, settings) {
+  if (Array.isArray(dump)) {
+    // dump_model(..., dump_format='json') or get_dump(dump_format='json'): one tree per entry, no objective
+    // or base score, and splits name their feature only when the booster had feature names
+    const { objective, baseScore } = settings;
+    if (objective === undefined || baseScore === undefined) {
+      throw new Error('XGBoost dump_model JSON does not record the objective or base_score; pass both with the dump, ' +
+                      'or export the model with save_model instead');
+    }
+    const { link, base } = xgboostObjective(objective, baseScore);
+    const keepName = (feature) => (GENERIC_NAME.test(String(feature)) ? Number(GENERIC_NAME.exec(feature)[1]) : String(feature));
+    const trees = dump.map((tree, i) => xgboostDumpNode(typeof tree === 'string' ? JSON.parse(tree) : tree, keepName, `trees[${i}]`));
+    const features = trees.flatMap(tree => collectSplits(tree)).map(split => split.feature);
+    const names = [...new Set(features.filter(feature => typeof feature === 'string'))];
+    if (names.length > 0 && names.length < new Set(features).size) {
+      throw new Error('XGBoost dump mixes named and index (f0, f1, ...) split features');
+    }
+    return {
+      type: 'xgb',
+      ...(names.length > 0 && { feature_names: names }),
+      aggregation: 'sum',
+      link,
+      base_score: base,
+      trees,
+      imported_from: { format: 'xgboost', source: 'dump_model', objective }
+    };
+  }
+
+  // save_model JSON
+  const { learner } = dump;
+  const booster = learner.gradient_booster?.model ?? learner.gradient_booster?.gbtree?.model;
+  if (!booster?.trees) {
+    throw new Error(`XGBoost booster '${learner.gradient_booster?.name}' has no trees; only gbtree and dart boosters can be imported`);
+  }
+  const numClass = parseScalar(learner.learner_model_param?.num_class ?? 0);
+  if (numClass > 1) {
+    throw new Error(`XGBoost model has ${numClass} classes; only binary classification and regression are supported`);
+  }
+  const objective = learner.objective?.name ?? 'reg:squarederror';
+  const { link, base } = xgboostObjective(objective, parseScalar(learner.learner_model_param?.base_score ?? 0.5));
+  const resolve = featureResolver(learner.feature_names);
+  // dart boosters scale each tree by its drop weight
+  const weights = learner.gradient_booster?.weight_drop;
+  const trees = booster.trees.map((tree, i) => xgboostArrayNode(tree, 0, resolve, weights?.[i] ?? 1, `trees[${i}]`));
+  return {
+    type: 'xgb',
+    ...(learner.feature_names?.length > 0 && { feature_names: learner.feature_names }),
+    num_features: parseScalar(learner.learner_model_param?.num_feature ?? 0) || undefined,
+    aggregation: 'sum',
+    link,
+    base_score: base,
+    trees,
+    imported_from: { format: 'xgboost', source: 'save_model', objective }
+  };
+}
+
+function xgboostDumpNode(node, resolve, location) {
+  if (node.leaf !== undefined) {
+    return { value: node.leaf, cover: node.cover };
+  }
+  if (typeof node.split_condition !== 'number') {
+    throw new Error(`Categorical split at ${location} is not supported`);
+  }
+  const child = (id, side) => {
+    const found = node.children?.find(candidate => candidate.nodeid === id);
+    if (!found) throw new Error(`Node ${node.nodeid} at ${location} has no child ${id}`);
+    return xgboostDumpNode(found, resolve, `${location}.${side}`);
+  };
+  return {
+    feature: resolve(node.split, location),
+    threshold: node.split_condition,
+    operator: '<',
+    missing: node.missing === node.no ? 'right' : 'left',
+    cover: node.cover,
+    left: child(node.yes, 'left'),
+    right: child(node.no, 'right')
+  };
+}
+
+function xgboostArrayNode(tree, i, resolve, weight, location) {
+  // Leaves hold their value in split_conditions
+  if (tree.left_children[i] === -1) {
+    return { value: tree.split_conditions[i] * weight, cover: tree.sum_hessian?.[i] };
+  }
+  if (tree.split_type?.[i] === 1) {
+    throw new Error(`Categorical split at ${location} is not supported`);
+  }
+  return {
+    feature: resolve(tree.split_indices[i], location),
+    threshold: tree.split_conditions[i],
+    operator: '<',
+    missing: tree.default_left[i] ? 'left' : 'right',
+    cover: tree.sum_hessian?.[i],
+    left: xgboostArrayNode(tree, tree.left_children[i], resolve, weight, `${location}.left`),
+    right: xgboostArrayNode(tree, tree.right_children[i], resolve, weight, `${location}.right`)
+  };
+}
+
+// LightGBM objectives (with their aliases) whose raw score is the prediction, or goes through a sigmoid
+const LIGHTGBM_LINKS = {
+  ...Object.fromEntries([
+    'regression', 'regression_l2', 'l2', 'mean_squared_error', 'mse', 'l2_root', 'root_mean_squared_error', 'rmse',
+    'regression_l1', 'l1', 'mean_absolute_error', 'mae', 'huber', 'fair', 'quantile', 'mape', 'mean_absolute_percentage_error'
+  ].map(name => [name, 'identity'])),
+  ...Object.fromEntries(['binary', 'cross_entropy', 'xentropy'].map(name => [name, 'logistic']))
+};
+
+function importLightGBM(dump) {
+  if ((dump.num_class ?? 1) > 1 || (dump.num_tree_per_iteration ?? 1) > 1) {
+    throw new Error(`LightGBM model has ${dump.num_class} classes; only binary classification and regression are supported`);
+  }
+  // The dump's objective is the name followed by its parameters, e.g. 'binary sigmoid:1' or 'huber alpha:0.9'
+  const objective = String(dump.objective ?? 'regression');
+  const link = LIGHTGBM_LINKS[objective.split(' ')[0]];
+  if (!link) {
+    throw new Error(`LightGBM objective '${objective}' is not supported; binary classification and regression objectives are`);
+  }
+  // binary objectives apply sigmoid(sigmoid_param * score); scaling the leaves keeps the logistic link
+  const scale = link === 'logistic' ? Number(/sigmoid:([\d.eE+-]+)/.exec(objective)?.[1] ?? 1) : 1;
+  const resolve = featureResolver(dump.feature_names);
+  const trees = dump.tree_info.map((tree, i) => lightgbmNode(tree.tree_structure, resolve, scale, `trees[${i}]`));
+  return {
+    type: dump.average_output ? 'rf' : 'tree_ensemble',
+    ...(dump.feature_names?.length > 0 && { feature_names: dump.feature_names }),
+    num_features: dump.max_feature_idx !== undefined ? dump.max_feature_idx + 1 : undefined,
+    aggregation: dump.average_output ? 'mean' : 'sum',
+    link,
+    base_score: 0,
+    trees,
+    imported_from: { format: 'lightgbm', objective }
+  };
+}
+
+function lightgbmNode(node, resolve, scale, location) {
+  if (node.leaf_value !== undefined) {
+    return { value: node.leaf_value * scale, cover: node.leaf_count ?? node.leaf_weight };
+  }
+  if (node.decision_type !== '<=') {
+    throw new Error(`Categorical split ('${node.decision_type}') at ${location} is not supported`);
+  }
+  return {
+    feature: resolve(node.split_feature, location),
+    threshold: node.threshold,
+    operator: '<=',
+    missing: node.default_left ? 'left' : 'right',
+    cover: node.internal_count ?? node.internal_weight,
+    left: lightgbmNode(node.left_child, resolve, scale, `${location}.left`),
+    right: lightgbmNode(node.right_child, resolve, scale, `${location}.right`)
+  };
+}
+
+/**
+ * scikit-learn trees as the arrays of `estimator.tree_` (children_left, children_right, feature,
+ * threshold, value, n_node_samples), alone or as `estimators` of a forest or gradient boosting
+ * model. Classifier leaves score the probability of `class_index` (default 1).
+ */
+function importSklearn(dump) {
+  const estimators = dump.estimators ? dump.estimators.flat() : [dump];
+  const kind = dump.kind ?? (estimators.length > 1 ? 'random_forest' : 'decision_tree');
+  if (!['decision_tree', 'random_forest', 'gradient_boosting'].includes(kind)) {
+    throw new Error(`Unknown scikit-learn model kind '${kind}'. Use decision_tree, random_forest or gradient_boosting`);
+  }
+  const boosting = kind === 'gradient_boosting';
+  const classIndex = dump.class_index ?? 1;
+  const learningRate = boosting ? dump.learning_rate ?? 0.1 : 1;
+  const resolve = featureResolver(dump.feature_names);
+
+  const trees = estimators.map((tree, t) => {
+    for (const key of ['children_left', 'children_right', 'feature', 'threshold', 'value']) {
+      if (!Array.isArray(tree[key])) throw new Error(`estimators[${t}] is missing the '${key}' array of tree_`);
+    }
+    // Boosting stages are regression trees on the margin; forests and single trees hold class counts or fractions
+    const leafValue = (i) => {
+      const outputs = Array.isArray(tree.value[i][0]) ? tree.value[i][0] : tree.value[i];
+      if (boosting || outputs.length === 1) return outputs[0] * learningRate;
+      const total = outputs.reduce((sum, value) => sum + value, 0);
+      return total > 0 ? outputs[classIndex] / total : 0;
+    };
+    const build = (i, location) => {
+      if (tree.children_left[i] === -1) {
+        return { value: leafValue(i), cover: tree.n_node_samples?.[i] };
+      }
+      return {
+        feature: resolve(tree.feature[i], location),
+        threshold: tree.threshold[i],
+        operator: '<=',
+        missing: tree.missing_go_to_left && !tree.missing_go_to_left[i] ? 'right' : 'left',
+        cover: tree.n_node_samples?.[i],
+        left: build(tree.children_left[i], `${location}.left`),
+        right: build(tree.children_right[i], `${location}.right`)
+      };
+    };
+    return build(0, `estimators[${t}]`);
+  });
+
+  return {
+    type: boosting ? 'tree_ensemble' : 'rf',
+    ...(dump.feature_names?.length > 0 && { feature_names: dump.feature_names }),
+    ...(dump.n_features_in_ && { num_features: dump.n_features_in_ }),
+    aggregation: boosting ? 'sum' : 'mean',
+    link: boosting && dump.task !== 'regression' ? 'logistic' : 'identity',
+    base_score: boosting ? dump.init ?? 0 : 0,
+    trees,
+    imported_from: { format: 'sklearn', kind }
+  };
+}
+
+function mapSplits(node, mapFeature) {
+  if (node.value !== undefined || node.leaf !== undefined) return node;
+  return {
+    ...node,
+    feature: mapFeature(node.feature),
+    left: mapSplits(node.left, mapFeature),
+    right: mapSplits(node.right, mapFeature)
+  };
+}
+
+function collectSplits(node, splits = []) {
+  if (node.value === undefined && node.leaf === undefined) {
+    splits.push(node);
+    collectSplits(node.left, splits);
+    collectSplits(node.right, splits);
+  }
+  return splits;
+}
+
+/**
+ * Checks a tree definition against a dataset schema and rewrites its splits onto the dataset's
+ * feature order. Named features must exist in the dataset; unnamed (index) features must fit its
+ * width. Returns the aligned definition and warnings about categorical splits and thresholds
+ * outside the observed range; throws when the model cannot be applied to the dataset.
+ */
+export function alignTreeModel(definition, summary) {
+  const datasetNames = summary.feature_names;
+  const modelNames = Array.isArray(definition.feature_names) ? definition.feature_names.map(String) : null;
+  const splits = definition.trees.flatMap(tree => collectSplits(tree));
+  const nameOf = (feature) => (typeof feature === 'string' ? feature : modelNames?.[feature]);
+  const warnings = [];
+
+  let mapFeature;
+  if (modelNames || splits.some(split => typeof split.feature === 'string')) {
+    const used = [...new Set(splits.map(split => nameOf(split.feature)))];
+    const missing = used.filter(name => name === undefined || !datasetNames.includes(name));
+    if (missing.length > 0) {
+      throw new Error(`The model splits on features that dataset '${summary.name}' does not have: ${missing.join(', ')}`);
+    }
+    const unused = (modelNames ?? []).filter(name => !datasetNames.includes(name));
+    if (unused.length > 0) {
+      warnings.push(`Model features not in the dataset (never split on): ${unused.join(', ')}`);
+    }
+    mapFeature = (feature) => datasetNames.indexOf(nameOf(feature));
+  } else {
+    const width = definition.num_features ?? Math.max(...splits.map(split => split.feature)) + 1;
+    if (width > datasetNames.length) {
+      throw new Error(`The model uses ${width} features but dataset '${summary.name}' has ${datasetNames.length}`);
+    }
+    if (width < datasetNames.length) {
+      warnings.push(`The model uses ${width} features and dataset '${summary.name}' has ${datasetNames.length}; features are matched by position`);
+    }
+    mapFeature = (feature) => feature;
+  }
+
+  const aligned = {
+    ...definition,
+    feature_names: datasetNames,
+    num_features: datasetNames.length,
+    trees: definition.trees.map(tree => mapSplits(tree, mapFeature))
+  };
+
+  const outOfRange = new Map();
+  for (const split of aligned.trees.flatMap(tree => collectSplits(tree))) {
+    const name = datasetNames[split.feature];
+    const stats = summary.feature_statistics?.[name];
+    if (stats?.type === 'categorical') {
+      outOfRange.set(name, 'categorical');
+    } else if (stats?.min !== null && stats?.min !== undefined && (split.threshold < stats.min || split.threshold > stats.max)) {
+      if (!outOfRange.has(name)) outOfRange.set(name, 'range');
+    }
+  }
+  for (const [name, problem] of outOfRange) {
+    warnings.push(problem === 'categorical'
+      ? `Splits on categorical feature '${name}' compare its category codes`
+      : `Some '${name}' thresholds lie outside the observed range [${summary.feature_statistics[name].min}, ${summary.feature_statistics[name].max}]`);
+  }
+  return { definition: aligned, warnings };
+}
@@ -1,5 +1,42 @@
 #!/usr/bin/env node
 
+import assert from 'assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { deflateSync } from 'zlib';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { createModel, evaluateTree, outputKind } from './lib/models.js';
+import { explain } from './lib/explainers/index.js';
+import { kernelShap } from './lib/explainers/kernel-shap.js';
+import { evaluateMetric } from './lib/metrics/index.js';
+import { PythonBridge } from './lib/python-bridge.js';
+import { buildDataset, loadLocalDataset, parseDelimited } from './lib/datasets.js';
+import { generateSyntheticDataset } from './lib/synthetic.js';
+import { listResources, readResource } from './lib/resources.js';
+import { getPrompt, listPrompts } from './lib/prompts.js';
+import { HttpTransportServer, transportOptions } from './lib/http-transport.js';
+import { estimateBytes, SessionStore } from './lib/session-store.js';
+import { findModelFile, resolvePythonModel } from './lib/model-files.js';
+import { aggregateRuns, LeaderboardStore } from './lib/leaderboard.js';
+import { BenchmarkCheckpoint, cellKey, DeadlineError, explainRows, gridCells, resultsMatrix, sampleRows, scoreRows, setupFingerprint } from './lib/benchmark.js';
+import { alignTreeModel, detectTreeFormat, importTreeModel, toModelDefinition } from './lib/tree-import.js';
+import { featureSpace, findCounterfactuals } from './lib/counterfactuals.js';
+import { batchSize, occlusion, rise } from './lib/explainers/saliency.js';
+import { createImageModel } from './lib/images/cnn.js';
+import { decodeBase64Png, decodePng, encodePng } from './lib/images/png.js';
+import { MAX_PYTHON_INPUT_PIXELS, pythonInputShape, toNestedHWC, toTensor } from './lib/images/tensor.js';
+import { renderOverlay } from './lib/images/heatmap.js';
+import { limeText } from './lib/explainers/lime-text.js';
+import { createTextModel, tokenize } from './lib/text/bow.js';
+import { renderHtml, renderMarkdown } from './lib/text/highlight.js';
+import { buildCharts, formatValue, writeChart } from './lib/charts/charts.js';
+import { toPng, toSvg } from './lib/charts/render.js';
+import { defineSubgroups, disparity, fairnessSummary } from './lib/fairness.js';
+import { buildSubmission, validateRuns, verifySubmission, writeSubmission } from './lib/submission.js';
+import { listToolDefinitions, outputSchemaFor, parseToolArguments, ToolArgumentError } from './lib/tools.js';
+
 // Test the OpenXAI MCP Server
 async function runTests() {
   console.log('🧪 Testing OpenXAI MCP Server\n');
@@ -9,13 +46,22 @@ async function runTests() {
   const tools = [
     'list_datasets',
     'load_dataset', 
+    'generate_synthetic_dataset',
     'list_models',
     'load_model',
+    'list_loaded',
+    'unload',
+    'predict',
     'list_explainers',
     'generate_explanation',
+    'generate_counterfactual',
     'list_metrics',
     'evaluate_explanation',
+    'evaluate_fairness',
+    'run_benchmark',
     'get_leaderboard',
+    'prepare_submission',
+    'render_chart',
     'get_framework_info'
   ];
   
@@ -68,7 +114,7 @@ async function runTests() {
   console.log('- MCP SDK version: 0.6.0');
   console.log('- Server name: openxai-mcp');
   console.log('- Server version: 1.0.0');
-  console.log('- Transport: stdio');
+  console.log('- Transport: stdio or HTTP/SSE (--http)');
   console.log('- Error handling: enabled\n');
 
   // Test 9: Dependencies
@@ -113,6 +159,861 @@ async function runTests() {
   console.log('- evaluate_explanation: {"metric": "pgi", "explanation": {...}, "model_info": {...}}');
   console.log();
 
+  // Test 11: Local KernelSHAP
+  console.log('✅ Test 11: KernelSHAP Attributions');
+  const linear = createModel({ type: 'lr', coefficients: [1, -2, 0.5], intercept: 0.1, link: 'identity' });
+  const shap = explain('shap', linear, [1, 2, 3], { background: [[0, 0, 0], [1, 1, 1], [2, 0, 1]], seed: 1 });
+  // For a linear model phi_j = w_j * (x_j - E[x_j])
+  assert.ok(Math.abs(shap.attributions.x0) < 1e-6);
+  assert.ok(Math.abs(shap.attributions.x1 - (-2 * (2 - 1 / 3))) < 1e-6);
+  assert.ok(Math.abs(shap.attributions.x2 - 0.5 * (3 - 2 / 3)) < 1e-6);
+  assert.ok(shap.sum_check.error < 1e-9);
+  const trees = createModel({
+    type: 'xgb',
+    feature_names: ['a', 'b'],
+    trees: [{ feature: 'a', threshold: 0.5, left: { value: -1 }, right: { feature: 'b', threshold: 2, left: { value: 0.5 }, right: { value: 2 } } }]
+  });
+  assert.ok(explain('shap', trees, [1, 3], { background: [[0, 0], [1, 1]] }).sum_check.error < 1e-9);
+  console.log('- Linear model attributions match w * (x - E[x])');
+  console.log('- Tree ensemble attributions sum to prediction minus base value\n');
+
+  // Test 12: Local LIME
+  console.log('✅ Test 12: LIME Surrogate');
+  const background = [[0, 0, 0], [1, 1, 1], [2, 0, 1], [4, 2, 2]];
+  const limeResult = explain('lime', linear, [1, 2, 3], { background, numSamples: 2000, seed: 7 });
+  assert.strictEqual(limeResult.seed, 7);
+  assert.ok(limeResult.local_fidelity.r2 > 0.99);
+  assert.ok(Math.sign(limeResult.attributions.x1) === -1 && Math.sign(limeResult.attributions.x0) === 1);
+  const sparse = explain('lime', linear, [1, 2, 3], { background, numFeatures: 1, seed: 7 });
+  assert.deepStrictEqual(sparse.selected_features, ['x1']);
+  console.log('- Weighted ridge surrogate recovers the local linear model (R² > 0.99)');
+  console.log('- num_features keeps only the strongest surrogate weights\n');
+
+  // Test 13: Gradient-based attributions
+  console.log('✅ Test 13: Gradient Attributions');
+  const mlp = createModel({
+    type: 'ann',
+    layers: [
+      { weights: [[1, -1], [0.5, 2], [-1, 1]], bias: [0, 0.1, -0.2], activation: 'tanh' },
+      { weights: [[1, -2, 0.5], [0.3, 1, -1]], bias: [0, 0.2], activation: 'softmax' }
+    ]
+  });
+  const point = [0.7, -0.4];
+  const analytic = mlp.gradient(point);
+  point.forEach((_, j) => {
+    const up = [...point];
+    const down = [...point];
+    up[j] += 1e-6;
+    down[j] -= 1e-6;
+    assert.ok(Math.abs(analytic[j] - (mlp.predict(up) - mlp.predict(down)) / 2e-6) < 1e-6);
+  });
+  assert.ok(explain('integrated_gradients', mlp, point, { steps: 200 }).completeness.error < 1e-5);
+  const gxi = explain('gradient_x_input', linear, [1, 2, 3]);
+  assert.deepStrictEqual(gxi.attributions, { x0: 1, x1: -4, x2: 1.5 });
+  assert.strictEqual(explain('smoothgrad', mlp, point, { seed: 3 }).seed, 3);
+  console.log('- Backpropagated gradients match finite differences');
+  console.log('- Integrated Gradients satisfies completeness\n');
+
+  // Test 14: Faithfulness metrics
+  console.log('✅ Test 14: PGI / PGU Scores');
+  const wide = createModel({ type: 'lr', coefficients: [3, 0.01, -2, 0.02], intercept: 0 });
+  const input = [0.5, 0.5, 0.5, 0.5];
+  const context = { model: wide, x: input, attributions: [3, 0.01, -2, 0.02] };
+  const pgi = evaluateMetric('PGI', context, { k: 2, seed: 11 });
+  const pgu = evaluateMetric('PGU', context, { k: 2, seed: 11 });
+  assert.deepStrictEqual(pgi.perturbed_features, ['x0', 'x2']);
+  assert.deepStrictEqual(pgu.perturbed_features, ['x3', 'x1']);
+  assert.ok(pgi.score > 10 * pgu.score);
+  assert.deepStrictEqual(evaluateMetric('PGI', context, { k: 2, seed: 11 }), pgi);
+  console.log('- Perturbing important features moves the prediction far more than unimportant ones');
+  console.log('- Scores are reproducible for a fixed seed\n');
+
+  // Test 15: Stability metrics
+  console.log('✅ Test 15: RIS / RRS / ROS');
+  const hidden = createModel({
+    type: 'ann',
+    layers: [
+      { weights: [[1, -1], [0.5, 0.5]], bias: [0.1, 0.2], activation: 'tanh' },
+      { weights: [[2, -1]], activation: 'sigmoid' }
+    ]
+  });
+  const anchor = [0.3, 0.2];
+  const regenerate = (sample) => Object.values(explain('gradient_x_input', hidden, sample).attributions);
+  const stabilityContext = { model: hidden, x: anchor, attributions: regenerate(anchor), explain: regenerate };
+  for (const metric of ['RIS', 'RRS', 'ROS']) {
+    const stability = evaluateMetric(metric, stabilityContext, { seed: 5, numSamples: 20 });
+    assert.ok(stability.score >= stability.mean_ratio && stability.score > 0);
+    assert.strictEqual(stability.neighbours_used + stability.neighbours_rejected, 20);
+  }
+  assert.throws(() => evaluateMetric('RRS', { ...context, explain: () => [0, 0, 0, 0] }), /hidden layer/);
+  // A binary feature coded 0 must not shrink RIS by the epsilon guard: the floor is the feature's std
+  const coded = createModel({ type: 'lr', coefficients: [1, 1], intercept: 0 });
+  const offsetExplain = (sample) => [0.5 + sample[0], 0.2 + sample[1]];
+  const risAt = (first, inputScales) => evaluateMetric('RIS', {
+    model: coded, x: [first, 0.5], attributions: offsetExplain([first, 0.5]), explain: offsetExplain, inputScales
+  }, { seed: 2, numSamples: 20, sameClass: false });
+  assert.ok(risAt(0).score / risAt(1).score < 1e-3);
+  const [zeroCoded, oneCoded] = [risAt(0, [0.5, 0.3]), risAt(1, [0.5, 0.3])];
+  assert.ok(zeroCoded.score / oneCoded.score > 0.2 && zeroCoded.score / oneCoded.score < 5);
+  assert.deepStrictEqual([zeroCoded.settings.input_floor, risAt(0).settings.input_floor], ['feature_std', 'epsilon']);
+  console.log('- Max ratio and worst neighbour reported for input, representation and output stability');
+  console.log('- RRS requires a network with a hidden layer; RIS floors zero-valued inputs at the feature std\n');
+
+  // Test 16: Ground-truth agreement metrics
+  console.log('✅ Test 16: FA / RA / SA / SRA / RC / PRA');
+  const names = ['a', 'b', 'c', 'd'];
+  const truth = [0.9, -0.5, 0.1, 0.05];
+  const agreementOf = (metric, attributions, k = 2) =>
+    evaluateMetric(metric, { attributions, reference: truth, featureNames: names }, { k }).score;
+  for (const metric of ['FA', 'RA', 'SA', 'SRA', 'RC', 'PRA']) {
+    assert.strictEqual(agreementOf(metric, truth), 1);
+  }
+  const swapped = [-0.5, 0.9, 0.1, 0.05];
+  assert.strictEqual(agreementOf('FA', swapped), 1);
+  assert.strictEqual(agreementOf('RA', swapped), 0);
+  assert.strictEqual(agreementOf('SA', swapped), 0);
+  assert.strictEqual(agreementOf('PRA', swapped), 0);
+  assert.strictEqual(agreementOf('SRA', [0.9, 0.5, 0, 0]), 0.5);
+  console.log('- Identical explanations agree perfectly on every metric');
+  console.log('- Rank and sign disagreements are detected within the top-k\n');
+
+  // Test 17: Python execution bridge
+  console.log('✅ Test 17: Python Bridge Fallback');
+  const missing = await new PythonBridge({ pythonPath: 'openxai-missing-python' }).availability();
+  assert.strictEqual(missing.available, false);
+  assert.match(missing.reason, /not found/);
+  const bridge = new PythonBridge();
+  const status = await bridge.availability();
+  await bridge.close();
+  console.log(`- Missing interpreter is reported: ${missing.reason}`);
+  console.log(`- Local Python: ${status.available ? `openxai ${status.openxai}` : status.reason}\n`);
+
+  // Test 18: Local tabular datasets
+  console.log('✅ Test 18: Dataset Schema Inference');
+  const table = parseDelimited('age,housing,notes,approved\r\n25,own,"a, ""b""",1\n,rent,,0\n40,own,"multi\nline",1\n');
+  assert.deepStrictEqual(table.columns, ['age', 'housing', 'notes', 'approved']);
+  assert.strictEqual(table.rows[0][2], 'a, "b"');
+  assert.strictEqual(table.rows[2][2], 'multi\nline');
+  const dataset = buildDataset('toy', table);
+  assert.strictEqual(dataset.summary.label_column, 'approved');
+  assert.deepStrictEqual(dataset.summary.feature_names, ['age', 'housing', 'notes']);
+  assert.strictEqual(dataset.summary.columns[0].type, 'numeric');
+  assert.deepStrictEqual(dataset.summary.columns[1].categories, ['own', 'rent']);
+  assert.strictEqual(dataset.summary.missing_values.age, 1);
+  assert.strictEqual(dataset.summary.feature_statistics.age.mean, 32.5);
+  assert.strictEqual(dataset.summary.class_balance['1'].count, 2);
+  assert.deepStrictEqual(dataset.features[1].slice(0, 2), [NaN, 1]);
+  assert.strictEqual(dataset.records[1].age, null);
+  assert.throws(() => parseDelimited('a,b\n1\n'), /Row 2 has 1 fields/);
+  const datasetRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'openxai-data-'));
+  try {
+    const dataDir = path.join(datasetRoot, 'data');
+    await fs.outputFile(path.join(dataDir, 'toy.csv'), 'age,approved\n25,1\n40,0\n');
+    await fs.outputFile(path.join(datasetRoot, 'secret', 'leak.csv'), 'pin,label\n1234,1\n');
+    assert.strictEqual((await loadLocalDataset('toy', { directory: dataDir })).summary.num_rows, 2);
+    await assert.rejects(loadLocalDataset('../secret/leak', { directory: dataDir }), /points outside the data directory/);
+    await assert.rejects(loadLocalDataset(path.join(datasetRoot, 'secret', 'leak'), { directory: dataDir }), /points outside/);
+  } finally {
+    await fs.remove(datasetRoot);
+  }
+  console.log('- Quoted fields, missing values and categorical encoding are handled');
+  console.log('- Class balance and feature statistics are computed from the file; names cannot leave the data directory\n');
+
+  // Test 19: Synthetic datasets with ground truth
+  console.log('✅ Test 19: Synthetic Dataset Generator');
+  const settings = { numSamples: 400, numFeatures: 6, numInformative: 2, correlation: 0.5, correlationStructure: 'toeplitz', classBalance: 0.25, seed: 11 };
+  const synthetic = generateSyntheticDataset(settings);
+  assert.deepStrictEqual(generateSyntheticDataset(settings).table, synthetic.table);
+  assert.deepStrictEqual(synthetic.table.columns, ['x0', 'x1', 'x2', 'x3', 'x4', 'x5', 'label']);
+  assert.strictEqual(synthetic.groundTruth.informative_features.length, 2);
+  assert.strictEqual(Object.values(synthetic.groundTruth.coefficients).filter(value => value !== 0).length, 2);
+  assert.strictEqual(synthetic.table.rows.filter(row => row[6] === 1).length, 100);
+  const neighbours = synthetic.table.rows.map(row => [row[0], row[1]]);
+  const adjacentCorrelation = neighbours.reduce((total, [a, b]) => total + a * b, 0) / neighbours.length;
+  assert.ok(Math.abs(adjacentCorrelation - 0.5) < 0.15);
+  const truthModel = createModel(synthetic.groundTruth.model);
+  const truthShap = explain('shap', truthModel, synthetic.table.rows[0].slice(0, 6), { seed: 1 });
+  const recovered = evaluateMetric('FA', {
+    attributions: truthModel.featureNames.map(name => truthShap.attributions[name]),
+    reference: truthModel.coefficients,
+    featureNames: truthModel.featureNames
+  }, { k: 2 });
+  assert.strictEqual(recovered.score, 1);
+  assert.throws(() => generateSyntheticDataset({ numFeatures: 3, numInformative: 4 }), /num_informative/);
+  assert.throws(() => generateSyntheticDataset({ correlation: 0.3, correlationStructure: 'independent' }), /'independent' cannot have a correlation of 0.3/);
+  console.log('- The same seed reproduces the same rows; class balance is exact');
+  console.log('- SHAP on the data-generating model recovers the informative features\n');
+
+  // Test 20: MCP resources
+  console.log('✅ Test 20: Catalog Resources');
+  const resources = listResources();
+  for (const uri of ['openxai://datasets/german', 'openxai://metrics/PGI', 'openxai://guides/deployment/troubleshooting']) {
+    assert.ok(resources.some(resource => resource.uri === uri), uri);
+  }
+  const pgiResource = readResource('openxai://metrics/PGI').contents[0];
+  assert.strictEqual(pgiResource.mimeType, 'application/json');
+  assert.strictEqual(JSON.parse(pgiResource.text).category, 'faithfulness');
+  assert.strictEqual(readResource('openxai://guides/deployment/troubleshooting').contents[0].mimeType, 'text/markdown');
+  const loadedResource = readResource('openxai://datasets/toy', { datasets: new Map([['toy', dataset]]) });
+  assert.strictEqual(JSON.parse(loadedResource.contents[0].text).loaded.num_rows, 3);
+  assert.throws(() => readResource('openxai://metrics/XYZ'), /Resource not found/);
+  console.log(`- ${resources.length} resources listed with MIME types`);
+  console.log('- Loaded datasets expose their schema under openxai://datasets/{name}\n');
+
+  // Test 21: MCP prompts
+  console.log('✅ Test 21: Workflow Prompts');
+  const prompts = listPrompts();
+  assert.deepStrictEqual(prompts.map(prompt => prompt.name), ['audit_faithfulness', 'compare_explainers', 'explain_decision']);
+  const comparison = getPrompt('compare_explainers', { data_name: 'german', methods: 'shap, lime', metric: 'ris' });
+  const comparisonText = comparison.messages[0].content.text;
+  assert.match(comparisonText, /Relative Input Stability/);
+  assert.match(comparisonText, /- lime: LIME/);
+  assert.match(comparisonText, /No RIS scores for 'german' have been recorded yet/);
+  const promptRuns = [
+    { dataset: 'german', model: 'lr', explainer: 'shap', metric: 'RIS', score: 2 },
+    { dataset: 'german', model: 'lr', explainer: 'lime', metric: 'RIS', score: 1 },
+    { dataset: 'german', model: 'lr', explainer: 'lime', metric: 'PGI', score: 0.9 }
+  ];
+  const rankedText = getPrompt('compare_explainers', { data_name: 'german', metric: 'ris' }, { runs: promptRuns }).messages[0].content.text;
+  assert.match(rankedText, /1\. lime \(lr\): 1 over 1 run\n2\. shap \(lr\): 2 over 1 run\n/);
+  assert.doesNotMatch(rankedText, /0\.9|XGBoost/);
+  assert.throws(() => getPrompt('explain_decision', {}), /requires: data_sample/);
+  assert.throws(() => getPrompt('unknown'), /Unknown prompt/);
+  console.log(`- ${prompts.length} prompts with typed arguments`);
+  console.log('- Templates inline explainer and metric definitions and local leaderboard scores; missing arguments are rejected\n');
+
+  // Test 22: Tool argument validation
+  console.log('✅ Test 22: Zod Argument Validation');
+  const definitions = listToolDefinitions();
+  const evaluateSchema = definitions.find(tool => tool.name === 'evaluate_explanation').inputSchema;
+  assert.deepStrictEqual(evaluateSchema.required, ['metric', 'explanation']);
+  assert.strictEqual(evaluateSchema.properties.k.type, 'integer');
+  assert.strictEqual(evaluateSchema.properties.k.default, 3);
+  assert.deepStrictEqual(parseToolArguments('load_dataset', { dataset_name: 'german' }), { dataset_name: 'german', sample_rows: 5, download: true });
+  assert.throws(() => parseToolArguments('generate_explanation', { method: 'shap', data_sample: '[1]' }), (error) => {
+    assert.ok(error instanceof ToolArgumentError);
+    assert.deepStrictEqual(error.issues.map(issue => issue.field), ['model_info']);
+    return true;
+  });
+  assert.throws(() => parseToolArguments('evaluate_explanation', {
+    metric: 'PGI', explanation: '[1]', model_info: {}, model: { type: 'svm' }
+  }), /model\.type/);
+  console.log(`- ${definitions.length} tools advertise inputSchemas derived from Zod`);
+  console.log('- Missing and invalid fields are reported individually\n');
+
+  // Test 23: Structured tool output
+  console.log('✅ Test 23: Structured Output Schemas');
+  assert.ok(definitions.every(tool => tool.outputSchema?.type === 'object'));
+  const explanationOutput = definitions.find(tool => tool.name === 'generate_explanation').outputSchema;
+  assert.deepStrictEqual(explanationOutput.required, ['method', 'dataset', 'model', 'computed']);
+  const structuredModel = createModel({ type: 'lr', feature_names: ['a', 'b'], coefficients: [1, -2], intercept: 0 });
+  const structuredResult = explain('shap', structuredModel, [1, 2], { seed: 1 });
+  outputSchemaFor('generate_explanation').parse({
+    method: 'shap',
+    dataset: null,
+    model: { type: structuredModel.type, num_features: structuredModel.numFeatures },
+    computed: true,
+    prediction: structuredResult.prediction,
+    attributions: structuredResult.attributions,
+    result: structuredResult
+  });
+  assert.throws(() => outputSchemaFor('get_leaderboard').parse({ filters: {}, total_runs: 0, rankings: [] }), /store/);
+  assert.throws(() => outputSchemaFor('unknown'), /Unknown tool/);
+  console.log('- Every tool declares an outputSchema for its structuredContent');
+  console.log('- Locally computed explanations match the declared shape\n');
+
+  // Test 24: HTTP/SSE transport
+  console.log('✅ Test 24: HTTP Transport');
+  assert.deepStrictEqual(transportOptions([], {}), { transport: 'stdio', host: '127.0.0.1', port: 3000 });
+  assert.deepStrictEqual(transportOptions(['--http', '--port=8080'], { OPENXAI_HOST: '0.0.0.0' }), { transport: 'http', host: '0.0.0.0', port: 8080 });
+  assert.strictEqual(transportOptions(['--transport', 'http'], { OPENXAI_TRANSPORT: 'stdio' }).transport, 'http');
+  assert.throws(() => transportOptions(['--transport', 'ws'], {}), /Unknown transport/);
+  let closedServers = 0;
+  const httpServer = new HttpTransportServer(() => {
+    const server = new Server({ name: 'test', version: '0.0.0' }, { capabilities: { tools: {} } });
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: listToolDefinitions() }));
+    server.onclose = () => { closedServers += 1; };
+    return server;
+  }, { port: 0, info: { name: 'test' } });
+  const baseUrl = await httpServer.start();
+  try {
+    const health = await (await fetch(`${baseUrl}/health`)).json();
+    assert.deepStrictEqual([health.status, health.name, health.sessions], ['ok', 'test', 0]);
+    const stream = await fetch(`${baseUrl}/sse`);
+    const reader = stream.body.pipeThrough(new TextDecoderStream()).getReader();
+    const nextEvent = async () => {
+      let buffered = '';
+      while (!buffered.includes('\n\n')) buffered += (await reader.read()).value;
+      return buffered;
+    };
+    const endpoint = /data: (\S+)/.exec(await nextEvent())[1];
+    const post = (message) => fetch(`${baseUrl}${endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message)
+    });
+    await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 'test', version: '0' } } });
+    assert.match(await nextEvent(), /"serverInfo":\{"name":"test"/);
+    assert.strictEqual((await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' })).status, 202);
+    assert.match(await nextEvent(), /"name":"list_datasets"/);
+    assert.strictEqual((await fetch(`${baseUrl}/messages?sessionId=unknown`, { method: 'POST' })).status, 404);
+    assert.strictEqual((await (await fetch(`${baseUrl}/health`)).json()).sessions, 1);
+    // Disconnecting ends the session and runs the server's own onclose (which releases its handles)
+    await reader.cancel();
+    for (let waited = 0; httpServer.sessions.size > 0 && waited < 2000; waited += 20) await new Promise(resolve => setTimeout(resolve, 20));
+    assert.deepStrictEqual([httpServer.sessions.size, closedServers], [0, 1]);
+  } finally {
+    await httpServer.close();
+  }
+  assert.strictEqual(httpServer.sessions.size, 0);
+  console.log('- --http/--port flags and OPENXAI_* variables select the transport');
+  console.log('- SSE sessions answer JSON-RPC posted to /messages; /health reports open sessions; a disconnect closes the session\n');
+
+  // Test 25: Session handles
+  console.log('✅ Test 25: Dataset and Model Handles');
+  let clock = 0;
+  const store = new SessionStore({ ttlMs: 1000, maxBytes: 10000, now: () => clock });
+  const first = store.add('dataset', 'toy', { rows: [1, 2, 3] }, { replace: true });
+  assert.match(first.handle, /^ds_[0-9a-f]{12}$/);
+  const second = store.add('dataset', 'toy', { rows: [4, 5] }, { replace: true });
+  assert.throws(() => store.get(first.handle), /Unknown or expired handle/);
+  assert.deepStrictEqual(store.findByName('dataset', 'toy'), { rows: [4, 5] });
+  const modelHandle = store.add('model', 'toy_lr', { definition: null }).handle;
+  assert.throws(() => store.get(modelHandle, 'dataset'), /Unknown or expired dataset handle/);
+  clock = 900;
+  store.get(second.handle);
+  clock = 1500;
+  // The model was idle for longer than the TTL; the dataset was used at t=900
+  assert.deepStrictEqual(store.list().map(entry => entry.handle), [second.handle]);
+  const large = store.add('dataset', 'large', { values: [] }, { bytes: 9950 });
+  assert.deepStrictEqual(large.evicted, [second.handle]);
+  assert.ok(store.usedBytes <= store.maxBytes);
+  assert.throws(() => store.add('dataset', 'huge', new Float64Array(2000)), /budget/);
+  assert.strictEqual(store.remove(large.handle).name, 'large');
+  assert.strictEqual(store.usedBytes, 0);
+  assert.ok(estimateBytes({ a: [1, 2], b: 'xy' }) > estimateBytes({ a: [1] }));
+  // Sessions only see, replace and unload their own handles
+  const [alice, bob] = [store.scope('alice'), store.scope('bob')];
+  const aliceToy = alice.add('dataset', 'toy', { rows: [1] }, { replace: true }).handle;
+  const bobToy = bob.add('dataset', 'toy', { rows: [2] }, { replace: true }).handle;
+  assert.deepStrictEqual([alice.findByName('dataset', 'toy'), bob.get(bobToy)], [{ rows: [1] }, { rows: [2] }]);
+  assert.throws(() => bob.get(aliceToy), /Unknown or expired handle/);
+  assert.strictEqual(bob.remove(aliceToy), null);
+  assert.deepStrictEqual(alice.list().map(entry => entry.handle), [aliceToy]);
+  assert.deepStrictEqual([...bob.byName('dataset').values()], [{ rows: [2] }]);
+  assert.strictEqual(alice.usedBytes, store.list().find(entry => entry.handle === aliceToy).bytes);
+  assert.strictEqual(alice.totalBytes, alice.usedBytes + bob.usedBytes);
+  assert.strictEqual(alice.remove(aliceToy).name, 'toy');
+  // A closed session's handles are dropped at once instead of waiting for their TTL
+  const aliceModel = alice.add('model', 'toy_lr', { definition: null }).handle;
+  assert.deepStrictEqual(alice.close(), [aliceModel]);
+  assert.deepStrictEqual([alice.usedBytes, store.list().map(entry => entry.handle)], [0, [bobToy]]);
+  bob.remove(bobToy);
+  const modelRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'openxai-models-'));
+  try {
+    await fs.outputJson(path.join(modelRoot, 'models', 'toy_lr.json'), { type: 'lr', coefficients: [1] });
+    await fs.outputJson(path.join(modelRoot, 'secret_lr.json'), {});
+    assert.strictEqual(await findModelFile('toy', 'lr', path.join(modelRoot, 'models')), path.join(modelRoot, 'models', 'toy_lr.json'));
+    await assert.rejects(findModelFile('../secret', 'lr', path.join(modelRoot, 'models')), /points outside the model directory/);
+  } finally {
+    await fs.remove(modelRoot);
+  }
+  assert.throws(() => parseToolArguments('generate_explanation', { method: 'shap', data_sample: '[1]' }), /model_info: Required unless model_handle/);
+  assert.strictEqual(parseToolArguments('generate_explanation', { method: 'shap', data_sample: '[1]', model_handle: 'mdl_1' }).model_handle, 'mdl_1');
+  console.log('- Reloading a dataset name replaces its handle within a session; other sessions\' handles are out of reach and a closed session\'s are dropped');
+  console.log('- Idle handles expire and the least recently used are evicted to fit the memory budget\n');
+
+  // Test 26: Local leaderboard
+  console.log('✅ Test 26: Local Leaderboard');
+  const run = (explainer, metric, score) => ({ dataset: 'german', model: 'lr', explainer, metric, score, timestamp: '2026-01-01T00:00:00Z' });
+  const board = aggregateRuns([
+    run('shap', 'PGI', 0.3), run('shap', 'PGI', 0.5), run('lime', 'PGI', 0.2),
+    run('shap', 'RIS', 4), run('lime', 'RIS', 2), run('lime', 'RIS', 3)
+  ]);
+  assert.deepStrictEqual(board.map(entry => `${entry.metric} ${entry.rank} ${entry.explainer}`), ['PGI 1 shap', 'PGI 2 lime', 'RIS 1 lime', 'RIS 2 shap']);
+  assert.ok(Math.abs(board[0].score - 0.4) < 1e-12 && Math.abs(board[0].variance - 0.02) < 1e-12);
+  assert.strictEqual(board[2].runs, 2);
+  assert.deepStrictEqual(aggregateRuns([run('shap', 'PGI', 1)], { metric: 'pgi', explainer: 'LIME' }), []);
+  const leaderboardDir = await fs.mkdtemp(path.join(os.tmpdir(), 'openxai-leaderboard-'));
+  try {
+    const leaderboardStore = new LeaderboardStore({ file: path.join(leaderboardDir, 'leaderboard.jsonl') });
+    await leaderboardStore.record({ dataset: 'german', model: 'lr', explainer: 'kernel_shap', metric: 'PGU', score: 0.1 });
+    await fs.appendFile(leaderboardStore.file, '{"truncated": \n');
+    await leaderboardStore.record({ metric: 'FA', score: 1 });
+    const stored = await leaderboardStore.runs();
+    assert.deepStrictEqual(stored.map(entry => [entry.explainer, entry.dataset]), [['shap', 'german'], ['unspecified', 'unspecified']]);
+  } finally {
+    await fs.remove(leaderboardDir);
+  }
+  console.log('- Runs are grouped per dataset, model, explainer and metric with run count and variance');
+  console.log('- Lower-is-better metrics (RIS) rank ascending; truncated lines in the store are skipped\n');
+
+  // Test 27: Leaderboard submission bundle
+  console.log('✅ Test 27: Leaderboard Submission');
+  const seeded = (metric, score, explainer = 'shap') => ({ ...run(explainer, metric, score), settings: { seed: 0, explainer_seed: 1 } });
+  const complete = ['PGI', 'PGU', 'RIS', 'ROS'].map(metric => seeded(metric, 0.2));
+  const checked = validateRuns(complete);
+  assert.ok(checked.valid && checked.issues.length === 0);
+  assert.deepStrictEqual(checked.required.map(pair => `${pair.dataset}/${pair.metric}`), ['german/PGI', 'german/PGU', 'german/RIS', 'german/ROS']);
+  const flawed = validateRuns([
+    seeded('PGI', 1.5), { ...run('lime', 'PGU', 0.1), settings: {} }, seeded('RIS', 2)
+  ], { datasets: ['german'] });
+  assert.strictEqual(flawed.valid, false);
+  assert.deepStrictEqual(flawed.issues.map(entry => entry.code).sort(),
+    ['missing_explainer_seed', 'missing_pair', 'missing_seed', 'score_out_of_range']);
+  assert.strictEqual(validateRuns([]).issues[0].code, 'no_results');
+  // PGI/PGU of a regression model are gaps in its own output units, so only a negative score is invalid
+  const regressionModel = createModel(generateSyntheticDataset({ task: 'regression', numSamples: 20, numFeatures: 3, seed: 0 }).groundTruth.model);
+  assert.strictEqual(outputKind(regressionModel), 'unbounded');
+  assert.strictEqual(outputKind(createModel({ type: 'lr', coefficients: [1] })), 'probability');
+  const regressionRuns = ['PGI', 'PGU', 'RIS', 'ROS'].map(metric => ({ ...seeded(metric, 7.5), settings: { seed: 0, explainer_seed: 1, output: 'unbounded' } }));
+  assert.ok(validateRuns(regressionRuns).valid);
+  assert.strictEqual(validateRuns([{ ...regressionRuns[0], score: -1 }, ...regressionRuns.slice(1)]).valid, false);
+  assert.strictEqual(validateRuns([{ ...regressionRuns[0], settings: { seed: 0, output: 'probability' } }, ...regressionRuns.slice(1)]).issues[0].severity, 'error');
+  const unlabelled = validateRuns([seeded('PGI', 7.5), ...regressionRuns.slice(1)]);
+  assert.ok(unlabelled.valid && unlabelled.issues[0].code === 'score_out_of_range' && unlabelled.issues[0].severity === 'warning');
+
+  const submission = buildSubmission(checked.runs, { required: checked.required, submitter: 'tester', server: { name: 'openxai-mcp' }, key: 'secret' });
+  assert.strictEqual(submission.bundle.results.length, 4);
+  assert.ok(verifySubmission(submission.text, submission.manifest, 'secret'));
+  assert.ok(!verifySubmission(submission.text, submission.manifest, 'other key'));
+  assert.ok(!verifySubmission(submission.text.replace('0.2', '0.9'), submission.manifest, 'secret'));
+  const submissionDir = await fs.mkdtemp(path.join(os.tmpdir(), 'openxai-submission-'));
+  try {
+    const written = await writeSubmission(submission, { directory: submissionDir, label: 'tester/lr' });
+    assert.ok(written.id.startsWith('tester_lr-'));
+    const manifest = await fs.readJson(written.manifestFile);
+    assert.ok(verifySubmission(await fs.readFile(written.bundleFile, 'utf8'), manifest, 'secret'));
+    await assert.rejects(writeSubmission(submission, { directory: submissionDir, label: 'tester/lr' }), /already exists/);
+  } finally {
+    await fs.remove(submissionDir);
+  }
+  console.log('- Missing dataset/metric pairs, out-of-range scores and unseeded runs are reported; regression PGI/PGU may exceed 1');
+  console.log('- Bundles carry an HMAC-SHA256 signature; edited bundles and wrong keys fail verification\n');
+
+  // Test 28: Benchmark grid
+  console.log('✅ Test 28: Benchmark Runner');
+  const grid = gridCells({ datasets: ['german'], models: ['lr', 'ann'], explainers: ['shap', 'lime'], metrics: ['PGI', 'FA', 'RIS'] });
+  assert.strictEqual(grid.length, 12);
+  assert.strictEqual(cellKey(grid[0]), 'german/lr/shap/PGI');
+  const benchRows = [[1, 2, 3], [NaN, 0, 1], [0.5, -1, 2], [2, 0, -1], [1, 1, 1]];
+  const picked = sampleRows(benchRows, 3, 7);
+  assert.deepStrictEqual(picked, sampleRows(benchRows, 3, 7));
+  assert.ok(picked.length === 3 && !picked.includes(1));
+  assert.strictEqual(sampleRows(benchRows, 10, 7).length, 4);
+  const benchModel = createModel({ type: 'lr', coefficients: [1, -2, 0.5], intercept: 0 });
+  const explained = await explainRows('gradient_x_input', benchModel, picked.map(i => benchRows[i]), { seed: 0 });
+  assert.strictEqual(explained.attributions.length, 3);
+  const agreementCell = await scoreRows('FA', benchModel, picked.map(i => benchRows[i]), explained.attributions, { reference: benchModel.coefficients, seed: 0 });
+  assert.ok(agreementCell.score >= 0 && agreementCell.score <= 1 && agreementCell.samples === 3 && agreementCell.evaluateMs >= 0);
+  const stabilityCell = await scoreRows('RIS', benchModel, picked.map(i => benchRows[i]), explained.attributions, { explainer: 'gradient_x_input', metricSamples: 5, seed: 0 });
+  assert.ok(Number.isFinite(stabilityCell.score));
+  await assert.rejects(explainRows('gradient_x_input', benchModel, benchRows, { deadline: performance.now() - 1 }), DeadlineError);
+  const benchDataset = { summary: { feature_names: ['a', 'b', 'c'] }, features: benchRows, labels: [0, 1, 0, 1, 1] };
+  const benchFingerprint = setupFingerprint({ coefficients: [1, -2, 0.5] }, benchDataset);
+  assert.strictEqual(benchFingerprint, setupFingerprint({ coefficients: [1, -2, 0.5] }, benchDataset));
+  assert.notStrictEqual(benchFingerprint, setupFingerprint({ coefficients: [1, -2, 0.6] }, benchDataset));
+  assert.notStrictEqual(benchFingerprint, setupFingerprint({ coefficients: [1, -2, 0.5] }, { ...benchDataset, labels: [1, 1, 0, 1, 1] }));
+  const matrix = resultsMatrix([
+    { ...grid[0], status: 'completed', score: 0.4 },
+    { ...grid[1], status: 'skipped', reason: 'no reference' }
+  ], ['PGI', 'FA', 'RIS']);
+  assert.deepStrictEqual(matrix, [{ dataset: 'german', model: 'lr', explainer: 'shap', scores: { PGI: 0.4, FA: null, RIS: null } }]);
+  const benchmarkDir = await fs.mkdtemp(path.join(os.tmpdir(), 'openxai-benchmark-'));
+  try {
+    const benchmarkCheckpoint = new BenchmarkCheckpoint(path.join(benchmarkDir, 'run.jsonl'));
+    assert.strictEqual(await benchmarkCheckpoint.load(), null);
+    await benchmarkCheckpoint.start({ seed: 0 });
+    await benchmarkCheckpoint.recordSetup('german/lr', benchFingerprint);
+    await benchmarkCheckpoint.append({ ...grid[0], status: 'completed', score: 0.4 });
+    await fs.appendFile(benchmarkCheckpoint.file, '{"type": "cell", "cell": {"dat');
+    const resumed = await benchmarkCheckpoint.load();
+    assert.deepStrictEqual(resumed.config, { seed: 0 });
+    assert.deepStrictEqual([...resumed.cells.keys()], ['german/lr/shap/PGI']);
+    assert.strictEqual(resumed.setups.get('german/lr'), benchFingerprint);
+  } finally {
+    await fs.remove(benchmarkDir);
+  }
+  console.log('- The grid covers every dataset × model × explainer × metric cell over a seeded row sample');
+  console.log('- Completed cells are checkpointed with a fingerprint of their model and dataset; max_seconds is checked between rows\n');
+
+  // Test 29: Fairness across protected subgroups
+  console.log('✅ Test 29: Explanation Fairness');
+  const population = buildDataset('population', {
+    columns: ['age', 'sex', 'label'],
+    rows: [['25', 'F', '1'], ['35', 'M', '0'], ['45', 'F', '0'], ['55', 'M', '1'], ['65', '', '1']]
+  });
+  const bySex = defineSubgroups(population, { feature: 'sex' });
+  assert.deepStrictEqual(bySex.map(group => [group.name, group.rows]), [["sex = 'F'", [0, 2]], ["sex = 'M'", [1, 3]]]);
+  assert.deepStrictEqual(defineSubgroups(population, { feature: 'age', threshold: 50 }).map(group => group.rows), [[0, 1, 2], [3, 4]]);
+  assert.deepStrictEqual(defineSubgroups(population, { feature: 'label', values: [1, 0] }).map(group => group.rows.length), [3, 2]);
+  assert.throws(() => defineSubgroups(population, { feature: 'sex', values: ['F', 'X'] }), /No rows in sex = 'X'/);
+  assert.throws(() => defineSubgroups(population, { feature: 'sex', threshold: 1 }), /numeric/);
+  assert.throws(() => defineSubgroups(population, { feature: 'income' }), /not found/);
+  const pgiGap = disparity('PGI', [{ name: 'F', score: 0.2 }, { name: 'M', score: 0.5 }]);
+  assert.ok(Math.abs(pgiGap.gap - 0.3) < 1e-12 && Math.abs(pgiGap.ratio - 0.4) < 1e-12);
+  assert.strictEqual(pgiGap.worst_group, 'F');
+  assert.strictEqual(disparity('RIS', [{ name: 'F', score: 1 }, { name: 'M', score: 3 }]).worst_group, 'M');
+  assert.deepStrictEqual(fairnessSummary([pgiGap, { metric: 'PGU', gap: 0.1 }, { metric: 'RIS', gap: null }]), { FG: pgiGap.gap, SG: null });
+  console.log('- Subgroups come from a column\'s values, listed values or a numeric threshold; missing values are left out');
+  console.log('- Disparities follow each metric\'s direction; FG and SG report the largest faithfulness and stability gaps\n');
+
+  // Test 30: Tree ensembles imported from XGBoost, LightGBM and scikit-learn dumps
+  console.log('✅ Test 30: Tree Model Import');
+  const creditSummary = buildDataset('credit', {
+    columns: ['age', 'income', 'label'],
+    rows: [['22', '0.1', '0'], ['38', '0.4', '1'], ['51', '0.9', '1']]
+  }).summary;
+  const xgbDump = [{
+    nodeid: 0, split: 'f1', split_condition: 0.5, yes: 1, no: 2, missing: 1, cover: 100,
+    children: [
+      { nodeid: 1, leaf: -0.4, cover: 60 },
+      { nodeid: 2, split: 'f0', split_condition: 30, yes: 3, no: 4, missing: 4, cover: 40,
+        children: [{ nodeid: 3, leaf: 0.1, cover: 10 }, { nodeid: 4, leaf: 0.6, cover: 30 }] }
+    ]
+  }];
+  assert.strictEqual(detectTreeFormat(xgbDump), 'xgboost');
+  const xgbSettings = { objective: 'binary:logistic', baseScore: 0.5 };
+  const xgbModel = createModel(importTreeModel(xgbDump.map(tree => JSON.stringify(tree)), xgbSettings));
+  assert.deepStrictEqual([[25, 0.3], [25, 0.9], [40, 0.9], [40, NaN]].map(xgbModel.margin), [-0.4, 0.1, 0.6, -0.4]);
+  assert.throws(() => importTreeModel(xgbDump), /objective or base_score/);
+  // Trees of a 3-round binary:logistic booster trained with base_score 0.3, and XGBoost's own predictions for them
+  const boosted = (leaves, cover) => ({
+    nodeid: 0, depth: 0, split: 'f1', split_condition: 0.314999998, yes: 1, no: 2, missing: 1, cover: cover[0],
+    children: [
+      { nodeid: 1, leaf: leaves[0], cover: cover[1] },
+      { nodeid: 2, depth: 1, split: 'f0', split_condition: 40.5, yes: 3, no: 4, missing: 3, cover: cover[2],
+        children: [{ nodeid: 3, leaf: leaves[1], cover: cover[3] }, { nodeid: 4, leaf: leaves[2], cover: cover[4] }] }
+    ]
+  });
+  const xgbBooster = [
+    boosted([-0.467128038, -0.19637464, 1.34615374], [8.40000057, 1.8900001, 6.51000023, 2.31000018, 4.20000029]),
+    boosted([-0.380810887, -0.13865608, 0.662662268], [8.32231426, 1.50219274, 6.82012177, 2.11873174, 4.70138979]),
+    boosted([-0.320235878, -0.0976295322, 0.514748871], [6.78593302, 1.17932391, 5.60660934, 1.97538841, 3.63122082])
+  ];
+  const boosterModel = createModel(importTreeModel(xgbBooster, { objective: 'binary:logistic', baseScore: 0.3 }));
+  const xgbPredictions = [0.11758793890476227, 0.8424095511436462, 0.11758793890476227, 0.21755735576152802, 0.8424095511436462];
+  [[25, 0.2], [45, 0.6], [70, 0.1], [33, 0.9], [60, 0.45]].forEach((x, i) => assert.ok(Math.abs(boosterModel.predict(x) - xgbPredictions[i]) < 1e-6));
+  const regression = importTreeModel(xgbBooster, { objective: 'reg:squarederror', baseScore: 0.3 });
+  assert.ok(regression.link === 'identity' && regression.base_score === 0.3);
+
+  const xgbSaved = {
+    learner: {
+      feature_names: ['income', 'age'],
+      gradient_booster: { name: 'gbtree', model: { trees: [{
+        left_children: [1, -1, -1], right_children: [2, -1, -1], split_indices: [1, 0, 0],
+        split_conditions: [30, -0.4, 0.6], default_left: [1, 0, 0], sum_hessian: [100, 60, 40]
+      }] } },
+      learner_model_param: { base_score: '5E-1', num_class: '0' },
+      objective: { name: 'binary:logistic' }
+    }
+  };
+  const saved = alignTreeModel(toModelDefinition(xgbSaved), creditSummary);
+  assert.deepStrictEqual(saved.definition.feature_names, ['age', 'income']);
+  assert.deepStrictEqual(saved.warnings, []);
+  const savedModel = createModel(saved.definition);
+  assert.ok(Math.abs(savedModel.predict([25, 0.2]) - 1 / (1 + Math.exp(0.4))) < 1e-12);
+  assert.ok(Math.abs(savedModel.predict([35, 0.2]) - 1 / (1 + Math.exp(-0.6))) < 1e-12);
+
+  const lgbDump = {
+    name: 'tree', objective: 'binary sigmoid:1', feature_names: ['age', 'income'],
+    tree_info: [{ tree_index: 0, shrinkage: 1, tree_structure: {
+      split_feature: 0, threshold: 30, decision_type: '<=', default_left: true, internal_count: 100,
+      left_child: { leaf_value: -0.3, leaf_count: 40 }, right_child: { leaf_value: 0.5, leaf_count: 60 }
+    } }]
+  };
+  const lgbModel = createModel(importTreeModel(lgbDump));
+  assert.deepStrictEqual([[30, 0], [30.5, 0], [NaN, 0]].map(lgbModel.margin), [-0.3, 0.5, -0.3]);
+  for (const objective of ['regression_l2', 'regression', 'l2_root', 'mae', 'huber alpha:0.9']) {
+    const lgbRegression = importTreeModel({ ...lgbDump, objective });
+    assert.strictEqual(lgbRegression.link, 'identity');
+    assert.strictEqual(createModel(lgbRegression).predict([40, 0]), 0.5);
+  }
+  assert.strictEqual(importTreeModel({ ...lgbDump, objective: 'xentropy' }).link, 'logistic');
+  assert.throws(() => importTreeModel({ ...lgbDump, objective: 'cross_entropy_lambda' }), /not supported/);
+  assert.throws(() => importTreeModel({ ...lgbDump, objective: 'poisson' }), /not supported/);
+
+  const sklearnForest = {
+    kind: 'random_forest',
+    feature_names: ['age', 'income'],
+    estimators: [
+      { children_left: [1, -1, -1], children_right: [2, -1, -1], feature: [0, -2, -2], threshold: [30, -2, -2],
+        value: [[[50, 50]], [[30, 10]], [[20, 40]]], n_node_samples: [100, 40, 60] },
+      { children_left: [1, -1, -1], children_right: [2, -1, -1], feature: [1, -2, -2], threshold: [0.5, -2, -2],
+        value: [[[0.5, 0.5]], [[0.8, 0.2]], [[0.1, 0.9]]], n_node_samples: [100, 50, 50] }
+    ]
+  };
+  assert.strictEqual(detectTreeFormat(sklearnForest), 'sklearn');
+  const forest = createModel(importTreeModel(sklearnForest));
+  assert.ok(Math.abs(forest.predict([25, 0.3]) - 0.225) < 1e-12);
+  assert.deepStrictEqual(forest.predictBatch([[25, 0.3], [40, 0.9]]), [[25, 0.3], [40, 0.9]].map(forest.predict));
+  const forestDefinition = importTreeModel(sklearnForest);
+  for (const x of [[25, 0.3], [31, 0.5], [40, 0.9]]) {
+    assert.strictEqual(evaluateTree(forestDefinition.trees[0], x), x[0] <= 30 ? 0.25 : 40 / 60);
+  }
+
+  assert.throws(() => alignTreeModel(importTreeModel(xgbDump, xgbSettings), { ...creditSummary, feature_names: ['age'] }), /uses 2 features/);
+  assert.throws(() => alignTreeModel(importTreeModel({ ...lgbDump, feature_names: ['salary', 'income'] }), creditSummary), /salary/);
+  const shifted = { ...lgbDump, tree_info: [{ ...lgbDump.tree_info[0], tree_structure: { ...lgbDump.tree_info[0].tree_structure, threshold: 70 } }] };
+  assert.deepStrictEqual(alignTreeModel(importTreeModel(shifted), creditSummary).warnings, ["Some 'age' thresholds lie outside the observed range [22, 51]"]);
+  assert.throws(() => toModelDefinition({ foo: 1 }), /Unrecognised model JSON/);
+  assert.deepStrictEqual(toModelDefinition({ type: 'lr', coefficients: [1] }), { type: 'lr', coefficients: [1] });
+  console.log('- XGBoost (dump_model and save_model), LightGBM and scikit-learn trees predict as their libraries do');
+  console.log('- Imported models are aligned to the dataset\'s feature order; missing features are rejected\n');
+
+  // Test 31: Exact TreeSHAP for tree ensembles
+  console.log('✅ Test 31: TreeSHAP');
+  const pathShap = explain('shap', xgbModel, [40, 0.9], { featurePerturbation: 'tree_path_dependent', interactions: true });
+  assert.strictEqual(pathShap.method, 'tree_shap');
+  assert.strictEqual(pathShap.model_output, 'log_odds');
+  assert.ok(Math.abs(pathShap.base_value - -0.05) < 1e-12);
+  assert.ok(Math.abs(pathShap.attributions.x0 - 0.0875) < 1e-12 && Math.abs(pathShap.attributions.x1 - 0.5625) < 1e-12);
+  for (const [name, row] of Object.entries(pathShap.interaction_values)) {
+    assert.ok(Math.abs(Object.values(row).reduce((total, value) => total + value, 0) - pathShap.attributions[name]) < 1e-12);
+  }
+  assert.ok(Math.abs(pathShap.interaction_values.x0.x1 - pathShap.interaction_values.x1.x0) < 1e-12);
+
+  // Interventional TreeSHAP equals exhaustive KernelSHAP on an identity-link ensemble
+  const rawEnsemble = createModel({ ...importTreeModel(xgbDump, xgbSettings), type: 'tree_ensemble', link: 'identity' });
+  const treeBackground = [[20, 0.2], [35, 0.7], [50, 0.4]];
+  const interventional = explain('shap', rawEnsemble, [40, 0.9], { background: treeBackground, seed: 1 });
+  const kernel = kernelShap(rawEnsemble, [40, 0.9], treeBackground, { seed: 1 });
+  assert.strictEqual(interventional.feature_perturbation, 'interventional');
+  for (const name of rawEnsemble.featureNames) {
+    assert.ok(Math.abs(interventional.attributions[name] - kernel.attributions[name]) < 1e-9);
+  }
+  assert.ok(interventional.sum_check.error < 1e-12);
+  assert.strictEqual(explain('shap', rawEnsemble, [40, 0.9], { background: treeBackground, shapAlgorithm: 'kernel' }).method, 'kernel_shap');
+
+  const uncovered = createModel({ type: 'xgb', trees: [{ feature: 0, threshold: 1, left: { value: 1 }, right: { value: 2 } }] });
+  assert.strictEqual(explain('shap', uncovered, [3]).feature_perturbation, 'interventional');
+  assert.throws(() => explain('shap', uncovered, [3], { featurePerturbation: 'tree_path_dependent' }), /cover/);
+  assert.throws(() => explain('shap', createModel({ type: 'lr', coefficients: [1] }), [1], { interactions: true }), /TreeSHAP/);
+  console.log('- Path-dependent and interventional TreeSHAP match exact Shapley values and add up to the margin');
+  console.log('- Interaction values are symmetric and each row sums to the feature\'s attribution\n');
+
+  // Test 32: Counterfactual explanations with actionability constraints
+  console.log('✅ Test 32: Counterfactual Search');
+  const loans = buildDataset('loans', {
+    columns: ['age', 'income', 'debt', 'housing', 'label'],
+    rows: [['25', '30.5', '2', 'rent', '0'], ['40', '55.0', '8', 'own', '1'], ['58', '90.2', '0', 'mortgage', '1'], ['33', '42.7', '5', 'rent', '0']]
+  });
+  const loanModel = createModel({ type: 'lr', feature_names: ['age', 'income', 'debt', 'housing'], coefficients: [0.02, 0.05, -0.4, 0.3], intercept: -2 });
+  const applicant = [30, 35, 6, 0];
+  const space = featureSpace(loanModel.featureNames, applicant, { dataset: loans, immutable: ['age'], monotonic: { debt: 'decrease' } });
+  assert.deepStrictEqual(space.map(feature => feature.mutable), [false, true, true, true]);
+  assert.deepStrictEqual([space[1].decimals, space[2].decimals, space[3].categorical], [1, 0, true]);
+  assert.deepStrictEqual([space[2].lower, space[2].upper], [0, 6]);
+  const found = findCounterfactuals(loanModel, applicant, space, { count: 3, seed: 7 });
+  assert.strictEqual(found.desired_class, 1);
+  assert.ok(found.counterfactuals.length >= 2);
+  for (const counterfactual of found.counterfactuals) {
+    assert.ok(counterfactual.prediction >= 0.5);
+    assert.strictEqual(counterfactual.values.age, 30);
+    assert.ok(counterfactual.values.debt <= 6 && Number.isInteger(counterfactual.values.debt));
+    assert.strictEqual(Math.round(counterfactual.values.income * 10), counterfactual.values.income * 10);
+    assert.strictEqual(counterfactual.sparsity, counterfactual.changes.length);
+  }
+  assert.ok(found.counterfactuals.every((counterfactual, i) => i === 0 || counterfactual.distance >= found.counterfactuals[0].distance));
+  assert.deepStrictEqual(findCounterfactuals(loanModel, applicant, space, { count: 3, seed: 7 }), found);
+  for (const { recourse } of found.counterfactuals) {
+    assert.match(recourse, /^((Increase income|Decrease debt) from [\d.]+ to [\d.]+|Change housing from 'rent' to '(own|mortgage)')(; |$)/);
+  }
+  assert.throws(() => featureSpace(loanModel.featureNames, applicant, { immutable: ['salary'] }), /Unknown features in immutable/);
+  assert.throws(() => featureSpace(loanModel.featureNames, applicant, { dataset: loans, monotonic: { housing: 'increase' } }), /categorical/);
+  const frozen = featureSpace(loanModel.featureNames, applicant, { immutable: ['age', 'income', 'debt', 'housing'] });
+  assert.throws(() => findCounterfactuals(loanModel, applicant, frozen), /No feature can change/);
+  const capped = featureSpace(loanModel.featureNames, applicant, { dataset: loans, immutable: ['age', 'debt', 'housing'], ranges: { income: [35, 60] } });
+  assert.deepStrictEqual(findCounterfactuals(loanModel, applicant, capped, { seed: 1 }).counterfactuals, []);
+  console.log('- Counterfactuals flip the prediction while immutable features, directions, ranges and precision hold');
+  console.log('- Selection keeps the closest counterfactual first and spreads the rest; the search is seeded\n');
+
+  // Test 33: Occlusion and RISE saliency for images
+  console.log('✅ Test 33: Image Saliency');
+  const pixels = new Uint8Array(8 * 8 * 3);
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) pixels.set(y < 4 && x < 4 ? [240, 200, 40] : [30, 60, 90], (y * 8 + x) * 3);
+  }
+  const png = encodePng({ width: 8, height: 8, channels: 3, pixels });
+  assert.deepStrictEqual(decodePng(png), { width: 8, height: 8, channels: 3, pixels });
+  assert.deepStrictEqual(decodeBase64Png(`data:image/png;base64,${png.toString('base64')}`).pixels, pixels);
+  assert.throws(() => decodePng(Buffer.from('not a png')), /signature/);
+  const craftedPng = (width, height, data) => {
+    const pngChunk = (type, body) => {
+      const length = Buffer.alloc(4);
+      length.writeUInt32BE(body.length);
+      return Buffer.concat([length, Buffer.from(type, 'latin1'), body, Buffer.alloc(4)]);
+    };
+    const ihdr = Buffer.from([0, 0, 0, 0, 0, 0, 0, 0, 8, 0, 0, 0, 0]);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    return Buffer.concat([png.subarray(0, 8), pngChunk('IHDR', ihdr), pngChunk('IDAT', deflateSync(data)), pngChunk('IEND', Buffer.alloc(0))]);
+  };
+  assert.strictEqual(decodePng(craftedPng(2, 2, Buffer.from([0, 10, 20, 0, 30, 40]))).pixels.join(), '10,20,30,40');
+  assert.throws(() => decodePng(craftedPng(100000, 100000, Buffer.alloc(10))), /images must have between 1 and/);
+  assert.throws(() => decodePng(craftedPng(8, 8, Buffer.alloc(16 * 1024 * 1024))), /inflates to more than the 72 bytes/);
+  const grayImage = toTensor(decodePng(png), [1, 8, 8]);
+  assert.ok(Math.abs(grayImage[0] - (240 + 200 + 40) / 3 / 255) < 1e-12);
+
+  // One 2x2 averaging filter, 2x2 average pooling, and a dense layer reading the top-left and bottom-right cells
+  const cnn = createImageModel({
+    type: 'cnn',
+    input_shape: [1, 8, 8],
+    classes: ['top_left', 'bottom_right'],
+    layers: [
+      { type: 'conv2d', weights: [[[[0.25, 0.25], [0.25, 0.25]]]], bias: [0] },
+      { type: 'avgpool', size: 2 },
+      { type: 'dense', weights: [[4, 0, 0, 0, 0, 0, 0, 0, 0], [0, 0, 0, 0, 0, 0, 0, 0, 4]], activation: 'softmax' }
+    ]
+  });
+  assert.deepStrictEqual(cnn.layers.map(layer => layer.outputShape), [[1, 7, 7], [1, 3, 3], [2]]);
+  const cnnScores = cnn.predict(grayImage);
+  assert.ok(Math.abs(cnnScores[0] + cnnScores[1] - 1) < 1e-12 && cnnScores[0] > cnnScores[1]);
+  assert.throws(() => createImageModel({ type: 'cnn', input_shape: [2, 8, 8], layers: [] }), /1 \(grayscale\) or 3/);
+  assert.throws(() => createImageModel({ type: 'cnn', input_shape: [1, 4, 4], layers: [{ type: 'dense', weights: [[1, 2]] }] }), /\[outputs\]\[16\]/);
+  assert.throws(() => createModel({ type: 'cnn' }), /occlusion' or 'rise'/);
+
+  const scoreTopLeft = async (images) => images.map(image => cnn.predict(image)[0]);
+  const occluded = await occlusion(scoreTopLeft, grayImage, [1, 8, 8], { windowSize: 2 });
+  assert.deepStrictEqual(occluded.settings, { window_size: 2, stride: 1, num_windows: 49, fill: 'channel_mean' });
+  const quadrant = (map, top, left) => map.slice(top, top + 4).flatMap(row => row.slice(left, left + 4)).reduce((total, value) => total + value, 0);
+  assert.ok(quadrant(occluded.saliency, 0, 0) > quadrant(occluded.saliency, 4, 4) && quadrant(occluded.saliency, 4, 4) > 0);
+  const masked = await rise(scoreTopLeft, grayImage, [1, 8, 8], { numMasks: 200, resolution: 4, seed: 5 });
+  assert.deepStrictEqual([masked.saliency.length, masked.saliency[0].length, masked.seed], [8, 8, 5]);
+  assert.ok(quadrant(masked.saliency, 0, 0) > quadrant(masked.saliency, 4, 4));
+  assert.deepStrictEqual(await rise(scoreTopLeft, grayImage, [1, 8, 8], { numMasks: 200, resolution: 4, seed: 5 }), masked);
+
+  const overlay = renderOverlay(decodePng(png), masked.saliency);
+  assert.deepStrictEqual([overlay.width, overlay.height], [224, 224]);
+  assert.deepStrictEqual(decodePng(overlay.png).channels, 3);
+  const largeImage = { width: 512, height: 512, channels: 1, pixels: new Uint8Array(512 * 512).fill(128) };
+  const largeSaliency = Array.from({ length: 512 }, (_, y) => Array.from({ length: 512 }, (_, x) => x + y));
+  const largeOverlay = renderOverlay(largeImage, largeSaliency);
+  assert.deepStrictEqual([largeOverlay.width, largeOverlay.height], [512, 512]);
+  const largePixels = decodePng(largeOverlay.png).pixels;
+  assert.deepStrictEqual([...largePixels.subarray(0, 3)], [64, 64, 128]);
+  assert.deepStrictEqual(pythonInputShape({ channels: 3, height: 4096, width: 2048 }), [3, 224, 112]);
+  assert.deepStrictEqual(pythonInputShape({ channels: 1, height: 64, width: 48 }), [1, 64, 48]);
+  assert.deepStrictEqual(pythonInputShape({ channels: 3, height: 4096, width: 4096 }, [3, 512, 512]), [3, 512, 512]);
+  assert.throws(() => pythonInputShape({ channels: 3, height: 4096, width: 4096 }, [3, 1024, 1024]), /more than 262144 pixels/);
+  // A 512 × 512 RGB input goes to the scorer a few images at a time, each batch's JSON well under V8's string limit
+  const largeShape = [3, 512, 512];
+  const largeTensor = new Float64Array(3 * MAX_PYTHON_INPUT_PIXELS).fill(0.123456789012345);
+  const payloads = [];
+  const largeScore = async (tensors) => {
+    payloads.push(JSON.stringify(tensors.map(tensor => toNestedHWC(tensor, largeShape))).length);
+    return tensors.map(tensor => tensor[0]);
+  };
+  await occlusion(largeScore, largeTensor, largeShape, { windowSize: 128, stride: 128 });
+  assert.ok(batchSize(largeShape) < 32 && payloads.length === 1 + Math.ceil(16 / batchSize(largeShape)));
+  assert.ok(Math.max(...payloads) < 96 * 1024 * 1024);
+  assert.strictEqual(batchSize([1, 28, 28]), 32);
+  const pythonModels = { directory: path.join(os.tmpdir(), 'openxai-models'), modules: ['torchvision.models'] };
+  assert.strictEqual(resolvePythonModel('net.py:predict', pythonModels), `${path.join(pythonModels.directory, 'net.py')}:predict`);
+  assert.strictEqual(resolvePythonModel('torchvision.models.resnet:score', pythonModels), 'torchvision.models.resnet:score');
+  assert.throws(() => resolvePythonModel('../net.py:predict', pythonModels), /outside the model directory/);
+  assert.throws(() => resolvePythonModel('/etc/evil.py:run', pythonModels), /outside the model directory/);
+  assert.throws(() => resolvePythonModel('os:system', pythonModels), /not allowed/);
+  assert.throws(() => resolvePythonModel('torchvision.modelsx:score', pythonModels), /not allowed/);
+  assert.throws(() => resolvePythonModel('net.py', pythonModels), /must look like/);
+  const imageArguments = parseToolArguments('generate_explanation', { method: 'rise', image: png.toString('base64'), model: { type: 'cnn' } });
+  assert.deepStrictEqual([imageArguments.mask_resolution, imageArguments.keep_probability], [7, 0.5]);
+  assert.throws(() => parseToolArguments('generate_explanation', { method: 'occlusion', model_handle: 'mdl_1' }), /data_sample: Pass data_sample, image for occlusion and rise, or text/);
+  console.log('- PNGs round-trip and oversized ones are refused before inflating; JSON CNNs run in-process, and occlusion and RISE light up the region the model reads');
+  console.log('- RISE is reproducible for a seed; heatmaps render at 224px or larger; python_model inputs are bounded, batched by size and imported only from allowed places\n');
+
+  // Test 34: Token-level LIME for a bag-of-words text classifier
+  console.log('✅ Test 34: Text Explanations');
+  assert.deepStrictEqual(tokenize("Don't <skip> it!").map(({ word, start, end }) => [word, start, end]), [["don't", 0, 5], ['skip', 7, 11], ['it', 13, 15]]);
+  const sentiment = createTextModel({
+    type: 'bow',
+    vocabulary: ['great', 'awful', 'boring', 'Loved'],
+    coefficients: [1.5, -2, -1, 1.2],
+    intercept: 0.2,
+    classes: ['negative', 'positive']
+  });
+  assert.ok(Math.abs(sentiment.predict(['great', 'great', 'plot']) - 1 / (1 + Math.exp(-3.2))) < 1e-12);
+  assert.throws(() => createTextModel({ type: 'bow', vocabulary: ['a', 'b'], coefficients: [1] }), /one number per vocabulary word/);
+  const review = 'I loved the acting, but the plot was boring & <awful>. Great soundtrack; great score!';
+  const textExplanation = limeText(sentiment, review, { numSamples: 1000, seed: 3 });
+  assert.strictEqual(textExplanation.tokens.length, 14);
+  assert.deepStrictEqual(textExplanation.tokens.map(token => review.slice(token.start, token.end)), textExplanation.tokens.map(token => token.token));
+  const topWords = Object.entries(textExplanation.attributions).sort((a, b) => Math.abs(b[1]) - Math.abs(a[1])).slice(0, 4).map(([word]) => word);
+  assert.deepStrictEqual([...topWords].sort(), ['awful', 'boring', 'great', 'loved']);
+  assert.ok(textExplanation.attributions.great > 0 && textExplanation.attributions.awful < 0 && textExplanation.attributions.loved > 0);
+  assert.strictEqual(textExplanation.tokens[10].score, textExplanation.tokens[12].score);
+  assert.ok(textExplanation.local_fidelity.r2 > 0.9);
+  assert.deepStrictEqual(limeText(sentiment, review, { numSamples: 1000, seed: 3 }), textExplanation);
+  assert.deepStrictEqual(limeText(sentiment, review, { numSamples: 1000, numFeatures: 2, seed: 3 }).selected_features, ['awful', 'great']);
+  assert.throws(() => limeText(sentiment, '?!'), /no words/);
+  const longReview = Array.from({ length: 301 }, (_, i) => `word${i}`).join(' ');
+  assert.throws(() => limeText(sentiment, longReview), /301 distinct words; lime explains at most 300/);
+
+  const html = renderHtml(review, textExplanation.tokens, sentiment.classes);
+  assert.match(html, /<span style="background-color: rgba\(34, 139, 34, [\d.]+\)" title="\+[\d.]+ towards positive">loved<\/span>/);
+  assert.match(html, /&amp; &lt;<span style="background-color: rgba\(220, 20, 60, [\d.]+\)"[^>]*>awful<\/span>&gt;/);
+  const markdown = renderMarkdown(review, textExplanation.tokens, sentiment.classes);
+  assert.match(markdown, /~~boring~~ \(−[\d.]+\) & \\<~~awful~~ \(−[\d.]+\)\\>/);
+  assert.match(markdown, /\*\*Great\*\* \(\+[\d.]+\)/);
+  assert.ok(!markdown.includes('**acting**'));
+  assert.strictEqual(parseToolArguments('generate_explanation', { method: 'lime', text: review, model: { type: 'bow' } }).text, review);
+  assert.throws(() => parseToolArguments('generate_explanation', { method: 'lime', text: 'a'.repeat(20001), model: { type: 'bow' } }), ToolArgumentError);
+  const manyTokens = Array.from({ length: 200000 }, (_, i) => ({ token: 'a', start: 2 * i, end: 2 * i + 1, score: i === 7 ? -2 : 1 }));
+  assert.match(renderHtml('a '.repeat(200000), manyTokens, sentiment.classes), /^<p class="token-attributions"><span style="background-color: rgba\(34, 139, 34, 0\.50\)"/);
+  console.log('- Tokens keep their offsets; every occurrence of a word shares its LIME score and the surrogate is seeded');
+  console.log('- Texts with too many characters or distinct words are rejected, and very long token lists still render\n');
+
+  // Test 35: Charts for attributions, leaderboards and metric grids
+  console.log('✅ Test 35: Charts');
+  const chartAttributions = { age: 0.3, income: -0.2, 'debt <ratio>': 0.1, tenure: -0.05, savings: 0.01 };
+  const texts = (scene) => scene.items.filter(item => item.kind === 'text').map(item => item.text);
+  const [bars] = buildCharts('bar', { method: 'shap', result: { attributions: chartAttributions } }, { top: 3 });
+  assert.strictEqual(bars.title, 'shap attributions');
+  assert.deepStrictEqual(texts(bars.scene).filter(text => /^[a-z]/.test(text)), ['shap attributions', 'age', 'income', 'debt <ratio>']);
+  assert.ok(texts(bars.scene).includes('2 smaller attributions not shown'));
+  assert.deepStrictEqual(bars.scene.items.filter(item => item.kind === 'rect').map(item => item.fill), ['#ff0051', '#008bfb', '#ff0051']);
+  const [steps] = buildCharts('waterfall', { result: { attributions: chartAttributions, base_value: 0.5 } }, { top: 2 });
+  assert.ok(texts(steps.scene).includes('f(x) = 0.66') && texts(steps.scene).includes('E[f(x)] = 0.5') && texts(steps.scene).includes('3 other features'));
+  assert.throws(() => buildCharts('waterfall', chartAttributions), /base_value/);
+  assert.deepStrictEqual([formatValue(0.000012), formatValue(-1234.5), formatValue(0.4567)], ['1.20e-5', '-1230', '0.457']);
+
+  const ranked = aggregateRuns([
+    ['lime', 'lr', 'PGI', 0.6], ['lime', 'lr', 'PGI', 0.7], ['shap', 'ann', 'PGI', 0.5], ['shap', 'lr', 'PGU', 0.1]
+  ].map(([explainer, model, metric, score]) => ({ dataset: 'german', explainer, model, metric, score, timestamp: '2026-01-01T00:00:00Z' })));
+  const leaderboardCharts = buildCharts('grouped_bar', { rankings: ranked });
+  assert.deepStrictEqual(leaderboardCharts.map(entry => entry.title), ['PGI on german', 'PGU on german']);
+  assert.deepStrictEqual(texts(leaderboardCharts[0].scene).filter(text => ['lr', 'ann', 'lime', 'shap'].includes(text)), ['lr', 'ann', 'lime', 'shap']);
+  assert.ok(texts(leaderboardCharts[1].scene).at(-1).startsWith('Lower is better'));
+
+  const [metricGrid] = buildCharts('heatmap', { matrix: [
+    { dataset: 'german', model: 'lr', explainer: 'lime', scores: { PGI: 0.6, PGU: 0.1 } },
+    { dataset: 'german', model: 'lr', explainer: 'shap', scores: { PGI: 0.2, PGU: null } },
+    { dataset: 'german', model: 'lr', explainer: 'grad', scores: { PGI: 0.4, PGU: 0.3 } }
+  ] });
+  const shades = metricGrid.scene.items.filter(item => item.kind === 'rect').map(item => item.fill);
+  // Darkest is best per column: high PGI and low PGU
+  assert.deepStrictEqual(shades, ['#08306b', '#08306b', '#eff3ff', '#eeeeee', '#7b91b5', '#eff3ff']);
+  assert.ok(texts(metricGrid.scene).includes('n/a') && texts(metricGrid.scene).includes('lime') && !texts(metricGrid.scene).some(text => text.includes('german')));
+  assert.throws(() => buildCharts('heatmap', { rows: ['a'], columns: ['x', 'y'], values: [[1]] }), /1 x 2 grid/);
+
+  const svg = toSvg(bars.scene);
+  assert.ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="800"') && svg.includes('debt &lt;ratio&gt;'));
+  const chartPng = decodePng(toPng(bars.scene));
+  assert.deepStrictEqual([chartPng.width, chartPng.height, chartPng.channels], [bars.scene.width, bars.scene.height, 3]);
+  const chartDir = await fs.mkdtemp(path.join(os.tmpdir(), 'openxai-charts-'));
+  try {
+    const file = await writeChart(svg, { directory: chartDir, chart: 'bar' });
+    assert.match(path.basename(file), /^bar-[0-9a-f]{12}\.svg$/);
+    assert.strictEqual(await writeChart(svg, { directory: chartDir, chart: 'bar' }), file);
+    assert.strictEqual(path.basename(await writeChart(svg, { directory: chartDir, name: 'german/shap chart' })), 'german_shap_chart.svg');
+  } finally {
+    await fs.remove(chartDir);
+  }
+  assert.deepStrictEqual(parseToolArguments('render_chart', { chart: 'bar', data: chartAttributions }), { chart: 'bar', data: chartAttributions, format: 'png', save: false });
+  assert.strictEqual(parseToolArguments('get_leaderboard', {}).chart, false);
+  console.log('- Attributions chart as sorted bars or a waterfall from E[f(x)] to f(x); leaderboards as grouped bars per dataset and metric');
+  console.log('- Benchmark matrices shade darker for better scores per metric; charts render to SVG and PNG\n');
+
   console.log('🎉 All tests completed! The OpenXAI MCP server is ready to use.');
   console.log('');
   console.log('📋 Next steps:');
@@ -124,4 +1025,7 @@ async function runTests() {
   console.log('For more information, see README.md and SUBMISSION_GUIDE.md');
 }
 
-runTests().catch(console.error); 
\ No newline at end of file
+runTests().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+}); 
\ No newline at end of file